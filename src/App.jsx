@@ -3,7 +3,9 @@ import { NotebookProvider, useNotebook } from './stores/NotebookContext';
 import { NotebookContainer } from './components/NotebookContainer';
 import { LandingScreen } from './components/LandingScreen';
 import { InvestigationService } from './services/investigationService';
-import { useCSVLoader } from './hooks/useCSVLoader';
+import { sqliteEngine } from './services/sqliteEngine';
+import { datasetCache } from './services/datasetCache';
+import { useCSVLoader, isSameDataset } from './hooks/useCSVLoader';
 
 class ErrorBoundary extends React.Component {
   constructor(props) {
@@ -43,7 +45,7 @@ class ErrorBoundary extends React.Component {
 
 function NotebookApp() {
   const { state, dispatch, ActionTypes } = useNotebook();
-  const { loading, csvData } = useCSVLoader();
+  const { loading, csvData, loadDataset } = useCSVLoader({ autoRun: true });
 
   console.log('NotebookApp render - loading:', loading, 'csvData rows:', csvData.length);
 
@@ -62,6 +64,42 @@ function NotebookApp() {
           cells: investigation.cells
         }
       });
+      
+      // Reopen the dataset the investigation was built on, then the tables joined to it
+      const { dataset, tables = [] } = investigation;
+      const missingFiles = [];
+      
+      if (dataset && !isSameDataset(dataset, state.dataset)) {
+        if (dataset.source === 'url') {
+          await loadDataset({ type: 'url', url: dataset.url, sampling: dataset.sampling });
+        } else if (await datasetCache.has(dataset.fingerprint)) {
+          // A file loaded in an earlier session can come back from the cache
+          await loadDataset({ type: 'cache', fingerprint: dataset.fingerprint });
+        } else {
+          missingFiles.push(dataset);
+        }
+      }
+      
+      // The cached database may already include the joined tables
+      const loadedTables = await sqliteEngine.listTables();
+      for (const table of tables) {
+        const loaded = loadedTables.find(t => t.name === table.tableName);
+        if (loaded && isSameDataset(loaded.source, table)) continue;
+        
+        if (table.source === 'url') {
+          await loadDataset({ type: 'url', url: table.url, tableName: table.tableName, sampling: table.sampling });
+        } else {
+          missingFiles.push(table);
+        }
+      }
+      
+      // Local files cannot be reopened without the analyst selecting them again
+      if (missingFiles.length > 0) {
+        dispatch({
+          type: ActionTypes.TOGGLE_MODAL,
+          payload: { modal: 'importData', value: { open: true, expectedDataset: missingFiles[0] } }
+        });
+      }
     } catch (error) {
       alert('Failed to load investigation: ' + error.message);
     }
@@ -84,6 +122,8 @@ function NotebookApp() {
       <LandingScreen 
         onCreateNew={handleCreateNew}
         onLoadInvestigation={handleLoadInvestigation}
+        onImportDataset={loadDataset}
+        dataset={state.dataset}
       />
     );
   }
@@ -0,0 +1,343 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNotebook } from '../stores/NotebookContext';
+import { Icon } from './ui/Icon';
+import { ServiceChart } from './ui/ServiceChart';
+import { sqliteEngine } from '../services/sqliteEngine';
+import { collectParameters, MAX_DROPDOWN_OPTIONS } from '../services/queryParameters';
+import { formatCellValue } from '../utils/formatCellValue';
+import {
+  DASHBOARD_FILTERS,
+  DEFAULT_DASHBOARD,
+  FRAUD_OPTIONS,
+  GRID_COLUMNS,
+  ROW_HEIGHT,
+  dashboardConditions,
+  filterTableQuery,
+  tileQuery,
+  chartTile,
+  resizeTile,
+  moveTile
+} from '../services/dashboard';
+
+// A chart drawn from the loaded rows needs no query until a filter is set
+const readsLoadedRows = (cell, conditions) =>
+  cell.type === 'chart' && (cell.dataSource !== 'query' || !cell.query) && conditions.length === 0;
+
+export function Dashboard() {
+  const { state, dispatch, ActionTypes } = useNotebook();
+  const { tiles, filters } = state.dashboard;
+  const columns = Object.keys(state.csvData[0] || {});
+  const [results, setResults] = useState({});
+  const [running, setRunning] = useState(false);
+
+  const pinned = tiles
+    .map(tile => ({ tile, cell: state.cells.find(c => c.id === tile.cellId) }))
+    .filter(({ cell }) => cell);
+  const { conditions, params } = dashboardConditions(filters, columns);
+  const queries = Object.fromEntries(pinned
+    .filter(({ cell }) => !readsLoadedRows(cell, conditions))
+    .map(({ cell }) => [cell.id, tileQuery(cell, { columns })])
+    .filter(([, query]) => query));
+  const runKey = JSON.stringify({ queries, conditions, params, parameters: collectParameters(state.cells) });
+
+  // Every pinned query runs again when a filter, a query or the dataset changes
+  useEffect(() => {
+    if (state.csvData.length === 0) return;
+
+    let cancelled = false;
+    const { queries, conditions, params, parameters } = JSON.parse(runKey);
+    const run = async () => {
+      setRunning(true);
+      const loaded = {};
+      for (const [cellId, query] of Object.entries(queries)) {
+        const result = await sqliteEngine.execute(filterTableQuery(query, conditions), {
+          params: { ...parameters, ...params }
+        });
+        loaded[cellId] = result.success ? { rows: result.data } : { error: result.error };
+      }
+      if (!cancelled) {
+        setResults(loaded);
+        setRunning(false);
+      }
+    };
+    run();
+
+    return () => { cancelled = true; };
+  }, [runKey, state.csvData]);
+
+  const options = useMemo(() => {
+    const distinct = (column) => [...new Set(state.csvData
+      .map(row => row[column])
+      .filter(value => value !== null && value !== undefined && value !== '')
+      .map(String))].sort().slice(0, MAX_DROPDOWN_OPTIONS);
+    return {
+      country: distinct(DASHBOARD_FILTERS.country.column),
+      category: distinct(DASHBOARD_FILTERS.category.column)
+    };
+  }, [state.csvData]);
+
+  const updateDashboard = (updates) => dispatch({ type: ActionTypes.UPDATE_DASHBOARD, payload: updates });
+  const setFilter = (key, value) => updateDashboard({ filters: { ...filters, [key]: value } });
+  const filtersSet = Object.values(filters).some(Boolean);
+  const has = (key) => columns.includes(DASHBOARD_FILTERS[key].column);
+  const inputClass = 'px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  const openInNotebook = (cellId) => {
+    dispatch({ type: ActionTypes.SET_VIEW_MODE, payload: 'notebook' });
+    dispatch({ type: ActionTypes.SET_SELECTED_CELL, payload: cellId });
+  };
+
+  const tileRows = (cell) => readsLoadedRows(cell, conditions)
+    ? { rows: state.csvData }
+    : results[cell.id] || null;
+
+  return (
+    <div>
+      {/* Filter bar */}
+      <div className="bg-white border border-gray-200 rounded-lg p-3 mb-4 flex flex-wrap items-end gap-3">
+        {has('date') && (
+          <>
+            <label className="text-xs text-gray-600">
+              From
+              <input
+                type="date"
+                value={filters.dateStart}
+                onChange={(e) => setFilter('dateStart', e.target.value)}
+                className={`${inputClass} block mt-1`}
+              />
+            </label>
+            <label className="text-xs text-gray-600">
+              To
+              <input
+                type="date"
+                value={filters.dateEnd}
+                onChange={(e) => setFilter('dateEnd', e.target.value)}
+                className={`${inputClass} block mt-1`}
+              />
+            </label>
+          </>
+        )}
+        {['country', 'category'].filter(has).map(key => (
+          <label key={key} className="text-xs text-gray-600">
+            {DASHBOARD_FILTERS[key].label}
+            <select
+              value={filters[key]}
+              onChange={(e) => setFilter(key, e.target.value)}
+              className={`${inputClass} block mt-1 min-w-[140px]`}
+            >
+              <option value="">All</option>
+              {options[key].map(value => (
+                <option key={value} value={value}>{value}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+        {has('fraud') && (
+          <label className="text-xs text-gray-600">
+            {DASHBOARD_FILTERS.fraud.label}
+            <select
+              value={filters.fraud}
+              onChange={(e) => setFilter('fraud', e.target.value)}
+              className={`${inputClass} block mt-1`}
+            >
+              {Object.entries(FRAUD_OPTIONS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        <button
+          onClick={() => updateDashboard({ filters: DEFAULT_DASHBOARD.filters })}
+          disabled={!filtersSet}
+          className="px-3 py-1.5 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Clear Filters
+        </button>
+        {running && (
+          <div className="flex items-center space-x-2 text-xs text-blue-600 pb-1.5">
+            <div className="animate-spin rounded-full h-3 w-3 border-2 border-blue-600 border-t-transparent"></div>
+            <span>Updating...</span>
+          </div>
+        )}
+      </div>
+
+      {pinned.length === 0 ? (
+        <div className="bg-white border border-gray-200 rounded-lg text-center py-16 text-gray-500">
+          <Icon name="LayoutGrid" className="w-8 h-8 mx-auto mb-2 text-gray-300" />
+          <p className="text-sm">Pin chart and Data cells with the pin in their header to build the dashboard</p>
+        </div>
+      ) : (
+        <div
+          data-dashboard-grid
+          className="grid gap-4"
+          style={{ gridTemplateColumns: `repeat(${GRID_COLUMNS}, minmax(0, 1fr))`, gridAutoRows: `${ROW_HEIGHT}px` }}
+        >
+          {pinned.map(({ tile, cell }, index) => (
+            <DashboardTile
+              key={cell.id}
+              tile={tile}
+              cell={cell}
+              result={tileRows(cell)}
+              isFirst={index === 0}
+              isLast={index === pinned.length - 1}
+              onResize={(width, height) => updateDashboard({ tiles: resizeTile(tiles, cell.id, width, height) })}
+              onMove={(offset) => updateDashboard({ tiles: moveTile(tiles, cell.id, offset) })}
+              onUnpin={() => updateDashboard({ tiles: tiles.filter(t => t.cellId !== cell.id) })}
+              onOpen={() => openInNotebook(cell.id)}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function DashboardTile({ tile, cell, result, isFirst, isLast, onResize, onMove, onUnpin, onOpen }) {
+  // Dragging the corner snaps the tile to whole grid columns and rows
+  const startResize = (event) => {
+    event.preventDefault();
+    const grid = event.currentTarget.closest('[data-dashboard-grid]');
+    const columnWidth = grid.clientWidth / GRID_COLUMNS;
+    const start = { x: event.clientX, y: event.clientY };
+    let size = { width: tile.width, height: tile.height };
+
+    const onPointerMove = (e) => {
+      const width = Math.round(tile.width + (e.clientX - start.x) / columnWidth);
+      const height = Math.round(tile.height + (e.clientY - start.y) / ROW_HEIGHT);
+      if (width === size.width && height === size.height) return;
+      size = { width, height };
+      onResize(width, height);
+    };
+    const onPointerUp = () => {
+      window.removeEventListener('pointermove', onPointerMove);
+      window.removeEventListener('pointerup', onPointerUp);
+    };
+    window.addEventListener('pointermove', onPointerMove);
+    window.addEventListener('pointerup', onPointerUp);
+  };
+
+  return (
+    <div
+      className="relative bg-white border border-gray-200 rounded-lg flex flex-col overflow-hidden group"
+      style={{ gridColumn: `span ${tile.width} / span ${tile.width}`, gridRow: `span ${tile.height} / span ${tile.height}` }}
+    >
+      <div className="flex items-center justify-between px-3 py-2 border-b border-gray-100">
+        <button
+          onClick={onOpen}
+          className="text-sm font-medium text-gray-700 hover:text-blue-700 truncate text-left"
+          title="Open in notebook"
+        >
+          {cell.title || 'Untitled'}
+        </button>
+        <div className="flex items-center space-x-1 opacity-0 group-hover:opacity-100 transition-opacity">
+          <button
+            onClick={() => onMove(-1)}
+            disabled={isFirst}
+            className="p-0.5 text-gray-400 hover:text-gray-600 disabled:opacity-30"
+            title="Move earlier"
+          >
+            <Icon name="ChevronLeft" className="w-3 h-3" />
+          </button>
+          <button
+            onClick={() => onMove(1)}
+            disabled={isLast}
+            className="p-0.5 text-gray-400 hover:text-gray-600 disabled:opacity-30"
+            title="Move later"
+          >
+            <Icon name="ChevronRight" className="w-3 h-3" />
+          </button>
+          <button
+            onClick={onUnpin}
+            className="p-0.5 text-gray-400 hover:text-red-600"
+            title="Unpin"
+          >
+            <Icon name="X" className="w-3 h-3" />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 min-h-0 p-2">
+        {!result ? (
+          <div className="h-full flex items-center justify-center text-xs text-gray-400">Loading...</div>
+        ) : result.error ? (
+          <div className="text-xs text-red-600 bg-red-50 px-2 py-1 rounded">{result.error}</div>
+        ) : result.rows.length === 0 ? (
+          <div className="h-full flex items-center justify-center text-xs text-gray-500">No rows match the filters</div>
+        ) : cell.type === 'chart' ? (
+          <ChartTile cell={cell} rows={result.rows} />
+        ) : (
+          <KpiTile cell={cell} rows={result.rows} />
+        )}
+      </div>
+
+      <div
+        onPointerDown={startResize}
+        className="absolute bottom-0 right-0 w-4 h-4 cursor-se-resize opacity-0 group-hover:opacity-100 transition-opacity"
+        title="Drag to resize"
+        style={{ background: 'linear-gradient(135deg, transparent 50%, #9ca3af 50%)' }}
+      />
+    </div>
+  );
+}
+
+function ChartTile({ cell, rows }) {
+  const { state } = useNotebook();
+  const { data, config } = useMemo(() => chartTile(cell, rows, state.columnTypes), [cell, rows, state.columnTypes]);
+
+  if (data.length === 0) {
+    return <div className="h-full flex items-center justify-center text-xs text-gray-500">Nothing to chart</div>;
+  }
+  return <ServiceChart chartId={`dashboard-${cell.id}`} data={data} config={config} className="w-full h-full" />;
+}
+
+const formatMetric = (value, column, columnTypes) => typeof value === 'number'
+  ? value.toLocaleString(undefined, { maximumFractionDigits: 2 })
+  : formatCellValue(value, column, columnTypes);
+
+// A single-row result is shown as metrics; anything longer as its first rows
+function KpiTile({ cell, rows }) {
+  const { state } = useNotebook();
+  const columns = cell.visibleColumns?.length > 0 && cell.visibleColumns.every(column => column in rows[0])
+    ? cell.visibleColumns
+    : Object.keys(rows[0]);
+
+  if (rows.length === 1) {
+    return (
+      <div className="h-full grid gap-2" style={{ gridTemplateColumns: `repeat(${Math.min(columns.length, 3)}, minmax(0, 1fr))` }}>
+        {columns.map(column => (
+          <div key={column} className="bg-blue-50 border border-blue-100 rounded-lg p-2 flex flex-col justify-center min-w-0">
+            <div className="text-xs text-blue-700 truncate">{column}</div>
+            <div className="text-xl font-semibold text-blue-900 truncate">
+              {formatMetric(rows[0][column], column, state.columnTypes)}
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="h-full overflow-auto">
+      <table className="w-full text-xs">
+        <thead className="bg-gray-50 sticky top-0">
+          <tr>
+            {columns.map(column => (
+              <th key={column} className="px-2 py-1 text-left font-medium text-gray-500">{column}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {rows.slice(0, 50).map((row, index) => (
+            <tr key={index}>
+              {columns.map(column => (
+                <td key={column} className="px-2 py-1 text-gray-900 truncate max-w-[160px]">
+                  {formatCellValue(row[column], column, state.columnTypes)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
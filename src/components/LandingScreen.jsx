@@ -1,11 +1,25 @@
 import React, { useState, useEffect } from 'react';
 import { InvestigationService } from '../services/investigationService';
 import { Icon } from './ui/Icon';
+import { ImportDataModal } from './modals/ImportDataModal';
 
-export function LandingScreen({ onCreateNew, onLoadInvestigation }) {
+export function LandingScreen({ onCreateNew, onLoadInvestigation, onImportDataset, dataset }) {
   const [investigations, setInvestigations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [importOpen, setImportOpen] = useState(false);
+  const [droppedFile, setDroppedFile] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+
+  const handleDatasetDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    const file = e.dataTransfer.files?.[0];
+    if (file) {
+      setDroppedFile(file);
+      setImportOpen(true);
+    }
+  };
 
   useEffect(() => {
     // Initialize sample data only if none exists (preserves user saves)
@@ -68,12 +82,12 @@ export function LandingScreen({ onCreateNew, onLoadInvestigation }) {
           </p>
         </div>
 
-        {/* Action Card */}
-        <div className="flex justify-center max-w-3xl mx-auto mb-16">
+        {/* Action Cards */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 max-w-5xl mx-auto mb-16">
           {/* Create New Investigation */}
           <div 
             onClick={onCreateNew}
-            className="fortify-card hover:shadow-2xl transition-all duration-300 cursor-pointer border-2 border-transparent hover:border-purple-300 hover:scale-105 w-full max-w-lg group"
+            className="fortify-card hover:shadow-2xl transition-all duration-300 cursor-pointer border-2 border-transparent hover:border-purple-300 hover:scale-105 w-full group"
           >
             <div className="p-10 text-center">
               <div className="w-20 h-20 fortify-gradient-bg rounded-full flex items-center justify-center mx-auto mb-6 shadow-lg group-hover:shadow-xl transition-shadow">
@@ -88,6 +102,34 @@ export function LandingScreen({ onCreateNew, onLoadInvestigation }) {
               </p>
             </div>
           </div>
+
+          {/* Import Dataset */}
+          <div
+            onClick={() => setImportOpen(true)}
+            onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={handleDatasetDrop}
+            className={`fortify-card hover:shadow-2xl transition-all duration-300 cursor-pointer border-2 border-dashed hover:border-purple-300 hover:scale-105 w-full group ${
+              isDragging ? 'border-purple-500 bg-purple-50' : 'border-gray-200'
+            }`}
+          >
+            <div className="p-10 text-center">
+              <div className="w-20 h-20 fortify-gradient-bg rounded-full flex items-center justify-center mx-auto mb-6 shadow-lg group-hover:shadow-xl transition-shadow">
+                <Icon name="Database" className="w-10 h-10 text-white" />
+              </div>
+              <h3 className="text-xl fortify-subheading mb-3">
+                Import Dataset
+              </h3>
+              <p className="fortify-body text-base">
+                Drop a CSV or TSV extract here, or click to browse. Comma, semicolon, tab and pipe delimiters are detected automatically.
+              </p>
+              {dataset && (
+                <p className="text-sm text-gray-500 mt-4">
+                  Current: <span className="font-medium">{dataset.name}</span> • {dataset.rowCount?.toLocaleString()} rows
+                </p>
+              )}
+            </div>
+          </div>
         </div>
 
         {/* Existing Investigations */}
@@ -144,10 +186,22 @@ export function LandingScreen({ onCreateNew, onLoadInvestigation }) {
                             <Icon name="FileText" className="w-4 h-4" />
                             <span>{investigation.cellCount} cells</span>
                           </div>
+                          {investigation.alertCount > 0 && (
+                            <div className="flex items-center space-x-1">
+                              <Icon name="ShieldAlert" className="w-4 h-4" />
+                              <span>{investigation.alertCount} alerts</span>
+                            </div>
+                          )}
                           <div className="flex items-center space-x-1">
                             <Icon name="Clock" className="w-4 h-4" />
                             <span>Updated {formatDate(investigation.updatedAt)}</span>
                           </div>
+                          {investigation.datasetName && (
+                            <div className="flex items-center space-x-1">
+                              <Icon name="Database" className="w-4 h-4" />
+                              <span>{investigation.datasetName}</span>
+                            </div>
+                          )}
                         </div>
                       </div>
                       <div className="flex items-center space-x-2 ml-4">
@@ -183,6 +237,16 @@ export function LandingScreen({ onCreateNew, onLoadInvestigation }) {
           </div>
         </div>
       </div>
+
+      <ImportDataModal
+        isOpen={importOpen}
+        onClose={() => {
+          setImportOpen(false);
+          setDroppedFile(null);
+        }}
+        onImport={onImportDataset}
+        initialFile={droppedFile}
+      />
     </div>
   );
 }
\ No newline at end of file
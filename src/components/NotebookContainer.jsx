@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNotebook } from '../stores/NotebookContext';
 import { useCSVLoader } from '../hooks/useCSVLoader';
 import { Icon } from './ui/Icon';
@@ -6,18 +6,52 @@ import { AICell } from './cells/AICell';
 import { CellHeader } from './cells/CellHeader';
 import { DataCell } from './cells/DataCell';
 import { ChartCell } from './cells/ChartCell';
+import { ParametersCell } from './cells/ParametersCell';
+import { RuleCell } from './cells/RuleCell';
+import { NetworkCell } from './cells/NetworkCell';
 import { AIAssistModal } from './modals/AIAssistModal';
 import { AddStateModal } from './modals/AddStateModal';
 import { EditStateModal } from './modals/EditStateModal';
+import { StructuringDetectorModal } from './modals/StructuringDetectorModal';
+import { RuleExportModal } from './modals/RuleExportModal';
+import { ImportRuleModal } from './modals/ImportRuleModal';
+import { AlertsPanel } from './modals/AlertsPanel';
+import { EntityPanel } from './modals/EntityPanel';
 import { SettingsModal } from './modals/SettingsModal';
 import { SaveInvestigationModal } from './modals/SaveInvestigationModal';
+import { ImportDataModal } from './modals/ImportDataModal';
+import { TablesModal } from './modals/TablesModal';
 import { AddCellMenu } from './cells/AddCellMenu';
+import { Dashboard } from './Dashboard';
 import { parseMarkdown } from '../utils/markdownParser';
+import { describeSampling } from '../services/rowSampler';
+import { isRunnableCell } from '../services/cellDependencies';
+import { countAlertsByStatus } from '../services/alertQueue';
+import { InvestigationService } from '../services/investigationService';
 
 
 export function NotebookContainer() {
   const { state, dispatch, ActionTypes } = useNotebook();
-  const { executeCell } = useCSVLoader();
+  const { runCells, loadDataset } = useCSVLoader();
+  
+  // Rows in the source that parsed cleanly, whether or not they were all loaded
+  const sourceRows = state.dataset ? state.dataset.totalRows - (state.dataset.rejectedRows || 0) : 0;
+  const isSampled = state.dataset?.sampling && state.dataset.sampling.mode !== 'full';
+  const openAlerts = countAlertsByStatus(state.alerts).open;
+  const isDashboard = state.viewMode === 'dashboard';
+
+  // Keep the dashboard layout with the saved investigation as it changes
+  const investigationId = state.currentInvestigation?.id;
+  useEffect(() => {
+    if (investigationId) {
+      InvestigationService.saveField(investigationId, 'dashboard', state.dashboard);
+    }
+  }, [investigationId, state.dashboard]);
+
+  const closeImportModal = () => dispatch({
+    type: ActionTypes.TOGGLE_MODAL,
+    payload: { modal: 'importData', value: { open: false, expectedDataset: null } }
+  });
 
   return (
     <div className="min-h-screen fortify-geometric-pattern">
@@ -34,14 +68,86 @@ export function NotebookContainer() {
               </h1>
             </div>
             <div className="flex items-center space-x-2 text-sm text-gray-500">
-              <span>Auto-saved • {state.csvData.length} transactions loaded</span>
+              <span>
+                Auto-saved • {state.csvData.length.toLocaleString()}
+                {isSampled && ` of ${sourceRows.toLocaleString()}`} transactions loaded
+                {state.dataset && <> from <span className="font-medium">{state.dataset.name}</span></>}
+                {state.dataset?.fromCache && ' (cached)'}
+              </span>
+              {state.dataset && (
+                <span
+                  className={`px-2 py-0.5 rounded text-xs font-medium ${
+                    isSampled ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-800'
+                  }`}
+                  title={isSampled
+                    ? 'Counts and rates are computed on a sample, not the full population'
+                    : 'Every row of the source is loaded'}
+                >
+                  {describeSampling(state.dataset.sampling)}
+                </span>
+              )}
+              {state.dataset?.rejectedRows > 0 && (
+                <span
+                  className="flex items-center space-x-1 text-yellow-700"
+                  title="Rows with unbalanced quotes or the wrong number of fields were skipped"
+                >
+                  <Icon name="AlertTriangle" className="w-4 h-4" />
+                  <span>{state.dataset.rejectedRows.toLocaleString()} malformed rows rejected</span>
+                </span>
+              )}
             </div>
           </div>
           
           <div className="flex items-center space-x-2">
-            <button className="px-3 py-1.5 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors flex items-center space-x-1">
-              <Icon name="Play" className="w-4 h-4" />
-              <span>Run All</span>
+            <button
+              onClick={() => dispatch({ type: ActionTypes.SET_VIEW_MODE, payload: isDashboard ? 'notebook' : 'dashboard' })}
+              className={`px-3 py-1.5 text-sm rounded transition-colors flex items-center space-x-1 ${
+                isDashboard ? 'bg-blue-100 text-blue-800 hover:bg-blue-200' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+              title={isDashboard ? 'Back to the notebook' : 'Pinned cells on one page, with a shared filter bar'}
+            >
+              <Icon name={isDashboard ? 'FileText' : 'LayoutGrid'} className="w-4 h-4" />
+              <span>{isDashboard ? 'Notebook' : `Dashboard${state.dashboard.tiles.length > 0 ? ` (${state.dashboard.tiles.length})` : ''}`}</span>
+            </button>
+            <RunMenu runCells={runCells} />
+            <button
+              onClick={() => dispatch({
+                type: ActionTypes.TOGGLE_MODAL,
+                payload: { modal: 'importData', value: { open: true, expectedDataset: null } }
+              })}
+              className="px-3 py-1.5 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors flex items-center space-x-1"
+            >
+              <Icon name="Database" className="w-4 h-4" />
+              <span>Import Data</span>
+            </button>
+            <button
+              onClick={() => dispatch({ type: ActionTypes.TOGGLE_MODAL, payload: { modal: 'tables', value: true } })}
+              className="px-3 py-1.5 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors flex items-center space-x-1"
+            >
+              <Icon name="Table" className="w-4 h-4" />
+              <span>Tables{state.tables.length > 1 ? ` (${state.tables.length})` : ''}</span>
+            </button>
+            <button
+              onClick={() => dispatch({ type: ActionTypes.TOGGLE_MODAL, payload: { modal: 'alerts', value: true } })}
+              className="px-3 py-1.5 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors flex items-center space-x-1"
+            >
+              <Icon name="ShieldAlert" className="w-4 h-4" />
+              <span>Alerts</span>
+              {openAlerts > 0 && (
+                <span className="px-1.5 py-0.5 rounded-full text-[10px] font-medium bg-rose-600 text-white">{openAlerts}</span>
+              )}
+            </button>
+            <button
+              onClick={() => dispatch({ type: ActionTypes.SET_SCRATCH_MODE, payload: !state.scratchMode })}
+              className={`px-3 py-1.5 text-sm rounded transition-colors flex items-center space-x-1 ${
+                state.scratchMode
+                  ? 'bg-yellow-100 text-yellow-800 hover:bg-yellow-200'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+              title="Scratch mode lets Data cells create temporary views and derived tables. Loaded tables are never modified."
+            >
+              <Icon name="Edit3" className="w-4 h-4" />
+              <span>Scratch {state.scratchMode ? 'On' : 'Off'}</span>
             </button>
             <button 
               onClick={() => dispatch({ type: ActionTypes.TOGGLE_MODAL, payload: { modal: 'saveInvestigation', value: true } })}
@@ -73,37 +179,122 @@ export function NotebookContainer() {
       </div>
 
       {/* Notebook Content */}
-      <div className="max-w-6xl mx-auto px-6 py-4">
-        <div className="space-y-4">
-          {state.cells.map((cell, index) => (
-            <div key={cell.id}>
-              <CellRenderer cell={cell} />
-              {state.selectedCellId === cell.id && (
-                <AddCellMenu afterId={cell.id} />
-              )}
-            </div>
-          ))}
+      {isDashboard ? (
+        <div className="px-6 py-4">
+          <Dashboard />
+        </div>
+      ) : (
+        <div className="max-w-6xl mx-auto px-6 py-4">
+          <div className="space-y-4">
+            {state.cells.map((cell, index) => (
+              <div key={cell.id}>
+                <CellRenderer cell={cell} />
+                {state.selectedCellId === cell.id && (
+                  <AddCellMenu afterId={cell.id} />
+                )}
+              </div>
+            ))}
           
-          <AddCellMenu />
+            <AddCellMenu />
+          </div>
         </div>
-      </div>
+      )}
 
       {/* Modals */}
       <AIAssistModal />
       <AddStateModal />
       <EditStateModal />
+      <StructuringDetectorModal />
+      <RuleExportModal />
+      <ImportRuleModal />
+      <AlertsPanel />
+      <EntityPanel />
       <SettingsModal />
       <SaveInvestigationModal 
         isOpen={state.modals.saveInvestigation}
         onClose={() => dispatch({ type: ActionTypes.TOGGLE_MODAL, payload: { modal: 'saveInvestigation', value: false } })}
         currentInvestigation={state.currentInvestigation}
       />
+      <ImportDataModal
+        isOpen={state.modals.importData.open}
+        onClose={closeImportModal}
+        onImport={loadDataset}
+        expectedDataset={state.modals.importData.expectedDataset}
+      />
+      <TablesModal />
+    </div>
+  );
+}
+
+// Run All with a menu of the narrower run commands. Above and below are relative to
+// the selected cell; cells always run in dependency order.
+function RunMenu({ runCells }) {
+  const { state } = useNotebook();
+  const [showMenu, setShowMenu] = useState(false);
+  const [running, setRunning] = useState(false);
+
+  const selectedIndex = state.cells.findIndex(cell => cell.id === state.selectedCellId);
+  const runnable = (cells) => cells.filter(isRunnableCell);
+  const commands = [
+    { label: 'Run All', cells: runnable(state.cells) },
+    { label: 'Run Above', cells: selectedIndex === -1 ? [] : runnable(state.cells.slice(0, selectedIndex)) },
+    { label: 'Run Selected and Below', cells: selectedIndex === -1 ? [] : runnable(state.cells.slice(selectedIndex)) },
+    { label: 'Run Stale', cells: runnable(state.cells).filter(cell => cell.stale) }
+  ];
+
+  const run = async (cells) => {
+    setShowMenu(false);
+    setRunning(true);
+    try {
+      await runCells(cells.map(cell => cell.id));
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div className="relative flex">
+      <button
+        onClick={() => run(commands[0].cells)}
+        disabled={running}
+        className="px-3 py-1.5 text-sm bg-gray-100 text-gray-700 rounded-l hover:bg-gray-200 transition-colors flex items-center space-x-1 disabled:opacity-50"
+      >
+        <Icon name="Play" className="w-4 h-4" />
+        <span>{running ? 'Running...' : 'Run All'}</span>
+      </button>
+      <button
+        onClick={() => setShowMenu(!showMenu)}
+        disabled={running}
+        className="px-1.5 py-1.5 text-sm bg-gray-100 text-gray-700 rounded-r border-l border-gray-200 hover:bg-gray-200 transition-colors disabled:opacity-50"
+        title="More run commands"
+      >
+        <Icon name="ChevronDown" className="w-4 h-4" />
+      </button>
+
+      {showMenu && (
+        <div className="absolute right-0 top-9 bg-white border border-gray-200 rounded-lg shadow-lg z-20 min-w-[220px] p-1">
+          {commands.map(({ label, cells }) => (
+            <button
+              key={label}
+              onClick={() => run(cells)}
+              disabled={cells.length === 0}
+              className="w-full px-3 py-2 text-left text-sm hover:bg-gray-50 rounded flex items-center justify-between disabled:text-gray-400 disabled:hover:bg-white"
+            >
+              <span>{label}</span>
+              <span className="text-xs text-gray-400">{cells.length} cells</span>
+            </button>
+          ))}
+          {selectedIndex === -1 && (
+            <p className="px-3 py-1 text-xs text-gray-400">Select a cell to run above or below it</p>
+          )}
+        </div>
+      )}
     </div>
   );
 }
 
 function CellRenderer({ cell }) {
-  const { executeCell } = useCSVLoader();
+  const { executeCell, backtestRuleCell, runCells } = useCSVLoader();
   
   switch (cell.type) {
     case 'markdown':
@@ -116,6 +307,12 @@ function CellRenderer({ cell }) {
       return <ChartCell cell={cell} />;
     case 'ai':
       return <AICell cell={cell} />;
+    case 'parameters':
+      return <ParametersCell cell={cell} runCells={runCells} />;
+    case 'rule':
+      return <RuleCell cell={cell} executeCell={executeCell} backtestRuleCell={backtestRuleCell} />;
+    case 'network':
+      return <NetworkCell cell={cell} executeCell={executeCell} />;
     default:
       return (
         <div className="border border-gray-200 rounded-lg p-4 bg-white">
@@ -204,47 +401,32 @@ function StateCell({ cell }) {
     const stateObj = targetCell.states[stateIndex];
     
     try {
-      // Import the SQLite engine
       const { sqliteEngine } = await import('../services/sqliteEngine');
+      const { computedStatesService, initializeComputedStatesService } = await import('../services/computedStates');
+      const service = computedStatesService || initializeComputedStatesService(sqliteEngine);
       
-      // Compute the state values using SQL
-      const computeQuery = `
-        SELECT *, 
-               (${stateObj.query}) as ${stateObj.name}
-        FROM transactions 
-        ORDER BY rowid
-      `;
+      // Compute the state inside SQLite as a new column of the transactions table
+      await service.persistState(stateObj);
       
-      const result = sqliteEngine.execute(computeQuery);
+      // Show the new column in the notebook
+      dispatch({ type: ActionTypes.MERGE_CSV_COLUMNS, payload: await sqliteEngine.readColumns([stateObj.name]) });
+      dispatch({ type: ActionTypes.SET_COLUMN_TYPES, payload: sqliteEngine.columnTypes });
       
-      if (result.success) {
-        // Update the CSV data with the computed values
-        dispatch({
-          type: ActionTypes.SET_CSV_DATA,
-          payload: result.data
-        });
-        
-        // Update the SQLite database with the new column
-        await sqliteEngine.setData(result.data);
-        
-        // Mark the state as persistent
-        const updatedStates = targetCell.states.map((s, i) => 
-          i === stateIndex ? { ...s, persistent: true } : s
-        );
-        
-        dispatch({
-          type: ActionTypes.UPDATE_CELL,
-          payload: {
-            id: cellId,
-            updates: { states: updatedStates }
-          }
-        });
-        
-        // Show success notification
-        alert(`State "${stateObj.name}" has been computed and persisted to the dataset as a new column.`);
-      } else {
-        alert(`Error computing state: ${result.error}`);
-      }
+      // Mark the state as persistent
+      const updatedStates = targetCell.states.map((s, i) => 
+        i === stateIndex ? { ...s, persistent: true } : s
+      );
+      
+      dispatch({
+        type: ActionTypes.UPDATE_CELL,
+        payload: {
+          id: cellId,
+          updates: { states: updatedStates }
+        }
+      });
+      
+      // Show success notification
+      alert(`State "${stateObj.name}" has been computed and persisted to the dataset as a new column.`);
     } catch (error) {
       console.error('Error persisting state:', error);
       alert(`Error persisting state: ${error.message}`);
@@ -342,6 +524,17 @@ function StateCell({ cell }) {
                 <Icon name="Sparkles" className="w-3 h-3" />
                 <span>AI</span>
               </button>
+              <button
+                onClick={() => dispatch({
+                  type: ActionTypes.TOGGLE_MODAL,
+                  payload: { modal: 'structuringDetector', value: { open: true, cellId: cell.id } }
+                })}
+                className="px-2 py-1 text-xs bg-purple-100 text-purple-700 rounded hover:bg-purple-200 transition-colors flex items-center space-x-1"
+                title="Detect repeated transactions just under a reporting threshold"
+              >
+                <Icon name="AlertTriangle" className="w-3 h-3" />
+                <span>Structuring</span>
+              </button>
               <button 
                 onClick={() => dispatch({
                   type: ActionTypes.TOGGLE_MODAL,
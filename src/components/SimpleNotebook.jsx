@@ -66,7 +66,7 @@ export function SimpleNotebook() {
     if (!cell || cell.type !== 'data') return;
 
     console.log('Executing cell:', cellId, 'with query:', cell.query);
-    const result = sqliteEngine.execute(cell.query);
+    const result = await sqliteEngine.execute(cell.query);
     console.log('SQL result:', result);
     
     // Update cell state (simplified for now)
@@ -50,7 +50,7 @@ export function AICell({ cell }) {
       }
 
       // Get OpenAI service with data context and send message
-      const openaiService = getOpenAIService(state.csvData, state.columnTypes);
+      const openaiService = getOpenAIService(state.csvData, state.columnTypes, state.tables);
       
       // Convert messages to OpenAI format (exclude timestamp for API)
       const messagesForAPI = currentMessages.map(msg => ({
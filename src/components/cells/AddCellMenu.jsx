@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { useNotebook } from '../../stores/NotebookContext';
 import { Icon } from '../ui/Icon';
+import { DEFAULT_NETWORK } from '../../services/transactionNetwork';
 
 export function AddCellMenu({ afterId = null }) {
   const { dispatch, ActionTypes } = useNotebook();
@@ -71,6 +72,46 @@ export function AddCellMenu({ afterId = null }) {
           executionTime: null
         };
         break;
+      case 'parameters':
+        newCell = {
+          id: newId,
+          type: 'parameters',
+          title: 'Parameters',
+          parameters: [],
+          autoRun: false,
+          collapsed: false,
+          executed: false,
+          executionTime: null
+        };
+        break;
+      case 'rule':
+        newCell = {
+          id: newId,
+          type: 'rule',
+          title: 'Detection Rule',
+          rule: { combinator: 'AND', conditions: [] },
+          columns: [],
+          visibleColumns: [],
+          collapsed: false,
+          executed: false,
+          executionTime: null,
+          rowCount: null,
+          queryResults: []
+        };
+        break;
+      case 'network':
+        newCell = {
+          id: newId,
+          type: 'network',
+          title: 'Transaction Network',
+          network: { ...DEFAULT_NETWORK },
+          collapsed: false,
+          executed: false,
+          executionTime: null,
+          rowCount: null,
+          queryResults: []
+        };
+        break;
       default:
         return;
     }
@@ -124,6 +165,40 @@ export function AddCellMenu({ afterId = null }) {
               <Icon name="Settings" className="w-4 h-4 text-purple-500" />
               <span>Computed States</span>
             </button>
+            <button
+              onClick={() => addCell('parameters')}
+              className="w-full px-3 py-2 text-left text-sm hover:bg-gray-50 rounded flex items-center space-x-3"
+            >
+              <Icon name="Sliders" className="w-4 h-4 text-teal-500" />
+              <span>Parameters</span>
+            </button>
+            <button
+              onClick={() => addCell('rule')}
+              className="w-full px-3 py-2 text-left text-sm hover:bg-gray-50 rounded flex items-center space-x-3"
+            >
+              <Icon name="ShieldAlert" className="w-4 h-4 text-rose-500" />
+              <span>Detection Rule</span>
+            </button>
+            <button
+              onClick={() => {
+                dispatch({
+                  type: ActionTypes.TOGGLE_MODAL,
+                  payload: { modal: 'importRule', value: { open: true, afterId } }
+                });
+                setShowMenu(false);
+              }}
+              className="w-full px-3 py-2 text-left text-sm hover:bg-gray-50 rounded flex items-center space-x-3"
+            >
+              <Icon name="FolderOpen" className="w-4 h-4 text-rose-500" />
+              <span>Import Rule...</span>
+            </button>
+            <button
+              onClick={() => addCell('network')}
+              className="w-full px-3 py-2 text-left text-sm hover:bg-gray-50 rounded flex items-center space-x-3"
+            >
+              <Icon name="Network" className="w-4 h-4 text-indigo-500" />
+              <span>Network</span>
+            </button>
             <button
               onClick={() => addCell('ai')}
               className="w-full px-3 py-2 text-left text-sm hover:bg-gray-50 rounded flex items-center space-x-3"
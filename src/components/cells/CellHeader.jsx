@@ -1,10 +1,38 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNotebook } from '../../stores/NotebookContext';
+import { sqliteEngine } from '../../services/sqliteEngine';
 import { Icon } from '../ui/Icon';
+import { isPinnableCell, isPinned, togglePinnedCell } from '../../services/dashboard';
+
+// Spinner with a live elapsed time while the SQLite worker runs the cell
+function RunningIndicator({ since, progress }) {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 100);
+    return () => clearInterval(timer);
+  }, []);
+
+  return (
+    <div className="flex items-center space-x-2 text-xs text-blue-600">
+      <div className="animate-spin rounded-full h-3 w-3 border-2 border-blue-600 border-t-transparent"></div>
+      <span>Running {((now - since) / 1000).toFixed(1)}s</span>
+      {progress && <span className="text-gray-500">{progress}</span>}
+      <button
+        onClick={() => sqliteEngine.cancel()}
+        className="text-red-600 hover:text-red-800"
+        title="Cancel query"
+      >
+        Cancel
+      </button>
+    </div>
+  );
+}
 
 export function CellHeader({ cell, isSelected }) {
-  const { dispatch, ActionTypes } = useNotebook();
+  const { state, dispatch, ActionTypes } = useNotebook();
   const [showMenu, setShowMenu] = useState(false);
+  const pinned = isPinned(state.dashboard, cell.id);
 
   const toggleCollapse = () => {
     dispatch({
@@ -39,6 +67,8 @@ export function CellHeader({ cell, isSelected }) {
       id: Date.now(),
       executed: false,
       executionTime: null,
+      runningSince: null,
+      stale: false,
       queryResults: [],
       messages: cell.type === 'ai' ? [] : undefined
     };
@@ -50,6 +80,13 @@ export function CellHeader({ cell, isSelected }) {
     setShowMenu(false);
   };
 
+  const togglePin = () => {
+    dispatch({
+      type: ActionTypes.UPDATE_DASHBOARD,
+      payload: { tiles: togglePinnedCell(state.dashboard, cell) }
+    });
+  };
+
   const getCellTypeIcon = (type) => {
     switch (type) {
       case 'markdown': return 'Edit3';
@@ -57,6 +94,9 @@ export function CellHeader({ cell, isSelected }) {
       case 'chart': return 'BarChart3';
       case 'ai': return 'Brain';
       case 'state': return 'Settings';
+      case 'parameters': return 'Sliders';
+      case 'rule': return 'ShieldAlert';
+      case 'network': return 'Network';
       default: return 'Circle';
     }
   };
@@ -68,6 +108,9 @@ export function CellHeader({ cell, isSelected }) {
       case 'chart': return 'bg-green-600';
       case 'ai': return 'bg-orange-600';
       case 'state': return 'bg-purple-600';
+      case 'parameters': return 'bg-teal-600';
+      case 'rule': return 'bg-rose-600';
+      case 'network': return 'bg-indigo-600';
       default: return 'bg-gray-600';
     }
   };
@@ -79,6 +122,9 @@ export function CellHeader({ cell, isSelected }) {
       case 'chart': return 'Chart';
       case 'ai': return 'AI Assistant';
       case 'state': return 'Computed States';
+      case 'parameters': return 'Parameters';
+      case 'rule': return 'Detection Rule';
+      case 'network': return 'Network';
       default: return type;
     }
   };
@@ -92,15 +138,37 @@ export function CellHeader({ cell, isSelected }) {
             {cell.title || getCellTypeLabel(cell.type)}
           </span>
         </div>
-        {cell.executed && cell.executionTime && (
+        {cell.runningSince ? (
+          <RunningIndicator since={cell.runningSince} progress={cell.progress} />
+        ) : cell.executed && cell.executionTime && (
           <div className="flex items-center space-x-1 text-xs text-green-600">
             <Icon name="CheckCircle" className="w-3 h-3" />
             <span>{cell.executionTime}</span>
           </div>
         )}
+        {cell.stale && !cell.runningSince && (
+          <span
+            className="px-1.5 py-0.5 rounded text-[10px] font-medium bg-amber-100 text-amber-800"
+            title="A cell or parameter this cell reads has changed since it last ran"
+          >
+            stale
+          </span>
+        )}
       </div>
       
       <div className="flex items-center space-x-1">
+        {isPinnableCell(cell) && (
+          <button
+            onClick={togglePin}
+            className={`p-1 rounded transition-colors ${
+              pinned ? 'text-blue-600 hover:text-blue-800 hover:bg-blue-50' : 'text-gray-400 hover:text-gray-600 hover:bg-gray-100'
+            }`}
+            title={pinned ? 'Unpin from dashboard' : 'Pin to dashboard'}
+          >
+            <Icon name="Pin" className="w-4 h-4" />
+          </button>
+        )}
+        
         <button
           onClick={toggleEdit}
           className="p-1 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded transition-colors"
@@ -0,0 +1,445 @@
+import React from 'react';
+import { Icon } from '../ui/Icon';
+import { ChartPreview } from './ChartPreview';
+import { DEFAULT_BAND_WINDOW } from '../../services/timeSeries';
+import { TYPE_DEFINITIONS, axisLabelFormatter } from '../../services/columnTypes';
+import {
+  ChartDataProcessor,
+  CHART_TYPE_OPTIONS,
+  SERIES_CHART_TYPES,
+  POINT_CHART_TYPES,
+  chartTypeLabel,
+  AGGREGATED_CHART_TYPES,
+  TOP_N_CHART_TYPES,
+  OTHER_LABEL
+} from '../../utils/chartDataProcessor';
+
+const AGGREGATION_OPTIONS = [
+  { value: 'none', label: 'No Aggregation' },
+  { value: 'sum', label: 'Sum' },
+  { value: 'avg', label: 'Average' },
+  { value: 'count', label: 'Count' },
+  { value: 'min', label: 'Minimum' },
+  { value: 'max', label: 'Maximum' }
+];
+
+// Chart Configuration Component: the settings on the left, a live preview of the chart
+// they draw on the right
+export function ChartConfiguration({ config, onConfigChange, rows, availableColumns, columnTypes, drawing, onSave, onCancel, cell, executeCell, dispatch, ActionTypes, dataCells }) {
+  // Pickers show each column's type, which also sets how the chart formats it
+  const typeName = (column) => TYPE_DEFINITIONS[columnTypes[column]]?.name;
+  const columnOptions = availableColumns.map(col => ({
+    value: col,
+    label: typeName(col) ? `${col} (${typeName(col)})` : col
+  }));
+  const sortOptions = [{ value: 'asc', label: 'Ascending' }, { value: 'desc', label: 'Descending' }];
+
+  const recommendations = config.xAxis && config.yAxis
+    ? ChartDataProcessor.getRecommendedChartTypes(rows, config.xAxis, config.yAxis, config.zAxis)
+    : [];
+
+  const aggregated = AGGREGATED_CHART_TYPES.includes(config.chartType) || config.chartType === 'map';
+  const sortable = !['sankey', 'map'].includes(config.chartType);
+  const usesTopN = TOP_N_CHART_TYPES.includes(config.chartType);
+  const measure = ['heatmap', 'sankey'].includes(config.chartType) ? config.zAxis : config.yAxis;
+  const measureFormat = config.aggregation === 'count' ? null : axisLabelFormatter(columnTypes[measure]);
+
+  const renderDropdown = (label, field, options, placeholder = "Select option") => (
+    <div className="mb-4">
+      <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+      <select
+        value={config[field]}
+        onChange={(e) => onConfigChange(field, e.target.value)}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+      >
+        {placeholder !== null && <option value="">{placeholder}</option>}
+        {options.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  const renderInput = (label, field, type = "text", placeholder = "") => (
+    <div className="mb-4">
+      <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+      <input
+        type={type}
+        min={type === 'number' ? 0 : undefined}
+        value={type === 'number' ? config[field] || '' : config[field]}
+        onChange={(e) => onConfigChange(field, type === 'number' ? parseInt(e.target.value) || 0 : e.target.value)}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+        placeholder={placeholder}
+      />
+    </div>
+  );
+
+  return (
+    <div className="grid grid-cols-1 xl:grid-cols-5 gap-6">
+      <div className="xl:col-span-3 space-y-6">
+        {/* Chart Basic Settings */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="space-y-4">
+            {renderInput("Chart Title", "title", "text", "Enter chart title")}
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Chart Type</label>
+              {recommendations.length > 0 && (
+                <div className="mb-2 p-2 bg-yellow-50 rounded text-xs text-yellow-700">
+                  <Icon name="Info" className="w-3 h-3 inline mr-1" />
+                  Recommended: {chartTypeLabel(recommendations[0].type)} ({recommendations[0].reason})
+                </div>
+              )}
+              <div className="grid grid-cols-2 gap-2">
+                {CHART_TYPE_OPTIONS.map(option => (
+                  <button
+                    key={option.value}
+                    onClick={() => onConfigChange('chartType', option.value)}
+                    className={`p-3 border rounded-lg text-left transition-colors ${
+                      config.chartType === option.value
+                        ? 'border-green-500 bg-green-50 text-green-700'
+                        : 'border-gray-300 hover:border-gray-400'
+                    } ${recommendations.some(r => r.type === option.value) ? 'ring-1 ring-yellow-300' : ''}`}
+                  >
+                    <div className="flex items-center">
+                      <span className="text-sm">{option.label}</span>
+                    </div>
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <div className="space-y-4">
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Data Source</label>
+              <div className="flex space-x-4">
+                <label className="flex items-center">
+                  <input
+                    type="radio"
+                    name={`dataSource-${cell.id}`}
+                    value="csv"
+                    checked={config.dataSource === 'csv'}
+                    onChange={(e) => onConfigChange('dataSource', e.target.value)}
+                    className="mr-2"
+                  />
+                  CSV Data
+                </label>
+                <label className="flex items-center">
+                  <input
+                    type="radio"
+                    name={`dataSource-${cell.id}`}
+                    value="query"
+                    checked={config.dataSource === 'query'}
+                    onChange={(e) => onConfigChange('dataSource', e.target.value)}
+                    className="mr-2"
+                  />
+                  Custom Query
+                </label>
+              </div>
+            </div>
+
+            {config.dataSource === 'query' && (
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">SQL Query</label>
+                <textarea
+                  value={config.query}
+                  onChange={(e) => onConfigChange('query', e.target.value)}
+                  className="w-full h-24 p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500 font-mono text-sm"
+                  placeholder="SELECT x, y FROM transactions..."
+                />
+                <div className="mt-2 flex items-center justify-between">
+                  {config.query && (
+                    <button
+                      onClick={async () => {
+                        // First save the query to the cell
+                        dispatch({
+                          type: ActionTypes.UPDATE_CELL,
+                          payload: {
+                            id: cell.id,
+                            updates: { query: config.query }
+                          }
+                        });
+                        // Then execute the cell
+                        await executeCell(cell.id);
+                      }}
+                      className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors flex items-center space-x-1"
+                    >
+                      <Icon name="Play" className="w-3 h-3" />
+                      <span>Execute Query</span>
+                    </button>
+                  )}
+                  <div className="flex-1 ml-3">
+                    {!cell.queryResults?.length ? (
+                      <div className="p-2 bg-yellow-50 border border-yellow-200 rounded text-sm text-yellow-700">
+                        <Icon name="AlertTriangle" className="w-4 h-4 inline mr-1" />
+                        {config.query ? 'Click "Execute Query" to get column options' : 'Enter a query to get started'}
+                      </div>
+                    ) : (
+                      <div className="p-2 bg-green-50 border border-green-200 rounded text-sm text-green-700">
+                        <Icon name="CheckCircle" className="w-4 h-4 inline mr-1" />
+                        Query results available: {cell.queryResults.length} rows
+                      </div>
+                    )}
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Columns - Dynamic based on chart type */}
+        <div className="border-t pt-4">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Columns</h3>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {config.chartType === 'pie' ? (
+              <>
+                {renderDropdown("Category Column", "xAxis", columnOptions, "Select category column")}
+                {renderDropdown("Value Column", "yAxis", columnOptions, "Select value column")}
+              </>
+            ) : config.chartType === 'sankey' ? (
+              <>
+                {renderDropdown("Source Column", "xAxis", columnOptions, "Select first stage column")}
+                {renderDropdown("Target Column", "yAxis", columnOptions, "Select next stage column")}
+                {renderDropdown("Value Column", "zAxis", columnOptions, "Count rows")}
+              </>
+            ) : config.chartType === 'map' ? (
+              <>
+                {renderDropdown("Country Column", "xAxis", columnOptions, "Select column of country codes")}
+                {renderDropdown("Value Column", "yAxis", columnOptions, "Select value column for colour")}
+              </>
+            ) : config.chartType === 'heatmap' ? (
+              <>
+                {renderDropdown("X Axis (Categories)", "xAxis", columnOptions, "Select X axis column")}
+                {renderDropdown("Y Axis (Categories)", "yAxis", columnOptions, "Select Y axis column")}
+                {renderDropdown("Value Column", "zAxis", columnOptions, "Select value column for heat intensity")}
+              </>
+            ) : POINT_CHART_TYPES.includes(config.chartType) ? (
+              <>
+                {renderDropdown("X Axis", "xAxis", columnOptions, "Select X axis column")}
+                {renderDropdown("Y Axis", "yAxis", columnOptions, "Select Y axis column")}
+                {renderDropdown("Size", "zAxis", columnOptions, config.chartType === 'bubble' ? "Select column for bubble size" : "Same size (optional)")}
+                {renderDropdown("Colour", "colorBy", columnOptions, "One colour (optional)")}
+              </>
+            ) : (
+              <>
+                {renderDropdown("X Axis", "xAxis", columnOptions, "Select X axis column")}
+                {renderDropdown("Y Axis", "yAxis", columnOptions, "Select Y axis column")}
+                {renderDropdown("Series", "seriesBy", columnOptions, "Single series (optional)")}
+              </>
+            )}
+          </div>
+
+          {config.chartType === 'sankey' && (
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Further Stages</label>
+              <div className="flex items-center flex-wrap gap-2">
+                <span className="text-sm text-gray-600">{[config.xAxis, config.yAxis].filter(Boolean).join(' → ')}</span>
+                {config.sankeyStages.map((stage, index) => (
+                  <div key={index} className="flex items-center space-x-1">
+                    <Icon name="ChevronRight" className="w-4 h-4 text-gray-400" />
+                    <select
+                      value={stage}
+                      onChange={(e) => onConfigChange('sankeyStages', config.sankeyStages.map((s, i) => i === index ? e.target.value : s))}
+                      className="px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-green-500"
+                    >
+                      <option value="">Select column</option>
+                      {columnOptions.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => onConfigChange('sankeyStages', config.sankeyStages.filter((_, i) => i !== index))}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Remove stage"
+                    >
+                      <Icon name="X" className="w-3 h-3" />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  onClick={() => onConfigChange('sankeyStages', [...config.sankeyStages, ''])}
+                  className="px-2 py-1 text-xs text-green-700 hover:bg-green-50 rounded flex items-center space-x-1"
+                >
+                  <Icon name="Plus" className="w-3 h-3" />
+                  <span>Stage</span>
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Chart-specific hints */}
+          <div className="mt-3 p-3 bg-blue-50 rounded-md">
+            <div className="flex items-start">
+              <Icon name="Info" className="w-4 h-4 text-blue-500 mt-0.5 mr-2" />
+              <div className="text-sm text-blue-700">
+                {config.chartType === 'pie' && (
+                  <p><strong>Pie Chart:</strong> Category column provides slice labels, Value column determines slice sizes</p>
+                )}
+                {config.chartType === 'sankey' && (
+                  <p><strong>Sankey Flow:</strong> Flows run from the Source column to the Target column and on through any further stages, e.g. orig_currency → charged_currency → merchant_country. The Value column is summed along each flow; leave it empty to count rows</p>
+                )}
+                {config.chartType === 'map' && (
+                  <p><strong>World Map:</strong> The Country column holds ISO codes (US or USA) or country names; each country is coloured by its rows' Value column, combined with the Aggregation (summed when there is none). Count colours by number of rows. The map is bundled and draws offline</p>
+                )}
+                {config.chartType === 'heatmap' && (
+                  <p><strong>Heatmap:</strong> X and Y axes create the grid, Value column determines color intensity</p>
+                )}
+                {config.chartType === 'heatmap' && (
+                  <div className="mt-3">
+                    <label className="block text-sm font-medium text-blue-700 mb-2">Label Display</label>
+                    <select
+                      value={config.showHeatmapLabels}
+                      onChange={(e) => onConfigChange('showHeatmapLabels', e.target.value)}
+                      className="w-full px-2 py-1 text-sm border border-blue-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500"
+                    >
+                      <option value="auto">Auto (smart based on size)</option>
+                      <option value="always">Always show labels</option>
+                      <option value="never">Never show labels</option>
+                    </select>
+                    <p className="text-xs text-blue-600 mt-1">
+                      {config.showHeatmapLabels === 'auto' && 'Labels shown when cells are large enough'}
+                      {config.showHeatmapLabels === 'always' && 'Labels always displayed (may overlap on small cells)'}
+                      {config.showHeatmapLabels === 'never' && 'Labels hidden, use tooltip to see values'}
+                    </p>
+                  </div>
+                )}
+                {SERIES_CHART_TYPES.includes(config.chartType) && (
+                  <p><strong>{chartTypeLabel(config.chartType)}:</strong> X axis for categories/time, Y axis for numeric values. Series draws a {['line', 'area'].includes(config.chartType) ? 'line' : 'bar'} for each value of its column</p>
+                )}
+                {POINT_CHART_TYPES.includes(config.chartType) && (
+                  <p><strong>{chartTypeLabel(config.chartType)}:</strong> Both X and Y should be numeric columns. Size scales each point by a numeric column{config.chartType === 'bubble' ? ' (required for bubbles)' : ''}; Colour shades points by a numeric column or gives each value of a text column its own colour</p>
+                )}
+                {measureFormat && (
+                  <p className="mt-1 text-xs text-blue-600">
+                    {measure} is a {typeName(measure)} column, so the chart labels values like {measureFormat(12500)}
+                  </p>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Aggregation and sorting - only for charts that combine or order their rows */}
+        {(aggregated || sortable) && (
+          <div className="border-t pt-4">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Aggregation &amp; Sorting</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {aggregated && renderDropdown("Aggregation", "aggregation", AGGREGATION_OPTIONS, null)}
+              {usesTopN && renderInput("Top N Categories", "topN", "number", "All categories")}
+              {sortable && renderDropdown("Sort By", "sortBy", columnOptions, usesTopN && Number(config.topN) > 0 ? "Largest first" : "Data order")}
+              {sortable && config.sortBy && renderDropdown("Sort Order", "sortOrder", sortOptions, null)}
+            </div>
+            {aggregated && config.aggregation !== 'none' && config.chartType !== 'map' && (
+              <div className="mt-2 p-2 bg-yellow-50 rounded text-sm text-yellow-700">
+                <Icon name="AlertTriangle" className="w-4 h-4 inline mr-1" />
+                Rows with the same {ChartDataProcessor.aggregationColumns(config).keys.join(' and ')} are combined into one, their {measure || 'value'} {config.aggregation === 'count' ? 'counted' : `combined by ${AGGREGATION_OPTIONS.find(opt => opt.value === config.aggregation)?.label.toLowerCase()}`}
+              </div>
+            )}
+            {usesTopN && Number(config.topN) > 0 && (
+              <p className="text-xs text-gray-500 mt-2">
+                The {config.topN} largest categories are kept and the rest combined into "{OTHER_LABEL}"{config.aggregation === 'none' ? ', summed' : ''}.
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Time Series */}
+        {['line', 'area'].includes(config.chartType) && (
+          <div className="border-t pt-4">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Time Series</h3>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">Moving Averages</label>
+                <input
+                  type="text"
+                  value={config.movingAverages}
+                  onChange={(e) => onConfigChange('movingAverages', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+                  placeholder="Periods, e.g. 7, 30"
+                />
+              </div>
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">Anomaly Band (± std devs)</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={config.bandStdDevs || ''}
+                  onChange={(e) => onConfigChange('bandStdDevs', parseFloat(e.target.value) || 0)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+                  placeholder="Off"
+                />
+              </div>
+              {Number(config.bandStdDevs) > 0 && (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Band Window (points)</label>
+                  <input
+                    type="number"
+                    min="2"
+                    value={config.bandWindow}
+                    onChange={(e) => onConfigChange('bandWindow', parseInt(e.target.value) || DEFAULT_BAND_WINDOW)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+                  />
+                </div>
+              )}
+            </div>
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={Boolean(config.dataZoom)}
+                onChange={(e) => onConfigChange('dataZoom', e.target.checked)}
+              />
+              <span>Zoom slider</span>
+            </label>
+            <p className="text-xs text-gray-500 mt-2">
+              A date X axis is drawn to scale over time. The band is the mean ± the chosen standard deviations of the points before each one; points outside it are marked as anomalies. Moving averages and the band are drawn for a single series only.
+            </p>
+          </div>
+        )}
+
+        {/* Advanced Settings */}
+        <div className="border-t pt-4">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Advanced Settings</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {renderInput("Filter Condition", "filterCondition", "text", "e.g. charged_amount > 100 (optional)")}
+            {sortable && renderInput("Row Limit", "limit", "number", "All rows")}
+            {renderDropdown(
+              "Filter Data Cell",
+              "linkedCellId",
+              dataCells.map(dataCell => ({ value: String(dataCell.id), label: dataCell.title })),
+              "Not linked"
+            )}
+          </div>
+          {config.linkedCellId && (
+            <p className="text-xs text-gray-500 -mt-2">
+              Selecting on this chart re-runs the Data cell over only the matching transactions. Columns the chart's query computes with an aggregate cannot be selected on.
+            </p>
+          )}
+        </div>
+
+        {/* Action Buttons */}
+        <div className="border-t pt-4 flex items-center justify-end space-x-3">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={onSave}
+            className="px-4 py-2 text-sm bg-green-600 text-white rounded hover:bg-green-700 transition-colors flex items-center space-x-2"
+          >
+            <Icon name="Save" className="w-4 h-4" />
+            <span>Apply Configuration</span>
+          </button>
+        </div>
+      </div>
+
+      {/* Live preview of the settings as they are edited */}
+      <div className="xl:col-span-2">
+        <ChartPreview chartId={`chart-preview-${cell.id}`} drawing={drawing} rows={rows} chartType={config.chartType} />
+      </div>
+    </div>
+  );
+}
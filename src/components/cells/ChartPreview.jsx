@@ -0,0 +1,41 @@
+import React from 'react';
+import { Icon } from '../ui/Icon';
+import { ServiceChart } from '../ui/ServiceChart';
+
+// Live preview of a chart being configured: the chart its settings draw, or why they
+// cannot draw one yet
+export function ChartPreview({ chartId, drawing, rows, chartType }) {
+  return (
+    <div className="xl:sticky xl:top-4 border border-gray-200 rounded-lg p-3">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-medium text-gray-900">Preview</h3>
+        {drawing.validation.valid && chartType !== 'sankey' && (
+          <span className="text-xs text-gray-500">
+            {drawing.data.length} of {rows.length} rows plotted
+          </span>
+        )}
+      </div>
+      {drawing.validation.valid ? (
+        drawing.data.length > 0 ? (
+          <ServiceChart
+            chartId={chartId}
+            data={drawing.data}
+            config={drawing.config}
+            className="w-full h-80"
+          />
+        ) : (
+          <div className="h-80 flex items-center justify-center text-sm text-gray-500">
+            No rows to plot; check the filter condition
+          </div>
+        )
+      ) : (
+        <div className="h-80 flex flex-col items-center justify-center p-4 bg-gray-50 rounded">
+          <Icon name="BarChart3" className="w-10 h-10 mb-3 text-gray-300" />
+          <ul className="text-sm text-gray-600 space-y-1">
+            {drawing.validation.errors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,131 +1,23 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNotebook } from '../../stores/NotebookContext';
 import { Icon } from '../ui/Icon';
 import { CellHeader } from './CellHeader';
-
-// Helper function to format cell values using type information
-function formatCellValue(value, columnName, columnTypes = {}) {
-  if (value === null || value === undefined || value === '') {
-    return <span className="text-gray-400">-</span>;
-  }
-  
-  const columnType = columnTypes[columnName] || 'text';
-  
-  switch (columnType) {
-    case 'currency':
-      const currencyValue = parseFloat(value);
-      if (!isNaN(currencyValue)) {
-        return new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'USD'
-        }).format(currencyValue);
-      }
-      break;
-      
-    case 'integer':
-      const intValue = parseInt(value);
-      if (!isNaN(intValue)) {
-        return intValue.toLocaleString();
-      }
-      break;
-      
-    case 'decimal':
-      const decimalValue = parseFloat(value);
-      if (!isNaN(decimalValue)) {
-        return decimalValue.toLocaleString(undefined, {
-          minimumFractionDigits: 2,
-          maximumFractionDigits: 2
-        });
-      }
-      break;
-      
-    case 'percentage':
-      const percentValue = parseFloat(value);
-      if (!isNaN(percentValue)) {
-        return (percentValue * 100).toFixed(1) + '%';
-      }
-      break;
-      
-    case 'date':
-      const dateValue = new Date(value);
-      if (!isNaN(dateValue.getTime())) {
-        return dateValue.toLocaleDateString('en-US', {
-          year: 'numeric',
-          month: 'short',
-          day: 'numeric'
-        });
-      }
-      break;
-      
-    case 'datetime':
-      const datetimeValue = new Date(value);
-      if (!isNaN(datetimeValue.getTime())) {
-        return datetimeValue.toLocaleString('en-US', {
-          year: 'numeric',
-          month: 'short', 
-          day: 'numeric',
-          hour: '2-digit',
-          minute: '2-digit'
-        });
-      }
-      break;
-      
-    case 'boolean':
-      if (value === '1' || value === 1 || value === true || value === 'true') {
-        const isFraudOrDecline = columnName.includes('fraud') || columnName.includes('decline');
-        return (
-          <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
-            isFraudOrDecline ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'
-          }`}>
-            {isFraudOrDecline ? 'Yes' : '✓'}
-          </span>
-        );
-      }
-      if (value === '0' || value === 0 || value === false || value === 'false') {
-        const isFraudOrDecline = columnName.includes('fraud') || columnName.includes('decline');
-        return (
-          <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
-            isFraudOrDecline ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
-          }`}>
-            {isFraudOrDecline ? 'No' : '✗'}
-          </span>
-        );
-      }
-      break;
-      
-    case 'id':
-      const stringValue = String(value);
-      if (stringValue.length > 20) {
-        return (
-          <span title={stringValue} className="font-mono text-xs">
-            {stringValue.substring(0, 8)}...{stringValue.substring(stringValue.length - 8)}
-          </span>
-        );
-      }
-      return <span className="font-mono text-xs">{stringValue}</span>;
-      
-    case 'category':
-      return (
-        <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
-          {String(value)}
-        </span>
-      );
-  }
-  
-  // Default text formatting
-  const stringValue = String(value);
-  if (stringValue.length > 50) {
-    return <span title={stringValue}>{stringValue.substring(0, 47)}...</span>;
-  }
-  
-  return stringValue;
-}
+import { formatCellValue } from '../../utils/formatCellValue';
+import { chartSelections, describeSelection } from '../../services/chartSelection';
 
 export function DataCell({ cell, executeCell }) {
   const { state, dispatch, ActionTypes } = useNotebook();
   const [editQuery, setEditQuery] = useState(cell.query);
   const [editTitle, setEditTitle] = useState(cell.title);
   const isEditing = state.editingCellId === cell.id;
+  const selections = chartSelections(state.cells, cell.id);
+  const selectionsKey = JSON.stringify(selections);
+  const pendingRun = useRef(false);
+
+  const openEntity = (column, value) => dispatch({
+    type: ActionTypes.TOGGLE_MODAL,
+    payload: { modal: 'entity', value: { open: true, column, value, history: [] } }
+  });
 
   // Sync edit state with cell changes (e.g., when AI updates the query)
   useEffect(() => {
@@ -133,6 +25,21 @@ export function DataCell({ cell, executeCell }) {
     setEditTitle(cell.title);
   }, [cell.query, cell.title]);
 
+  // Clearing a chart's selection runs the cell again once the change is in state
+  useEffect(() => {
+    if (!pendingRun.current) return;
+    pendingRun.current = false;
+    executeCell(cell.id);
+  }, [selectionsKey, cell.id, executeCell]);
+
+  const clearSelection = (chartId) => {
+    pendingRun.current = true;
+    dispatch({
+      type: ActionTypes.UPDATE_CELL,
+      payload: { id: chartId, updates: { selection: null } }
+    });
+  };
+
   const handleSave = () => {
     dispatch({
       type: ActionTypes.UPDATE_CELL,
@@ -204,6 +111,11 @@ export function DataCell({ cell, executeCell }) {
                   className="w-full h-32 p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 font-mono text-sm"
                   placeholder="SELECT * FROM transactions..."
                 />
+                {state.tables.length > 1 && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Tables: <span className="font-mono">{state.tables.map(table => table.name).join(', ')}</span>
+                  </p>
+                )}
               </div>
               <div className="flex items-center space-x-2">
                 <button
@@ -236,11 +148,33 @@ export function DataCell({ cell, executeCell }) {
                     {cell.queryError ? 'Error' : `${cell.rowCount || 0} rows`}
                   </span>
                 </div>
+
+                {selections.map(({ chartId, title, selection }) => (
+                  <div key={chartId} className="mb-2 px-2 py-1 bg-blue-50 border border-blue-200 rounded flex items-center justify-between text-xs">
+                    <div className="flex items-center space-x-2 text-blue-800">
+                      <Icon name="Filter" className="w-3 h-3" />
+                      <span>
+                        Filtered by chart <span className="font-medium">{title}</span>: {describeSelection(selection)}
+                      </span>
+                    </div>
+                    <button
+                      onClick={() => clearSelection(chartId)}
+                      className="text-blue-700 hover:text-blue-900"
+                    >
+                      Clear
+                    </button>
+                  </div>
+                ))}
                 
                 {cell.queryError ? (
                   <div className="text-xs text-red-600 bg-red-50 px-2 py-1 rounded">
                     {cell.queryError}
                   </div>
+                ) : cell.queryMessage && (!cell.queryResults || cell.queryResults.length === 0) ? (
+                  <div className="flex items-center space-x-2 text-xs text-green-700 bg-green-50 px-2 py-1 rounded">
+                    <Icon name="CheckCircle" className="w-3 h-3" />
+                    <span>{cell.queryMessage}</span>
+                  </div>
                 ) : cell.queryResults && cell.queryResults.length > 0 ? (
                   <div className="overflow-x-auto border border-gray-200 rounded-lg">
                     <table className="w-full text-sm">
@@ -258,7 +192,7 @@ export function DataCell({ cell, executeCell }) {
                           <tr key={index} className="hover:bg-gray-50 transition-colors">
                             {cell.visibleColumns?.map(column => (
                               <td key={column} className="px-4 py-3 text-sm text-gray-900 max-w-xs truncate">
-                                {formatCellValue(row[column], column, state.columnTypes)}
+                                {formatCellValue(row[column], column, state.columnTypes, { onOpenEntity: openEntity })}
                               </td>
                             ))}
                           </tr>
@@ -0,0 +1,298 @@
+import React, { useRef, useEffect, useMemo } from 'react';
+import { useNotebook } from '../../stores/NotebookContext';
+import { Icon } from '../ui/Icon';
+import { CellHeader } from './CellHeader';
+import { ServiceChart } from '../ui/ServiceChart';
+import { isEntityColumn } from '../../services/entityProfile';
+import {
+  DEFAULT_NETWORK,
+  NETWORK_NODE_TYPES,
+  NETWORK_LAYOUTS,
+  NETWORK_WEIGHTS,
+  MAX_NETWORK_STAGES,
+  networkNodeLabel,
+  toggleExpandedNode
+} from '../../services/transactionNetwork';
+
+const nodeLabels = Object.fromEntries(Object.entries(NETWORK_NODE_TYPES).map(([column, type]) => [column, type.label]));
+
+export function NetworkCell({ cell, executeCell }) {
+  const { state, dispatch, ActionTypes } = useNotebook();
+  const settings = { ...DEFAULT_NETWORK, ...cell.network };
+  const columns = Object.keys(state.csvData[0] || {});
+  const edges = cell.queryResults || [];
+  const pendingRun = useRef(false);
+  const inputClass = 'px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+  // Amount is only there when the table has an amount column
+  const valueColumn = settings.weight === 'amount' && edges[0]?.amount !== undefined ? 'amount' : 'transactions';
+  const minWeight = Number(settings.minWeight) || 0;
+  const visibleEdges = edges.filter(edge => (Number(edge[valueColumn]) || 0) >= minWeight);
+  const visibleNodes = new Set(visibleEdges.flatMap(edge => [
+    `${edge.source_type}:${edge.source}`,
+    `${edge.target_type}:${edge.target}`
+  ]));
+  // Fraud is only counted when the table has a fraud column
+  const hasFlags = edges[0]?.flagged !== undefined;
+  const flaggedEdges = visibleEdges.filter(edge => edge.flagged > 0).length;
+
+  const chartConfig = useMemo(() => ({
+    chartType: settings.layout === 'sankey' ? 'sankey' : 'graph',
+    title: '',
+    layout: settings.layout,
+    sourceColumn: 'source',
+    targetColumn: 'target',
+    sourceTypeColumn: 'source_type',
+    targetTypeColumn: 'target_type',
+    valueColumn,
+    valueLabel: NETWORK_WEIGHTS[valueColumn],
+    flagColumn: 'flagged',
+    minWeight,
+    nodeLabels,
+    expandedNodes: settings.expanded
+  }), [settings.layout, valueColumn, minWeight, settings.expanded]);
+
+  // Expanding a node changes the query, so the cell runs again once the change is in state
+  useEffect(() => {
+    if (!pendingRun.current) return;
+    pendingRun.current = false;
+    executeCell(cell.id);
+  }, [cell.network?.expanded, cell.id, executeCell]);
+
+  const updateNetwork = (updates) => dispatch({
+    type: ActionTypes.UPDATE_CELL,
+    payload: { id: cell.id, updates: { network: { ...settings, ...updates } } }
+  });
+
+  const setExpanded = (expanded) => {
+    pendingRun.current = true;
+    updateNetwork({ expanded });
+  };
+
+  const handleChartClick = (params) => {
+    if (params.dataType !== 'node') return;
+    setExpanded(toggleExpandedNode(settings, params.data.nodeType, params.data.nodeValue));
+  };
+
+  const openEntity = (column, value) => dispatch({
+    type: ActionTypes.TOGGLE_MODAL,
+    payload: { modal: 'entity', value: { open: true, column, value, history: [] } }
+  });
+
+  const updateStage = (index, column) => updateNetwork({ path: settings.path.map((c, i) => i === index ? column : c) });
+  // A column appears once in the path, so the stages flow one way
+  const stageOptions = (index) => columns.filter(column => column === settings.path[index] || !settings.path.includes(column));
+  const runnable = settings.path.filter(column => columns.includes(column)).length >= 2;
+
+  return (
+    <div className={`border border-gray-200 rounded-lg bg-white ${state.selectedCellId === cell.id ? 'ring-2 ring-blue-500' : ''}`}
+         onClick={() => dispatch({ type: ActionTypes.SET_SELECTED_CELL, payload: cell.id })}>
+      <CellHeader cell={cell} isSelected={state.selectedCellId === cell.id} />
+
+      <div className="flex items-center justify-end space-x-2 px-3 py-2 border-b border-gray-100 bg-gray-25">
+        <button
+          onClick={() => executeCell(cell.id)}
+          disabled={!runnable}
+          className="px-3 py-1.5 text-xs bg-indigo-600 text-white rounded hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center space-x-1"
+        >
+          <Icon name="Play" className="w-3 h-3" />
+          <span>Build Network</span>
+        </button>
+      </div>
+
+      {!cell.collapsed && (
+        <div className="p-4">
+          <div className="mb-4">
+            <h4 className="text-sm font-medium text-gray-900 mb-2">Path</h4>
+            <div className="flex items-center flex-wrap gap-2">
+              {settings.path.map((column, index) => (
+                <React.Fragment key={index}>
+                  {index > 0 && <Icon name="ChevronRight" className="w-4 h-4 text-gray-400" />}
+                  <div className="flex items-center space-x-1">
+                    <select
+                      value={column}
+                      onChange={(e) => updateStage(index, e.target.value)}
+                      className={inputClass}
+                    >
+                      {!columns.includes(column) && <option value={column}>{column || 'Select column'}</option>}
+                      {stageOptions(index).map(option => (
+                        <option key={option} value={option}>{option}</option>
+                      ))}
+                    </select>
+                    {settings.path.length > 2 && (
+                      <button
+                        onClick={() => updateNetwork({ path: settings.path.filter((_, i) => i !== index) })}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Remove stage"
+                      >
+                        <Icon name="X" className="w-3 h-3" />
+                      </button>
+                    )}
+                  </div>
+                </React.Fragment>
+              ))}
+              {settings.path.length < MAX_NETWORK_STAGES && (
+                <button
+                  onClick={() => updateNetwork({ path: [...settings.path, stageOptions(settings.path.length)[0] || ''] })}
+                  className="px-2 py-1 text-xs text-indigo-700 hover:bg-indigo-50 rounded flex items-center space-x-1"
+                >
+                  <Icon name="Plus" className="w-3 h-3" />
+                  <span>Stage</span>
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+            <label className="text-xs text-gray-600">
+              Edge weight
+              <select
+                value={settings.weight}
+                onChange={(e) => updateNetwork({ weight: e.target.value })}
+                className={`${inputClass} w-full mt-1`}
+              >
+                {Object.entries(NETWORK_WEIGHTS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-xs text-gray-600">
+              Min edge weight
+              <input
+                type="number"
+                min="0"
+                value={settings.minWeight}
+                onChange={(e) => updateNetwork({ minWeight: e.target.value })}
+                className={`${inputClass} w-full mt-1`}
+              />
+            </label>
+            <label className="text-xs text-gray-600">
+              Top edges per stage
+              <input
+                type="number"
+                min="1"
+                value={settings.maxEdges}
+                onChange={(e) => updateNetwork({ maxEdges: parseInt(e.target.value) || DEFAULT_NETWORK.maxEdges })}
+                className={`${inputClass} w-full mt-1`}
+              />
+            </label>
+            <label className="text-xs text-gray-600">
+              Layout
+              <select
+                value={settings.layout}
+                onChange={(e) => updateNetwork({ layout: e.target.value })}
+                className={`${inputClass} w-full mt-1`}
+              >
+                {Object.entries(NETWORK_LAYOUTS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="mb-4">
+            <label className="text-xs text-gray-600">
+              Transactions to include
+              <input
+                type="text"
+                value={settings.filter}
+                onChange={(e) => updateNetwork({ filter: e.target.value })}
+                className={`${inputClass} w-full mt-1 font-mono`}
+                placeholder="WHERE condition (optional), e.g. fraud = 1"
+              />
+            </label>
+          </div>
+
+          {cell.queryError ? (
+            <div className="text-xs text-red-600 bg-red-50 px-2 py-1 rounded">
+              {cell.queryError}
+            </div>
+          ) : cell.executed ? (
+            <>
+              <div className={`grid ${hasFlags ? 'grid-cols-3' : 'grid-cols-2'} gap-3 mb-4`}>
+                <div className="bg-indigo-50 border border-indigo-200 rounded-lg p-3">
+                  <div className="text-xs text-indigo-700">Nodes</div>
+                  <div className="text-lg font-semibold text-indigo-900">{visibleNodes.size.toLocaleString()}</div>
+                </div>
+                <div className="bg-indigo-50 border border-indigo-200 rounded-lg p-3">
+                  <div className="text-xs text-indigo-700">Edges</div>
+                  <div className="text-lg font-semibold text-indigo-900">
+                    {visibleEdges.length.toLocaleString()}
+                    {visibleEdges.length < edges.length && (
+                      <span className="text-xs font-normal text-indigo-700"> of {edges.length.toLocaleString()}</span>
+                    )}
+                  </div>
+                </div>
+                {hasFlags && (
+                  <div className="bg-rose-50 border border-rose-200 rounded-lg p-3">
+                    <div className="text-xs text-rose-700">Edges with Fraud</div>
+                    <div className="text-lg font-semibold text-rose-900">{flaggedEdges.toLocaleString()}</div>
+                  </div>
+                )}
+              </div>
+
+              {settings.expanded.length > 0 && (
+                <div className="flex items-center flex-wrap gap-2 mb-3">
+                  <span className="text-xs text-gray-600">Expanded:</span>
+                  {settings.expanded.map(node => (
+                    <span key={`${node.column}:${node.value}`} className="px-2 py-0.5 rounded bg-gray-100 text-xs text-gray-800 flex items-center space-x-1">
+                      <span>{networkNodeLabel(node.column)}</span>
+                      {isEntityColumn(node.column, state.columnTypes) ? (
+                        <button
+                          onClick={() => openEntity(node.column, node.value)}
+                          className="font-mono text-blue-700 hover:underline"
+                          title="Open profile"
+                        >
+                          {node.value}
+                        </button>
+                      ) : (
+                        <span className="font-mono">{node.value}</span>
+                      )}
+                      <button
+                        onClick={() => setExpanded(toggleExpandedNode(settings, node.column, node.value))}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Collapse"
+                      >
+                        <Icon name="X" className="w-3 h-3" />
+                      </button>
+                    </span>
+                  ))}
+                  <button
+                    onClick={() => setExpanded([])}
+                    className="text-xs text-indigo-700 hover:text-indigo-900"
+                  >
+                    Collapse all
+                  </button>
+                </div>
+              )}
+
+              {visibleEdges.length > 0 ? (
+                <div className="border border-gray-200 rounded">
+                  <ServiceChart
+                    chartId={`network-${cell.id}`}
+                    data={edges}
+                    config={chartConfig}
+                    onChartClick={handleChartClick}
+                    className="w-full h-[480px]"
+                  />
+                </div>
+              ) : (
+                <div className="text-xs text-gray-500">
+                  {edges.length > 0 ? 'No edges at or above the minimum weight.' : 'No transactions connect these columns.'}
+                </div>
+              )}
+              <p className="text-xs text-gray-500 mt-2">
+                Click a node to add its neighbours, click it again to remove them.{hasFlags && ' Red edges carry fraud.'}
+              </p>
+            </>
+          ) : (
+            <div className="text-center py-8 text-gray-500">
+              <Icon name="Network" className="w-8 h-8 mx-auto mb-2 text-gray-300" />
+              <p className="text-sm">Build the network to see how these columns connect</p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,371 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNotebook } from '../../stores/NotebookContext';
+import { sqliteEngine, quoteIdentifier, PRIMARY_TABLE } from '../../services/sqliteEngine';
+import {
+  PARAMETER_TYPES,
+  MAX_DROPDOWN_OPTIONS,
+  isValidParameterName,
+  createParameter,
+  parameterNames
+} from '../../services/queryParameters';
+import { staleCellsAfterUpdate } from '../../services/cellDependencies';
+import { Icon } from '../ui/Icon';
+import { CellHeader } from './CellHeader';
+
+// Select populated with the distinct values of a column
+function DropdownInput({ parameter, onChange }) {
+  const { state } = useNotebook();
+  const [options, setOptions] = useState([]);
+  const [error, setError] = useState(null);
+  const table = parameter.table || PRIMARY_TABLE;
+
+  useEffect(() => {
+    if (!parameter.column || state.csvData.length === 0) return;
+
+    let cancelled = false;
+    const column = quoteIdentifier(parameter.column);
+    sqliteEngine.execute(
+      `SELECT DISTINCT ${column} AS value FROM ${quoteIdentifier(table)} WHERE ${column} IS NOT NULL ORDER BY value LIMIT ${MAX_DROPDOWN_OPTIONS}`
+    ).then(result => {
+      if (cancelled) return;
+      setError(result.success ? null : result.error);
+      setOptions(result.data.map(row => row.value));
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [table, parameter.column, state.dataset?.loadedAt, state.csvData.length]);
+
+  if (!parameter.column) {
+    return <span className="text-xs text-gray-400">Choose a column in edit mode</span>;
+  }
+  if (error) {
+    return <span className="text-xs text-red-600">{error}</span>;
+  }
+
+  return (
+    <select
+      value={parameter.value ?? ''}
+      onChange={(e) => {
+        // Keep numeric values numeric so they compare equal to the column
+        const option = options.find(value => String(value) === e.target.value);
+        onChange(option ?? '');
+      }}
+      className="px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+    >
+      <option value="">(none)</option>
+      {options.map(value => (
+        <option key={value} value={value}>{value}</option>
+      ))}
+    </select>
+  );
+}
+
+// Text and number inputs apply on Enter or when they lose focus, not on every keystroke
+function DraftInput({ type, value, onChange }) {
+  const [draft, setDraft] = useState(value ?? '');
+
+  useEffect(() => {
+    setDraft(value ?? '');
+  }, [value]);
+
+  const apply = () => {
+    if (String(draft) !== String(value ?? '')) {
+      onChange(draft);
+    }
+  };
+
+  return (
+    <input
+      type={type}
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={apply}
+      onKeyDown={(e) => e.key === 'Enter' && apply()}
+      className="px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+    />
+  );
+}
+
+function ParameterInput({ parameter, onChange }) {
+  switch (parameter.type) {
+    case 'number':
+      return <DraftInput type="number" value={parameter.value} onChange={onChange} />;
+    case 'daterange':
+      return (
+        <div className="flex items-center space-x-2">
+          <input
+            type="date"
+            value={parameter.value?.start || ''}
+            onChange={(e) => onChange({ ...parameter.value, start: e.target.value })}
+            className="px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <span className="text-xs text-gray-500">to</span>
+          <input
+            type="date"
+            value={parameter.value?.end || ''}
+            onChange={(e) => onChange({ ...parameter.value, end: e.target.value })}
+            className="px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+      );
+    case 'dropdown':
+      return <DropdownInput parameter={parameter} onChange={onChange} />;
+    default:
+      return <DraftInput type="text" value={parameter.value} onChange={onChange} />;
+  }
+}
+
+// Check parameter definitions; returns an error message or null
+function validateParameters(parameters, takenNames) {
+  const seen = new Set();
+
+  for (const parameter of parameters) {
+    if (!isValidParameterName(parameter.name)) {
+      return `"${parameter.name}" is not a valid name. Use letters, digits and underscores, starting with a letter.`;
+    }
+    if (parameter.type === 'dropdown' && !parameter.column) {
+      return `Choose a column for :${parameter.name}`;
+    }
+    for (const name of parameterNames(parameter)) {
+      if (seen.has(name) || takenNames.includes(name)) {
+        return `:${name} is defined more than once`;
+      }
+      seen.add(name);
+    }
+  }
+
+  return null;
+}
+
+export function ParametersCell({ cell, runCells }) {
+  const { state, dispatch, ActionTypes } = useNotebook();
+  const [editParameters, setEditParameters] = useState(cell.parameters || []);
+  const [editTitle, setEditTitle] = useState(cell.title);
+  const [error, setError] = useState(null);
+  const pendingRuns = useRef([]);
+  const isEditing = state.editingCellId === cell.id;
+
+  useEffect(() => {
+    setEditParameters(cell.parameters || []);
+    setEditTitle(cell.title);
+  }, [cell.parameters, cell.title]);
+
+  // Re-run dependent cells once the new value is in state, so they bind it
+  useEffect(() => {
+    const cellIds = pendingRuns.current;
+    if (cellIds.length === 0) return;
+    pendingRuns.current = [];
+
+    runCells(cellIds);
+  }, [cell.parameters, runCells]);
+
+  // Cells using the parameter are marked stale when the update reaches the notebook
+  const updateValue = (index, value) => {
+    const parameters = cell.parameters.map((p, i) => i === index ? { ...p, value } : p);
+
+    if (cell.autoRun) {
+      pendingRuns.current = staleCellsAfterUpdate(cell, { ...cell, parameters }, state.cells);
+    }
+
+    dispatch({
+      type: ActionTypes.UPDATE_CELL,
+      payload: { id: cell.id, updates: { parameters } }
+    });
+  };
+
+  const toggleAutoRun = () => {
+    dispatch({
+      type: ActionTypes.UPDATE_CELL,
+      payload: { id: cell.id, updates: { autoRun: !cell.autoRun } }
+    });
+  };
+
+  const updateDefinition = (index, updates) => {
+    setEditParameters(editParameters.map((p, i) => {
+      if (i !== index) return p;
+      // The value's shape depends on the type
+      return updates.type && updates.type !== p.type
+        ? { ...createParameter(updates.type), name: p.name }
+        : { ...p, ...updates };
+    }));
+  };
+
+  const handleSave = () => {
+    const takenNames = state.cells
+      .filter(c => c.type === 'parameters' && c.id !== cell.id)
+      .flatMap(c => (c.parameters || []).flatMap(parameterNames));
+    const validationError = validateParameters(editParameters, takenNames);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setError(null);
+    dispatch({
+      type: ActionTypes.UPDATE_CELL,
+      payload: {
+        id: cell.id,
+        updates: { parameters: editParameters, title: editTitle }
+      }
+    });
+    dispatch({
+      type: ActionTypes.SET_EDITING_CELL,
+      payload: null
+    });
+  };
+
+  const handleCancel = () => {
+    setEditParameters(cell.parameters || []);
+    setEditTitle(cell.title);
+    setError(null);
+    dispatch({
+      type: ActionTypes.SET_EDITING_CELL,
+      payload: null
+    });
+  };
+
+  const parameters = cell.parameters || [];
+
+  return (
+    <div className={`border border-gray-200 rounded-lg bg-white ${state.selectedCellId === cell.id ? 'ring-2 ring-blue-500' : ''}`}
+         onClick={() => dispatch({ type: ActionTypes.SET_SELECTED_CELL, payload: cell.id })}>
+      <CellHeader cell={cell} isSelected={state.selectedCellId === cell.id} />
+
+      {!cell.collapsed && (
+        <div className="p-4">
+          {isEditing ? (
+            <div>
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">Title</label>
+                <input
+                  type="text"
+                  value={editTitle}
+                  onChange={(e) => setEditTitle(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="Parameters title..."
+                />
+              </div>
+
+              <div className="space-y-2 mb-4">
+                {editParameters.map((parameter, index) => (
+                  <div key={index} className="flex items-center space-x-2">
+                    <span className="text-sm font-mono text-gray-500">:</span>
+                    <input
+                      type="text"
+                      value={parameter.name}
+                      onChange={(e) => updateDefinition(index, { name: e.target.value.trim() })}
+                      className="w-40 px-2 py-1 text-sm font-mono border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      placeholder="name"
+                    />
+                    <select
+                      value={parameter.type}
+                      onChange={(e) => updateDefinition(index, { type: e.target.value })}
+                      className="px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      title={PARAMETER_TYPES[parameter.type]?.description}
+                    >
+                      {Object.entries(PARAMETER_TYPES).map(([type, { label }]) => (
+                        <option key={type} value={type}>{label}</option>
+                      ))}
+                    </select>
+                    {parameter.type === 'dropdown' && (
+                      <select
+                        value={parameter.column ? `${parameter.table || PRIMARY_TABLE}.${parameter.column}` : ''}
+                        onChange={(e) => {
+                          const [table, ...column] = e.target.value.split('.');
+                          updateDefinition(index, { table, column: column.join('.'), value: '' });
+                        }}
+                        className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">Values from column...</option>
+                        {state.tables.map(table => (
+                          <optgroup key={table.name} label={table.name}>
+                            {table.columns.map(column => (
+                              <option key={column} value={`${table.name}.${column}`}>{column}</option>
+                            ))}
+                          </optgroup>
+                        ))}
+                      </select>
+                    )}
+                    {parameter.type === 'daterange' && parameter.name && (
+                      <span className="text-xs text-gray-500 font-mono">
+                        :{parameter.name}_start, :{parameter.name}_end
+                      </span>
+                    )}
+                    <button
+                      onClick={() => setEditParameters(editParameters.filter((_, i) => i !== index))}
+                      className="p-1 text-gray-400 hover:text-red-600"
+                      title="Remove parameter"
+                    >
+                      <Icon name="Trash2" className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  onClick={() => setEditParameters([...editParameters, createParameter()])}
+                  className="text-xs text-blue-600 hover:text-blue-800 flex items-center space-x-1"
+                >
+                  <Icon name="Plus" className="w-3 h-3" />
+                  <span>Add parameter</span>
+                </button>
+              </div>
+
+              {error && (
+                <div className="mb-4 text-xs text-red-600 bg-red-50 px-2 py-1 rounded">{error}</div>
+              )}
+
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={handleSave}
+                  className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors"
+                >
+                  Save
+                </button>
+                <button
+                  onClick={handleCancel}
+                  className="px-3 py-1.5 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          ) : (
+            <>
+              {parameters.length === 0 ? (
+                <p className="text-sm text-gray-500">
+                  No parameters yet. Edit this cell to define variables that queries can use as <span className="font-mono">:name</span>.
+                </p>
+              ) : (
+                <div className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-2 items-center">
+                  {parameters.map((parameter, index) => (
+                    <React.Fragment key={parameter.name}>
+                      <label className="text-sm font-mono text-gray-700" title={PARAMETER_TYPES[parameter.type]?.description}>
+                        :{parameter.name}
+                      </label>
+                      <div>
+                        <ParameterInput
+                          parameter={parameter}
+                          onChange={(value) => updateValue(index, value)}
+                        />
+                      </div>
+                    </React.Fragment>
+                  ))}
+                </div>
+              )}
+
+              <label className="mt-4 flex items-center space-x-2 text-xs text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={Boolean(cell.autoRun)}
+                  onChange={toggleAutoRun}
+                />
+                <span>Re-run dependent cells when a value changes</span>
+              </label>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
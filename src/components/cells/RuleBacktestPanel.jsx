@@ -0,0 +1,211 @@
+import React, { useState, useMemo } from 'react';
+import { useNotebook } from '../../stores/NotebookContext';
+import { Icon } from '../ui/Icon';
+import { ServiceChart } from '../ui/ServiceChart';
+import { DEFAULT_BACKTEST, sweepableConditions } from '../../services/ruleBacktest';
+import { RULE_OPERATORS } from '../../services/detectionRules';
+
+const formatPercent = (value) => value === null || value === undefined ? '—' : `${(value * 100).toFixed(1)}%`;
+const formatNumber = (value) => Number(value || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+export function RuleBacktestPanel({ cell, backtestRuleCell }) {
+  const { state, dispatch, ActionTypes } = useNotebook();
+  const [isRunning, setIsRunning] = useState(false);
+  const settings = { ...DEFAULT_BACKTEST, ...cell.backtest?.settings };
+  const results = cell.backtest?.results;
+  const error = cell.backtest?.error;
+
+  const columns = Object.keys(state.columnTypes || {});
+  const sweepable = sweepableConditions(cell.rule, state.columnTypes);
+  const sweepKey = settings.sweepPath ? settings.sweepPath.join('.') : '';
+
+  const updateSettings = (updates) => dispatch({
+    type: ActionTypes.UPDATE_CELL,
+    payload: { id: cell.id, updates: { backtest: { ...cell.backtest, settings: { ...settings, ...updates } } } }
+  });
+
+  const handleRun = async () => {
+    setIsRunning(true);
+    try {
+      await backtestRuleCell(cell.id);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const columnSelect = (key, allowNone) => (
+    <select
+      value={settings[key] || ''}
+      onChange={(e) => updateSettings({ [key]: e.target.value })}
+      className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-rose-500"
+    >
+      {allowNone && <option value="">None</option>}
+      {[...new Set([settings[key], ...columns].filter(Boolean))].map(column => (
+        <option key={column} value={column}>{column}</option>
+      ))}
+    </select>
+  );
+
+  const confusion = results?.confusion;
+  const metrics = results?.metrics;
+  const alertDays = results?.daily || [];
+  const dailyAlerts = alertDays.map(row => row.alerts || 0);
+  const labelledValue = confusion ? (confusion.value_detected || 0) + (confusion.value_missed || 0) : 0;
+
+  const sweep = results?.sweep;
+  const sweepConfig = useMemo(() => sweep && {
+    chartType: 'threshold_sweep',
+    title: `Threshold sweep: ${sweep.column} ${RULE_OPERATORS[sweep.operator]?.label}`,
+    xAxis: 'threshold',
+    xAxisLabel: sweep.column,
+    currentThreshold: sweep.current
+  }, [sweep]);
+  const dailyConfig = useMemo(() => ({ chartType: 'column', title: 'Alerts per day', xAxis: 'day', yAxis: 'alerts' }), []);
+
+  return (
+    <div className="border border-rose-200 rounded-lg p-3 bg-rose-50/30">
+      <div className="grid grid-cols-5 gap-3 mb-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Label Column</label>
+          {columnSelect('labelColumn')}
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Positive Value</label>
+          <input
+            type="text"
+            value={settings.labelValue}
+            onChange={(e) => updateSettings({ labelValue: e.target.value })}
+            className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-rose-500 font-mono"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Value Column</label>
+          {columnSelect('valueColumn', true)}
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Time Column</label>
+          {columnSelect('timeColumn')}
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Sweep Threshold Of</label>
+          <select
+            value={sweepKey}
+            onChange={(e) => updateSettings({ sweepPath: e.target.value ? e.target.value.split('.').map(Number) : null })}
+            className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-rose-500"
+          >
+            <option value="">No sweep</option>
+            {sweepable.map(({ path, condition }) => (
+              <option key={path.join('.')} value={path.join('.')}>
+                {condition.column} {condition.operator} {condition.value || '?'}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between mb-3">
+        <p className="text-xs text-gray-600">
+          Rows where <span className="font-mono">{settings.labelColumn} = {settings.labelValue}</span> count as true cases.
+        </p>
+        <button
+          onClick={handleRun}
+          disabled={isRunning}
+          className="px-3 py-1.5 text-xs bg-rose-600 text-white rounded hover:bg-rose-700 disabled:opacity-50 transition-colors flex items-center space-x-1"
+        >
+          {isRunning ? (
+            <div className="animate-spin rounded-full h-3 w-3 border-b-2 border-white"></div>
+          ) : (
+            <Icon name="Play" className="w-3 h-3" />
+          )}
+          <span>{isRunning ? 'Backtesting...' : 'Run Backtest'}</span>
+        </button>
+      </div>
+
+      {error && (
+        <div className="text-xs text-red-600 bg-red-50 px-2 py-1 rounded mb-3">{error}</div>
+      )}
+
+      {confusion && (
+        <div className="space-y-4">
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <h5 className="text-xs font-medium text-gray-700 mb-1">Confusion Matrix</h5>
+              <table className="w-full text-xs border border-gray-200 bg-white">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-2 py-1"></th>
+                    <th className="px-2 py-1 text-left font-medium text-gray-600">Labelled</th>
+                    <th className="px-2 py-1 text-left font-medium text-gray-600">Not labelled</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr className="border-t border-gray-200">
+                    <td className="px-2 py-1 font-medium text-gray-600">Alerted</td>
+                    <td className="px-2 py-1 text-green-700">{formatNumber(confusion.tp)} TP</td>
+                    <td className="px-2 py-1 text-red-700">{formatNumber(confusion.fp)} FP</td>
+                  </tr>
+                  <tr className="border-t border-gray-200">
+                    <td className="px-2 py-1 font-medium text-gray-600">Not alerted</td>
+                    <td className="px-2 py-1 text-amber-700">{formatNumber(confusion.fn)} FN</td>
+                    <td className="px-2 py-1 text-gray-700">{formatNumber(confusion.tn)} TN</td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+              {[
+                ['Precision', formatPercent(metrics.precision)],
+                ['Recall', formatPercent(metrics.recall)],
+                ['F1', formatPercent(metrics.f1)],
+                ['False Positive Rate', formatPercent(metrics.falsePositiveRate)]
+              ].map(([label, value]) => (
+                <div key={label} className="bg-white border border-gray-200 rounded p-2">
+                  <div className="text-xs text-gray-500">{label}</div>
+                  <div className="text-sm font-semibold text-gray-900">{value}</div>
+                </div>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+              <div className="bg-white border border-gray-200 rounded p-2">
+                <div className="text-xs text-gray-500">Alerts / Day</div>
+                <div className="text-sm font-semibold text-gray-900">
+                  {alertDays.length > 0 ? formatNumber(dailyAlerts.reduce((a, b) => a + b, 0) / alertDays.length) : '—'}
+                </div>
+                <div className="text-xs text-gray-400">peak {formatNumber(Math.max(0, ...dailyAlerts))}</div>
+              </div>
+              <div className="bg-white border border-gray-200 rounded p-2">
+                <div className="text-xs text-gray-500">Value Detected</div>
+                <div className="text-sm font-semibold text-green-700">{formatNumber(confusion.value_detected)}</div>
+                <div className="text-xs text-gray-400">{labelledValue > 0 ? formatPercent(confusion.value_detected / labelledValue) : '—'} of labelled</div>
+              </div>
+              <div className="bg-white border border-gray-200 rounded p-2">
+                <div className="text-xs text-gray-500">Value Missed</div>
+                <div className="text-sm font-semibold text-amber-700">{formatNumber(confusion.value_missed)}</div>
+              </div>
+              <div className="bg-white border border-gray-200 rounded p-2">
+                <div className="text-xs text-gray-500">False Alert Value</div>
+                <div className="text-sm font-semibold text-red-700">{formatNumber(confusion.value_false_alerts)}</div>
+              </div>
+            </div>
+          </div>
+
+          {sweep && (
+            <div className="bg-white border border-gray-200 rounded">
+              <ServiceChart chartId={`backtest-sweep-${cell.id}`} data={sweep.points} config={sweepConfig} />
+            </div>
+          )}
+
+          {alertDays.length > 1 && (
+            <div className="bg-white border border-gray-200 rounded">
+              <ServiceChart chartId={`backtest-daily-${cell.id}`} data={alertDays} config={dailyConfig} />
+            </div>
+          )}
+
+          <p className="text-xs text-gray-400">Backtested in {results.executionTime}</p>
+        </div>
+      )}
+    </div>
+  );
+}
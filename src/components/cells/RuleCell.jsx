@@ -0,0 +1,351 @@
+import React, { useState } from 'react';
+import { useNotebook } from '../../stores/NotebookContext';
+import { Icon } from '../ui/Icon';
+import { CellHeader } from './CellHeader';
+import { RuleBacktestPanel } from './RuleBacktestPanel';
+import { formatCellValue } from '../../utils/formatCellValue';
+import { alertsFromHits } from '../../services/alertQueue';
+import {
+  RULE_OPERATORS,
+  createCondition,
+  createGroup,
+  createRule,
+  isGroup,
+  compileRule,
+  countIncompleteConditions
+} from '../../services/detectionRules';
+
+// Groups can be nested this deep below the top-level group
+const MAX_GROUP_DEPTH = 2;
+
+function ConditionRow({ condition, columns, onChange, onRemove }) {
+  const operator = RULE_OPERATORS[condition.operator] || {};
+  const update = (updates) => onChange({ ...condition, ...updates });
+  const inputClass = 'px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-rose-500';
+
+  return (
+    <div className="flex items-center space-x-2">
+      <select
+        value={condition.column}
+        onChange={(e) => update({ column: e.target.value })}
+        className={`${inputClass} w-44`}
+      >
+        <option value="">Column...</option>
+        {[...new Set([condition.column, ...columns].filter(Boolean))].map(column => (
+          <option key={column} value={column}>{column}</option>
+        ))}
+      </select>
+      <select
+        value={condition.operator}
+        onChange={(e) => update({ operator: e.target.value })}
+        className={`${inputClass} w-36`}
+      >
+        {Object.entries(RULE_OPERATORS).map(([value, { label }]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      {!operator.unary && (
+        <input
+          type="text"
+          value={condition.value}
+          onChange={(e) => update({ value: e.target.value })}
+          className={`${inputClass} flex-1 min-w-0 font-mono`}
+          placeholder={operator.list ? 'a, b, c' : 'value or :parameter'}
+        />
+      )}
+      {operator.range && (
+        <>
+          <span className="text-xs text-gray-500">and</span>
+          <input
+            type="text"
+            value={condition.value2 ?? ''}
+            onChange={(e) => update({ value2: e.target.value })}
+            className={`${inputClass} flex-1 min-w-0 font-mono`}
+            placeholder="value or :parameter"
+          />
+        </>
+      )}
+      <button
+        onClick={onRemove}
+        className="text-gray-400 hover:text-red-600"
+        title="Remove condition"
+      >
+        <Icon name="X" className="w-4 h-4" />
+      </button>
+    </div>
+  );
+}
+
+function RuleGroup({ group, columns, depth, onChange, onRemove }) {
+  const updateItem = (index, item) => onChange({
+    ...group,
+    conditions: group.conditions.map((current, i) => i === index ? item : current)
+  });
+  const removeItem = (index) => onChange({
+    ...group,
+    conditions: group.conditions.filter((_, i) => i !== index)
+  });
+  const addItem = (item) => onChange({ ...group, conditions: [...group.conditions, item] });
+
+  return (
+    <div className={depth > 0 ? 'border-l-2 border-rose-200 pl-3 py-1 space-y-2' : 'space-y-2'}>
+      <div className="flex items-center space-x-2 text-xs text-gray-600">
+        <span>Match</span>
+        <select
+          value={group.combinator}
+          onChange={(e) => onChange({ ...group, combinator: e.target.value })}
+          className="px-2 py-1 text-xs border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-rose-500"
+        >
+          <option value="AND">all (AND)</option>
+          <option value="OR">any (OR)</option>
+        </select>
+        <span>of these conditions</span>
+        {onRemove && (
+          <button
+            onClick={onRemove}
+            className="text-gray-400 hover:text-red-600"
+            title="Remove group"
+          >
+            <Icon name="Trash2" className="w-3 h-3" />
+          </button>
+        )}
+      </div>
+
+      {group.conditions.map((item, index) => isGroup(item) ? (
+        <RuleGroup
+          key={index}
+          group={item}
+          columns={columns}
+          depth={depth + 1}
+          onChange={(next) => updateItem(index, next)}
+          onRemove={() => removeItem(index)}
+        />
+      ) : (
+        <ConditionRow
+          key={index}
+          condition={item}
+          columns={columns}
+          onChange={(next) => updateItem(index, next)}
+          onRemove={() => removeItem(index)}
+        />
+      ))}
+
+      <div className="flex items-center space-x-2">
+        <button
+          onClick={() => addItem(createCondition())}
+          className="text-xs bg-rose-50 text-rose-700 px-2 py-1 rounded hover:bg-rose-100"
+        >
+          + Condition
+        </button>
+        {depth < MAX_GROUP_DEPTH && (
+          <button
+            onClick={() => addItem(createGroup(group.combinator === 'AND' ? 'OR' : 'AND'))}
+            className="text-xs bg-rose-50 text-rose-700 px-2 py-1 rounded hover:bg-rose-100"
+          >
+            + Group
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export function RuleCell({ cell, executeCell, backtestRuleCell }) {
+  const { state, dispatch, ActionTypes } = useNotebook();
+  const [showBacktest, setShowBacktest] = useState(Boolean(cell.backtest?.results));
+  const [alertMessage, setAlertMessage] = useState(null);
+  const rule = cell.rule || createRule();
+  const where = compileRule(rule, state.columnTypes);
+  const incomplete = countIncompleteConditions(rule, state.columnTypes);
+
+  // Base columns and computed states, including persistent states not computed yet
+  const stateColumns = state.cells
+    .filter(c => c.type === 'state')
+    .flatMap(c => (c.states || []).filter(s => s.persistent).map(s => s.name));
+  const columns = [...new Set([
+    ...Object.keys(state.csvData[0] || {}),
+    ...Object.keys(state.columnTypes || {}),
+    ...stateColumns
+  ])];
+
+  const openEntity = (column, value) => dispatch({
+    type: ActionTypes.TOGGLE_MODAL,
+    payload: { modal: 'entity', value: { open: true, column, value, history: [] } }
+  });
+
+  const updateRule = (next) => dispatch({
+    type: ActionTypes.UPDATE_CELL,
+    payload: { id: cell.id, updates: { rule: next } }
+  });
+
+  const createAlerts = () => {
+    const alerts = alertsFromHits(cell, cell.queryResults, state.alerts);
+    if (alerts.length > 0) {
+      dispatch({ type: ActionTypes.ADD_ALERTS, payload: alerts });
+    }
+    const skipped = cell.queryResults.length - alerts.length;
+    const truncated = cell.summary.hits > cell.queryResults.length
+      ? ` Only the first ${cell.queryResults.length.toLocaleString()} of ${cell.summary.hits.toLocaleString()} hits were returned.`
+      : '';
+    setAlertMessage({ summary: cell.summary, text: `Queued ${alerts.length.toLocaleString()} alert${alerts.length === 1 ? '' : 's'}${skipped > 0 ? `, ${skipped.toLocaleString()} already in the queue` : ''}.${truncated}` });
+  };
+
+  const summary = cell.summary;
+  // The message only describes the run it was created from
+  const queuedMessage = alertMessage?.summary === summary ? alertMessage.text : null;
+  const hitRate = summary && summary.total > 0 ? (summary.hits / summary.total) * 100 : 0;
+
+  return (
+    <div className={`border border-gray-200 rounded-lg bg-white ${state.selectedCellId === cell.id ? 'ring-2 ring-blue-500' : ''}`}
+         onClick={() => dispatch({ type: ActionTypes.SET_SELECTED_CELL, payload: cell.id })}>
+      <CellHeader cell={cell} isSelected={state.selectedCellId === cell.id} />
+
+      <div className="flex items-center justify-end space-x-2 px-3 py-2 border-b border-gray-100 bg-gray-25">
+        <button
+          onClick={() => setShowBacktest(!showBacktest)}
+          className={`px-3 py-1.5 text-xs rounded transition-colors flex items-center space-x-1 ${
+            showBacktest ? 'bg-rose-100 text-rose-800' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+          }`}
+        >
+          <Icon name="BarChart3" className="w-3 h-3" />
+          <span>Backtest</span>
+        </button>
+        <button
+          onClick={() => dispatch({
+            type: ActionTypes.TOGGLE_MODAL,
+            payload: { modal: 'ruleExport', value: { open: true, cellId: cell.id } }
+          })}
+          className="px-3 py-1.5 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors flex items-center space-x-1"
+        >
+          <Icon name="Download" className="w-3 h-3" />
+          <span>Export</span>
+        </button>
+        <button
+          onClick={() => executeCell(cell.id)}
+          disabled={!where}
+          className="px-3 py-1.5 text-xs bg-rose-600 text-white rounded hover:bg-rose-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center space-x-1"
+        >
+          <Icon name="Play" className="w-3 h-3" />
+          <span>Run Rule</span>
+        </button>
+      </div>
+
+      {!cell.collapsed && (
+        <div className="p-4">
+          <div className="mb-4">
+            <h4 className="text-sm font-medium text-gray-900 mb-2">Conditions</h4>
+            <RuleGroup group={rule} columns={columns} depth={0} onChange={updateRule} />
+          </div>
+
+          <div className="mb-4">
+            <h4 className="text-sm font-medium text-gray-900 mb-2">WHERE Clause</h4>
+            <div className="bg-gray-50 rounded border p-3 font-mono text-sm">
+              {where || <span className="text-gray-400">Add a condition to build the rule</span>}
+            </div>
+            {incomplete > 0 && (
+              <p className="text-xs text-amber-600 mt-1">
+                {incomplete} incomplete condition{incomplete === 1 ? ' is' : 's are'} left out until filled in
+              </p>
+            )}
+          </div>
+
+          {showBacktest && (
+            <div className="mb-4">
+              <h4 className="text-sm font-medium text-gray-900 mb-2">Backtest</h4>
+              <RuleBacktestPanel cell={cell} backtestRuleCell={backtestRuleCell} />
+            </div>
+          )}
+
+          <div>
+            {cell.queryError ? (
+              <div className="text-xs text-red-600 bg-red-50 px-2 py-1 rounded">
+                {cell.queryError}
+              </div>
+            ) : summary ? (
+              <>
+                <div className="grid grid-cols-3 gap-3 mb-4">
+                  <div className="bg-rose-50 border border-rose-200 rounded-lg p-3">
+                    <div className="text-xs text-rose-700">Hits</div>
+                    <div className="text-lg font-semibold text-rose-900">{summary.hits.toLocaleString()}</div>
+                  </div>
+                  <div className="bg-rose-50 border border-rose-200 rounded-lg p-3">
+                    <div className="text-xs text-rose-700">Hit Rate</div>
+                    <div className="text-lg font-semibold text-rose-900">
+                      {hitRate < 0.01 && summary.hits > 0 ? '<0.01' : hitRate.toFixed(2)}%
+                    </div>
+                  </div>
+                  <div className="bg-gray-50 border border-gray-200 rounded-lg p-3">
+                    <div className="text-xs text-gray-600">Rows Checked</div>
+                    <div className="text-lg font-semibold text-gray-900">{summary.total.toLocaleString()}</div>
+                  </div>
+                </div>
+
+                {cell.queryResults && cell.queryResults.length > 0 && (
+                  <div className="flex items-center justify-between mb-2">
+                    <span className="text-xs text-gray-600">{queuedMessage}</span>
+                    <div className="flex items-center space-x-2">
+                      {queuedMessage && (
+                        <button
+                          onClick={() => dispatch({ type: ActionTypes.TOGGLE_MODAL, payload: { modal: 'alerts', value: true } })}
+                          className="text-xs text-rose-700 hover:text-rose-900"
+                        >
+                          Open Alerts
+                        </button>
+                      )}
+                      <button
+                        onClick={createAlerts}
+                        className="px-3 py-1.5 text-xs bg-rose-50 text-rose-700 rounded hover:bg-rose-100 transition-colors flex items-center space-x-1"
+                      >
+                        <Icon name="ShieldAlert" className="w-3 h-3" />
+                        <span>Create Alerts</span>
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                {cell.queryResults && cell.queryResults.length > 0 ? (
+                  <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                    <table className="w-full text-sm">
+                      <thead className="bg-gray-50 border-b border-gray-200">
+                        <tr>
+                          {cell.visibleColumns?.map(column => (
+                            <th key={column} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                              {column}
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {cell.queryResults.slice(0, 10).map((row, index) => (
+                          <tr key={index} className="hover:bg-gray-50 transition-colors">
+                            {cell.visibleColumns?.map(column => (
+                              <td key={column} className="px-4 py-3 text-sm text-gray-900 max-w-xs truncate">
+                                {formatCellValue(row[column], column, state.columnTypes, { onOpenEntity: openEntity })}
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    {summary.hits > 10 && (
+                      <div className="bg-gray-50 px-4 py-2 text-xs text-gray-500 border-t border-gray-200">
+                        Showing 10 of {summary.hits.toLocaleString()} alerted rows
+                      </div>
+                    )}
+                  </div>
+                ) : (
+                  <div className="text-xs text-gray-500">No rows match this rule.</div>
+                )}
+              </>
+            ) : (
+              <div className="text-center py-8 text-gray-500">
+                <Icon name="ShieldAlert" className="w-8 h-8 mx-auto mb-2 text-gray-300" />
+                <p className="text-sm">Run the rule to see how many rows it alerts on</p>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -24,7 +24,7 @@ export function AIAssistModal() {
   const handleChartConfiguration = async (cellId, prompt) => {
     try {
       // Get OpenAI service with data context
-      const openaiService = getOpenAIService(state.csvData, state.columnTypes);
+      const openaiService = getOpenAIService(state.csvData, state.columnTypes, state.tables);
       
       // Get available columns for context
       const availableColumns = state.csvData.length > 0 ? Object.keys(state.csvData[0]) : [];
@@ -63,8 +63,11 @@ export function AIAssistModal() {
             xAxis: chartConfig.xAxis,
             yAxis: chartConfig.yAxis,
             zAxis: chartConfig.zAxis || '',
-            groupBy: chartConfig.groupBy || '',
+            sankeyStages: chartConfig.chartType === 'sankey' ? (chartConfig.sankeyStages || []) : [],
+            seriesBy: chartConfig.seriesBy || '',
+            colorBy: chartConfig.colorBy || '',
             aggregation: chartConfig.aggregation || 'none',
+            topN: parseInt(chartConfig.topN) || 0,
             executed: false,
             // Store reasoning for user reference
             aiReasoning: chartConfig.reasoning
@@ -82,7 +85,7 @@ export function AIAssistModal() {
   const handleSQLGeneration = async (cellId, prompt) => {
     try {
       // Get OpenAI service with data context
-      const openaiService = getOpenAIService(state.csvData, state.columnTypes);
+      const openaiService = getOpenAIService(state.csvData, state.columnTypes, state.tables);
       
       // Create AI request for SQL query generation
       const aiPrompt = `Generate a SQL query for this request: "${prompt}"
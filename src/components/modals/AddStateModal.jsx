@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { useNotebook } from '../../stores/NotebookContext';
 import { Icon } from '../ui/Icon';
+import { generateStateQuery, stateWindow, WINDOW_UNITS, STATE_COMPUTATIONS, STATE_TEMPLATES, DEFAULT_TIME_COLUMN, DEFAULT_BASELINE_DAYS, DEFAULT_STRUCTURING } from '../../services/computedStates';
 import { getOpenAIService } from '../../services/openaiService';
 
 export function AddStateModal() {
@@ -12,7 +13,11 @@ export function AddStateModal() {
     computationType: 'window_sum',
     field: 'charged_amount',
     condition: '',
-    windowDays: 7,
+    windowSize: 7,
+    windowUnit: 'day',
+    timeColumn: DEFAULT_TIME_COLUMN,
+    baselineDays: DEFAULT_BASELINE_DAYS,
+    ...DEFAULT_STRUCTURING,
     groupBy: 'merchant_id',
     persistent: false
   });
@@ -20,6 +25,14 @@ export function AddStateModal() {
   const [aiPrompt, setAiPrompt] = useState('');
   const [isProcessingAI, setIsProcessingAI] = useState(false);
 
+  // The query shown below is exactly what gets saved and run
+  const stateQuery = generateStateQuery(newState, state.columnTypes);
+  const computation = STATE_COMPUTATIONS[newState.computationType] || {};
+  const timeColumns = [...new Set([
+    newState.timeColumn,
+    ...Object.keys(state.columnTypes || {}).filter(column => ['date', 'datetime', 'integer', 'decimal'].includes(state.columnTypes[column]))
+  ])];
+
   // Auto-show AI helper if requested from the AI button
   React.useEffect(() => {
     if (addState.open && addState.showAIHelper) {
@@ -38,7 +51,11 @@ export function AddStateModal() {
       computationType: 'window_sum',
       field: 'charged_amount',
       condition: '',
-      windowDays: 7,
+      windowSize: 7,
+      windowUnit: 'day',
+      timeColumn: DEFAULT_TIME_COLUMN,
+      baselineDays: DEFAULT_BASELINE_DAYS,
+      ...DEFAULT_STRUCTURING,
       groupBy: 'merchant_id',
       persistent: false
     });
@@ -53,7 +70,7 @@ export function AddStateModal() {
     
     try {
       // Get OpenAI service with data context
-      const openaiService = getOpenAIService(state.csvData, state.columnTypes);
+      const openaiService = getOpenAIService(state.csvData, state.columnTypes, state.tables);
       
       // Get available columns for context
       const availableColumns = state.csvData.length > 0 ? Object.keys(state.csvData[0]) : [];
@@ -79,7 +96,11 @@ export function AddStateModal() {
         computationType: stateConfig.computationType || 'window_sum',
         field: stateConfig.field || 'charged_amount',
         condition: stateConfig.condition || '',
-        windowDays: stateConfig.windowDays || 7,
+        windowSize: stateWindow(stateConfig).size,
+        windowUnit: stateWindow(stateConfig).unit,
+        timeColumn: stateConfig.timeColumn || DEFAULT_TIME_COLUMN,
+        baselineDays: stateConfig.baselineDays || DEFAULT_BASELINE_DAYS,
+        ...DEFAULT_STRUCTURING,
         groupBy: stateConfig.groupBy || '',
         persistent: stateConfig.persistent || false
       });
@@ -96,71 +117,32 @@ export function AddStateModal() {
     }
   };
 
-  const generateStateQuery = (computationType, field, condition, windowDays, groupBy) => {
-    // Fix field reference for count operations
-    const actualField = field === '*' ? '*' : field;
-    
-    switch (computationType) {
-      case 'window_sum':
-        // SQLite window function with ROWS instead of RANGE BETWEEN INTERVAL
-        if (groupBy) {
-          return `SUM(${actualField}) OVER (PARTITION BY ${groupBy} ORDER BY txn_date_time ROWS BETWEEN ${windowDays * 10} PRECEDING AND CURRENT ROW)`;
-        }
-        return `SUM(${actualField}) OVER (ORDER BY txn_date_time ROWS BETWEEN ${windowDays * 10} PRECEDING AND CURRENT ROW)`;
-      
-      case 'window_avg':
-        if (groupBy) {
-          return `AVG(${actualField}) OVER (PARTITION BY ${groupBy} ORDER BY txn_date_time ROWS BETWEEN ${windowDays * 10} PRECEDING AND CURRENT ROW)`;
-        }
-        return `AVG(${actualField}) OVER (ORDER BY txn_date_time ROWS BETWEEN ${windowDays * 10} PRECEDING AND CURRENT ROW)`;
-      
-      case 'window_count':
-        if (groupBy) {
-          return `COUNT(*) OVER (PARTITION BY ${groupBy} ORDER BY txn_date_time ROWS BETWEEN ${windowDays * 10} PRECEDING AND CURRENT ROW)`;
-        }
-        return `COUNT(*) OVER (ORDER BY txn_date_time ROWS BETWEEN ${windowDays * 10} PRECEDING AND CURRENT ROW)`;
-      
-      case 'aggregate_sum':
-        // For aggregates, use correlated subquery that returns single value per row
-        // If field is '*', use COUNT instead of SUM
-        const sumFunction = actualField === '*' ? 'COUNT(*)' : `SUM(${actualField})`;
-        if (groupBy) {
-          return `(SELECT ${sumFunction} FROM transactions t2 WHERE t2.${groupBy} = transactions.${groupBy}${condition ? ' AND ' + condition : ''})`;
-        }
-        return `(SELECT ${sumFunction} FROM transactions t2${condition ? ' WHERE ' + condition : ''})`;
-      
-      case 'aggregate_count':
-        if (groupBy) {
-          return `(SELECT COUNT(*) FROM transactions t2 WHERE t2.${groupBy} = transactions.${groupBy}${condition ? ' AND ' + condition : ''})`;
-        }
-        return `(SELECT COUNT(*) FROM transactions t2${condition ? ' WHERE ' + condition : ''})`;
-      
-      case 'risk_score':
-        return `CASE 
-          WHEN COUNT(CASE WHEN decline = 1 THEN 1 END) OVER (PARTITION BY user_id ORDER BY txn_date_time ROWS BETWEEN ${windowDays * 10} PRECEDING AND CURRENT ROW) > 2 THEN 'HIGH'
-          WHEN COUNT(CASE WHEN decline = 1 THEN 1 END) OVER (PARTITION BY user_id ORDER BY txn_date_time ROWS BETWEEN ${windowDays * 10} PRECEDING AND CURRENT ROW) > 0 THEN 'MEDIUM'
-          ELSE 'LOW'
-        END`;
-      
-      default:
-        return `SUM(${actualField}) OVER (ORDER BY txn_date_time)`;
-    }
-  };
-
   const handleSaveState = async () => {
     if (!newState.name.trim()) {
       alert('Please provide a state name');
       return;
     }
 
+    if (computation.field === 'column' && (!newState.field || newState.field === '*')) {
+      alert('Please choose the column this computation looks at');
+      return;
+    }
+
     const stateObj = {
       name: newState.name,
       description: newState.description,
-      query: generateStateQuery(newState.computationType, newState.field, newState.condition, newState.windowDays, newState.groupBy),
+      query: stateQuery,
       computationType: newState.computationType,
       field: newState.field,
       condition: newState.condition,
-      windowDays: newState.windowDays,
+      windowSize: newState.windowSize,
+      windowUnit: newState.windowUnit,
+      timeColumn: newState.timeColumn,
+      baselineDays: newState.baselineDays,
+      threshold: newState.threshold,
+      tolerancePercent: newState.tolerancePercent,
+      minCount: newState.minCount,
+      minTotal: newState.minTotal,
       groupBy: newState.groupBy,
       persistent: newState.persistent
     };
@@ -181,33 +163,18 @@ export function AddStateModal() {
       // If persistent is checked, automatically compute and persist the state
       if (newState.persistent) {
         try {
-          // Import the SQLite engine
           const { sqliteEngine } = await import('../../services/sqliteEngine');
+          const { computedStatesService, initializeComputedStatesService } = await import('../../services/computedStates');
+          const service = computedStatesService || initializeComputedStatesService(sqliteEngine);
           
-          // Compute the state values using SQL
-          const computeQuery = `
-            SELECT *, 
-                   (${stateObj.query}) as ${stateObj.name}
-            FROM transactions 
-            ORDER BY rowid
-          `;
+          // Compute the state inside SQLite as a new column of the transactions table
+          await service.persistState(stateObj);
           
-          const result = sqliteEngine.execute(computeQuery);
+          // Show the new column in the notebook
+          dispatch({ type: ActionTypes.MERGE_CSV_COLUMNS, payload: await sqliteEngine.readColumns([stateObj.name]) });
+          dispatch({ type: ActionTypes.SET_COLUMN_TYPES, payload: sqliteEngine.columnTypes });
           
-          if (result.success) {
-            // Update the CSV data with the computed values
-            dispatch({
-              type: ActionTypes.SET_CSV_DATA,
-              payload: result.data
-            });
-            
-            // Update the SQLite database with the new column
-            await sqliteEngine.setData(result.data);
-            
-            alert(`State "${stateObj.name}" has been computed and persisted to the dataset.`);
-          } else {
-            alert(`Error computing state: ${result.error}`);
-          }
+          alert(`State "${stateObj.name}" has been computed and persisted to the dataset.`);
         } catch (error) {
           console.error('Error persisting state:', error);
           alert(`Error persisting state: ${error.message}`);
@@ -302,6 +269,20 @@ export function AddStateModal() {
               </div>
             )}
 
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Start from a Template</label>
+              <select
+                value=""
+                onChange={(e) => e.target.value && setNewState({ ...newState, condition: '', ...STATE_TEMPLATES[e.target.value].state })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+              >
+                <option value="">Choose a template...</option>
+                {STATE_TEMPLATES.map((template, index) => (
+                  <option key={template.state.name} value={index}>{template.label}</option>
+                ))}
+              </select>
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">State Name *</label>
               <input
@@ -328,32 +309,50 @@ export function AddStateModal() {
               <label className="block text-sm font-medium text-gray-700 mb-1">Computation Type</label>
               <select
                 value={newState.computationType}
-                onChange={(e) => setNewState({...newState, computationType: e.target.value})}
+                onChange={(e) => setNewState({
+                  ...newState,
+                  computationType: e.target.value,
+                  field: STATE_COMPUTATIONS[e.target.value]?.field === 'column' && newState.field === '*' ? '' : newState.field
+                })}
                 className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
               >
-                <option value="window_sum">Rolling Window Sum</option>
-                <option value="window_avg">Rolling Window Average</option>
-                <option value="window_count">Rolling Window Count</option>
-                <option value="aggregate_sum">Aggregate Sum</option>
-                <option value="aggregate_count">Aggregate Count</option>
-                <option value="risk_score">Risk Score</option>
+                {[...new Set(Object.values(STATE_COMPUTATIONS).map(c => c.group))].map(group => (
+                  <optgroup key={group} label={group}>
+                    {Object.entries(STATE_COMPUTATIONS).filter(([, c]) => c.group === group).map(([type, { label }]) => (
+                      <option key={type} value={type}>{label}</option>
+                    ))}
+                  </optgroup>
+                ))}
               </select>
             </div>
 
             <div className="grid grid-cols-2 gap-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Field</label>
-                <select
-                  value={newState.field}
-                  onChange={(e) => setNewState({...newState, field: e.target.value})}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
-                >
-                  <option value="charged_amount">charged_amount</option>
-                  <option value="decline">decline</option>
-                  <option value="fraud">fraud</option>
-                  <option value="*">* (count all)</option>
-                </select>
-              </div>
+              {computation.field && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Field</label>
+                  <select
+                    value={newState.field}
+                    onChange={(e) => setNewState({...newState, field: e.target.value})}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  >
+                    {computation.field === 'column' ? (
+                      <>
+                        <option value="">Select a column</option>
+                        {Object.keys(state.columnTypes || {}).map(column => (
+                          <option key={column} value={column}>{column}</option>
+                        ))}
+                      </>
+                    ) : (
+                      <>
+                        <option value="charged_amount">charged_amount</option>
+                        <option value="decline">decline</option>
+                        <option value="fraud">fraud</option>
+                        <option value="*">* (count all)</option>
+                      </>
+                    )}
+                  </select>
+                </div>
+              )}
 
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Group By</label>
@@ -371,17 +370,111 @@ export function AddStateModal() {
               </div>
             </div>
 
-            {newState.computationType.startsWith('window_') && (
+            {computation.group !== 'Aggregates' && (
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Window Days</label>
-                <input
-                  type="number"
-                  value={newState.windowDays}
-                  onChange={(e) => setNewState({...newState, windowDays: parseInt(e.target.value) || 7})}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
-                  min="1"
-                  max="365"
-                />
+                <div className="grid grid-cols-2 gap-4">
+                  {computation.window && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">{computation.windowLabel || 'Window'}</label>
+                      <input
+                        type="number"
+                        value={newState.windowSize}
+                        onChange={(e) => setNewState({...newState, windowSize: parseInt(e.target.value) || 1})}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                        min="1"
+                        max="1000"
+                      />
+                    </div>
+                  )}
+                  {(computation.window || computation.unit) && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Unit</label>
+                      <select
+                        value={newState.windowUnit}
+                        onChange={(e) => setNewState({...newState, windowUnit: e.target.value})}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                      >
+                        {Object.entries(WINDOW_UNITS).map(([unit, { label }]) => (
+                          <option key={unit} value={unit}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                  {computation.baseline && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Baseline (days)</label>
+                      <input
+                        type="number"
+                        value={newState.baselineDays}
+                        onChange={(e) => setNewState({...newState, baselineDays: parseInt(e.target.value) || 1})}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                        min="1"
+                        max="3650"
+                      />
+                    </div>
+                  )}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Time Column</label>
+                    <select
+                      value={newState.timeColumn}
+                      onChange={(e) => setNewState({...newState, timeColumn: e.target.value})}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                    >
+                      {timeColumns.map(column => (
+                        <option key={column} value={column}>{column}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                <p className="mt-1 text-xs text-gray-500">
+                  Rows are ordered by the time column. Numeric time columns are read as epoch seconds.
+                </p>
+              </div>
+            )}
+
+            {computation.structuring && (
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Reporting Threshold</label>
+                  <input
+                    type="number"
+                    value={newState.threshold}
+                    onChange={(e) => setNewState({...newState, threshold: Number(e.target.value) || 0})}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                    min="0"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Tolerance Band (%)</label>
+                  <input
+                    type="number"
+                    value={newState.tolerancePercent}
+                    onChange={(e) => setNewState({...newState, tolerancePercent: Number(e.target.value) || 0})}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                    min="1"
+                    max="100"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Minimum Count</label>
+                  <input
+                    type="number"
+                    value={newState.minCount}
+                    onChange={(e) => setNewState({...newState, minCount: Number(e.target.value) || 0})}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                    min="1"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Minimum Total</label>
+                  <input
+                    type="number"
+                    value={newState.minTotal}
+                    onChange={(e) => setNewState({...newState, minTotal: Number(e.target.value) || 0})}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                    min="0"
+                  />
+                </div>
               </div>
             )}
 
@@ -412,7 +505,7 @@ export function AddStateModal() {
             <div className="bg-gray-50 rounded-lg p-3">
               <div className="text-sm font-medium text-gray-700 mb-2">Generated Query:</div>
               <div className="bg-white rounded border p-3 font-mono text-xs text-gray-600">
-                {generateStateQuery(newState.computationType, newState.field, newState.condition, newState.windowDays, newState.groupBy)}
+                {stateQuery}
               </div>
             </div>
           </div>
@@ -0,0 +1,350 @@
+import React, { useState, useEffect } from 'react';
+import { useNotebook } from '../../stores/NotebookContext';
+import { Icon } from '../ui/Icon';
+import { InvestigationService } from '../../services/investigationService';
+import { formatCellValue } from '../../utils/formatCellValue';
+import {
+  ALERT_STATUSES,
+  DISPOSITION_REASONS,
+  isClosedStatus,
+  filterAlerts,
+  countAlertsByStatus,
+  alertUpdateError
+} from '../../services/alertQueue';
+
+const inputClass = 'px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-rose-500';
+
+function StatusBadge({ status }) {
+  const { label, badge } = ALERT_STATUSES[status] || { label: status, badge: 'bg-gray-100 text-gray-700' };
+  return <span className={`px-2 py-0.5 rounded text-xs font-medium whitespace-nowrap ${badge}`}>{label}</span>;
+}
+
+function DispositionInput({ status, value, onChange, id }) {
+  return (
+    <>
+      <input
+        type="text"
+        list={id}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className={`${inputClass} w-full`}
+        placeholder="Why is this alert being closed?"
+      />
+      <datalist id={id}>
+        {(DISPOSITION_REASONS[status] || []).map(reason => <option key={reason} value={reason} />)}
+      </datalist>
+    </>
+  );
+}
+
+// Triage form for one alert; changes are applied together when saved
+function AlertDetail({ alert, onSave }) {
+  const { state, dispatch, ActionTypes } = useNotebook();
+  const [draft, setDraft] = useState({
+    status: alert.status,
+    assignee: alert.assignee,
+    disposition: alert.disposition,
+    notes: alert.notes
+  });
+  const [error, setError] = useState(null);
+  const update = (key, value) => setDraft({ ...draft, [key]: value });
+  const openEntity = (column, value) => dispatch({
+    type: ActionTypes.TOGGLE_MODAL,
+    payload: { modal: 'entity', value: { open: true, column, value, history: [] } }
+  });
+
+  const handleSave = () => {
+    const problem = alertUpdateError(alert, draft);
+    setError(problem);
+    if (!problem) onSave(draft);
+  };
+
+  return (
+    <div className="bg-gray-50 border-t border-gray-200 p-3 space-y-3" onClick={(e) => e.stopPropagation()}>
+      <div className="grid grid-cols-3 gap-2 text-xs">
+        {Object.entries(alert.row).map(([column, value]) => (
+          <div key={column} className="min-w-0">
+            <div className="text-gray-500">{column}</div>
+            <div className="text-gray-900 truncate">{formatCellValue(value, column, state.columnTypes, { onOpenEntity: openEntity })}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Status</label>
+          <select value={draft.status} onChange={(e) => update('status', e.target.value)} className={`${inputClass} w-full`}>
+            {Object.entries(ALERT_STATUSES).map(([status, { label }]) => (
+              <option key={status} value={status}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Assignee</label>
+          <input
+            type="text"
+            value={draft.assignee}
+            onChange={(e) => update('assignee', e.target.value)}
+            className={`${inputClass} w-full`}
+            placeholder="Unassigned"
+          />
+        </div>
+      </div>
+
+      {isClosedStatus(draft.status) && (
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Disposition Reason</label>
+          <DispositionInput
+            id={`disposition-${alert.id}`}
+            status={draft.status}
+            value={draft.disposition}
+            onChange={(value) => update('disposition', value)}
+          />
+        </div>
+      )}
+
+      <div>
+        <label className="block text-xs font-medium text-gray-700 mb-1">Notes</label>
+        <textarea
+          value={draft.notes}
+          onChange={(e) => update('notes', e.target.value)}
+          className={`${inputClass} w-full h-20`}
+          placeholder="What was checked and what was found"
+        />
+      </div>
+
+      <div className="flex items-center justify-between">
+        <span className="text-xs text-red-600">{error}</span>
+        <button
+          onClick={handleSave}
+          className="px-3 py-1.5 text-xs bg-rose-600 text-white rounded hover:bg-rose-700 transition-colors"
+        >
+          Save
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export function AlertsPanel() {
+  const { state, dispatch, ActionTypes } = useNotebook();
+  const [filters, setFilters] = useState({ status: 'open', ruleCellId: 'all', assignee: '', search: '' });
+  const [expandedId, setExpandedId] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [bulk, setBulk] = useState({ status: '', assignee: '', disposition: '' });
+  const [bulkError, setBulkError] = useState(null);
+
+  // Keep triage with the saved investigation as it happens
+  const investigationId = state.currentInvestigation?.id;
+  useEffect(() => {
+    if (investigationId) {
+      InvestigationService.saveField(investigationId, 'alerts', state.alerts);
+    }
+  }, [investigationId, state.alerts]);
+
+  if (!state.modals.alerts) return null;
+
+  const counts = countAlertsByStatus(state.alerts);
+  const visible = filterAlerts(state.alerts, filters);
+  const rules = [...new Map(state.alerts.map(alert => [alert.ruleCellId, alert.ruleName])).entries()];
+  const assignees = [...new Set(state.alerts.map(alert => alert.assignee).filter(Boolean))].sort();
+  const visibleSelected = selected.filter(id => visible.some(alert => alert.id === id));
+
+  const updateAlerts = (ids, updates) => dispatch({
+    type: ActionTypes.UPDATE_ALERTS,
+    payload: { ids, updates }
+  });
+
+  const handleClose = () => dispatch({
+    type: ActionTypes.TOGGLE_MODAL,
+    payload: { modal: 'alerts', value: false }
+  });
+
+  const toggleSelected = (id) => setSelected(selected.includes(id) ? selected.filter(s => s !== id) : [...selected, id]);
+
+  const applyBulk = () => {
+    const updates = Object.fromEntries(Object.entries(bulk).filter(([, value]) => value !== ''));
+    if (Object.keys(updates).length === 0) return;
+
+    const problem = visibleSelected
+      .map(id => alertUpdateError(state.alerts.find(alert => alert.id === id), updates))
+      .find(Boolean);
+    setBulkError(problem || null);
+    if (problem) return;
+
+    updateAlerts(visibleSelected, updates);
+    setSelected([]);
+    setBulk({ status: '', assignee: '', disposition: '' });
+  };
+
+  const statusFilters = [['open', 'Open'], ['all', 'All'], ...Object.entries(ALERT_STATUSES).map(([status, { label }]) => [status, label])];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex justify-end z-50" onClick={handleClose}>
+      <div className="bg-white shadow-xl w-[760px] max-w-full h-full flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 flex-shrink-0">
+          <div className="flex items-center space-x-2">
+            <Icon name="ShieldAlert" className="w-5 h-5 text-rose-600" />
+            <h3 className="text-lg font-medium text-gray-900">Alerts</h3>
+            <span className="text-sm text-gray-500">{counts.open} open of {counts.all}</span>
+          </div>
+          <button
+            onClick={handleClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <Icon name="X" className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 border-b border-gray-200 space-y-3 flex-shrink-0">
+          <div className="flex flex-wrap gap-1">
+            {statusFilters.map(([status, label]) => (
+              <button
+                key={status}
+                onClick={() => setFilters({ ...filters, status })}
+                className={`px-2 py-1 text-xs rounded transition-colors ${
+                  filters.status === status ? 'bg-rose-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {label} ({counts[status] || 0})
+              </button>
+            ))}
+          </div>
+
+          <div className="flex items-center space-x-2">
+            <select
+              value={filters.ruleCellId}
+              onChange={(e) => setFilters({ ...filters, ruleCellId: e.target.value })}
+              className={inputClass}
+            >
+              <option value="all">All rules</option>
+              {rules.map(([id, name]) => <option key={id} value={id}>{name}</option>)}
+            </select>
+            <select
+              value={filters.assignee}
+              onChange={(e) => setFilters({ ...filters, assignee: e.target.value })}
+              className={inputClass}
+            >
+              <option value="">Any assignee</option>
+              {assignees.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+            <input
+              type="text"
+              value={filters.search}
+              onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+              className={`${inputClass} flex-1 min-w-0`}
+              placeholder="Search IDs, values and notes"
+            />
+          </div>
+
+          {visibleSelected.length > 0 && (
+            <div className="bg-rose-50 border border-rose-200 rounded p-2 space-y-2">
+              <div className="flex items-center space-x-2">
+                <span className="text-xs text-rose-800 whitespace-nowrap">{visibleSelected.length} selected</span>
+                <select
+                  value={bulk.status}
+                  onChange={(e) => setBulk({ ...bulk, status: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value="">Keep status</option>
+                  {Object.entries(ALERT_STATUSES).map(([status, { label }]) => (
+                    <option key={status} value={status}>{label}</option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  value={bulk.assignee}
+                  onChange={(e) => setBulk({ ...bulk, assignee: e.target.value })}
+                  className={`${inputClass} flex-1 min-w-0`}
+                  placeholder="Assign to"
+                />
+                <button
+                  onClick={applyBulk}
+                  className="px-3 py-1 text-xs bg-rose-600 text-white rounded hover:bg-rose-700 transition-colors"
+                >
+                  Apply
+                </button>
+              </div>
+              {isClosedStatus(bulk.status) && (
+                <DispositionInput
+                  id="disposition-bulk"
+                  status={bulk.status}
+                  value={bulk.disposition}
+                  onChange={(value) => setBulk({ ...bulk, disposition: value })}
+                />
+              )}
+              {bulkError && <p className="text-xs text-red-600">{bulkError}</p>}
+            </div>
+          )}
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {state.alerts.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">
+              <Icon name="ShieldAlert" className="w-8 h-8 mx-auto mb-2 text-gray-300" />
+              <p className="text-sm">No alerts yet</p>
+              <p className="text-xs mt-1">Run a Detection Rule cell and choose Create Alerts to queue its hits here</p>
+            </div>
+          ) : visible.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-12">No alerts match these filters</p>
+          ) : (
+            <>
+              <div className="flex items-center space-x-3 px-4 py-2 bg-gray-50 border-b border-gray-200 text-xs text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={visibleSelected.length === visible.length}
+                  onChange={(e) => setSelected(e.target.checked ? visible.map(alert => alert.id) : [])}
+                  className="rounded border-gray-300 text-rose-600 focus:ring-rose-500"
+                />
+                <span>Showing {visible.length} alert{visible.length === 1 ? '' : 's'}</span>
+              </div>
+              {visible.map(alert => (
+                <div key={alert.id} className="border-b border-gray-100">
+                  <div
+                    className="flex items-center space-x-3 px-4 py-2 hover:bg-gray-50 cursor-pointer"
+                    onClick={() => setExpandedId(expandedId === alert.id ? null : alert.id)}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(alert.id)}
+                      onClick={(e) => e.stopPropagation()}
+                      onChange={() => toggleSelected(alert.id)}
+                      className="rounded border-gray-300 text-rose-600 focus:ring-rose-500"
+                    />
+                    <StatusBadge status={alert.status} />
+                    <div className="flex-1 min-w-0">
+                      <div className="text-sm text-gray-900 truncate">
+                        {Object.entries(alert.row).slice(0, 3).map(([column, value]) => `${column}: ${value ?? '—'}`).join(' • ')}
+                      </div>
+                      <div className="text-xs text-gray-500 truncate">
+                        {alert.ruleName}
+                        {alert.disposition && ` • ${alert.disposition}`}
+                      </div>
+                    </div>
+                    <span className="text-xs text-gray-500 whitespace-nowrap">{alert.assignee || 'Unassigned'}</span>
+                    <Icon name={expandedId === alert.id ? 'ChevronUp' : 'ChevronDown'} className="w-4 h-4 text-gray-400" />
+                  </div>
+                  {expandedId === alert.id && (
+                    <AlertDetail
+                      alert={alert}
+                      onSave={(updates) => {
+                        updateAlerts([alert.id], updates);
+                        setExpandedId(null);
+                      }}
+                    />
+                  )}
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+
+        {!investigationId && state.alerts.length > 0 && (
+          <div className="px-4 py-2 border-t border-gray-200 text-xs text-amber-700 bg-amber-50 flex-shrink-0">
+            Save the investigation to keep these alerts.
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useNotebook } from '../../stores/NotebookContext';
 import { Icon } from '../ui/Icon';
+import { generateStateQuery, stateWindow, WINDOW_UNITS, STATE_COMPUTATIONS, DEFAULT_TIME_COLUMN, DEFAULT_BASELINE_DAYS, DEFAULT_STRUCTURING } from '../../services/computedStates';
 
 export function EditStateModal() {
   const { state, dispatch, ActionTypes } = useNotebook();
@@ -11,11 +12,23 @@ export function EditStateModal() {
     computationType: 'window_sum',
     field: 'charged_amount',
     condition: '',
-    windowDays: 7,
+    windowSize: 7,
+    windowUnit: 'day',
+    timeColumn: DEFAULT_TIME_COLUMN,
+    baselineDays: DEFAULT_BASELINE_DAYS,
+    ...DEFAULT_STRUCTURING,
     groupBy: 'merchant_id',
     persistent: false
   });
 
+  // The query shown below is exactly what gets saved and run
+  const stateQuery = generateStateQuery(editedState, state.columnTypes);
+  const computation = STATE_COMPUTATIONS[editedState.computationType] || {};
+  const timeColumns = [...new Set([
+    editedState.timeColumn,
+    ...Object.keys(state.columnTypes || {}).filter(column => ['date', 'datetime', 'integer', 'decimal'].includes(state.columnTypes[column]))
+  ])];
+
   // Load state data when modal opens
   useEffect(() => {
     if (editState.open && editState.cellId && editState.stateIndex !== undefined) {
@@ -28,7 +41,14 @@ export function EditStateModal() {
           computationType: stateToEdit.computationType || 'window_sum',
           field: stateToEdit.field || 'charged_amount',
           condition: stateToEdit.condition || '',
-          windowDays: stateToEdit.windowDays || 7,
+          windowSize: stateWindow(stateToEdit).size,
+          windowUnit: stateWindow(stateToEdit).unit,
+          timeColumn: stateToEdit.timeColumn || DEFAULT_TIME_COLUMN,
+          baselineDays: stateToEdit.baselineDays || DEFAULT_BASELINE_DAYS,
+          threshold: stateToEdit.threshold ?? DEFAULT_STRUCTURING.threshold,
+          tolerancePercent: stateToEdit.tolerancePercent ?? DEFAULT_STRUCTURING.tolerancePercent,
+          minCount: stateToEdit.minCount ?? DEFAULT_STRUCTURING.minCount,
+          minTotal: stateToEdit.minTotal ?? DEFAULT_STRUCTURING.minTotal,
           groupBy: stateToEdit.groupBy || 'merchant_id',
           persistent: stateToEdit.persistent || false
         });
@@ -43,71 +63,32 @@ export function EditStateModal() {
     });
   };
 
-  const generateStateQuery = (computationType, field, condition, windowDays, groupBy) => {
-    // Fix field reference for count operations
-    const actualField = field === '*' ? '*' : field;
-    
-    switch (computationType) {
-      case 'window_sum':
-        // SQLite window function with ROWS instead of RANGE BETWEEN INTERVAL
-        if (groupBy) {
-          return `SUM(${actualField}) OVER (PARTITION BY ${groupBy} ORDER BY txn_date_time ROWS BETWEEN ${windowDays * 10} PRECEDING AND CURRENT ROW)`;
-        }
-        return `SUM(${actualField}) OVER (ORDER BY txn_date_time ROWS BETWEEN ${windowDays * 10} PRECEDING AND CURRENT ROW)`;
-      
-      case 'window_avg':
-        if (groupBy) {
-          return `AVG(${actualField}) OVER (PARTITION BY ${groupBy} ORDER BY txn_date_time ROWS BETWEEN ${windowDays * 10} PRECEDING AND CURRENT ROW)`;
-        }
-        return `AVG(${actualField}) OVER (ORDER BY txn_date_time ROWS BETWEEN ${windowDays * 10} PRECEDING AND CURRENT ROW)`;
-      
-      case 'window_count':
-        if (groupBy) {
-          return `COUNT(*) OVER (PARTITION BY ${groupBy} ORDER BY txn_date_time ROWS BETWEEN ${windowDays * 10} PRECEDING AND CURRENT ROW)`;
-        }
-        return `COUNT(*) OVER (ORDER BY txn_date_time ROWS BETWEEN ${windowDays * 10} PRECEDING AND CURRENT ROW)`;
-      
-      case 'aggregate_sum':
-        // For aggregates, use correlated subquery that returns single value per row
-        // If field is '*', use COUNT instead of SUM
-        const sumFunction = actualField === '*' ? 'COUNT(*)' : `SUM(${actualField})`;
-        if (groupBy) {
-          return `(SELECT ${sumFunction} FROM transactions t2 WHERE t2.${groupBy} = transactions.${groupBy}${condition ? ' AND ' + condition : ''})`;
-        }
-        return `(SELECT ${sumFunction} FROM transactions t2${condition ? ' WHERE ' + condition : ''})`;
-      
-      case 'aggregate_count':
-        if (groupBy) {
-          return `(SELECT COUNT(*) FROM transactions t2 WHERE t2.${groupBy} = transactions.${groupBy}${condition ? ' AND ' + condition : ''})`;
-        }
-        return `(SELECT COUNT(*) FROM transactions t2${condition ? ' WHERE ' + condition : ''})`;
-      
-      case 'risk_score':
-        return `CASE 
-          WHEN COUNT(CASE WHEN decline = 1 THEN 1 END) OVER (PARTITION BY user_id ORDER BY txn_date_time ROWS BETWEEN ${windowDays * 10} PRECEDING AND CURRENT ROW) > 2 THEN 'HIGH'
-          WHEN COUNT(CASE WHEN decline = 1 THEN 1 END) OVER (PARTITION BY user_id ORDER BY txn_date_time ROWS BETWEEN ${windowDays * 10} PRECEDING AND CURRENT ROW) > 0 THEN 'MEDIUM'
-          ELSE 'LOW'
-        END`;
-      
-      default:
-        return `SUM(${actualField}) OVER (ORDER BY txn_date_time)`;
-    }
-  };
-
   const handleSaveState = async () => {
     if (!editedState.name.trim()) {
       alert('Please provide a state name');
       return;
     }
 
+    if (computation.field === 'column' && (!editedState.field || editedState.field === '*')) {
+      alert('Please choose the column this computation looks at');
+      return;
+    }
+
     const updatedStateObj = {
       name: editedState.name,
       description: editedState.description,
-      query: generateStateQuery(editedState.computationType, editedState.field, editedState.condition, editedState.windowDays, editedState.groupBy),
+      query: stateQuery,
       computationType: editedState.computationType,
       field: editedState.field,
       condition: editedState.condition,
-      windowDays: editedState.windowDays,
+      windowSize: editedState.windowSize,
+      windowUnit: editedState.windowUnit,
+      timeColumn: editedState.timeColumn,
+      baselineDays: editedState.baselineDays,
+      threshold: editedState.threshold,
+      tolerancePercent: editedState.tolerancePercent,
+      minCount: editedState.minCount,
+      minTotal: editedState.minTotal,
       groupBy: editedState.groupBy,
       persistent: editedState.persistent
     };
@@ -132,33 +113,18 @@ export function EditStateModal() {
       // If persistent is checked and state wasn't persistent before, compute and persist
       if (editedState.persistent && !oldState.persistent) {
         try {
-          // Import the SQLite engine
           const { sqliteEngine } = await import('../../services/sqliteEngine');
+          const { computedStatesService, initializeComputedStatesService } = await import('../../services/computedStates');
+          const service = computedStatesService || initializeComputedStatesService(sqliteEngine);
           
-          // Compute the state values using SQL
-          const computeQuery = `
-            SELECT *, 
-                   (${updatedStateObj.query}) as ${updatedStateObj.name}
-            FROM transactions 
-            ORDER BY rowid
-          `;
+          // Compute the state inside SQLite as a new column of the transactions table
+          await service.persistState(updatedStateObj);
           
-          const result = sqliteEngine.execute(computeQuery);
+          // Show the new column in the notebook
+          dispatch({ type: ActionTypes.MERGE_CSV_COLUMNS, payload: await sqliteEngine.readColumns([updatedStateObj.name]) });
+          dispatch({ type: ActionTypes.SET_COLUMN_TYPES, payload: sqliteEngine.columnTypes });
           
-          if (result.success) {
-            // Update the CSV data with the computed values
-            dispatch({
-              type: ActionTypes.SET_CSV_DATA,
-              payload: result.data
-            });
-            
-            // Update the SQLite database with the new column
-            await sqliteEngine.setData(result.data);
-            
-            alert(`State "${updatedStateObj.name}" has been updated and persisted to the dataset.`);
-          } else {
-            alert(`State updated, but error computing values: ${result.error}`);
-          }
+          alert(`State "${updatedStateObj.name}" has been updated and persisted to the dataset.`);
         } catch (error) {
           console.error('Error persisting updated state:', error);
           alert(`State updated, but error persisting: ${error.message}`);
@@ -239,32 +205,50 @@ export function EditStateModal() {
               <label className="block text-sm font-medium text-gray-700 mb-1">Computation Type</label>
               <select
                 value={editedState.computationType}
-                onChange={(e) => setEditedState({...editedState, computationType: e.target.value})}
+                onChange={(e) => setEditedState({
+                  ...editedState,
+                  computationType: e.target.value,
+                  field: STATE_COMPUTATIONS[e.target.value]?.field === 'column' && editedState.field === '*' ? '' : editedState.field
+                })}
                 className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
               >
-                <option value="window_sum">Rolling Window Sum</option>
-                <option value="window_avg">Rolling Window Average</option>
-                <option value="window_count">Rolling Window Count</option>
-                <option value="aggregate_sum">Aggregate Sum</option>
-                <option value="aggregate_count">Aggregate Count</option>
-                <option value="risk_score">Risk Score</option>
+                {[...new Set(Object.values(STATE_COMPUTATIONS).map(c => c.group))].map(group => (
+                  <optgroup key={group} label={group}>
+                    {Object.entries(STATE_COMPUTATIONS).filter(([, c]) => c.group === group).map(([type, { label }]) => (
+                      <option key={type} value={type}>{label}</option>
+                    ))}
+                  </optgroup>
+                ))}
               </select>
             </div>
 
             <div className="grid grid-cols-2 gap-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Field</label>
-                <select
-                  value={editedState.field}
-                  onChange={(e) => setEditedState({...editedState, field: e.target.value})}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
-                >
-                  <option value="charged_amount">charged_amount</option>
-                  <option value="decline">decline</option>
-                  <option value="fraud">fraud</option>
-                  <option value="*">* (count all)</option>
-                </select>
-              </div>
+              {computation.field && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Field</label>
+                  <select
+                    value={editedState.field}
+                    onChange={(e) => setEditedState({...editedState, field: e.target.value})}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  >
+                    {computation.field === 'column' ? (
+                      <>
+                        <option value="">Select a column</option>
+                        {Object.keys(state.columnTypes || {}).map(column => (
+                          <option key={column} value={column}>{column}</option>
+                        ))}
+                      </>
+                    ) : (
+                      <>
+                        <option value="charged_amount">charged_amount</option>
+                        <option value="decline">decline</option>
+                        <option value="fraud">fraud</option>
+                        <option value="*">* (count all)</option>
+                      </>
+                    )}
+                  </select>
+                </div>
+              )}
 
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Group By</label>
@@ -282,17 +266,111 @@ export function EditStateModal() {
               </div>
             </div>
 
-            {editedState.computationType.startsWith('window_') && (
+            {computation.group !== 'Aggregates' && (
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Window Days</label>
-                <input
-                  type="number"
-                  value={editedState.windowDays}
-                  onChange={(e) => setEditedState({...editedState, windowDays: parseInt(e.target.value) || 7})}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
-                  min="1"
-                  max="365"
-                />
+                <div className="grid grid-cols-2 gap-4">
+                  {computation.window && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">{computation.windowLabel || 'Window'}</label>
+                      <input
+                        type="number"
+                        value={editedState.windowSize}
+                        onChange={(e) => setEditedState({...editedState, windowSize: parseInt(e.target.value) || 1})}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                        min="1"
+                        max="1000"
+                      />
+                    </div>
+                  )}
+                  {(computation.window || computation.unit) && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Unit</label>
+                      <select
+                        value={editedState.windowUnit}
+                        onChange={(e) => setEditedState({...editedState, windowUnit: e.target.value})}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                      >
+                        {Object.entries(WINDOW_UNITS).map(([unit, { label }]) => (
+                          <option key={unit} value={unit}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                  {computation.baseline && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Baseline (days)</label>
+                      <input
+                        type="number"
+                        value={editedState.baselineDays}
+                        onChange={(e) => setEditedState({...editedState, baselineDays: parseInt(e.target.value) || 1})}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                        min="1"
+                        max="3650"
+                      />
+                    </div>
+                  )}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Time Column</label>
+                    <select
+                      value={editedState.timeColumn}
+                      onChange={(e) => setEditedState({...editedState, timeColumn: e.target.value})}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                    >
+                      {timeColumns.map(column => (
+                        <option key={column} value={column}>{column}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                <p className="mt-1 text-xs text-gray-500">
+                  Rows are ordered by the time column. Numeric time columns are read as epoch seconds.
+                </p>
+              </div>
+            )}
+
+            {computation.structuring && (
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Reporting Threshold</label>
+                  <input
+                    type="number"
+                    value={editedState.threshold}
+                    onChange={(e) => setEditedState({...editedState, threshold: Number(e.target.value) || 0})}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                    min="0"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Tolerance Band (%)</label>
+                  <input
+                    type="number"
+                    value={editedState.tolerancePercent}
+                    onChange={(e) => setEditedState({...editedState, tolerancePercent: Number(e.target.value) || 0})}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                    min="1"
+                    max="100"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Minimum Count</label>
+                  <input
+                    type="number"
+                    value={editedState.minCount}
+                    onChange={(e) => setEditedState({...editedState, minCount: Number(e.target.value) || 0})}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                    min="1"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Minimum Total</label>
+                  <input
+                    type="number"
+                    value={editedState.minTotal}
+                    onChange={(e) => setEditedState({...editedState, minTotal: Number(e.target.value) || 0})}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                    min="0"
+                  />
+                </div>
               </div>
             )}
 
@@ -323,7 +401,7 @@ export function EditStateModal() {
             <div className="bg-gray-50 rounded-lg p-3">
               <div className="text-sm font-medium text-gray-700 mb-2">Generated Query:</div>
               <div className="bg-white rounded border p-3 font-mono text-xs text-gray-600">
-                {generateStateQuery(editedState.computationType, editedState.field, editedState.condition, editedState.windowDays, editedState.groupBy)}
+                {stateQuery}
               </div>
             </div>
           </div>
@@ -0,0 +1,291 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNotebook } from '../../stores/NotebookContext';
+import { Icon } from '../ui/Icon';
+import { ServiceChart } from '../ui/ServiceChart';
+import { sqliteEngine } from '../../services/sqliteEngine';
+import { formatCellValue } from '../../utils/formatCellValue';
+import { ALERT_STATUSES } from '../../services/alertQueue';
+import {
+  entityProfileQueries,
+  entityAlerts,
+  entityLabel,
+  MAX_ENTITY_TRANSACTIONS
+} from '../../services/entityProfile';
+
+const TABS = ['Overview', 'Transactions', 'Declines & Fraud', 'Alerts'];
+
+function RowsTable({ rows, columnTypes, onOpenEntity, limit = 100 }) {
+  if (rows.length === 0) {
+    return <p className="text-xs text-gray-500 py-4 text-center">None</p>;
+  }
+
+  const columns = Object.keys(rows[0]);
+  return (
+    <div className="overflow-x-auto border border-gray-200 rounded-lg">
+      <table className="w-full text-sm">
+        <thead className="bg-gray-50 border-b border-gray-200">
+          <tr>
+            {columns.map(column => (
+              <th key={column} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap">
+                {column}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {rows.slice(0, limit).map((row, index) => (
+            <tr key={index} className="hover:bg-gray-50">
+              {columns.map(column => (
+                <td key={column} className="px-3 py-2 text-sm text-gray-900 max-w-xs truncate">
+                  {formatCellValue(row[column], column, columnTypes, { onOpenEntity })}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {rows.length > limit && (
+        <div className="bg-gray-50 px-3 py-2 text-xs text-gray-500 border-t border-gray-200">
+          Showing {limit} of {rows.length.toLocaleString()}
+          {rows.length >= MAX_ENTITY_TRANSACTIONS && ' most recent'} rows
+        </div>
+      )}
+    </div>
+  );
+}
+
+export function EntityPanel() {
+  const { state, dispatch, ActionTypes } = useNotebook();
+  const { entity } = state.modals;
+  const [profile, setProfile] = useState(null);
+  const [error, setError] = useState(null);
+  const [tab, setTab] = useState('Overview');
+
+  const columns = Object.keys(state.csvData[0] || {});
+  const stateNames = state.cells
+    .filter(c => c.type === 'state')
+    .flatMap(c => (c.states || []).filter(s => s.persistent).map(s => s.name));
+  const queries = entity.open
+    ? entityProfileQueries(entity.column, columns, { stateNames })
+    : null;
+  const queryKey = JSON.stringify(queries);
+
+  // Profile queries run again when the entity or the table's columns change
+  useEffect(() => {
+    if (!entity.open) return;
+
+    let cancelled = false;
+    const { counterparties, ...single } = JSON.parse(queryKey);
+    const options = { params: { entity: entity.value } };
+    const run = async (query) => {
+      const result = await sqliteEngine.execute(query, options);
+      if (!result.success) throw new Error(result.error);
+      return result.data;
+    };
+
+    const load = async () => {
+      setProfile(null);
+      setError(null);
+      try {
+        const loaded = {};
+        for (const [key, query] of Object.entries(single)) {
+          loaded[key] = await run(query);
+        }
+        loaded.counterparties = {};
+        for (const [column, query] of Object.entries(counterparties)) {
+          loaded.counterparties[column] = await run(query);
+        }
+        if (!cancelled) setProfile(loaded);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    };
+    load();
+
+    return () => { cancelled = true; };
+  }, [entity.open, entity.value, queryKey]);
+
+  const timelineConfig = useMemo(() => ({
+    chartType: 'column',
+    title: 'Transactions per day',
+    xAxis: 'day',
+    yAxis: 'transactions'
+  }), []);
+
+  if (!entity.open) return null;
+
+  const openEntity = (column, value) => {
+    if (column === entity.column && String(value) === String(entity.value)) return;
+    dispatch({
+      type: ActionTypes.TOGGLE_MODAL,
+      payload: {
+        modal: 'entity',
+        value: { open: true, column, value, history: [...entity.history, { column: entity.column, value: entity.value }] }
+      }
+    });
+    setTab('Overview');
+  };
+
+  const goBack = () => {
+    const previous = entity.history[entity.history.length - 1];
+    dispatch({
+      type: ActionTypes.TOGGLE_MODAL,
+      payload: { modal: 'entity', value: { open: true, ...previous, history: entity.history.slice(0, -1) } }
+    });
+  };
+
+  const handleClose = () => {
+    dispatch({
+      type: ActionTypes.TOGGLE_MODAL,
+      payload: { modal: 'entity', value: { open: false, column: null, value: null, history: [] } }
+    });
+    setTab('Overview');
+  };
+
+  const alerts = entityAlerts(state.alerts, entity.column, entity.value);
+  const summary = profile?.summary?.[0];
+  const format = (value, column) => formatCellValue(value, column, state.columnTypes);
+
+  const tiles = summary ? [
+    ['Transactions', summary.transactions?.toLocaleString()],
+    ['Total Amount', summary.total_amount !== undefined && format(summary.total_amount, 'charged_amount')],
+    ['Average Amount', summary.average_amount !== undefined && format(summary.average_amount, 'charged_amount')],
+    ['Largest Amount', summary.max_amount !== undefined && format(summary.max_amount, 'charged_amount')],
+    ['First Seen', summary.first_seen !== undefined && format(summary.first_seen, 'txn_date_time')],
+    ['Last Seen', summary.last_seen !== undefined && format(summary.last_seen, 'txn_date_time')],
+    ['Active Days', summary.active_days?.toLocaleString()],
+    ['Declines', summary.decline_count?.toLocaleString()],
+    ['Fraud', summary.fraud_count?.toLocaleString()],
+    ['Alerts', `${alerts.length}`]
+  ].filter(([, value]) => value !== undefined && value !== false) : [];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex justify-end z-50" onClick={handleClose}>
+      <div className="bg-white shadow-xl w-[860px] max-w-full h-full flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 flex-shrink-0">
+          <div className="flex items-center space-x-2 min-w-0">
+            {entity.history.length > 0 && (
+              <button onClick={goBack} className="text-gray-400 hover:text-gray-600" title="Back">
+                <Icon name="ChevronLeft" className="w-5 h-5" />
+              </button>
+            )}
+            <span className="px-2 py-0.5 rounded text-xs font-medium bg-blue-100 text-blue-800">{entityLabel(entity.column)}</span>
+            <h3 className="text-lg font-medium text-gray-900 font-mono truncate">{String(entity.value)}</h3>
+          </div>
+          <button
+            onClick={handleClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <Icon name="X" className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex space-x-1 px-4 pt-3 border-b border-gray-200 flex-shrink-0">
+          {TABS.map(name => (
+            <button
+              key={name}
+              onClick={() => setTab(name)}
+              className={`px-3 py-2 text-sm border-b-2 -mb-px transition-colors ${
+                tab === name ? 'border-blue-600 text-blue-700' : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {name}
+              {name === 'Alerts' && alerts.length > 0 && ` (${alerts.length})`}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-4">
+          {error && (
+            <div className="text-xs text-red-600 bg-red-50 px-2 py-1 rounded">{error}</div>
+          )}
+
+          {!profile && !error && (
+            <div className="flex items-center justify-center py-12 text-gray-500 space-x-2">
+              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
+              <span className="text-sm">Loading profile...</span>
+            </div>
+          )}
+
+          {profile && tab === 'Overview' && (
+            <>
+              <div className="grid grid-cols-5 gap-2">
+                {tiles.map(([label, value]) => (
+                  <div key={label} className="bg-gray-50 border border-gray-200 rounded p-2 min-w-0">
+                    <div className="text-xs text-gray-500">{label}</div>
+                    <div className="text-sm font-semibold text-gray-900 truncate">{value}</div>
+                  </div>
+                ))}
+              </div>
+
+              {profile.timeline?.length > 0 && (
+                <div className="border border-gray-200 rounded">
+                  <ServiceChart
+                    chartId={`entity-timeline-${entity.column}`}
+                    data={profile.timeline}
+                    config={timelineConfig}
+                    className="w-full h-56"
+                  />
+                </div>
+              )}
+
+              {profile.states?.length > 0 && (
+                <div>
+                  <h4 className="text-sm font-medium text-gray-900 mb-2">Computed States</h4>
+                  <RowsTable rows={profile.states} columnTypes={state.columnTypes} />
+                </div>
+              )}
+
+              <div className="grid grid-cols-2 gap-4">
+                {Object.entries(profile.counterparties).map(([column, rows]) => (
+                  <div key={column}>
+                    <h4 className="text-sm font-medium text-gray-900 mb-2">Top {column}</h4>
+                    <RowsTable
+                      rows={rows.map(({ value, ...rest }) => ({ [column]: value, ...rest }))}
+                      columnTypes={state.columnTypes}
+                      onOpenEntity={openEntity}
+                    />
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+
+          {profile && tab === 'Transactions' && (
+            <RowsTable rows={profile.transactions} columnTypes={state.columnTypes} onOpenEntity={openEntity} />
+          )}
+
+          {profile && tab === 'Declines & Fraud' && (
+            profile.flagged
+              ? <RowsTable rows={profile.flagged} columnTypes={state.columnTypes} onOpenEntity={openEntity} />
+              : <p className="text-xs text-gray-500 py-4 text-center">The table has no decline or fraud column</p>
+          )}
+
+          {tab === 'Alerts' && (
+            alerts.length === 0 ? (
+              <p className="text-xs text-gray-500 py-4 text-center">No alerts for this {entityLabel(entity.column).toLowerCase()}</p>
+            ) : (
+              <div className="border border-gray-200 rounded-lg divide-y divide-gray-100">
+                {alerts.map(alert => (
+                  <div key={alert.id} className="px-3 py-2 flex items-center space-x-3">
+                    <span className={`px-2 py-0.5 rounded text-xs font-medium whitespace-nowrap ${ALERT_STATUSES[alert.status]?.badge}`}>
+                      {ALERT_STATUSES[alert.status]?.label}
+                    </span>
+                    <div className="flex-1 min-w-0">
+                      <div className="text-sm text-gray-900 truncate">{alert.ruleName}</div>
+                      <div className="text-xs text-gray-500 truncate">
+                        {alert.assignee || 'Unassigned'}
+                        {alert.disposition && ` • ${alert.disposition}`}
+                        {alert.notes && ` • ${alert.notes}`}
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
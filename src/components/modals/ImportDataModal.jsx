@@ -0,0 +1,373 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useNotebook } from '../../stores/NotebookContext';
+import { csvLoader } from '../../services/csvLoader';
+import { PRIMARY_TABLE, toTableName, isValidTableName } from '../../services/sqliteEngine';
+import { TYPE_DEFINITIONS } from '../../services/columnTypes';
+import { SAMPLING_MODES, DEFAULT_SAMPLE_SIZE } from '../../services/rowSampler';
+import { Icon } from '../ui/Icon';
+
+const DELIMITER_OPTIONS = [
+  { value: ',', label: 'Comma (,)' },
+  { value: ';', label: 'Semicolon (;)' },
+  { value: '\t', label: 'Tab' },
+  { value: '|', label: 'Pipe (|)' }
+];
+
+const ACCEPTED_EXTENSIONS = '.csv,.tsv,.txt';
+
+// Column each sampling mode groups by when the file has it
+const DEFAULT_SAMPLE_BY = {
+  stratified: 'fraud',
+  entity: 'user_id'
+};
+
+export function ImportDataModal({ isOpen, onClose, onImport, initialFile = null, expectedDataset = null }) {
+  const { state } = useNotebook();
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [delimiter, setDelimiter] = useState(',');
+  const [isDragging, setIsDragging] = useState(false);
+  const [previewing, setPreviewing] = useState(false);
+  const [error, setError] = useState('');
+  const [tableName, setTableName] = useState(PRIMARY_TABLE);
+  const [mode, setMode] = useState('replace');
+  const [sampling, setSampling] = useState({ mode: 'full', rows: DEFAULT_SAMPLE_SIZE, by: '' });
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setTableName(expectedDataset?.tableName || PRIMARY_TABLE);
+      if (expectedDataset?.sampling) {
+        setSampling({ rows: DEFAULT_SAMPLE_SIZE, by: '', ...expectedDataset.sampling });
+      }
+    }
+  }, [isOpen, expectedDataset]);
+
+  const tableExists = state.tables.some(table => table.name === tableName);
+  const tableNameValid = isValidTableName(tableName);
+
+  const reset = () => {
+    setFile(null);
+    setPreview(null);
+    setDelimiter(',');
+    setError('');
+    setTableName(PRIMARY_TABLE);
+    setMode('replace');
+    setSampling({ mode: 'full', rows: DEFAULT_SAMPLE_SIZE, by: '' });
+  };
+
+  const handleSamplingMode = (samplingMode) => {
+    const preferred = DEFAULT_SAMPLE_BY[samplingMode];
+    const by = preferred && preview?.headers.includes(preferred) ? preferred : preview?.headers[0] || '';
+    setSampling({ ...sampling, mode: samplingMode, by: DEFAULT_SAMPLE_BY[samplingMode] ? by : '' });
+  };
+
+  const needsSampleColumn = sampling.mode === 'stratified' || sampling.mode === 'entity';
+  const samplingValid = sampling.mode === 'full' || (sampling.rows > 0 && (!needsSampleColumn || sampling.by));
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const buildPreview = useCallback(async (selectedFile, delimiterOverride = null) => {
+    setPreviewing(true);
+    setError('');
+    try {
+      // An explicit delimiter overrides auto-detection
+      const result = await csvLoader.previewFile(selectedFile, 10, delimiterOverride);
+      setPreview(result);
+      setDelimiter(result.delimiter);
+    } catch (err) {
+      setPreview(null);
+      setError('Could not read file: ' + err.message);
+    } finally {
+      setPreviewing(false);
+    }
+  }, []);
+
+  const selectFile = useCallback((selectedFile) => {
+    if (!selectedFile) return;
+    setFile(selectedFile);
+    buildPreview(selectedFile);
+  }, [buildPreview]);
+
+  useEffect(() => {
+    if (isOpen && initialFile) {
+      selectFile(initialFile);
+    }
+  }, [isOpen, initialFile, selectFile]);
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    selectFile(e.dataTransfer.files?.[0]);
+  };
+
+  const handleLoad = async () => {
+    if (!file || !preview || !tableNameValid || !samplingValid) return;
+
+    const source = {
+      type: 'file',
+      file,
+      delimiter,
+      columnTypes: preview.columnTypes,
+      tableName,
+      mode: tableExists ? mode : 'replace',
+      sampling: sampling.mode === 'full'
+        ? { mode: 'full' }
+        : { mode: sampling.mode, rows: Number(sampling.rows), ...(needsSampleColumn ? { by: sampling.by } : {}) }
+    };
+
+    handleClose();
+    const result = await onImport(source);
+    if (!result?.success) {
+      alert('Failed to load dataset: ' + (result?.error || 'Unknown error'));
+    }
+  };
+
+  const formatSize = (bytes) => {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${bytes} B`;
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-[880px] max-w-full max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="flex items-center justify-between p-6 border-b flex-shrink-0">
+          <h3 className="text-lg font-semibold text-gray-900">Import Dataset</h3>
+          <button
+            onClick={handleClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <Icon name="X" className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-4">
+          {expectedDataset && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-md p-3">
+              <div className="flex">
+                <Icon name="AlertTriangle" className="w-5 h-5 text-yellow-500" />
+                <div className="ml-3">
+                  <p className="text-sm text-yellow-800">
+                    This investigation was built on <strong>{expectedDataset.name}</strong>
+                    {expectedDataset.size ? ` (${formatSize(expectedDataset.size)})` : ''}
+                    {expectedDataset.tableName && expectedDataset.tableName !== PRIMARY_TABLE && (
+                      <> in table <span className="font-mono">{expectedDataset.tableName}</span></>
+                    )}.
+                    Select that file to reopen it with the same data.
+                  </p>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-md p-3">
+              <div className="flex">
+                <Icon name="AlertCircle" className="w-5 h-5 text-red-400" />
+                <div className="ml-3">
+                  <p className="text-sm text-red-700">{error}</p>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Drop zone */}
+          <div
+            onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={handleDrop}
+            onClick={() => fileInputRef.current?.click()}
+            className={`border-2 border-dashed rounded-lg p-8 text-center cursor-pointer transition-colors ${
+              isDragging ? 'border-purple-500 bg-purple-50' : 'border-gray-300 hover:border-purple-300'
+            }`}
+          >
+            <Icon name="Download" className="w-8 h-8 mx-auto mb-2 text-gray-400" />
+            {file ? (
+              <p className="text-sm text-gray-700">
+                <span className="font-medium">{file.name}</span> • {formatSize(file.size)}
+                <span className="block text-xs text-gray-500 mt-1">Drop another file or click to replace</span>
+              </p>
+            ) : (
+              <p className="text-sm text-gray-600">
+                Drag and drop a CSV or TSV file here, or click to browse
+              </p>
+            )}
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={ACCEPTED_EXTENSIONS}
+              className="hidden"
+              onChange={(e) => selectFile(e.target.files?.[0])}
+            />
+          </div>
+
+          {previewing && (
+            <div className="text-center py-6">
+              <div className="animate-spin rounded-full h-6 w-6 border-2 border-purple-600 border-t-transparent mx-auto mb-2"></div>
+              <p className="text-sm text-gray-500">Reading file...</p>
+            </div>
+          )}
+
+          {preview && !previewing && (
+            <>
+              <div className="flex items-center space-x-4">
+                <label className="text-sm font-medium text-gray-700">Delimiter</label>
+                <select
+                  value={delimiter}
+                  onChange={(e) => buildPreview(file, e.target.value)}
+                  className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                >
+                  {DELIMITER_OPTIONS.map(option => (
+                    <option key={option.label} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <span className="text-xs text-gray-500">
+                  {preview.headers.length} columns detected
+                </span>
+              </div>
+
+              <div className="flex items-center space-x-4">
+                <label className="text-sm font-medium text-gray-700">Load into table</label>
+                <input
+                  type="text"
+                  value={tableName}
+                  onChange={(e) => setTableName(e.target.value.trim())}
+                  list="import-table-names"
+                  className={`px-3 py-1.5 text-sm font-mono border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+                    tableNameValid ? 'border-gray-300' : 'border-red-400'
+                  }`}
+                />
+                <datalist id="import-table-names">
+                  {state.tables.map(table => (
+                    <option key={table.name} value={table.name} />
+                  ))}
+                </datalist>
+                {tableName === PRIMARY_TABLE && (
+                  <button
+                    onClick={() => setTableName(toTableName(file.name))}
+                    className="text-xs text-purple-600 hover:text-purple-800"
+                  >
+                    Load as a separate table
+                  </button>
+                )}
+                {tableExists && (
+                  <div className="flex items-center space-x-3 text-sm text-gray-700">
+                    <label className="flex items-center space-x-1">
+                      <input type="radio" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+                      <span>Replace</span>
+                    </label>
+                    <label className="flex items-center space-x-1">
+                      <input type="radio" checked={mode === 'append'} onChange={() => setMode('append')} />
+                      <span>Append</span>
+                    </label>
+                  </div>
+                )}
+              </div>
+              <p className="text-xs text-gray-500 -mt-2">
+                {!tableNameValid
+                  ? 'Table names may only contain letters, digits and underscores.'
+                  : tableName === PRIMARY_TABLE
+                    ? 'The transactions table drives the notebook. Other tables can be joined to it in Data and Chart cells.'
+                    : `Query it alongside transactions, e.g. JOIN ${tableName} ON ${tableName}.user_id = transactions.user_id`}
+              </p>
+
+              <div className="flex items-center flex-wrap gap-x-4 gap-y-2">
+                <label className="text-sm font-medium text-gray-700">Rows</label>
+                <select
+                  value={sampling.mode}
+                  onChange={(e) => handleSamplingMode(e.target.value)}
+                  className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                >
+                  {Object.entries(SAMPLING_MODES).map(([value, option]) => (
+                    <option key={value} value={value}>{option.label}</option>
+                  ))}
+                </select>
+                {sampling.mode !== 'full' && (
+                  <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <span>N =</span>
+                    <input
+                      type="number"
+                      min={1}
+                      value={sampling.rows}
+                      onChange={(e) => setSampling({ ...sampling, rows: e.target.value })}
+                      className="w-28 px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                    />
+                  </label>
+                )}
+                {needsSampleColumn && (
+                  <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <span>by</span>
+                    <select
+                      value={sampling.by}
+                      onChange={(e) => setSampling({ ...sampling, by: e.target.value })}
+                      className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                    >
+                      {preview.headers.map(header => (
+                        <option key={header} value={header}>{header}</option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+              </div>
+              <p className="text-xs text-gray-500 -mt-2">
+                {SAMPLING_MODES[sampling.mode].description}.
+                {sampling.mode !== 'full' && ' Every row is still read, so the notebook shows the true total row count.'}
+              </p>
+
+              <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50 border-b border-gray-200">
+                    <tr>
+                      {preview.headers.map(header => (
+                        <th key={header} className="px-3 py-2 text-left text-xs font-medium text-gray-500 whitespace-nowrap">
+                          <div>{header}</div>
+                          <span className="inline-flex items-center mt-1 px-1.5 py-0.5 rounded text-[10px] font-medium bg-purple-100 text-purple-700 normal-case">
+                            {TYPE_DEFINITIONS[preview.columnTypes[header]]?.name || preview.columnTypes[header]}
+                          </span>
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {preview.rows.map((row, index) => (
+                      <tr key={index}>
+                        {preview.headers.map(header => (
+                          <td key={header} className="px-3 py-2 text-xs text-gray-900 max-w-xs truncate">
+                            {row[header]}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="flex items-center justify-end space-x-3 p-6 border-t bg-gray-50 flex-shrink-0">
+          <button
+            onClick={handleClose}
+            className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleLoad}
+            disabled={!preview || previewing || !tableNameValid || !samplingValid}
+            className="px-4 py-2 text-sm bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+          >
+            <Icon name="Database" className="w-4 h-4" />
+            <span>Load Dataset</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
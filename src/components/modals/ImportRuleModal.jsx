@@ -0,0 +1,136 @@
+import React, { useState, useRef } from 'react';
+import { useNotebook } from '../../stores/NotebookContext';
+import { Icon } from '../ui/Icon';
+import { parseRuleDocument, ruleDocumentCells } from '../../services/ruleExport';
+
+export function ImportRuleModal() {
+  const { state, dispatch, ActionTypes } = useNotebook();
+  const { importRule } = state.modals;
+  const [text, setText] = useState('');
+  const fileInputRef = useRef(null);
+
+  const handleClose = () => {
+    dispatch({
+      type: ActionTypes.TOGGLE_MODAL,
+      payload: { modal: 'importRule', value: { open: false, afterId: null } }
+    });
+    setText('');
+  };
+
+  if (!importRule.open) return null;
+
+  // Parse as the analyst types or picks a file, so problems show before importing
+  let document = null;
+  let cells = null;
+  let error = null;
+  if (text.trim()) {
+    try {
+      document = parseRuleDocument(text);
+      cells = ruleDocumentCells(document, state.cells);
+    } catch (err) {
+      error = err.message;
+    }
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (file) setText(await file.text());
+    e.target.value = '';
+  };
+
+  const handleImport = () => {
+    if (!cells) return;
+
+    // Cells added after another cell go straight after it, so those are added last to first
+    const ordered = [cells.parametersCell, cells.stateCell, cells.ruleCell].filter(Boolean);
+    for (const cell of importRule.afterId ? ordered.reverse() : ordered) {
+      dispatch({
+        type: ActionTypes.ADD_CELL,
+        payload: { cell, afterId: importRule.afterId }
+      });
+    }
+    handleClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-[640px] max-w-full max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 flex-shrink-0">
+          <h3 className="text-lg font-medium text-gray-900">Import Rule</h3>
+          <button
+            onClick={handleClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <Icon name="X" className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-3">
+          <div className="flex items-center justify-between">
+            <p className="text-xs text-gray-600">Choose an exported rule document or paste its JSON.</p>
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              className="px-3 py-1.5 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors flex items-center space-x-1"
+            >
+              <Icon name="FolderOpen" className="w-3 h-3" />
+              <span>Choose File</span>
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,application/json"
+              onChange={handleFile}
+              className="hidden"
+            />
+          </div>
+
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            className="w-full h-48 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-rose-500 text-xs font-mono"
+            placeholder='{ "format": "amlboost-rule", ... }'
+          />
+
+          {error && (
+            <div className="text-xs text-red-600 bg-red-50 px-2 py-1 rounded">{error}</div>
+          )}
+
+          {cells && (
+            <div className="bg-gray-50 rounded-lg p-3 text-xs text-gray-700 space-y-1">
+              <div><span className="font-medium">{document.rule.name}</span></div>
+              <div className="font-mono text-gray-600">{document.rule.where || 'No complete conditions'}</div>
+              <div>
+                Adds a Detection Rule cell
+                {cells.stateCell && <>, a Computed States cell with {cells.stateCell.states.map(s => s.name).join(', ')}</>}
+                {cells.parametersCell && <>, a Parameters cell with {cells.parametersCell.parameters.map(p => `:${p.name}`).join(', ')}</>}.
+              </div>
+              {document.states.length > (cells.stateCell?.states.length || 0) && (
+                <div className="text-gray-500">States already in this notebook are reused.</div>
+              )}
+              {cells.stateCell && (
+                <div className="text-gray-500">Run the Computed States cell before the rule to add its columns.</div>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="flex items-center justify-end space-x-3 p-4 border-t border-gray-200 flex-shrink-0">
+          <button
+            onClick={handleClose}
+            className="px-4 py-2 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={!cells}
+            className="px-4 py-2 text-sm bg-rose-600 text-white rounded hover:bg-rose-700 disabled:opacity-50 transition-colors flex items-center space-x-2"
+          >
+            <Icon name="Plus" className="w-4 h-4" />
+            <span>Import</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
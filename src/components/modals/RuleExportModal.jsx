@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { useNotebook } from '../../stores/NotebookContext';
+import { Icon } from '../ui/Icon';
+import { exportRuleDocument, ruleDocumentSQL } from '../../services/ruleExport';
+
+const fileName = (title, extension) => `${(title || 'rule').replace(/[^A-Za-z0-9_-]+/g, '_').toLowerCase()}.${extension}`;
+
+export function RuleExportModal() {
+  const { state, dispatch, ActionTypes } = useNotebook();
+  const { ruleExport } = state.modals;
+  const [format, setFormat] = useState('json');
+  const [copied, setCopied] = useState(false);
+
+  const cell = state.cells.find(c => c.id === ruleExport.cellId && c.type === 'rule');
+
+  const handleClose = () => {
+    dispatch({
+      type: ActionTypes.TOGGLE_MODAL,
+      payload: { modal: 'ruleExport', value: { open: false, cellId: null } }
+    });
+    setCopied(false);
+  };
+
+  if (!ruleExport.open || !cell) return null;
+
+  const document = exportRuleDocument(cell, state.cells, state.columnTypes);
+  const content = format === 'json' ? JSON.stringify(document, null, 2) : ruleDocumentSQL(document);
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(content);
+    setCopied(true);
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([content], { type: format === 'json' ? 'application/json' : 'application/sql' });
+    const url = URL.createObjectURL(blob);
+    const link = window.document.createElement('a');
+    link.href = url;
+    link.download = fileName(cell.title, format === 'json' ? 'rule.json' : 'sql');
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-[760px] max-w-full max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 flex-shrink-0">
+          <h3 className="text-lg font-medium text-gray-900">Export Rule: {cell.title}</h3>
+          <button
+            onClick={handleClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <Icon name="X" className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-3">
+          {!document.rule.where && (
+            <div className="text-xs text-amber-700 bg-amber-50 px-2 py-1 rounded">
+              The rule has no complete condition yet, so the exported SQL selects nothing.
+            </div>
+          )}
+
+          <div className="flex items-center justify-between">
+            <div className="flex space-x-1">
+              {[['json', 'Rule Document (JSON)'], ['sql', 'Standalone SQL']].map(([value, label]) => (
+                <button
+                  key={value}
+                  onClick={() => { setFormat(value); setCopied(false); }}
+                  className={`px-3 py-1.5 text-xs rounded transition-colors ${
+                    format === value ? 'bg-rose-100 text-rose-800' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <span className="text-xs text-gray-500">
+              {document.states.length} computed state{document.states.length === 1 ? '' : 's'}
+              {' • '}{document.parameters.length} parameter{document.parameters.length === 1 ? '' : 's'}
+            </span>
+          </div>
+
+          <p className="text-xs text-gray-600">
+            {format === 'json'
+              ? 'Import this document into another notebook to recreate the rule with the states and parameters it uses.'
+              : 'Adds each computed state as a column of the transactions table, then selects the alerted rows. Bind the listed parameters before running.'}
+          </p>
+
+          <pre className="bg-gray-50 border border-gray-200 rounded p-3 text-xs font-mono whitespace-pre-wrap break-all max-h-[50vh] overflow-y-auto">
+            {content}
+          </pre>
+        </div>
+
+        <div className="flex items-center justify-end space-x-3 p-4 border-t border-gray-200 flex-shrink-0">
+          <button
+            onClick={handleCopy}
+            className="px-4 py-2 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors flex items-center space-x-2"
+          >
+            <Icon name={copied ? 'CheckCircle' : 'Copy'} className="w-4 h-4" />
+            <span>{copied ? 'Copied' : 'Copy'}</span>
+          </button>
+          <button
+            onClick={handleDownload}
+            className="px-4 py-2 text-sm bg-rose-600 text-white rounded hover:bg-rose-700 transition-colors flex items-center space-x-2"
+          >
+            <Icon name="Download" className="w-4 h-4" />
+            <span>Download</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
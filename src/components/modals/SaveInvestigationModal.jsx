@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { useNotebook } from '../../stores/NotebookContext';
 import { InvestigationService } from '../../services/investigationService';
+import { PRIMARY_TABLE } from '../../services/sqliteEngine';
 import { Icon } from '../ui/Icon';
 
 export function SaveInvestigationModal({ isOpen, onClose, currentInvestigation = null }) {
@@ -28,8 +29,23 @@ export function SaveInvestigationModal({ isOpen, onClose, currentInvestigation =
           ...cell,
           // Only save the configuration, not runtime data
           queryResults: undefined,
-          queryError: undefined
-        }))
+          queryError: undefined,
+          queryMessage: undefined,
+          summary: undefined,
+          runningSince: undefined,
+          progress: undefined,
+          stale: undefined,
+          // A backtest keeps its settings; its results are computed again when it is run
+          ...(cell.backtest && { backtest: { settings: cell.backtest.settings } })
+        })),
+        dataset: state.dataset,
+        // Where the joined tables came from, so they can be reloaded with the investigation
+        tables: state.tables
+          .filter(table => table.name !== PRIMARY_TABLE && table.source)
+          .map(table => table.source),
+        scratchMode: state.scratchMode,
+        alerts: state.alerts,
+        dashboard: state.dashboard
       };
 
       const savedInvestigation = InvestigationService.saveInvestigation(investigation);
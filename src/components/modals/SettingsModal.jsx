@@ -1,10 +1,47 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNotebook } from '../../stores/NotebookContext';
+import { datasetCache } from '../../services/datasetCache';
 import { Icon } from '../ui/Icon';
 
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
 export function SettingsModal() {
   const { state, dispatch, ActionTypes } = useNotebook();
   const [apiKey, setApiKey] = useState(state.settings.apiKey || '');
+  const [storage, setStorage] = useState(null);
+
+  const refreshStorage = async () => {
+    try {
+      setStorage(await datasetCache.getUsage());
+    } catch (error) {
+      console.error('Failed to read storage usage:', error);
+      setStorage(null);
+    }
+  };
+
+  useEffect(() => {
+    if (state.modals.settings) {
+      refreshStorage();
+    }
+  }, [state.modals.settings]);
+
+  const handleRemoveCached = async (fingerprint) => {
+    await datasetCache.delete(fingerprint);
+    refreshStorage();
+  };
+
+  const handleClearCache = async () => {
+    if (!confirm('Clear all cached datasets? They will be parsed and computed again on the next load.')) {
+      return;
+    }
+    await datasetCache.clear();
+    refreshStorage();
+  };
 
   const handleClose = () => {
     dispatch({
@@ -30,7 +67,7 @@ export function SettingsModal() {
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-      <div className="bg-white rounded-lg p-6 w-[480px] max-w-full mx-4">
+      <div className="bg-white rounded-lg p-6 w-[480px] max-w-full max-h-[90vh] overflow-y-auto mx-4">
         <div className="flex items-center justify-between mb-6">
           <h3 className="text-lg font-medium text-gray-900">Settings</h3>
           <button 
@@ -72,6 +109,55 @@ export function SettingsModal() {
             </div>
           </div>
 
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="block text-sm font-medium text-gray-700">
+                Cached Data
+              </label>
+              <button
+                onClick={handleClearCache}
+                disabled={!storage || storage.entries.length === 0}
+                className="text-xs text-red-600 hover:text-red-800 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Clear cached data
+              </button>
+            </div>
+            {storage ? (
+              <>
+                <p className="text-xs text-gray-500 mb-2">
+                  {formatBytes(storage.cached)} in {storage.entries.length} cached dataset{storage.entries.length === 1 ? '' : 's'}
+                  {storage.quota ? ` • ${formatBytes(storage.usage)} of ${formatBytes(storage.quota)} browser storage used` : ''}
+                </p>
+                {storage.entries.length > 0 && (
+                  <div className="border border-gray-200 rounded-lg divide-y divide-gray-200 max-h-40 overflow-y-auto">
+                    {storage.entries.map(entry => (
+                      <div key={entry.fingerprint} className="flex items-center justify-between px-3 py-2 text-xs">
+                        <div className="min-w-0">
+                          <div className="font-medium text-gray-800 truncate">{entry.dataset?.name || 'Dataset'}</div>
+                          <div className="text-gray-500">
+                            {entry.dataset?.rowCount?.toLocaleString()} rows • {formatBytes(entry.size)} • {new Date(entry.savedAt).toLocaleString()}
+                          </div>
+                        </div>
+                        <button
+                          onClick={() => handleRemoveCached(entry.fingerprint)}
+                          className="p-1 text-gray-400 hover:text-red-600"
+                          title="Remove from cache"
+                        >
+                          <Icon name="Trash2" className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </>
+            ) : (
+              <p className="text-xs text-gray-500">Cached data is not available in this browser</p>
+            )}
+            <p className="text-xs text-gray-500 mt-1">
+              Loaded datasets and computed state columns are kept in this browser so unchanged data reopens instantly
+            </p>
+          </div>
+
           <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
             <div className="flex items-start space-x-3">
               <Icon name="Settings" className="w-5 h-5 text-yellow-600 mt-0.5" />
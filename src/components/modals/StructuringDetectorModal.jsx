@@ -0,0 +1,267 @@
+import React, { useState } from 'react';
+import { useNotebook } from '../../stores/NotebookContext';
+import { Icon } from '../ui/Icon';
+import { structuringDetector, structuringSettings, WINDOW_UNITS, DEFAULT_TIME_COLUMN, DEFAULT_STRUCTURING } from '../../services/computedStates';
+
+const DEFAULT_SETTINGS = {
+  prefix: 'structuring',
+  field: 'charged_amount',
+  groupBy: 'user_id',
+  condition: '',
+  windowSize: 7,
+  windowUnit: 'day',
+  timeColumn: DEFAULT_TIME_COLUMN,
+  ...DEFAULT_STRUCTURING,
+  addReport: true
+};
+
+export function StructuringDetectorModal() {
+  const { state, dispatch, ActionTypes } = useNotebook();
+  const { structuringDetector: detector } = state.modals;
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [isComputing, setIsComputing] = useState(false);
+
+  const columns = Object.keys(state.columnTypes || {});
+  const numericColumns = columns.filter(column => ['integer', 'decimal', 'currency', 'percentage'].includes(state.columnTypes[column]));
+  const timeColumns = [...new Set([
+    settings.timeColumn,
+    ...columns.filter(column => ['date', 'datetime', 'integer', 'decimal'].includes(state.columnTypes[column]))
+  ])];
+  const { lower } = structuringSettings(settings);
+
+  const update = (key, value) => setSettings({ ...settings, [key]: value });
+  const updateNumber = (key) => (e) => update(key, e.target.value === '' ? '' : Number(e.target.value));
+
+  const handleClose = () => {
+    dispatch({
+      type: ActionTypes.TOGGLE_MODAL,
+      payload: { modal: 'structuringDetector', value: { open: false, cellId: null } }
+    });
+    setSettings(DEFAULT_SETTINGS);
+  };
+
+  const handleCreate = async () => {
+    const targetCell = state.cells.find(c => c.id === detector.cellId && c.type === 'state');
+    if (!targetCell) return;
+
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(settings.prefix)) {
+      alert('The column prefix can only use letters, numbers and underscores');
+      return;
+    }
+    if (!settings.field || !settings.groupBy) {
+      alert('Please choose the amount column and the entity to group by');
+      return;
+    }
+    if (!(settings.threshold > 0) || !(settings.minCount >= 1) || !(settings.windowSize >= 1)) {
+      alert('Threshold, minimum count and window must be positive numbers');
+      return;
+    }
+
+    const { addReport, ...config } = settings;
+    const { states, reportQuery } = structuringDetector(config, state.columnTypes);
+
+    const taken = state.cells
+      .filter(c => c.type === 'state')
+      .flatMap(c => c.states.map(s => s.name.toLowerCase()));
+    const clash = states.find(s => taken.includes(s.name.toLowerCase()));
+    if (clash) {
+      alert(`A state named "${clash.name}" already exists. Choose another prefix.`);
+      return;
+    }
+
+    dispatch({
+      type: ActionTypes.UPDATE_CELL,
+      payload: { id: targetCell.id, updates: { states: [...targetCell.states, ...states] } }
+    });
+
+    if (addReport) {
+      dispatch({
+        type: ActionTypes.ADD_CELL,
+        payload: {
+          afterId: targetCell.id,
+          cell: {
+            id: Date.now(),
+            type: 'data',
+            title: `Structuring Report (${settings.prefix})`,
+            query: reportQuery,
+            columns: [],
+            visibleColumns: [],
+            filters: [],
+            collapsed: false,
+            executed: false,
+            executionTime: null,
+            rowCount: null,
+            queryResults: []
+          }
+        }
+      });
+    }
+
+    setIsComputing(true);
+    try {
+      const { sqliteEngine } = await import('../../services/sqliteEngine');
+      const { computedStatesService, initializeComputedStatesService } = await import('../../services/computedStates');
+      const service = computedStatesService || initializeComputedStatesService(sqliteEngine);
+
+      // Compute the flag and score inside SQLite as new columns of the transactions table
+      for (const stateObj of states) {
+        await service.persistState(stateObj);
+      }
+
+      // Show the new columns in the notebook
+      dispatch({ type: ActionTypes.MERGE_CSV_COLUMNS, payload: await sqliteEngine.readColumns(states.map(stateObj => stateObj.name)) });
+      dispatch({ type: ActionTypes.SET_COLUMN_TYPES, payload: sqliteEngine.columnTypes });
+    } catch (error) {
+      console.error('Error computing structuring detector:', error);
+      alert(`Structuring states were added, but computing them failed: ${error.message}`);
+    } finally {
+      setIsComputing(false);
+    }
+
+    handleClose();
+  };
+
+  if (!detector.open) return null;
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg w-[520px] max-w-full max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 flex-shrink-0">
+          <h3 className="text-lg font-medium text-gray-900">Structuring Detector</h3>
+          <button
+            onClick={handleClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <Icon name="X" className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4">
+          <div className="space-y-4">
+            <p className="text-xs text-gray-600">
+              Flags entities that make repeated transactions just under a reporting threshold.
+              Adds <span className="font-mono">{settings.prefix}_flag</span> and <span className="font-mono">{settings.prefix}_score</span> as
+              persistent states; a score of 1 or more meets both the count and the total.
+            </p>
+
+            <div className="grid grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Column Prefix</label>
+                <input
+                  type="text"
+                  value={settings.prefix}
+                  onChange={(e) => update('prefix', e.target.value)}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Amount</label>
+                <select value={settings.field} onChange={(e) => update('field', e.target.value)} className={inputClass}>
+                  {[...new Set([settings.field, ...numericColumns])].map(column => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Per</label>
+                <select value={settings.groupBy} onChange={(e) => update('groupBy', e.target.value)} className={inputClass}>
+                  {[...new Set([settings.groupBy, ...columns])].map(column => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Reporting Threshold</label>
+                <input type="number" min="0" value={settings.threshold} onChange={updateNumber('threshold')} className={inputClass} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Tolerance Band (%)</label>
+                <input type="number" min="1" max="100" value={settings.tolerancePercent} onChange={updateNumber('tolerancePercent')} className={inputClass} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Minimum Count</label>
+                <input type="number" min="1" value={settings.minCount} onChange={updateNumber('minCount')} className={inputClass} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Minimum Total</label>
+                <input type="number" min="0" value={settings.minTotal} onChange={updateNumber('minTotal')} className={inputClass} />
+              </div>
+            </div>
+
+            <div className="grid grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Window</label>
+                <input type="number" min="1" value={settings.windowSize} onChange={updateNumber('windowSize')} className={inputClass} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Unit</label>
+                <select value={settings.windowUnit} onChange={(e) => update('windowUnit', e.target.value)} className={inputClass}>
+                  {Object.entries(WINDOW_UNITS).map(([unit, { label }]) => (
+                    <option key={unit} value={unit}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Time Column</label>
+                <select value={settings.timeColumn} onChange={(e) => update('timeColumn', e.target.value)} className={inputClass}>
+                  {timeColumns.map(column => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="bg-gray-50 rounded-lg p-3 text-xs text-gray-600">
+              Flags a {settings.groupBy} with at least {settings.minCount} transactions of {settings.field} from {lower} up to
+              (not including) {settings.threshold}, adding up to {settings.minTotal} or more, within {settings.windowSize} {WINDOW_UNITS[settings.windowUnit]?.label.toLowerCase()}.
+            </div>
+
+            <div className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                id="structuring-report"
+                checked={settings.addReport}
+                onChange={(e) => update('addReport', e.target.checked)}
+                className="rounded border-gray-300 text-purple-600 focus:ring-purple-500"
+              />
+              <label htmlFor="structuring-report" className="text-sm text-gray-700">
+                Add a Data cell listing flagged {settings.groupBy} values and their qualifying transactions
+              </label>
+            </div>
+          </div>
+        </div>
+
+        <div className="flex items-center justify-end space-x-3 p-4 border-t border-gray-200 flex-shrink-0">
+          <button
+            onClick={handleClose}
+            className="px-4 py-2 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleCreate}
+            disabled={isComputing}
+            className="px-4 py-2 text-sm bg-purple-600 text-white rounded hover:bg-purple-700 disabled:opacity-50 transition-colors flex items-center space-x-2"
+          >
+            {isComputing ? (
+              <>
+                <div className="animate-spin rounded-full h-3 w-3 border-b-2 border-white"></div>
+                <span>Computing...</span>
+              </>
+            ) : (
+              <>
+                <Icon name="Plus" className="w-4 h-4" />
+                <span>Add Detector</span>
+              </>
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { useNotebook } from '../../stores/NotebookContext';
+import { sqliteEngine, PRIMARY_TABLE } from '../../services/sqliteEngine';
+import { Icon } from '../ui/Icon';
+
+export function TablesModal() {
+  const { state, dispatch, ActionTypes } = useNotebook();
+  const [expanded, setExpanded] = useState(PRIMARY_TABLE);
+
+  const handleClose = () => {
+    dispatch({
+      type: ActionTypes.TOGGLE_MODAL,
+      payload: { modal: 'tables', value: false }
+    });
+  };
+
+  const openImport = () => {
+    handleClose();
+    dispatch({
+      type: ActionTypes.TOGGLE_MODAL,
+      payload: { modal: 'importData', value: { open: true, expectedDataset: null } }
+    });
+  };
+
+  const handleDrop = async (tableName) => {
+    if (!confirm(`Drop table "${tableName}"? Cells that join to it will stop working.`)) {
+      return;
+    }
+    await sqliteEngine.dropTable(tableName);
+    dispatch({ type: ActionTypes.SET_TABLES, payload: await sqliteEngine.listTables() });
+  };
+
+  if (!state.modals.tables) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-[640px] max-w-full max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="flex items-center justify-between p-6 border-b flex-shrink-0">
+          <h3 className="text-lg font-semibold text-gray-900">Tables</h3>
+          <button
+            onClick={handleClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <Icon name="X" className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-3">
+          {state.tables.length === 0 && (
+            <p className="text-sm text-gray-500 text-center py-6">No tables loaded yet</p>
+          )}
+
+          {state.tables.map(table => (
+            <div key={table.name} className="border border-gray-200 rounded-lg">
+              <div className="flex items-center justify-between px-4 py-3">
+                <button
+                  onClick={() => setExpanded(expanded === table.name ? null : table.name)}
+                  className="flex items-center space-x-2 text-left"
+                >
+                  <Icon name={expanded === table.name ? 'ChevronDown' : 'ChevronRight'} className="w-4 h-4 text-gray-400" />
+                  <span className="font-mono text-sm font-medium text-gray-900">{table.name}</span>
+                  {table.scratch && (
+                    <span className="px-1.5 py-0.5 rounded text-[10px] font-medium bg-yellow-100 text-yellow-800">
+                      {table.temp ? 'temp ' : ''}{table.type === 'view' ? 'view' : 'scratch'}
+                    </span>
+                  )}
+                  <span className="text-xs text-gray-500">
+                    {table.rowCount !== null && `${table.rowCount.toLocaleString()} rows • `}{table.columns.length} columns
+                    {table.source?.name && ` • ${table.source.name}`}
+                  </span>
+                </button>
+                {table.name !== PRIMARY_TABLE && (
+                  <button
+                    onClick={() => handleDrop(table.name)}
+                    className="text-xs text-red-600 hover:text-red-800 flex items-center space-x-1"
+                  >
+                    <Icon name="Trash2" className="w-3 h-3" />
+                    <span>Drop</span>
+                  </button>
+                )}
+              </div>
+
+              {expanded === table.name && (
+                <div className="border-t border-gray-200 px-4 py-2 grid grid-cols-2 gap-x-4 gap-y-1">
+                  {table.schema.map(column => (
+                    <div key={column.name} className="flex items-center justify-between text-xs">
+                      <span className="font-mono text-gray-800 truncate">{column.name}</span>
+                      <span className="text-gray-500">{column.type}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="flex items-center justify-between p-6 border-t bg-gray-50 flex-shrink-0">
+          <p className="text-xs text-gray-500">
+            Data and Chart cells can JOIN any of these tables.
+            {state.scratchMode
+              ? ' Scratch mode is on: cells can create views and derived tables.'
+              : ' Turn on scratch mode to create views and derived tables from cells.'}
+          </p>
+          <button
+            onClick={openImport}
+            className="px-4 py-2 text-sm bg-purple-600 text-white rounded-lg hover:bg-purple-700 flex items-center space-x-2"
+          >
+            <Icon name="Plus" className="w-4 h-4" />
+            <span>Add Table</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -4,9 +4,13 @@ import {
   Plus,
   NavArrowDown,
   NavArrowUp,
+  NavArrowRight,
+  NavArrowLeft,
   MoreHoriz,
   CandlestickChart,
   DatabaseStats,
+  Table,
+  ControlSlider,
   Brain,
   FloppyDisk,
   Download,
@@ -28,7 +32,12 @@ import {
   Page,
   InfoCircle,
   Copy,
-  WarningCircle
+  WarningCircle,
+  ShieldAlert,
+  Network,
+  Filter,
+  Pin,
+  ViewGrid
 } from 'iconoir-react';
 
 // Icon mapping from old names to Iconoir components
@@ -38,11 +47,18 @@ const iconMap = {
   'Plus': Plus,
   'ChevronDown': NavArrowDown,
   'ChevronUp': NavArrowUp,
+  'ChevronRight': NavArrowRight,
+  'ChevronLeft': NavArrowLeft,
   // 'MoreVertical': MoreHoriz, // Commented out to use vertical fallback ⋮
   
   // Data & Charts
   'BarChart3': CandlestickChart,
+  'Network': Network,
   'Database': DatabaseStats,
+  'Table': Table,
+  'Sliders': ControlSlider,
+  'Filter': Filter,
+  'LayoutGrid': ViewGrid,
   
   // AI & Intelligence
   'Brain': Brain,
@@ -54,6 +70,7 @@ const iconMap = {
   'Edit3': EditPencil,
   'Trash2': Trash,
   'Copy': Copy,
+  'Pin': Pin,
   'Send': Send,
   
   // Status & Feedback
@@ -63,6 +80,7 @@ const iconMap = {
   'EyeOff': EyeClosed,
   'AlertCircle': WarningCircle,
   'AlertTriangle': WarningTriangle,
+  'ShieldAlert': ShieldAlert,
   'Info': InfoCircle,
   
   // Communication
@@ -84,7 +102,8 @@ const getFallbackIcon = (name) => {
     MoreVertical: '⋮', BarChart3: '⧄', Database: '▤', 
     Brain: '◉', Save: '◊', Download: '↓', Eye: '○', EyeOff: '●',
     Sparkles: '✦', Edit3: '✎', Trash2: '🗴', CheckCircle: '✓',
-    Clock: '◷', MessageCircle: '○', Send: '→', X: '×', Settings: '⚙'
+    Clock: '◷', MessageCircle: '○', Send: '→', X: '×', Settings: '⚙',
+    ShieldAlert: '⛉', Network: '⋈', Filter: '⏷', Pin: '⚲', LayoutGrid: '▦'
   };
   return fallbacks[name] || '●';
 };
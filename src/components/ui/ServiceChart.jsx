@@ -0,0 +1,35 @@
+import React, { useRef, useEffect } from 'react';
+import { chartService } from '../../services/chartService';
+
+// Chart rendered through the shared chart service, redrawn when its data or config
+// changes. Pass a memoized config so it is not redrawn on every render.
+export function ServiceChart({ chartId, data, config, onChartClick, className = 'w-full h-72' }) {
+  const chartRef = useRef(null);
+  // The latest handler, so a new callback does not redraw the chart
+  const clickHandler = useRef(onChartClick);
+  clickHandler.current = onChartClick;
+
+  useEffect(() => {
+    if (!chartRef.current || !window.echarts || data.length === 0) return;
+
+    let cancelled = false;
+    const render = async () => {
+      try {
+        if (!chartService.hasValidChart(chartId)) {
+          await chartService.initChart(chartId, chartRef.current);
+          chartService.getInstance(chartId).on('click', (params) => clickHandler.current?.(params));
+        }
+        if (!cancelled) await chartService.renderChart(chartId, data, config);
+      } catch (error) {
+        console.error(`Chart ${chartId} failed:`, error);
+      }
+    };
+    render();
+
+    return () => { cancelled = true; };
+  }, [chartId, data, config]);
+
+  useEffect(() => () => chartService.disposeChart(chartId), [chartId]);
+
+  return <div ref={chartRef} className={className} />;
+}
@@ -60,7 +60,7 @@ This investigation leverages advanced analytical techniques including:
           {
             name: 'user_fraud_rate',
             description: 'Percentage of fraudulent transactions per user',
-            query: 'ROUND(SUM(CASE WHEN fraud = 1 THEN 1 ELSE 0 END) * 100.0 / COUNT(*) OVER (PARTITION BY user_id), 2)',
+            query: 'ROUND(SUM(CASE WHEN fraud = 1 THEN 1 ELSE 0 END) OVER (PARTITION BY user_id) * 100.0 / COUNT(*) OVER (PARTITION BY user_id), 2)',
             computationType: 'risk_score',
             field: 'fraud',
             condition: 'fraud = 1',
@@ -71,7 +71,7 @@ This investigation leverages advanced analytical techniques including:
           {
             name: 'merchant_success_rate',
             description: 'Merchant transaction success rate (non-declined transactions)',
-            query: 'ROUND(SUM(CASE WHEN decline = 0 THEN 1 ELSE 0 END) * 100.0 / COUNT(*) OVER (PARTITION BY merchant_id), 2)',
+            query: 'ROUND(SUM(CASE WHEN decline = 0 THEN 1 ELSE 0 END) OVER (PARTITION BY merchant_id) * 100.0 / COUNT(*) OVER (PARTITION BY merchant_id), 2)',
             computationType: 'aggregate_count',
             field: 'decline',
             condition: 'decline = 0',
@@ -173,7 +173,7 @@ ORDER BY fraud_rate DESC, total_volume DESC`,
         id: 6,
         type: 'chart',
         title: 'Fraud Rate by Country (Geographic Heatmap)',
-        chartType: 'bar',
+        chartType: 'map',
         dataSource: 'query',
         xAxis: 'merchant_country',
         yAxis: 'fraud_rate',
@@ -525,26 +525,35 @@ ORDER BY destination_risk DESC, structuring_indicators DESC`,
       },
       {
         id: 6,
+        type: 'network',
+        title: 'Transaction Flow Network (User → Merchant → Country)',
+        network: {
+          path: ['user_id', 'merchant_id', 'merchant_country'],
+          weight: 'amount',
+          minWeight: 0,
+          maxEdges: 60,
+          filter: "merchant_country != 'USA'",
+          layout: 'sankey',
+          expanded: []
+        },
+        collapsed: false,
+        executed: false,
+        executionTime: null,
+        queryResults: []
+      },
+      {
+        id: 9,
         type: 'chart',
-        title: 'Transaction Flow Network (Country-to-Country)',
-        chartType: 'bar',
-        dataSource: 'query',
-        xAxis: 'destination_risk',
-        yAxis: 'destination_country',
-        query: `SELECT 
-  merchant_country as destination_country,
-  SUM(charged_amount) as total_volume,
-  AVG(merchant_country_risk) as destination_risk,
-  COUNT(*) as flow_count
-FROM transactions 
-WHERE merchant_country != 'USA'
-GROUP BY merchant_country
-HAVING flow_count > 20
-ORDER BY total_volume DESC
-LIMIT 15`,
+        title: 'Currency Corridors (Origin → Charged → Merchant Country)',
+        chartType: 'sankey',
+        dataSource: 'csv',
+        xAxis: 'orig_currency',
+        yAxis: 'charged_currency',
+        zAxis: 'charged_amount',
+        sankeyStages: ['merchant_country'],
         collapsed: false,
         executed: true,
-        executionTime: '1.9s'
+        executionTime: '0.1s'
       },
       {
         id: 7,
@@ -760,7 +769,7 @@ LIMIT 25`,
         xAxis: 'success_rate',
         yAxis: 'user_diversity',
         colorBy: 'fraud_rate',
-        sizeBy: 'total_volume',
+        zAxis: 'total_volume',
         query: `SELECT 
   merchant_name,
   ROUND((COUNT(*) - SUM(CASE WHEN decline = 1 THEN 1 ELSE 0 END)) * 100.0 / COUNT(*), 2) as success_rate,
@@ -873,6 +882,24 @@ ORDER BY country_volume DESC, avg_country_success_rate ASC`,
         rowCount: 15,
         queryResults: []
       },
+      {
+        id: 11,
+        type: 'network',
+        title: 'Merchant Network Concentration Graph',
+        network: {
+          path: ['user_id', 'merchant_id', 'merchant_country'],
+          weight: 'transactions',
+          minWeight: 2,
+          maxEdges: 150,
+          filter: '',
+          layout: 'force',
+          expanded: []
+        },
+        collapsed: false,
+        executed: false,
+        executionTime: null,
+        queryResults: []
+      },
       {
         id: 8,
         type: 'chart',
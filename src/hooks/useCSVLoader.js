@@ -1,20 +1,60 @@
 import { useEffect, useCallback, useRef } from 'react';
 import { useNotebook } from '../stores/NotebookContext';
 import { csvLoader } from '../services/csvLoader';
-import { sqliteEngine } from '../services/sqliteEngine';
-import { initializeComputedStatesService, computedStatesService } from '../services/computedStates';
+import { sqliteEngine, PRIMARY_TABLE } from '../services/sqliteEngine';
+import { initializeComputedStatesService, computedStatesService, stateSignature } from '../services/computedStates';
+import { datasetCache, fingerprintSource } from '../services/datasetCache';
+import { FULL_LOAD, samplingKey } from '../services/rowSampler';
+import { collectParameters } from '../services/queryParameters';
+import { executionOrder, downstreamCells, isRunnableCell } from '../services/cellDependencies';
+import { ruleQueries, isGroup, SOURCE_ROWID } from '../services/detectionRules';
+import {
+  DEFAULT_BACKTEST,
+  backtestQueries,
+  backtestMetrics,
+  conditionAt,
+  sweepCutoffsQuery,
+  sweepQuery,
+  sweepPoints
+} from '../services/ruleBacktest';
+import { networkQuery, mergeNetworkEdges } from '../services/transactionNetwork';
+import { chartSelections, filteredQuery } from '../services/chartSelection';
 
-export function useCSVLoader() {
-  const { state, dispatch, ActionTypes } = useNotebook();
-  const hasAutoExecuted = useRef(false);
+// Dataset bundled with the app, loaded on startup
+export const DEFAULT_DATASET_URL = './data.csv';
+
+// Identify a dataset so investigations can tell whether it is the one they were built on
+export function isSameDataset(a, b) {
+  if (!a || !b || a.source !== b.source) return false;
+  if (samplingKey(a.sampling) !== samplingKey(b.sampling)) return false;
+  if (a.source === 'url') return a.url === b.url;
+  return a.name === b.name && a.size === b.size && a.lastModified === b.lastModified;
+}
+
+// The app calls it with autoRun once, at the top level, so cells run once per dataset
+// however many components use the hook
+export function useCSVLoader({ autoRun = false } = {}) {
+  const { state, dispatch, getState, ActionTypes } = useNotebook();
+  const hasAutoExecuted = useRef(null);
   const isLoading = useRef(false);
   const hasLoaded = useRef(false);
 
+  // Save the current database image so an unchanged dataset is restored on the next load.
+  // The engine only snapshots after loads, so take a fresh one with the changes since.
+  const cacheDatabase = useCallback(async (dataset) => {
+    if (dataset?.fingerprint) {
+      await sqliteEngine.checkpoint();
+      await datasetCache.put(dataset.fingerprint, { dataset, snapshot: sqliteEngine.snapshot });
+    }
+  }, []);
+
   const executeStateCell = useCallback(async (cellId) => {
+    const state = getState();
     const cell = state.cells.find(c => c.id === cellId);
     
     if (cell && cell.type === 'state' && cell.states && state.csvData.length > 0) {
       const startTime = Date.now();
+      dispatch({ type: ActionTypes.SET_CELL_RUNNING, payload: { cellId, runningSince: startTime } });
       
       try {
         // Check if computedStatesService is available - initialize if needed
@@ -29,23 +69,48 @@ export function useCSVLoader() {
         
         console.log('Executing state cell with', cell.states.length, 'states');
         
-        // Apply each computed state to the dataset
-        let currentData = state.csvData;
-        for (const stateConfig of cell.states) {
-          if (stateConfig.persistent) {
-            console.log(`Computing and persisting state: ${stateConfig.name}`, stateConfig);
-            
-            // Use the computedStatesService to apply the state
-            const updatedData = await computedStatesService.persistStateToDataset(currentData, stateConfig);
-            currentData = updatedData;
+        // Columns restored from the cache are kept while the state definition is unchanged
+        const computedStates = { ...(state.dataset?.computedStates || {}) };
+        const columns = Object.keys(state.csvData[0] || {});
+        const pending = cell.states.filter(stateConfig => {
+          const isCached = computedStates[stateConfig.name] === stateSignature(stateConfig) && columns.includes(stateConfig.name);
+          if (stateConfig.persistent && isCached) {
+            console.log(`State ${stateConfig.name} restored from cache, skipping`);
+          }
+          return stateConfig.persistent && !isCached;
+        });
+        const computed = [];
+        
+        try {
+          // Each state is computed inside SQLite as a column of the transactions table
+          for (const [index, stateConfig] of pending.entries()) {
+            await computedStatesService.persistState(stateConfig, {
+              onProgress: ({ stage, done, total }) => dispatch({
+                type: ActionTypes.SET_CELL_RUNNING,
+                payload: {
+                  cellId,
+                  runningSince: startTime,
+                  progress: `${stateConfig.name} (${index + 1}/${pending.length}): ${stage}${total > 0 ? ` ${Math.round(done / total * 100)}%` : ''}`
+                }
+              })
+            });
             
-            console.log('State applied, data now has', Object.keys(currentData[0] || {}).length, 'columns');
+            computedStates[stateConfig.name] = stateSignature(stateConfig);
+            computed.push(stateConfig.name);
+          }
+        } finally {
+          if (computed.length > 0) {
+            // Show the new columns in the notebook, even if a later state failed
+            dispatch({ type: ActionTypes.MERGE_CSV_COLUMNS, payload: await sqliteEngine.readColumns(computed) });
+            dispatch({ type: ActionTypes.SET_COLUMN_TYPES, payload: sqliteEngine.columnTypes });
             
-            // Update the SQL engine with the new data including computed states
-            await sqliteEngine.setData(currentData);
+            if (state.dataset) {
+              dispatch({ type: ActionTypes.UPDATE_DATASET, payload: { computedStates } });
+              await cacheDatabase({ ...state.dataset, computedStates });
+            }
             
-            // Update the CSV data in state
-            dispatch({ type: ActionTypes.SET_CSV_DATA, payload: currentData });
+            // Cells reading the recomputed columns have results from the old values
+            dispatch({ type: ActionTypes.MARK_CELLS_STALE, payload: downstreamCells(state.cells, [cellId]) });
           }
         }
         
@@ -77,9 +142,156 @@ export function useCSVLoader() {
         });
       }
     }
-  }, [state.cells, state.csvData, dispatch, ActionTypes]);
+  }, [dispatch, getState, ActionTypes, cacheDatabase]);
+
+  // Count a rule's hits over the whole table and fetch the rows it alerts on
+  const executeRuleCell = useCallback(async (cellId) => {
+    const state = getState();
+    const cell = state.cells.find(c => c.id === cellId);
+    if (!cell || cell.type !== 'rule' || state.csvData.length === 0) return;
+
+    const startTime = Date.now();
+    dispatch({ type: ActionTypes.SET_CELL_RUNNING, payload: { cellId, runningSince: startTime } });
+
+    const queries = ruleQueries(cell.rule, state.columnTypes);
+    const options = { params: collectParameters(state.cells) };
+    const summary = queries ? await sqliteEngine.execute(queries.summaryQuery, options) : null;
+    const rows = summary?.success ? await sqliteEngine.execute(queries.rowsQuery, options) : null;
+    const executionTime = `${((Date.now() - startTime) / 1000).toFixed(1)}s`;
+
+    if (rows?.success) {
+      const { hits, total } = summary.data[0];
+      // The rowid only keys alerts, so the table does not show it
+      const resultColumns = rows.data.length > 0 ? Object.keys(rows.data[0]).filter(column => column !== SOURCE_ROWID) : [];
+      dispatch({
+        type: ActionTypes.EXECUTE_CELL,
+        payload: {
+          cellId,
+          success: true,
+          executionTime,
+          results: rows.data,
+          rowCount: hits,
+          columns: resultColumns,
+          visibleColumns: resultColumns,
+          summary: { hits, total, where: queries.where }
+        }
+      });
+    } else {
+      dispatch({
+        type: ActionTypes.EXECUTE_CELL,
+        payload: {
+          cellId,
+          success: false,
+          executionTime,
+          error: queries ? (summary.success ? rows.error : summary.error) : 'Add at least one complete condition to run the rule'
+        }
+      });
+    }
+  }, [dispatch, getState, ActionTypes]);
+
+  // Aggregate the edges of a network cell's path, plus the neighbours of expanded nodes
+  const executeNetworkCell = useCallback(async (cellId) => {
+    const state = getState();
+    const cell = state.cells.find(c => c.id === cellId);
+    if (!cell || cell.type !== 'network' || state.csvData.length === 0) return;
+
+    const startTime = Date.now();
+    dispatch({ type: ActionTypes.SET_CELL_RUNNING, payload: { cellId, runningSince: startTime } });
+
+    const network = networkQuery(cell.network, Object.keys(state.csvData[0]));
+    const result = network
+      ? await sqliteEngine.execute(network.query, { params: { ...collectParameters(state.cells), ...network.params } })
+      : null;
+    const executionTime = `${((Date.now() - startTime) / 1000).toFixed(1)}s`;
+
+    if (result?.success) {
+      const edges = mergeNetworkEdges(result.data);
+      const resultColumns = edges.length > 0 ? Object.keys(edges[0]) : [];
+      dispatch({
+        type: ActionTypes.EXECUTE_CELL,
+        payload: {
+          cellId,
+          success: true,
+          executionTime,
+          results: edges,
+          rowCount: edges.length,
+          columns: resultColumns,
+          visibleColumns: resultColumns
+        }
+      });
+    } else {
+      dispatch({
+        type: ActionTypes.EXECUTE_CELL,
+        payload: {
+          cellId,
+          success: false,
+          executionTime,
+          error: network ? result.error : 'Choose at least two columns of the table for the network path'
+        }
+      });
+    }
+  }, [dispatch, getState, ActionTypes]);
+
+  // Score a rule cell against its label column and keep the results with the cell
+  const backtestRuleCell = useCallback(async (cellId) => {
+    const state = getState();
+    const cell = state.cells.find(c => c.id === cellId);
+    if (!cell || cell.type !== 'rule' || state.csvData.length === 0) return;
+
+    const settings = { ...DEFAULT_BACKTEST, ...cell.backtest?.settings };
+    const saveBacktest = (updates) => dispatch({
+      type: ActionTypes.UPDATE_CELL,
+      payload: { id: cellId, updates: { backtest: { settings, ...updates } } }
+    });
+
+    const queries = backtestQueries(cell.rule, settings, state.columnTypes);
+    if (!queries) {
+      saveBacktest({ results: null, error: 'Add a complete condition and choose a label column to backtest the rule' });
+      return;
+    }
+
+    const startTime = Date.now();
+    const options = { params: collectParameters(state.cells) };
+    const confusion = await sqliteEngine.execute(queries.confusionQuery, options);
+    const daily = confusion.success ? await sqliteEngine.execute(queries.dailyQuery, options) : null;
+    const failed = !confusion.success ? confusion : daily?.success ? null : daily;
+    if (failed) {
+      saveBacktest({ results: null, error: failed.error });
+      return;
+    }
+
+    // Threshold sweep over the chosen numeric condition, if it is still in the rule
+    let sweep = null;
+    const swept = settings.sweepPath && conditionAt(cell.rule, settings.sweepPath);
+    if (swept && !isGroup(swept)) {
+      const cutoffs = await sqliteEngine.execute(sweepCutoffsQuery(swept.column));
+      const values = cutoffs.success ? cutoffs.data.map(row => row.cutoff) : [];
+      const query = sweepQuery(cell.rule, settings, values, state.columnTypes);
+      const result = query ? await sqliteEngine.execute(query, options) : null;
+      if (result && !result.success) {
+        saveBacktest({ results: null, error: result.error });
+        return;
+      }
+      sweep = result ? { column: swept.column, operator: swept.operator, current: swept.value, points: sweepPoints(result.data[0], values) } : null;
+    }
+
+    const counts = confusion.data[0];
+    saveBacktest({
+      error: null,
+      results: {
+        where: queries.where,
+        label: queries.label,
+        confusion: counts,
+        metrics: backtestMetrics(counts),
+        daily: daily.data,
+        sweep,
+        executionTime: `${((Date.now() - startTime) / 1000).toFixed(1)}s`
+      }
+    });
+  }, [dispatch, getState, ActionTypes]);
 
   const executeCell = useCallback(async (cellId) => {
+    const state = getState();
     const cell = state.cells.find(c => c.id === cellId);
     
     if (cell && (cell.type === 'data' || cell.type === 'chart') && cell.query && state.csvData.length > 0) {
@@ -87,7 +299,32 @@ export function useCSVLoader() {
       console.log('Query:', cell.query);
       
       const startTime = Date.now();
-      const result = sqliteEngine.execute(cell.query);
+      dispatch({ type: ActionTypes.SET_CELL_RUNNING, payload: { cellId, runningSince: startTime } });
+      
+      // A Data cell linked from charts shows only the rows matching their selections
+      const selections = cell.type === 'data' ? chartSelections(state.cells, cellId) : [];
+      const tableColumns = state.tables.find(table => table.name === PRIMARY_TABLE)?.columns ||
+        Object.keys(state.csvData[0] || {});
+      const { query, error } = selections.length > 0
+        ? filteredQuery(cell.query, selections, { tableColumns })
+        : { query: cell.query };
+      if (error) {
+        dispatch({
+          type: ActionTypes.EXECUTE_CELL,
+          payload: {
+            cellId,
+            success: false,
+            executionTime: `${((Date.now() - startTime) / 1000).toFixed(1)}s`,
+            error
+          }
+        });
+        return;
+      }
+      
+      const result = await sqliteEngine.execute(query, {
+        scratch: state.scratchMode,
+        params: collectParameters(state.cells)
+      });
       const executionTime = `${((Date.now() - startTime) / 1000).toFixed(1)}s`;
       
       console.log(`Query result:`, result.success, 'rows:', result.data?.length);
@@ -104,9 +341,16 @@ export function useCSVLoader() {
             results: result.data,
             rowCount: result.rowCount,
             columns: resultColumns,
-            visibleColumns: resultColumns
+            visibleColumns: resultColumns,
+            message: result.message
           }
         });
+        
+        // Scratch statements may have created or dropped views and tables
+        if (result.modified) {
+          dispatch({ type: ActionTypes.SET_TABLES, payload: await sqliteEngine.listTables() });
+          dispatch({ type: ActionTypes.MARK_CELLS_STALE, payload: downstreamCells(state.cells, [cellId]) });
+        }
       } else {
         dispatch({
           type: ActionTypes.EXECUTE_CELL,
@@ -120,8 +364,23 @@ export function useCSVLoader() {
       }
     } else if (cell && cell.type === 'state') {
       await executeStateCell(cellId);
+    } else if (cell && cell.type === 'rule') {
+      await executeRuleCell(cellId);
+    } else if (cell && cell.type === 'network') {
+      await executeNetworkCell(cellId);
     }
-  }, [state.cells, state.csvData, dispatch, ActionTypes, executeStateCell]);
+  }, [dispatch, getState, ActionTypes, executeStateCell, executeRuleCell, executeNetworkCell]);
+
+  // Run cells in dependency order, each after the one before has finished
+  const runCells = useCallback(async (cellIds) => {
+    const { cells } = getState();
+    const order = executionOrder(cells, cellIds.filter(id => isRunnableCell(cells.find(c => c.id === id) || {})));
+    
+    for (const cellId of order) {
+      // The next cell reads the state this one left through getState, not a render
+      await executeCell(cellId);
+    }
+  }, [getState, executeCell]);
 
   useEffect(() => {
     // Only load CSV data if it's not already loaded
@@ -131,79 +390,58 @@ export function useCSVLoader() {
     }
   }, []); // Empty dependency array - only run on mount
 
-  // Auto-execute state cells first, then data cells when CSV data is loaded (only once)
+  // Auto-execute cells in dependency order when a dataset is loaded (once per dataset):
+  // state cells with persistent states, and query and network cells that have no results yet
+  const hasData = state.csvData.length > 0;
+  const loadedAt = state.dataset?.loadedAt;
   useEffect(() => {
-    console.log('useEffect triggered - csvData.length:', state.csvData.length, 'hasAutoExecuted:', hasAutoExecuted.current);
-    
-    const executeCellsSequentially = async () => {
-      console.log('executeCellsSequentially called');
+    if (autoRun && hasData && hasAutoExecuted.current !== loadedAt && !isLoading.current) {
+      // Remember which dataset we executed against so a newly imported one runs again
+      hasAutoExecuted.current = loadedAt;
       
-      if (state.csvData.length > 0 && !hasAutoExecuted.current && !isLoading.current) {
-        console.log('Starting auto-execution process');
-        hasAutoExecuted.current = true;
-        
-        console.log('Total cells found:', state.cells.length);
-        console.log('Cell types:', state.cells.map(c => `${c.id}:${c.type}`));
-        
-        // First, execute state cells to compute and persist states
-        const stateCellsToExecute = state.cells.filter(cell => 
-          cell.type === 'state' && 
-          cell.states &&
-          cell.states.some(s => s.persistent)
-        );
-        
-        // Then, execute data cells and chart cells that have queries
-        const dataCellsToExecute = state.cells.filter(cell => 
-          cell.type === 'data' && 
-          (!cell.queryResults || cell.queryResults.length === 0) &&
-          cell.query
-        );
-        
-        const chartCellsToExecute = state.cells.filter(cell =>
-          cell.type === 'chart' &&
-          (!cell.queryResults || cell.queryResults.length === 0) &&
-          cell.query
-        );
-        
-        console.log('Auto-executing state cells:', stateCellsToExecute.length);
-        console.log('Auto-executing data cells:', dataCellsToExecute.length);
-        console.log('Auto-executing chart cells:', chartCellsToExecute.length);
-        
-        if (stateCellsToExecute.length === 0) {
-          console.log('No state cells found! Available cells:', state.cells.map(c => ({id: c.id, type: c.type, title: c.title, hasStates: !!c.states})));
-        }
-        
-        // Execute state cells first - wait for each to complete
-        if (stateCellsToExecute.length > 0) {
-          console.log('Will execute state cells:', stateCellsToExecute.map(c => `${c.id}: ${c.title}`));
-          for (const cell of stateCellsToExecute) {
-            console.log(`Executing state cell ${cell.id}: ${cell.title}`);
-            await executeStateCell(cell.id);
-            // Small delay between state cells
-            await new Promise(resolve => setTimeout(resolve, 100));
-          }
-          console.log('All state cells completed, now executing data cells');
-        }
-        
-        // Then execute data cells and chart cells after state cells are done
-        const allQueryCells = [...dataCellsToExecute, ...chartCellsToExecute];
-        if (allQueryCells.length > 0) {
-          for (const cell of allQueryCells) {
-            executeCell(cell.id);
-            // Small delay between cells
-            await new Promise(resolve => setTimeout(resolve, 50));
-          }
-        }
-      }
-    };
+      const cellsToExecute = getState().cells.filter(cell =>
+        (cell.type === 'state' && cell.states && cell.states.some(s => s.persistent)) ||
+        ((cell.type === 'data' || cell.type === 'chart') && cell.query &&
+          (!cell.queryResults || cell.queryResults.length === 0)) ||
+        (cell.type === 'network' && isRunnableCell(cell) &&
+          (!cell.queryResults || cell.queryResults.length === 0))
+      );
+      
+      console.log('Auto-executing cells:', cellsToExecute.map(c => `${c.id}:${c.type}`));
+      runCells(cellsToExecute.map(cell => cell.id));
+    }
+  }, [autoRun, hasData, loadedAt, runCells, getState]);
 
-    executeCellsSequentially();
-  }, [state.csvData.length]);
+  // Replace the database with a cached image and show its dataset
+  const restoreDataset = useCallback(async (entry, startTime) => {
+    await sqliteEngine.restore(entry.snapshot);
+    const data = await sqliteEngine.readTable();
+    
+    initializeComputedStatesService(sqliteEngine);
+    
+    const remainingTime = Math.max(0, 1000 - (Date.now() - startTime));
+    if (remainingTime > 0) {
+      await new Promise(resolve => setTimeout(resolve, remainingTime));
+    }
+    
+    dispatch({ type: ActionTypes.SET_CSV_DATA, payload: data });
+    dispatch({ type: ActionTypes.SET_COLUMN_TYPES, payload: sqliteEngine.columnTypes });
+    dispatch({
+      type: ActionTypes.SET_DATASET,
+      payload: { ...entry.dataset, fromCache: true, loadedAt: Date.now() }
+    });
+    dispatch({ type: ActionTypes.SET_TABLES, payload: await sqliteEngine.listTables() });
+    
+    console.log(`Dataset ${entry.dataset.name} restored from cache:`, data.length, 'rows');
+    return { success: true, data, fromCache: true };
+  }, [dispatch, ActionTypes]);
 
-  const loadCSVData = useCallback(async () => {
-    if (isLoading.current || hasLoaded.current) {
-      console.log('CSV loading already in progress or completed, skipping...');
-      return;
+  // Load a dataset from a URL ({ type: 'url', url }), a local file ({ type: 'file', file })
+  // or the cache ({ type: 'cache', fingerprint })
+  const loadDataset = useCallback(async (source) => {
+    if (isLoading.current) {
+      console.log('Dataset loading already in progress, skipping...');
+      return { success: false, error: 'A dataset is already loading' };
     }
     
     isLoading.current = true;
@@ -214,51 +452,159 @@ export function useCSVLoader() {
     const minLoadTime = 1000; // 1 second minimum
     
     try {
-      const result = await csvLoader.loadCSV('./data.csv', 25000);
+      const sampling = source.sampling || FULL_LOAD;
+      const tableName = source.tableName || PRIMARY_TABLE;
+      const mode = source.mode || 'replace';
+      const isPrimary = tableName === PRIMARY_TABLE;
       
-      if (result.success) {
-        // Update SQLite engine with new data
-        await sqliteEngine.setColumnTypes(result.columnTypes);
-        await sqliteEngine.setData(result.data);
-        
-        // Initialize computed states service
-        initializeComputedStatesService(sqliteEngine);
-        
-        // Ensure minimum loading time
-        const elapsedTime = Date.now() - startTime;
-        const remainingTime = Math.max(0, minLoadTime - elapsedTime);
+      // Restore an unchanged dataset from the cache instead of parsing it again
+      const fingerprint = !isPrimary || mode !== 'replace'
+        ? null
+        : source.type === 'cache'
+          ? source.fingerprint
+          : await fingerprintSource(source, sampling);
+      const cached = await datasetCache.get(fingerprint);
+      
+      if (cached) {
+        return await restoreDataset(cached, startTime);
+      }
+      if (source.type === 'cache') {
+        return { success: false, error: 'The cached copy of this dataset is no longer available' };
+      }
+      
+      const result = source.type === 'file'
+        ? await csvLoader.loadCSVFile(source.file, sampling, {
+            delimiter: source.delimiter,
+            columnTypes: source.columnTypes
+          })
+        : await csvLoader.loadCSV(source.url, sampling);
+      
+      if (!result.success) {
+        console.error('Failed to load CSV:', result.error);
+        return result;
+      }
+      
+      const dataset = source.type === 'file'
+        ? {
+            source: 'file',
+            name: source.file.name,
+            size: source.file.size,
+            lastModified: source.file.lastModified,
+            delimiter: result.delimiter
+          }
+        : {
+            source: 'url',
+            name: source.url.split('/').pop(),
+            url: source.url,
+            delimiter: result.delimiter
+          };
+      const datasetInfo = {
+        ...dataset,
+        fingerprint,
+        computedStates: {},
+        loadedAt: Date.now(),
+        tableName,
+        sampling,
+        rowCount: result.data.length,
+        totalRows: result.totalRows,
+        rejectedRows: result.rejectedRows
+      };
+      
+      // Update SQLite engine with new data
+      const { columnTypes } = await sqliteEngine.loadTable(tableName, result.data, {
+        mode,
+        columnTypes: result.columnTypes,
+        source: datasetInfo
+      });
+      
+      // Initialize computed states service
+      initializeComputedStatesService(sqliteEngine);
+      
+      // Ensure minimum loading time
+      const elapsedTime = Date.now() - startTime;
+      const remainingTime = Math.max(0, minLoadTime - elapsedTime);
+      
+      if (remainingTime > 0) {
+        await new Promise(resolve => setTimeout(resolve, remainingTime));
+      }
+      
+      // Read after the awaits above, so loads run back to back see each other's results
+      const { csvData, dataset: currentDataset } = getState();
+      
+      if (isPrimary) {
+        const appending = mode === 'append' && csvData.length > 0;
+        let rows = result.data;
         
-        if (remainingTime > 0) {
-          await new Promise(resolve => setTimeout(resolve, remainingTime));
+        if (appending) {
+          // Appended rows only keep the columns the table already has
+          const columns = Object.keys(csvData[0]);
+          rows = [
+            ...csvData,
+            ...result.data.map(row => Object.fromEntries(columns.map(col => [col, row[col] ?? ''])))
+          ];
         }
         
         // Update state
-        dispatch({ type: ActionTypes.SET_CSV_DATA, payload: result.data });
+        dispatch({ type: ActionTypes.SET_CSV_DATA, payload: rows });
         
         // Set column types if available
-        if (result.columnTypes) {
-          dispatch({ type: ActionTypes.SET_COLUMN_TYPES, payload: result.columnTypes });
-        }
+        dispatch({ type: ActionTypes.SET_COLUMN_TYPES, payload: columnTypes });
         
-        hasLoaded.current = true;
-        
-        console.log('CSV data loaded successfully:', result.data.length, 'rows');
-      } else {
-        console.error('Failed to load CSV:', result.error);
+        dispatch({
+          type: ActionTypes.SET_DATASET,
+          payload: appending
+            ? {
+                ...currentDataset,
+                // Appended data no longer matches the original source, so it is not cached
+                fingerprint: null,
+                loadedAt: Date.now(),
+                rowCount: rows.length,
+                appended: [...(currentDataset?.appended || []), datasetInfo]
+              }
+            : datasetInfo
+        });
+      }
+      
+      dispatch({ type: ActionTypes.SET_TABLES, payload: await sqliteEngine.listTables() });
+      
+      if (isPrimary && mode === 'replace') {
+        await cacheDatabase(datasetInfo);
+      } else if (!isPrimary) {
+        await cacheDatabase(currentDataset);
       }
+      
+      console.log(`CSV data loaded successfully into ${tableName}:`, result.data.length, 'rows');
+      return result;
     } catch (error) {
       console.error('Error loading CSV data:', error);
+      return { success: false, error: error.message };
     } finally {
       isLoading.current = false;
       dispatch({ type: ActionTypes.SET_LOADING, payload: false });
     }
-  }, [dispatch, ActionTypes]);
+  }, [dispatch, getState, ActionTypes, restoreDataset, cacheDatabase]);
+
+  const loadCSVData = useCallback(async () => {
+    if (isLoading.current || hasLoaded.current) {
+      console.log('CSV loading already in progress or completed, skipping...');
+      return;
+    }
+    
+    const result = await loadDataset({ type: 'url', url: DEFAULT_DATASET_URL });
+    if (result.success) {
+      hasLoaded.current = true;
+    }
+  }, [loadDataset]);
 
 
   return {
     loading: state.loading,
     csvData: state.csvData,
+    dataset: state.dataset,
     executeCell,
+    backtestRuleCell,
+    runCells,
+    loadDataset,
     reloadData: loadCSVData
   };
 }
\ No newline at end of file
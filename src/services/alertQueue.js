@@ -0,0 +1,112 @@
+// Alert triage queue
+//
+// Rows a rule cell alerts on become alerts that an analyst works through: each has a
+// status, an assignee, notes and, once closed, a disposition reason. Alerts are kept in
+// notebook state and saved with the investigation.
+
+import { ruleColumns, SOURCE_ROWID } from './detectionRules';
+
+export const ALERT_STATUSES = {
+  new: { label: 'New', badge: 'bg-blue-100 text-blue-800' },
+  in_review: { label: 'In Review', badge: 'bg-yellow-100 text-yellow-800' },
+  escalated: { label: 'Escalated', badge: 'bg-orange-100 text-orange-800' },
+  closed_false_positive: { label: 'Closed: False Positive', badge: 'bg-gray-100 text-gray-700', closed: true },
+  closed_sar: { label: 'Closed: SAR Filed', badge: 'bg-rose-100 text-rose-800', closed: true }
+};
+
+// Suggested disposition reasons for each closed status; analysts can also type their own
+export const DISPOSITION_REASONS = {
+  closed_false_positive: [
+    'Activity consistent with customer profile',
+    'Known legitimate counterparty',
+    'Documented business purpose',
+    'Duplicate of an existing alert',
+    'Data quality issue'
+  ],
+  closed_sar: [
+    'Structuring below reporting threshold',
+    'Unexplained rapid movement of funds',
+    'Activity inconsistent with customer profile',
+    'Confirmed fraud',
+    'Sanctions or high-risk jurisdiction exposure'
+  ]
+};
+
+// Columns that identify a row, tried in order
+const ROW_ID_COLUMNS = ['transaction_id', 'txn_id', 'id'];
+
+// Columns kept with every alert when the row has them, besides those the rule reads
+const SNAPSHOT_COLUMNS = ['transaction_id', 'user_id', 'merchant_id', 'txn_date_time', 'charged_amount'];
+
+export const isClosedStatus = (status) => Boolean(ALERT_STATUSES[status]?.closed);
+
+// Stable identifier for a row, so running a rule again does not queue the same hit twice.
+// The source rowid is unique within the table, so two hits on the same entity and time
+// stay separate alerts; rows from elsewhere fall back to their id column or values
+function rowKey(row) {
+  if (row[SOURCE_ROWID] !== undefined && row[SOURCE_ROWID] !== null) return `rowid=${row[SOURCE_ROWID]}`;
+  const idColumn = ROW_ID_COLUMNS.find(column => row[column] !== undefined && row[column] !== null && row[column] !== '');
+  return idColumn ? `${idColumn}=${row[idColumn]}` : JSON.stringify(row);
+}
+
+// New alerts for the rows a rule cell returned, skipping rows already in the queue
+export function alertsFromHits(cell, rows, existingAlerts = []) {
+  const keys = new Set(existingAlerts.map(alert => alert.key));
+  const snapshotColumns = [...new Set([...SNAPSHOT_COLUMNS, ...ruleColumns(cell.rule)])];
+  const now = new Date().toISOString();
+
+  return rows.reduce((alerts, row, index) => {
+    const key = `${cell.id}:${rowKey(row)}`;
+    if (keys.has(key)) return alerts;
+    keys.add(key);
+
+    const columns = snapshotColumns.filter(column => column in row);
+    alerts.push({
+      id: `alert_${Date.now()}_${index}`,
+      key,
+      ruleCellId: cell.id,
+      ruleName: cell.title,
+      row: Object.fromEntries((columns.length > 0 ? columns : Object.keys(row).filter(column => column !== SOURCE_ROWID)).map(column => [column, row[column]])),
+      status: 'new',
+      assignee: '',
+      notes: '',
+      disposition: '',
+      createdAt: now,
+      updatedAt: now
+    });
+    return alerts;
+  }, []);
+}
+
+// Alerts matching the panel's filters; search looks through the row and the notes
+export function filterAlerts(alerts, { status = 'all', ruleCellId = 'all', assignee = '', search = '' } = {}) {
+  const term = search.trim().toLowerCase();
+  return alerts.filter(alert =>
+    (status === 'all' || (status === 'open' ? !isClosedStatus(alert.status) : alert.status === status)) &&
+    (ruleCellId === 'all' || String(alert.ruleCellId) === String(ruleCellId)) &&
+    (!assignee || alert.assignee === assignee) &&
+    (!term || [...Object.values(alert.row), alert.notes, alert.disposition].some(value => String(value ?? '').toLowerCase().includes(term)))
+  );
+}
+
+// Number of alerts in each status, plus open (not closed) and all
+export function countAlertsByStatus(alerts) {
+  const counts = Object.fromEntries(Object.keys(ALERT_STATUSES).map(status => [status, 0]));
+  for (const alert of alerts) {
+    counts[alert.status] = (counts[alert.status] || 0) + 1;
+  }
+  return {
+    ...counts,
+    open: alerts.filter(alert => !isClosedStatus(alert.status)).length,
+    all: alerts.length
+  };
+}
+
+// Why an update cannot be applied, or null. A closed alert needs a disposition reason.
+export function alertUpdateError(alert, updates) {
+  const next = { ...alert, ...updates };
+  if (isClosedStatus(next.status) && !String(next.disposition || '').trim()) {
+    return 'Give a disposition reason before closing the alert';
+  }
+  return null;
+}
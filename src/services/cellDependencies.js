@@ -0,0 +1,191 @@
+// Cell dependency graph
+//
+// Works out which cells feed which from the names they read and write: tables, views,
+// computed state columns and :parameters. A cell depends on another when it reads a
+// name the other one writes, e.g. a Data cell selecting a persistent state column or
+// a view created in scratch mode. Matching is by name, so it can over-approximate
+// (a column that happens to share a state's name) but does not miss dependencies.
+
+import { tokenize, classifyQuery, STATEMENT_TYPES } from './sqlClassifier';
+import { parameterNames, parameterBindings } from './queryParameters';
+import { stateSignature } from './computedStates';
+import { compileRule } from './detectionRules';
+import { DEFAULT_NETWORK, networkSignature } from './transactionNetwork';
+
+// Parameters are kept apart from table and column names, which are case-insensitive
+const parameterSymbol = (name) => `:${name}`;
+
+// Names a piece of SQL reads: words, quoted identifiers and :parameters
+function sqlInputs(sql) {
+  const tokens = tokenize(sql || '');
+  const inputs = new Set();
+
+  tokens.forEach((token, i) => {
+    const previous = tokens[i - 1];
+    if (token.type === 'word' && previous?.value === ':' && previous.end === token.start) {
+      inputs.add(parameterSymbol(token.value));
+    } else if (token.type === 'word' || token.type === 'identifier') {
+      inputs.add(token.value.toLowerCase());
+    }
+  });
+
+  return inputs;
+}
+
+// Names a cell writes
+export function cellOutputs(cell) {
+  switch (cell.type) {
+    case 'parameters':
+      return new Set((cell.parameters || []).flatMap(parameterNames).map(parameterSymbol));
+    case 'state':
+      // Only persistent states become columns other cells can read
+      return new Set((cell.states || []).filter(s => s.persistent).map(s => s.name.toLowerCase()));
+    case 'data':
+    case 'chart':
+      return new Set(
+        classifyQuery(cell.query || '')
+          .filter(statement => statement.type !== STATEMENT_TYPES.READ && statement.target)
+          .map(statement => statement.target.toLowerCase())
+      );
+    default:
+      return new Set();
+  }
+}
+
+// Names a cell reads
+export function cellInputs(cell) {
+  switch (cell.type) {
+    case 'state':
+      return sqlInputs((cell.states || [])
+        .map(s => [s.query, s.field, s.groupBy, s.condition].filter(Boolean).join(' '))
+        .join(' '));
+    case 'data':
+    case 'chart':
+      return sqlInputs(cell.query);
+    case 'rule':
+      return sqlInputs(compileRule(cell.rule));
+    case 'network': {
+      const { path, filter } = { ...DEFAULT_NETWORK, ...cell.network };
+      return sqlInputs([...path.map(column => `"${column}"`), filter].join(' '));
+    }
+    default:
+      return new Set();
+  }
+}
+
+// Cells the run commands execute
+export function isRunnableCell(cell) {
+  if (cell.type === 'data' || cell.type === 'chart') return Boolean(cell.query);
+  if (cell.type === 'state') return (cell.states || []).length > 0;
+  if (cell.type === 'rule') return Boolean(compileRule(cell.rule));
+  if (cell.type === 'network') return (cell.network?.path || []).filter(Boolean).length >= 2;
+  return false;
+}
+
+const intersects = (a, b) => [...a].some(name => b.has(name));
+
+// Map of cell id to { upstream, downstream }: the ids of the cells it reads from and
+// the cells that read from it
+export function buildDependencyGraph(cells) {
+  const outputs = new Map(cells.map(cell => [cell.id, cellOutputs(cell)]));
+  const graph = new Map(cells.map(cell => [cell.id, { upstream: [], downstream: [] }]));
+
+  cells.forEach(cell => {
+    const inputs = cellInputs(cell);
+    cells.forEach(other => {
+      if (other.id !== cell.id && intersects(outputs.get(other.id), inputs)) {
+        graph.get(cell.id).upstream.push(other.id);
+        graph.get(other.id).downstream.push(cell.id);
+      }
+    });
+  });
+
+  return graph;
+}
+
+// Every cell that directly or indirectly reads from the given cells, not including them
+export function downstreamCells(cells, cellIds, graph = buildDependencyGraph(cells)) {
+  const found = new Set();
+  const queue = [...cellIds];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    (graph.get(id)?.downstream || []).forEach(next => {
+      if (!found.has(next) && !cellIds.includes(next)) {
+        found.add(next);
+        queue.push(next);
+      }
+    });
+  }
+
+  return cells.filter(cell => found.has(cell.id)).map(cell => cell.id);
+}
+
+// Order cells so each runs after the cells it reads from, keeping notebook order
+// otherwise. Cells in a cycle run in notebook order.
+export function executionOrder(cells, cellIds, graph = buildDependencyGraph(cells)) {
+  const selected = cells.filter(cell => cellIds.includes(cell.id)).map(cell => cell.id);
+  const waitingOn = new Map(selected.map(id => [
+    id,
+    new Set(graph.get(id).upstream.filter(upstream => selected.includes(upstream)))
+  ]));
+  const order = [];
+
+  while (waitingOn.size > 0) {
+    const ready = selected.find(id => waitingOn.has(id) && waitingOn.get(id).size === 0)
+      ?? selected.find(id => waitingOn.has(id));
+
+    order.push(ready);
+    waitingOn.delete(ready);
+    waitingOn.forEach(upstream => upstream.delete(ready));
+  }
+
+  return order;
+}
+
+// Output names whose value differs between two versions of a cell
+function changedOutputs(previous, cell) {
+  switch (cell.type) {
+    case 'parameters': {
+      const values = (c) => Object.assign({}, ...(c.parameters || []).map(parameterBindings));
+      const before = values(previous);
+      const after = values(cell);
+      return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(name => JSON.stringify(before[name]) !== JSON.stringify(after[name]))
+        .map(parameterSymbol);
+    }
+    case 'state': {
+      const signatures = (c) => new Map((c.states || []).map(s => [s.name.toLowerCase(), stateSignature(s)]));
+      const before = signatures(previous);
+      const after = signatures(cell);
+      return [...new Set([...before.keys(), ...after.keys()])]
+        .filter(name => before.get(name) !== after.get(name));
+    }
+    case 'data':
+    case 'chart':
+      return previous.query === cell.query
+        ? []
+        : [...cellOutputs(previous), ...cellOutputs(cell)];
+    default:
+      return [];
+  }
+}
+
+// Cells whose results are out of date after a cell's definition changed: the cells
+// that read a changed name and everything downstream of them. A Data, Chart, Rule or
+// Network cell whose own query, rule or network changed is out of date too.
+export function staleCellsAfterUpdate(previous, cell, cells) {
+  const changed = new Set(changedOutputs(previous, cell));
+  const queryChanged = ((cell.type === 'data' || cell.type === 'chart') && previous.query !== cell.query) ||
+    (cell.type === 'rule' && compileRule(previous.rule) !== compileRule(cell.rule)) ||
+    (cell.type === 'network' && networkSignature(previous.network) !== networkSignature(cell.network));
+  if (changed.size === 0 && !queryChanged) return [];
+
+  const readers = cells
+    .filter(other => other.id !== cell.id && intersects(changed, cellInputs(other)))
+    .map(other => other.id);
+  const stale = new Set([...readers, ...downstreamCells(cells, readers)]);
+  if (queryChanged) stale.add(cell.id);
+
+  return cells.filter(other => stale.has(other.id) && isRunnableCell(other)).map(other => other.id);
+}
@@ -0,0 +1,301 @@
+// Chart selections
+//
+// What an analyst picks on a chart (a clicked category, a brushed region of a scatter
+// plot, a zoomed time range) kept as conditions on the chart's columns:
+// { conditions: [{ column, values: [...] } | { column, min, max }] }. A chart linked to
+// a Data cell filters that cell: every read of the transactions table in its query reads
+// only the rows matching the conditions of every linked chart.
+
+import { classifyQuery, tokenize, STATEMENT_TYPES } from './sqlClassifier';
+import { PRIMARY_TABLE, quoteIdentifier } from './sqliteEngine';
+import { filterTableQuery } from './dashboard';
+import { toTimestamp } from './timeSeries';
+import { isOtherBucket } from '../utils/chartDataProcessor';
+
+// Functions whose value covers many rows, so a column they compute cannot filter rows
+const AGGREGATE_FUNCTIONS = new Set(['COUNT', 'SUM', 'AVG', 'MIN', 'MAX', 'TOTAL', 'GROUP_CONCAT']);
+
+// Values keep the type they had in the chart's rows, so numbers compare as numbers
+const literal = (value) => typeof value === 'number'
+  ? String(value)
+  : `'${String(value).replace(/'/g, "''")}'`;
+
+// Raw values sort as numbers when both are numbers, otherwise as text (ISO dates included)
+const compareValues = (a, b) => typeof a === 'number' && typeof b === 'number'
+  ? a - b
+  : String(a).localeCompare(String(b));
+
+export const valueSelection = (column, value) => ({ conditions: [{ column, values: [value] }] });
+
+export function rangeSelection(ranges) {
+  return {
+    conditions: ranges.map(({ column, from, to }) => {
+      const [min, max] = [from, to].sort(compareValues);
+      return { column, min, max };
+    })
+  };
+}
+
+export const isSameSelection = (a, b) => JSON.stringify(a || null) === JSON.stringify(b || null);
+
+// A condition on a column, or on the expression the column stands for
+function conditionSQL(condition, column = quoteIdentifier(condition.column)) {
+  if (condition.values) {
+    return condition.values.length === 1
+      ? `${column} = ${literal(condition.values[0])}`
+      : `${column} IN (${condition.values.map(literal).join(', ')})`;
+  }
+  return `${column} BETWEEN ${literal(condition.min)} AND ${literal(condition.max)}`;
+}
+
+export function selectionWhere(selection) {
+  return (selection?.conditions || []).map(conditionSQL).join(' AND ');
+}
+
+// Shorter form for badges: merchant_country = US, charged_amount 10 – 250
+export function describeSelection(selection) {
+  return (selection?.conditions || []).map(condition => condition.values
+    ? `${condition.column} = ${condition.values.join(', ')}`
+    : `${condition.column} ${condition.min} – ${condition.max}`
+  ).join(' and ');
+}
+
+// Charts linked to a Data cell that currently have a selection, with the query a chart
+// draws from (null when it draws the loaded table)
+export function chartSelections(cells, dataCellId) {
+  return cells
+    .filter(cell => cell.type === 'chart' && cell.linkedCellId && String(cell.linkedCellId) === String(dataCellId))
+    .filter(cell => cell.selection?.conditions?.length > 0)
+    .map(cell => ({
+      chartId: cell.id,
+      title: cell.title,
+      source: cell.dataSource === 'query' && cell.query ? cell.query : null,
+      selection: cell.selection
+    }));
+}
+
+// Split tokens on the commas outside parentheses
+function splitList(tokens) {
+  const items = [[]];
+  let depth = 0;
+  tokens.forEach(token => {
+    if (token.value === '(') depth++;
+    if (token.value === ')') depth--;
+    if (token.value === ',' && depth === 0 && token.type === 'symbol') {
+      items.push([]);
+    } else {
+      items[items.length - 1].push(token);
+    }
+  });
+  return items.filter(item => item.length > 0);
+}
+
+// SQL text of tokens with table qualifiers dropped (t.amount -> amount), so the
+// expression reads the table's own rows
+function expressionText(sql, tokens) {
+  let text = '';
+  let last = tokens[0].start;
+  tokens.forEach((token, i) => {
+    if ((token.type === 'word' || token.type === 'identifier') && tokens[i + 1]?.value === '.') {
+      text += sql.slice(last, token.start);
+      last = tokens[i + 1].end;
+    }
+  });
+  return text + sql.slice(last, tokens[tokens.length - 1].end);
+}
+
+// The columns a chart query selects, by name: the expression each stands for, and
+// whether it is an aggregate. DATE(txn_date_time) AS date maps date to DATE(txn_date_time).
+export function selectedColumns(query) {
+  const [statement] = classifyQuery(query || '');
+  const columns = new Map();
+  if (!statement || statement.type !== STATEMENT_TYPES.READ) return columns;
+
+  // The outermost SELECT's list runs to its FROM; CTE bodies sit inside parentheses
+  const tokens = tokenize(statement.sql);
+  let depth = 0;
+  let start = -1;
+  let end = tokens.length;
+  for (const [i, token] of tokens.entries()) {
+    if (token.value === '(') depth++;
+    if (token.value === ')') depth--;
+    if (depth !== 0 || token.type !== 'word') continue;
+    const word = token.value.toUpperCase();
+    if (start === -1 && word === 'SELECT') {
+      start = i + 1;
+    } else if (start !== -1 && word === 'FROM') {
+      end = i;
+      break;
+    }
+  }
+  if (start === -1) return columns;
+  if (['DISTINCT', 'ALL'].includes(tokens[start]?.value.toUpperCase())) start++;
+
+  splitList(tokens.slice(start, end)).forEach(item => {
+    const last = item[item.length - 1];
+    const previous = item[item.length - 2];
+    const named = last.type === 'word' || last.type === 'identifier';
+    let expression = item;
+    let name = null;
+
+    if (named && previous?.type === 'word' && previous.value.toUpperCase() === 'AS') {
+      expression = item.slice(0, -2);
+      name = last.value;
+    } else if (named && previous && previous.value !== '.' && last.value.toUpperCase() !== 'END' &&
+        (previous.value === ')' || ['word', 'identifier', 'string'].includes(previous.type))) {
+      // An alias without AS: DATE(txn_date_time) day
+      expression = item.slice(0, -1);
+      name = last.value;
+    } else if (named && (item.length === 1 || previous.value === '.')) {
+      // A plain column keeps its name: merchant_country or t.merchant_country
+      name = last.value;
+    }
+    if (!name || expression.length === 0) return;
+
+    const aggregate = expression.some((token, i) => token.type === 'word' && (
+      (AGGREGATE_FUNCTIONS.has(token.value.toUpperCase()) && expression[i + 1]?.value === '(') ||
+      token.value.toUpperCase() === 'OVER'
+    ));
+    columns.set(name, { expression: expressionText(statement.sql, expression), aggregate });
+  });
+  return columns;
+}
+
+// The SQL a selection condition on a chart column filters table rows by: the expression
+// the chart's query computes the column from, or the table column itself
+function sourceColumn(column, selected, tableName, tableColumns) {
+  const item = selected.get(column);
+  if (item?.aggregate) {
+    return { error: `"${column}" is an aggregate in the chart's query, so selecting on it cannot filter rows` };
+  }
+  if (item) return { expression: item.expression };
+  if (tableColumns.includes(column)) return { expression: quoteIdentifier(column) };
+  return { error: `"${column}" is not a column of the ${tableName} table` };
+}
+
+// The Data cell's query with every read of the table narrowed to the rows matching the
+// chart selections, so the query's own ORDER BY and LIMIT apply to the filtered rows.
+// Returns { query }, or { error } when the selections cannot filter it.
+export function filteredQuery(query, selections, { tableName = PRIMARY_TABLE, tableColumns = [] } = {}) {
+  const statements = classifyQuery(query || '');
+  const [statement] = statements;
+  if (statements.length !== 1 || statement.type !== STATEMENT_TYPES.READ ||
+      !['SELECT', 'VALUES', 'WITH ... SELECT'].includes(statement.keyword)) {
+    return { error: 'Chart selections can only filter a query that is a single SELECT' };
+  }
+
+  const conditions = [];
+  for (const { title, source, selection } of selections) {
+    const selected = source ? selectedColumns(source) : new Map();
+    for (const condition of selection.conditions) {
+      const column = sourceColumn(condition.column, selected, tableName, tableColumns);
+      if (column.error) return { error: `Chart "${title}" cannot filter this cell: ${column.error}` };
+      conditions.push(conditionSQL(condition, column.expression));
+    }
+  }
+
+  const filtered = filterTableQuery(statement.sql, conditions, { tableName });
+  if (filtered === statement.sql) {
+    return { error: `Chart selections filter the ${tableName} table, which this query does not read` };
+  }
+  return { query: filtered };
+}
+
+// Selection for a click on a chart drawn from rows, or null when the click selects nothing.
+// Scatter and bubble charts are brushed instead of clicked.
+export function clickSelection(params, config, rows) {
+  if (params.componentType !== 'series') return null;
+
+  switch (config.chartType) {
+    case 'sankey': {
+      if (params.dataType === 'node') return valueSelection(params.data.nodeType, params.data.nodeValue);
+      // Sankey node ids are column:value
+      const split = (id) => ({ column: id.slice(0, id.indexOf(':')), values: [id.slice(id.indexOf(':') + 1)] });
+      return { conditions: [split(params.data.source), split(params.data.target)] };
+    }
+    case 'heatmap': {
+      const xCategories = [...new Set(rows.map(row => row[config.xAxis]))];
+      const yCategories = [...new Set(rows.map(row => row[config.yAxis]))];
+      const [x, y] = params.value;
+      return {
+        conditions: [
+          { column: config.xAxis, values: [xCategories[x]] },
+          { column: config.yAxis, values: [yCategories[y]] }
+        ]
+      };
+    }
+    case 'map':
+      // A country can be spelled several ways in the rows (US and USA); all of them match
+      return params.data?.rawValues ? { conditions: [{ column: config.xAxis, values: params.data.rawValues }] } : null;
+    case 'scatter':
+    case 'bubble':
+      return null;
+    default: {
+      // Items carry their x value, since time series are drawn sorted by time and series
+      // charts by category. The Other bucket stands for many categories, so selects none.
+      const value = params.data?.xValue ?? rows[params.dataIndex]?.[config.xAxis];
+      if (value === null || value === undefined || isOtherBucket(config, value)) return null;
+
+      const selection = valueSelection(config.xAxis, value);
+      // A bar or point of one series selects that series too
+      if (config.seriesBy && params.data?.seriesValue !== undefined) {
+        selection.conditions.push({ column: config.seriesBy, values: [params.data.seriesValue] });
+      }
+      return selection;
+    }
+  }
+}
+
+// Selection for a rectangle brushed on a scatter or bubble chart; null when cleared
+export function brushSelection(params, config) {
+  const range = params.areas?.[0]?.coordRange;
+  if (!range) return null;
+
+  const round = (value) => Number(value.toPrecision(6));
+  const [[x1, x2], [y1, y2]] = range;
+  return rangeSelection([
+    { column: config.xAxis, from: round(x1), to: round(x2) },
+    { column: config.yAxis, from: round(y1), to: round(y2) }
+  ]);
+}
+
+// Selection for a zoomed axis, from the dataZoom's start and end; null when the whole
+// axis is shown. On a time axis these are timestamps, otherwise category indices (a
+// chart with series has each x value once).
+export function zoomSelection(zoom, config, rows, { timeAxis = false } = {}) {
+  if (timeAxis) return timeZoomSelection(zoom, config, rows);
+
+  const xValues = config.seriesBy
+    ? [...new Set(rows.map(row => row[config.xAxis]))]
+    : rows.map(row => row[config.xAxis]);
+  const last = xValues.length - 1;
+  const index = (value, percent) => typeof value === 'number' ? value : Math.round(last * (percent ?? 0) / 100);
+  const start = index(zoom.startValue, zoom.start);
+  const end = index(zoom.endValue, zoom.end ?? 100);
+  if (start <= 0 && end >= last) return null;
+
+  const from = xValues[start];
+  const to = xValues[end];
+  if (from === null || from === undefined || to === null || to === undefined) return null;
+  return rangeSelection([{ column: config.xAxis, from, to }]);
+}
+
+function timeZoomSelection(zoom, config, rows) {
+  if ((zoom.start ?? 0) <= 0 && (zoom.end ?? 100) >= 100) return null;
+
+  const dated = rows
+    .map(row => ({ value: row[config.xAxis], time: toTimestamp(row[config.xAxis]) }))
+    .filter(point => point.time !== null)
+    .sort((a, b) => a.time - b.time);
+  if (dated.length === 0) return null;
+
+  const first = dated[0].time;
+  const span = dated[dated.length - 1].time - first;
+  const bound = (value, percent) => typeof value === 'number' ? value : first + span * (percent ?? 0) / 100;
+  const start = bound(zoom.startValue, zoom.start);
+  const end = bound(zoom.endValue, zoom.end ?? 100);
+  const shown = dated.filter(point => point.time >= start && point.time <= end);
+  if (shown.length === 0) return null;
+
+  return rangeSelection([{ column: config.xAxis, from: shown[0].value, to: shown[shown.length - 1].value }]);
+}
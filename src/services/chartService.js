@@ -1,4 +1,21 @@
 // Concrete ECharts service for reliable chart management
+
+import {
+  DEFAULT_BAND_WINDOW,
+  toTimestamp,
+  toValue,
+  isTimeColumn,
+  parsePeriods,
+  movingAverage,
+  anomalyBand
+} from './timeSeries';
+import { WORLD_MAP, countryMeasures, countryName, registerWorldMap } from './worldMap';
+import { COLUMN_TYPES, axisLabelFormatter, formatChartValue } from './columnTypes';
+import { ChartDataProcessor, isOtherBucket } from '../utils/chartDataProcessor';
+
+// Column types plotted to scale
+const NUMERIC_TYPES = [COLUMN_TYPES.INTEGER, COLUMN_TYPES.DECIMAL, COLUMN_TYPES.CURRENCY, COLUMN_TYPES.PERCENTAGE];
+
 class ChartService {
   constructor() {
     this.instances = new Map();
@@ -246,6 +263,11 @@ class ChartService {
         throw new Error('Invalid chart data');
       }
 
+      // Map charts draw on the bundled world shapes, registered on first use
+      if (config.chartType === 'map') {
+        await registerWorldMap();
+      }
+
       // Generate chart option
       const option = this.generateChartOption(chartData, config);
       
@@ -287,7 +309,11 @@ class ChartService {
       pie: this.generatePieChart.bind(this),
       scatter: this.generateScatterChart.bind(this),
       bubble: this.generateBubbleChart.bind(this),
-      heatmap: this.generateHeatmapChart.bind(this)
+      heatmap: this.generateHeatmapChart.bind(this),
+      threshold_sweep: this.generateThresholdSweepChart.bind(this),
+      graph: this.generateGraphChart.bind(this),
+      sankey: this.generateSankeyChart.bind(this),
+      map: this.generateMapChart.bind(this)
     };
 
     const generator = generators[config.chartType];
@@ -317,6 +343,31 @@ class ChartService {
     };
   }
 
+  /**
+   * Type of a plotted column from config.columnTypes, for formatting. A count is a
+   * number of rows whatever column it counts.
+   */
+  columnType(config, column) {
+    const measure = config.chartType === 'heatmap' ? config.zAxis : config.yAxis;
+    if (config.aggregation === 'count' && column === measure) return COLUMN_TYPES.INTEGER;
+    return config.columnTypes?.[column];
+  }
+
+  /**
+   * Value axis for a column, labelled in its type's short format
+   */
+  valueAxis(config, column, options = {}) {
+    const formatter = axisLabelFormatter(this.columnType(config, column));
+    return { type: 'value', ...options, axisLabel: { fontSize: 10, ...(formatter && { formatter }) } };
+  }
+
+  /**
+   * A column's value as tooltips show it
+   */
+  formatValue(config, column, value) {
+    return formatChartValue(value, this.columnType(config, column));
+  }
+
   /**
    * Show error message in chart
    */
@@ -353,60 +404,86 @@ class ChartService {
    * Generate line chart option
    */
   generateLineChart(data, config) {
-    return {
-      title: { text: config.title },
-      tooltip: { trigger: 'axis' },
-      xAxis: {
-        type: 'category',
-        data: data.map(row => row[config.xAxis])
-      },
-      yAxis: { type: 'value' },
-      series: [{
-        name: config.yAxis,
-        type: 'line',
-        data: data.map(row => parseFloat(row[config.yAxis]) || 0),
-        smooth: true
-      }]
-    };
+    return this.generateTimeSeriesChart(data, config);
   }
 
   /**
    * Generate bar chart option
    */
   generateBarChart(data, config) {
-    return {
-      title: { text: config.title },
-      tooltip: { trigger: 'axis' },
-      xAxis: { type: 'value' },
-      yAxis: {
-        type: 'category',
-        data: data.map(row => row[config.xAxis])
-      },
-      series: [{
-        name: config.yAxis,
-        type: 'bar',
-        data: data.map(row => parseFloat(row[config.yAxis]) || 0)
-      }]
-    };
+    return this.generateCategoryChart(data, config, { horizontal: true });
   }
 
   /**
    * Generate column chart option
    */
   generateColumnChart(data, config) {
+    return this.generateCategoryChart(data, config);
+  }
+
+  /**
+   * Generate bar or column chart option: a bar per row, or with seriesBy a group of bars
+   * per x value, one for each series. Items keep their raw x (and series) values, so
+   * clicks map back to the rows; an Other bucket is drawn grey.
+   */
+  generateCategoryChart(data, config, { horizontal = false } = {}) {
+    const categories = config.seriesBy
+      ? [...new Set(data.map(row => row[config.xAxis]))]
+      : data.map(row => row[config.xAxis]);
+    const item = (row, extra = {}) => ({
+      value: parseFloat(row[config.yAxis]) || 0,
+      xValue: row[config.xAxis],
+      ...extra,
+      ...(isOtherBucket(config, row[config.xAxis]) && { itemStyle: { color: '#9CA3AF' } })
+    });
+
+    const series = config.seriesBy
+      ? [...new Set(data.map(row => row[config.seriesBy]))].map(seriesValue => {
+          const rows = new Map(data.filter(row => row[config.seriesBy] === seriesValue).map(row => [row[config.xAxis], row]));
+          return {
+            name: String(seriesValue),
+            type: 'bar',
+            data: categories.map(category => rows.has(category) ? item(rows.get(category), { seriesValue }) : null)
+          };
+        })
+      : [{ name: config.yAxis, type: 'bar', data: data.map(row => item(row)) }];
+
+    const categoryAxis = {
+      type: 'category',
+      data: categories.map(String),
+      axisLabel: {
+        fontSize: 10,
+        rotate: !horizontal && categories.length > 10 ? 45 : 0,
+        interval: categories.length > 20 ? 'auto' : 0
+      }
+    };
+    const valueAxis = this.valueAxis(config, config.yAxis);
+    // The zoom slider runs along the category axis: under columns, beside bars
+    const zoomAxis = horizontal ? { yAxisIndex: 0 } : { xAxisIndex: 0 };
+    const sliderSpace = config.dataZoom && !horizontal ? 30 : 0;
+
     return {
       title: { text: config.title },
-      tooltip: { trigger: 'axis' },
-      xAxis: {
-        type: 'category',
-        data: data.map(row => row[config.xAxis])
+      tooltip: { trigger: 'axis', valueFormatter: (value) => this.formatValue(config, config.yAxis, value) },
+      ...(config.seriesBy && { legend: { type: 'scroll', bottom: 0 } }),
+      grid: {
+        left: '3%',
+        right: config.dataZoom && horizontal ? 40 : '4%',
+        top: 50,
+        bottom: (config.seriesBy ? 30 : 10) + sliderSpace,
+        containLabel: true
       },
-      yAxis: { type: 'value' },
-      series: [{
-        name: config.yAxis,
-        type: 'bar',
-        data: data.map(row => parseFloat(row[config.yAxis]) || 0)
-      }]
+      xAxis: horizontal ? valueAxis : categoryAxis,
+      yAxis: horizontal ? { ...categoryAxis, inverse: true } : valueAxis,
+      ...(config.dataZoom && {
+        dataZoom: [
+          { type: 'inside', ...zoomAxis },
+          horizontal
+            ? { type: 'slider', ...zoomAxis, width: 18, right: 6 }
+            : { type: 'slider', ...zoomAxis, height: 18, bottom: config.seriesBy ? 28 : 6 }
+        ]
+      }),
+      series
     };
   }
 
@@ -414,21 +491,176 @@ class ChartService {
    * Generate area chart option
    */
   generateAreaChart(data, config) {
+    return this.generateTimeSeriesChart(data, config, { area: true });
+  }
+
+  /**
+   * Generate line or area chart option. A date x column gets a time axis, and config can
+   * add a dataZoom slider (dataZoom), moving average overlays (movingAverages, e.g.
+   * "7, 30") and a band of ±bandStdDevs standard deviations around the mean of the
+   * bandWindow points before each one, with points outside it marked as anomalies.
+   * Every data item keeps its raw x value as xValue, so clicks map back to the row.
+   * With seriesBy there is a line per series instead, and no overlays.
+   */
+  generateTimeSeriesChart(data, config, { area = false } = {}) {
+    if (config.seriesBy) return this.generateSeriesLineChart(data, config, { area });
+
+    const timeAxis = isTimeColumn(data.map(row => row[config.xAxis]));
+    const points = data
+      .map(row => ({
+        x: row[config.xAxis],
+        time: timeAxis ? toTimestamp(row[config.xAxis]) : null,
+        y: toValue(row[config.yAxis])
+      }))
+      .filter(point => !timeAxis || point.time !== null)
+      .sort((a, b) => timeAxis ? a.time - b.time : 0);
+    const values = points.map(point => point.y);
+    const item = (point, value) => ({ value: timeAxis ? [point.time, value] : value, xValue: point.x });
+
+    const series = [{
+      name: config.yAxis,
+      type: 'line',
+      data: points.map(point => item(point, point.y)),
+      smooth: true,
+      showSymbol: points.length <= 60,
+      ...(area && { areaStyle: {} })
+    }];
+
+    parsePeriods(config.movingAverages).forEach(period => {
+      series.push({
+        name: `${period}-period MA`,
+        type: 'line',
+        data: movingAverage(values, period).map((value, i) => item(points[i], value)),
+        smooth: true,
+        showSymbol: false,
+        lineStyle: { width: 1.5, type: 'dashed' }
+      });
+    });
+
+    const k = Number(config.bandStdDevs) || 0;
+    const band = k > 0
+      ? anomalyBand(values, { window: parseInt(config.bandWindow, 10) || DEFAULT_BAND_WINDOW, k })
+      : null;
+    const bandName = `±${k}σ band`;
+    if (band) {
+      // The band is the gap between two stacked lines: the lower bound, then its width
+      const bandSeries = (values, style) => ({
+        name: bandName,
+        type: 'line',
+        stack: 'band',
+        stackStrategy: 'all',
+        symbol: 'none',
+        lineStyle: { opacity: 0 },
+        data: values.map((value, i) => item(points[i], value)),
+        ...style
+      });
+      series.push(
+        bandSeries(band.map(b => b.lower)),
+        bandSeries(band.map(b => b.upper === null ? null : b.upper - b.lower), {
+          areaStyle: { color: 'rgba(239, 68, 68, 0.12)' }
+        }),
+        {
+          name: 'Anomalies',
+          type: 'scatter',
+          data: points.filter((_, i) => band[i].anomaly).map(point => item(point, point.y)),
+          symbolSize: 9,
+          itemStyle: { color: '#DC2626' },
+          z: 5
+        }
+      );
+    }
+
+    const format = (value) => this.formatValue(config, config.yAxis, value);
+    const hasLegend = series.length > 1;
+
     return {
       title: { text: config.title },
-      tooltip: { trigger: 'axis' },
-      xAxis: {
-        type: 'category',
-        data: data.map(row => row[config.xAxis])
+      tooltip: {
+        trigger: 'axis',
+        formatter: (params) => {
+          const main = params.find(param => param.seriesIndex === 0) || params[0];
+          const index = main.dataIndex;
+          const lines = params
+            .filter(param => param.seriesName !== bandName && param.seriesName !== 'Anomalies')
+            .map(param => `${param.marker}${param.seriesName}: ${format(Array.isArray(param.value) ? param.value[1] : param.value)}`);
+          const bounds = band?.[index];
+          if (bounds && bounds.lower !== null) {
+            lines.push(`${bandName}: ${format(bounds.lower)} – ${format(bounds.upper)}`);
+            if (bounds.anomaly) lines.push('<span style="color:#DC2626">Anomaly</span>');
+          }
+          return [points[index]?.x, ...lines].join('<br/>');
+        }
       },
-      yAxis: { type: 'value' },
-      series: [{
-        name: config.yAxis,
+      ...(hasLegend && { legend: { bottom: 0, data: series.map(s => s.name).filter((name, i, names) => names.indexOf(name) === i) } }),
+      grid: { left: '3%', right: '4%', top: 50, bottom: (config.dataZoom ? 40 : 10) + (hasLegend ? 24 : 0), containLabel: true },
+      xAxis: timeAxis
+        ? { type: 'time' }
+        : { type: 'category', data: points.map(point => point.x) },
+      yAxis: this.valueAxis(config, config.yAxis),
+      ...(config.dataZoom && {
+        dataZoom: [
+          { type: 'inside' },
+          { type: 'slider', height: 18, bottom: hasLegend ? 28 : 6 }
+        ]
+      }),
+      series
+    };
+  }
+
+  /**
+   * Generate line or area chart option with a line per value of the seriesBy column.
+   * Items keep their raw x and series values, so clicks map back to the rows.
+   */
+  generateSeriesLineChart(data, config, { area = false } = {}) {
+    const timeAxis = isTimeColumn(data.map(row => row[config.xAxis]));
+    const categories = timeAxis ? [] : [...new Set(data.map(row => row[config.xAxis]))];
+
+    const series = [...new Set(data.map(row => row[config.seriesBy]))].map(seriesValue => {
+      const rows = data.filter(row => row[config.seriesBy] === seriesValue);
+      const item = (row) => ({
+        value: timeAxis
+          ? [toTimestamp(row[config.xAxis]), toValue(row[config.yAxis])]
+          : toValue(row[config.yAxis]),
+        xValue: row[config.xAxis],
+        seriesValue
+      });
+      const byCategory = new Map(rows.map(row => [row[config.xAxis], row]));
+
+      return {
+        name: String(seriesValue),
         type: 'line',
-        data: data.map(row => parseFloat(row[config.yAxis]) || 0),
-        areaStyle: {},
-        smooth: true
-      }]
+        data: timeAxis
+          ? rows
+              .filter(row => toTimestamp(row[config.xAxis]) !== null)
+              .sort((a, b) => toTimestamp(a[config.xAxis]) - toTimestamp(b[config.xAxis]))
+              .map(item)
+          : categories.map(category => byCategory.has(category) ? item(byCategory.get(category)) : null),
+        smooth: true,
+        connectNulls: true,
+        showSymbol: rows.length <= 60,
+        ...(area && { areaStyle: { opacity: 0.25 } })
+      };
+    });
+
+    return {
+      title: { text: config.title },
+      tooltip: {
+        trigger: 'axis',
+        valueFormatter: (value) => this.formatValue(config, config.yAxis, Array.isArray(value) ? value[1] : value)
+      },
+      legend: { type: 'scroll', bottom: 0 },
+      grid: { left: '3%', right: '4%', top: 50, bottom: (config.dataZoom ? 40 : 10) + 24, containLabel: true },
+      xAxis: timeAxis
+        ? { type: 'time' }
+        : { type: 'category', data: categories.map(String) },
+      yAxis: this.valueAxis(config, config.yAxis),
+      ...(config.dataZoom && {
+        dataZoom: [
+          { type: 'inside' },
+          { type: 'slider', height: 18, bottom: 28 }
+        ]
+      }),
+      series
     };
   }
 
@@ -440,15 +672,21 @@ class ChartService {
       title: { text: config.title },
       tooltip: {
         trigger: 'item',
-        formatter: '{b}: {c} ({d}%)'
+        formatter: (params) => `${params.name}: ${this.formatValue(config, config.yAxis, params.value)} (${params.percent}%)`
       },
       series: [{
         type: 'pie',
         radius: '60%',
         data: data.map(row => ({
-          name: row[config.xAxis],
-          value: parseFloat(row[config.yAxis]) || 0
+          name: String(row[config.xAxis]),
+          value: parseFloat(row[config.yAxis]) || 0,
+          xValue: row[config.xAxis],
+          ...(isOtherBucket(config, row[config.xAxis]) && { itemStyle: { color: '#9CA3AF' } })
         })),
+        label: {
+          show: true,
+          formatter: '{b}: {d}%'
+        },
         emphasis: {
           itemStyle: {
             shadowBlur: 10,
@@ -461,45 +699,79 @@ class ChartService {
   }
 
   /**
-   * Generate scatter chart option
+   * Generate scatter chart option. A size column (zAxis) scales points by area, and
+   * colorBy colours them: a numeric column on a gradient, any other column as one
+   * series per value. A chart linked to a Data cell gets a brush to select a region.
    */
   generateScatterChart(data, config) {
+    const sizes = config.zAxis ? data.map(row => parseFloat(row[config.zAxis]) || 0) : [];
+    const maxSize = Math.max(0, ...sizes);
+    const colorType = this.columnType(config, config.colorBy);
+    const numericColor = Boolean(config.colorBy) && (colorType
+      ? NUMERIC_TYPES.includes(colorType)
+      : ChartDataProcessor.validateNumericColumn(data, config.colorBy));
+    const point = (row) => ({
+      value: [
+        parseFloat(row[config.xAxis]) || 0,
+        parseFloat(row[config.yAxis]) || 0,
+        config.zAxis ? parseFloat(row[config.zAxis]) || 0 : null,
+        numericColor ? parseFloat(row[config.colorBy]) || 0 : null
+      ],
+      row
+    });
+    const scatterSeries = (name, rows) => ({
+      name,
+      type: 'scatter',
+      data: rows.map(point),
+      symbolSize: (value) => maxSize > 0 ? Math.max(4, Math.sqrt(Math.max(0, value[2]) / maxSize) * 40) : 8
+    });
+
+    const series = config.colorBy && !numericColor
+      ? [...new Set(data.map(row => row[config.colorBy]))]
+          .map(value => scatterSeries(String(value), data.filter(row => row[config.colorBy] === value)))
+      : [scatterSeries(config.title || config.yAxis, data)];
+    const colorValues = numericColor ? data.map(row => parseFloat(row[config.colorBy]) || 0) : [];
+    const tooltipColumns = [config.xAxis, config.yAxis, config.zAxis, config.colorBy].filter(Boolean);
+
     return {
       title: { text: config.title },
-      tooltip: { trigger: 'item' },
-      xAxis: { type: 'value', name: config.xAxis },
-      yAxis: { type: 'value', name: config.yAxis },
-      series: [{
-        type: 'scatter',
-        data: data.map(row => [
-          parseFloat(row[config.xAxis]) || 0,
-          parseFloat(row[config.yAxis]) || 0
-        ])
-      }]
+      tooltip: {
+        trigger: 'item',
+        formatter: (params) => [...new Set(tooltipColumns)]
+          .map(column => `${column}: ${this.formatValue(config, column, params.data.row[column])}`)
+          .join('<br/>')
+      },
+      ...(series.length > 1 && { legend: { type: 'scroll', bottom: 0 } }),
+      ...(numericColor && {
+        visualMap: {
+          dimension: 3,
+          min: Math.min(...colorValues),
+          max: Math.max(...colorValues),
+          calculable: true,
+          orient: 'vertical',
+          right: 0,
+          top: 'center',
+          text: [config.colorBy, ''],
+          textStyle: { fontSize: 10 },
+          inRange: { color: ['#3B82F6', '#F59E0B', '#EF4444'] }
+        }
+      }),
+      grid: { left: '3%', right: numericColor ? 90 : '4%', top: 50, bottom: series.length > 1 ? 30 : 10, containLabel: true },
+      xAxis: this.valueAxis(config, config.xAxis, { name: config.xAxis, scale: true }),
+      yAxis: this.valueAxis(config, config.yAxis, { name: config.yAxis, scale: true }),
+      series,
+      ...(config.linkedCellId && {
+        brush: { toolbox: ['rect', 'clear'], xAxisIndex: 0 },
+        toolbox: { right: numericColor ? 90 : 10, feature: { brush: { type: ['rect', 'clear'] } } }
+      })
     };
   }
 
   /**
-   * Generate bubble chart option
+   * Generate bubble chart option: a scatter chart sized by its zAxis column
    */
   generateBubbleChart(data, config) {
-    return {
-      title: { text: config.title },
-      tooltip: { trigger: 'item' },
-      xAxis: { type: 'value', name: config.xAxis },
-      yAxis: { type: 'value', name: config.yAxis },
-      series: [{
-        type: 'scatter',
-        data: data.map(row => [
-          parseFloat(row[config.xAxis]) || 0,
-          parseFloat(row[config.yAxis]) || 0,
-          parseFloat(row[config.zAxis]) || 1
-        ]),
-        symbolSize: function(data) {
-          return Math.sqrt(data[2]) * 3;
-        }
-      }]
-    };
+    return this.generateScatterChart(data, config);
   }
 
   /**
@@ -521,12 +793,20 @@ class ChartService {
     const cellWidth = (containerWidth * 0.7) / xCategories.length; // Account for margins
     const cellHeight = (containerHeight * 0.7) / yCategories.length;
     
-    // Much more conservative label display rules
-    const minCellSizeForLabels = 45; // Minimum size needed for readable labels
-    const showLabels = cellWidth >= minCellSizeForLabels && 
-                      cellHeight >= minCellSizeForLabels && 
-                      xCategories.length <= 12 && 
-                      yCategories.length <= 10;
+    // Determine if labels should be shown based on user preference and size
+    let showLabels = false;
+    const minCellSizeForLabels = 45;
+    
+    if (config.showHeatmapLabels === 'always') {
+      showLabels = true;
+    } else if (config.showHeatmapLabels === 'never') {
+      showLabels = false;
+    } else { // 'auto'
+      showLabels = cellWidth >= minCellSizeForLabels && 
+                  cellHeight >= minCellSizeForLabels && 
+                  xCategories.length <= 12 && 
+                  yCategories.length <= 10;
+    }
     
     const fontSize = Math.max(8, Math.min(11, Math.min(cellWidth, cellHeight) * 0.25));
 
@@ -542,7 +822,7 @@ class ChartService {
       },
       grid: {
         left: '10%',
-        right: '10%',
+        right: '15%',
         top: '15%',
         bottom: '15%'
       },
@@ -593,15 +873,22 @@ class ChartService {
         }
       },
       series: [{
+        name: config.zAxis,
         type: 'heatmap',
         data: heatmapData,
         label: {
           show: showLabels,
-          position: 'inside',
-          fontSize: fontSize,
+          position: config.showHeatmapLabels === 'always' && (cellWidth < 40 || cellHeight < 30) ? 'outside' : 'inside',
+          fontSize: config.showHeatmapLabels === 'always' && (cellWidth < 40 || cellHeight < 30) ? 
+                   Math.max(6, fontSize - 2) : fontSize,
           fontWeight: 'normal',
+          distance: config.showHeatmapLabels === 'always' && (cellWidth < 40 || cellHeight < 30) ? 3 : 0,
           color: function(params) {
-            // Use white text on dark cells, dark text on light cells
+            // For outside labels, use consistent dark color
+            if (config.showHeatmapLabels === 'always' && (cellWidth < 40 || cellHeight < 30)) {
+              return '#333333';
+            }
+            // Use white text on dark cells, dark text on light cells for inside labels
             const value = params.value[2];
             const max = Math.max(...heatmapData.map(d => d[2]));
             const min = Math.min(...heatmapData.map(d => d[2]));
@@ -610,16 +897,31 @@ class ChartService {
           },
           formatter: function(params) {
             const value = params.value[2];
-            if (Math.abs(value) >= 1000000) {
-              return (value / 1000000).toFixed(1) + 'M';
-            } else if (Math.abs(value) >= 1000) {
-              return (value / 1000).toFixed(1) + 'k';
-            } else if (Math.abs(value) >= 100) {
-              return Math.round(value).toString();
-            } else if (Math.abs(value) >= 1) {
-              return value.toFixed(1);
+            // For very small cells, use even more compact notation
+            const isVerySmall = cellWidth < 35 || cellHeight < 25;
+            
+            if (isVerySmall && config.showHeatmapLabels === 'always') {
+              if (Math.abs(value) >= 1000000) {
+                return Math.round(value / 1000000) + 'M';
+              } else if (Math.abs(value) >= 1000) {
+                return Math.round(value / 1000) + 'k';
+              } else if (Math.abs(value) >= 100) {
+                return Math.round(value).toString();
+              } else {
+                return Math.round(value * 10) / 10; // One decimal max
+              }
             } else {
-              return value.toFixed(2);
+              if (Math.abs(value) >= 1000000) {
+                return (value / 1000000).toFixed(1) + 'M';
+              } else if (Math.abs(value) >= 1000) {
+                return (value / 1000).toFixed(1) + 'k';
+              } else if (Math.abs(value) >= 100) {
+                return Math.round(value).toString();
+              } else if (Math.abs(value) >= 1) {
+                return value.toFixed(1);
+              } else {
+                return value.toFixed(2);
+              }
             }
           }
         },
@@ -638,6 +940,290 @@ class ChartService {
     };
   }
 
+  /**
+   * Generate threshold sweep chart option: precision and recall at each cutoff of a
+   * rule condition, with alert volume on a second axis
+   */
+  generateThresholdSweepChart(data, config) {
+    const thresholds = data.map(row => String(row[config.xAxis]));
+    const percent = (key) => data.map(row => row[key] === null || row[key] === undefined ? null : +(row[key] * 100).toFixed(1));
+    // Mark the cutoff closest to the rule's current value, unless it is a parameter
+    const current = config.currentThreshold !== '' && isFinite(Number(config.currentThreshold))
+      ? thresholds.reduce((best, value) =>
+        Math.abs(value - config.currentThreshold) < Math.abs(best - config.currentThreshold) ? value : best, thresholds[0])
+      : null;
+
+    return {
+      title: { text: config.title },
+      tooltip: { trigger: 'axis' },
+      legend: { data: ['Precision', 'Recall', 'F1', 'Alerts'], bottom: 0 },
+      grid: { left: 50, right: 60, top: 50, bottom: 60 },
+      xAxis: {
+        type: 'category',
+        name: config.xAxisLabel,
+        nameLocation: 'middle',
+        nameGap: 28,
+        data: thresholds
+      },
+      yAxis: [
+        { type: 'value', name: '%', min: 0, max: 100 },
+        { type: 'value', name: 'Alerts', splitLine: { show: false } }
+      ],
+      series: [
+        {
+          name: 'Precision',
+          type: 'line',
+          data: percent('precision'),
+          smooth: true,
+          markLine: current === null ? undefined : {
+            symbol: 'none',
+            label: { formatter: 'current' },
+            lineStyle: { type: 'dashed', color: '#6B7280' },
+            data: [{ xAxis: current }]
+          }
+        },
+        { name: 'Recall', type: 'line', data: percent('recall'), smooth: true },
+        { name: 'F1', type: 'line', data: percent('f1'), smooth: true, lineStyle: { type: 'dotted' } },
+        {
+          name: 'Alerts',
+          type: 'bar',
+          yAxisIndex: 1,
+          data: data.map(row => row.alerts || 0),
+          itemStyle: { opacity: 0.3 }
+        }
+      ]
+    };
+  }
+
+  /**
+   * Build graph nodes and links from edge rows. Each row is a source, a target and a
+   * weight; nodes are keyed by their type (by default the column they came from) so a
+   * value seen in two columns stays two nodes.
+   */
+  buildNetwork(data, config) {
+    const palette = ['#3B82F6', '#10B981', '#F59E0B', '#8B5CF6', '#06B6D4', '#EC4899'];
+    const minWeight = Number(config.minWeight) || 0;
+    const weightOf = (row) => Number(row[config.valueColumn]) || 0;
+    const typeOf = (row, side) => {
+      const column = side === 'source' ? config.sourceTypeColumn : config.targetTypeColumn;
+      return column ? row[column] : (side === 'source' ? config.sourceColumn : config.targetColumn);
+    };
+    const isExpanded = (type, value) => (config.expandedNodes || [])
+      .some(node => node.column === type && String(node.value) === String(value));
+
+    const types = [];
+    const nodes = new Map();
+    const links = new Map();
+
+    const addNode = (type, value, side, weight, flagged) => {
+      if (!types.includes(type)) types.push(type);
+      const id = `${type}:${value}`;
+      const node = nodes.get(id) || { id, nodeType: type, nodeValue: String(value), in: [0, 0], out: [0, 0] };
+      node[side][0] += weight;
+      node[side][1] += flagged;
+      nodes.set(id, node);
+      return id;
+    };
+
+    data.forEach(row => {
+      const sourceValue = row[config.sourceColumn];
+      const targetValue = row[config.targetColumn];
+      const weight = weightOf(row);
+      if (sourceValue === null || sourceValue === undefined || targetValue === null || targetValue === undefined) return;
+      if (weight < minWeight) return;
+
+      const flagged = config.flagColumn ? Number(row[config.flagColumn]) || 0 : 0;
+      const source = addNode(typeOf(row, 'source'), sourceValue, 'out', weight, flagged);
+      const target = addNode(typeOf(row, 'target'), targetValue, 'in', weight, flagged);
+      const key = `${source}\u0000${target}`;
+      const link = links.get(key) || { source, target, value: 0, flagged: 0 };
+      link.value += weight;
+      link.flagged += flagged;
+      links.set(key, link);
+    });
+
+    // A node in the middle of a path has flows in and out; count the larger side once
+    const throughput = (node) => Math.max(node.in[0], node.out[0]);
+    const flaggedThrough = (node) => Math.max(node.in[1], node.out[1]);
+    const maxThroughput = Math.max(1, ...[...nodes.values()].map(throughput));
+    const categories = types.map((type, i) => ({
+      name: config.nodeLabels?.[type] || type,
+      itemStyle: { color: palette[i % palette.length] }
+    }));
+
+    return {
+      categories,
+      nodes: [...nodes.values()].map(node => ({
+        name: node.id,
+        nodeType: node.nodeType,
+        nodeValue: node.nodeValue,
+        value: throughput(node),
+        flagged: flaggedThrough(node),
+        category: types.indexOf(node.nodeType),
+        symbolSize: 8 + 24 * Math.sqrt(throughput(node) / maxThroughput),
+        itemStyle: {
+          color: categories[types.indexOf(node.nodeType)].itemStyle.color,
+          ...(flaggedThrough(node) > 0 && { borderColor: '#EF4444', borderWidth: 2 }),
+          ...(isExpanded(node.nodeType, node.nodeValue) && { borderColor: '#111827', borderWidth: 3 })
+        }
+      })),
+      links: [...links.values()].map(link => ({
+        ...link,
+        ...(link.flagged > 0 && { lineStyle: { color: '#EF4444', opacity: 0.9 } })
+      }))
+    };
+  }
+
+  /**
+   * Tooltip for network nodes and edges
+   */
+  networkTooltip(config) {
+    const valueLabel = config.valueLabel || config.valueColumn;
+    const label = (id) => id.slice(id.indexOf(':') + 1);
+    return (params) => {
+      const { data } = params;
+      const flagged = data.flagged > 0 ? `<br/>Flagged: ${data.flagged.toLocaleString()}` : '';
+      if (params.dataType === 'edge') {
+        return `${label(data.source)} → ${label(data.target)}<br/>${valueLabel}: ${data.value.toLocaleString()}${flagged}`;
+      }
+      const type = config.nodeLabels?.[data.nodeType] || data.nodeType;
+      return `${type}: ${data.nodeValue}<br/>${valueLabel}: ${data.value.toLocaleString()}${flagged}`;
+    };
+  }
+
+  /**
+   * Generate network graph option: nodes sized by the flow through them, edges
+   * carrying flagged transactions in red
+   */
+  generateGraphChart(data, config) {
+    const { nodes, links, categories } = this.buildNetwork(data, config);
+    const maxLink = Math.max(1, ...links.map(link => link.value));
+
+    return {
+      title: { text: config.title },
+      tooltip: { trigger: 'item', formatter: this.networkTooltip(config) },
+      legend: { data: categories.map(category => category.name), bottom: 0 },
+      series: [{
+        type: 'graph',
+        layout: config.layout === 'circular' ? 'circular' : 'force',
+        top: 50,
+        bottom: 40,
+        roam: true,
+        draggable: true,
+        categories,
+        data: nodes,
+        links: links.map(link => ({
+          ...link,
+          lineStyle: { width: 1 + 4 * (link.value / maxLink), ...link.lineStyle }
+        })),
+        edgeSymbol: ['none', 'arrow'],
+        edgeSymbolSize: 5,
+        label: {
+          show: nodes.length <= 60,
+          position: 'right',
+          fontSize: 10,
+          formatter: (params) => params.data.nodeValue
+        },
+        labelLayout: { hideOverlap: true },
+        lineStyle: { color: 'source', opacity: 0.5, curveness: 0.1 },
+        emphasis: { focus: 'adjacency', lineStyle: { opacity: 1 } },
+        force: { repulsion: 140, gravity: 0.08, edgeLength: [30, 120] },
+        circular: { rotateLabel: true }
+      }]
+    };
+  }
+
+  /**
+   * Generate Sankey option for the same edge rows, flowing left to right by stage
+   */
+  generateSankeyChart(data, config) {
+    const { nodes, links } = this.buildNetwork(data, config);
+
+    return {
+      title: { text: config.title },
+      tooltip: { trigger: 'item', formatter: this.networkTooltip(config) },
+      series: [{
+        type: 'sankey',
+        top: 50,
+        bottom: 20,
+        left: 20,
+        right: 120,
+        nodeGap: 6,
+        draggable: true,
+        data: nodes,
+        links,
+        label: { fontSize: 10, formatter: (params) => params.data.nodeValue },
+        lineStyle: { color: 'gradient', opacity: 0.4, curveness: 0.5 },
+        emphasis: { focus: 'adjacency' }
+      }]
+    };
+  }
+
+  /**
+   * Generate world map option colouring each country by the measure aggregated over its
+   * rows. xAxis names the country column, yAxis the measure. The world map must be
+   * registered first (see registerWorldMap).
+   */
+  generateMapChart(data, config) {
+    const aggregation = !config.aggregation || config.aggregation === 'none' ? 'sum' : config.aggregation;
+    const { measures, unmatched } = countryMeasures(data, config.xAxis, config.yAxis, aggregation);
+    const values = measures.map(measure => measure.value).filter(value => value !== null);
+    const measureLabel = aggregation === 'count' ? 'Rows' : config.yAxis;
+    const format = (value) => typeof value === 'number'
+      ? value.toLocaleString(undefined, { maximumFractionDigits: 4 })
+      : 'No data';
+
+    return {
+      title: {
+        text: config.title,
+        subtext: unmatched.length > 0
+          ? `${unmatched.length} value${unmatched.length === 1 ? '' : 's'} not matched to a country: ${unmatched.slice(0, 5).join(', ')}${unmatched.length > 5 ? ', …' : ''}`
+          : undefined
+      },
+      tooltip: {
+        trigger: 'item',
+        formatter: (params) => {
+          const measure = params.data;
+          if (!measure) return `${countryName(params.name)}<br/>No data`;
+          return `<strong>${measure.countryName}</strong> (${measure.rawValues.join(', ')})<br/>` +
+                 `${measureLabel}: ${format(measure.value)}<br/>` +
+                 `Rows: ${measure.count.toLocaleString()}`;
+        }
+      },
+      visualMap: {
+        min: values.length ? Math.min(...values) : 0,
+        max: values.length ? Math.max(...values) : 1,
+        calculable: true,
+        left: 10,
+        bottom: 10,
+        text: ['High', 'Low'],
+        textStyle: { fontSize: 10 },
+        inRange: { color: ['#fff7ec', '#fdd49e', '#fc8d59', '#d7301f', '#7f0000'] }
+      },
+      series: [{
+        name: measureLabel,
+        type: 'map',
+        map: WORLD_MAP,
+        roam: true,
+        top: 50,
+        bottom: 10,
+        data: measures.map(measure => ({
+          name: measure.code,
+          value: measure.value,
+          countryName: measure.name,
+          rawValues: measure.rawValues,
+          count: measure.count
+        })),
+        itemStyle: { areaColor: '#F3F4F6', borderColor: '#D1D5DB', borderWidth: 0.5 },
+        emphasis: {
+          label: { show: false },
+          itemStyle: { areaColor: '#93C5FD' }
+        },
+        select: { disabled: true }
+      }]
+    };
+  }
+
   /**
    * Dispose chart instance
    */
@@ -239,6 +239,36 @@ export function formatValue(value, type, options = {}) {
   return typeDefinition.format(value, options.precision, options.currency);
 }
 
+// Short chart axis labels for a column type (1.2K, $3.4M, 12.5%), or null to keep the
+// chart's own labels
+export function axisLabelFormatter(type) {
+  switch (type) {
+    case COLUMN_TYPES.CURRENCY: {
+      const compact = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', notation: 'compact', maximumFractionDigits: 1 });
+      return (value) => compact.format(value);
+    }
+    case COLUMN_TYPES.PERCENTAGE:
+      return (value) => `${Number((value * 100).toFixed(1))}%`;
+    case COLUMN_TYPES.INTEGER:
+    case COLUMN_TYPES.DECIMAL: {
+      const compact = new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 1 });
+      return (value) => compact.format(value);
+    }
+    default:
+      return null;
+  }
+}
+
+// A value as chart tooltips show it: currency and percentages as tables show them,
+// other numbers to two decimal places
+export function formatChartValue(value, type) {
+  if (value === null || value === undefined || value === '') return '-';
+  if (type === COLUMN_TYPES.CURRENCY || type === COLUMN_TYPES.PERCENTAGE) return formatValue(value, type);
+
+  const number = Number(value);
+  return isNaN(number) ? String(value) : number.toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
 // Sort values according to their type
 export function sortByType(values, type, ascending = true) {
   const typeDefinition = TYPE_DEFINITIONS[type] || TYPE_DEFINITIONS[COLUMN_TYPES.TEXT];
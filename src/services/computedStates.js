@@ -1,217 +1,366 @@
-// Advanced computed states service with window functions
-export class ComputedStatesService {
-  constructor(sqlEngine) {
-    this.sqlEngine = sqlEngine;
-  }
+import { PRIMARY_TABLE, quoteIdentifier } from './sqliteEngine';
 
-  // Generate SQL for different computation types
-  generateStateQuery(computationType, field, condition, windowDays, groupBy) {
-    const baseCondition = condition ? ` AND ${condition}` : '';
-    
-    switch (computationType) {
-      case 'window_sum':
-        if (groupBy) {
-          return `SUM(${field}) OVER (PARTITION BY ${groupBy} ORDER BY txn_date_time RANGE BETWEEN INTERVAL ${windowDays || 7} DAY PRECEDING AND CURRENT ROW)`;
-        }
-        return `SUM(${field}) OVER (ORDER BY txn_date_time RANGE BETWEEN INTERVAL ${windowDays || 7} DAY PRECEDING AND CURRENT ROW)`;
-      
-      case 'window_avg':
-        if (groupBy) {
-          return `AVG(${field}) OVER (PARTITION BY ${groupBy} ORDER BY txn_date_time RANGE BETWEEN INTERVAL ${windowDays || 7} DAY PRECEDING AND CURRENT ROW)`;
-        }
-        return `AVG(${field}) OVER (ORDER BY txn_date_time RANGE BETWEEN INTERVAL ${windowDays || 7} DAY PRECEDING AND CURRENT ROW)`;
-      
-      case 'window_count':
-        if (groupBy) {
-          return `COUNT(*) OVER (PARTITION BY ${groupBy} ORDER BY txn_date_time RANGE BETWEEN INTERVAL ${windowDays || 7} DAY PRECEDING AND CURRENT ROW)`;
-        }
-        return `COUNT(*) OVER (ORDER BY txn_date_time RANGE BETWEEN INTERVAL ${windowDays || 7} DAY PRECEDING AND CURRENT ROW)`;
-      
-      case 'running_total':
-        if (groupBy) {
-          return `SUM(${field}) OVER (PARTITION BY ${groupBy} ORDER BY txn_date_time)`;
-        }
-        return `SUM(${field}) OVER (ORDER BY txn_date_time)`;
-      
-      case 'rank':
-        if (groupBy) {
-          return `RANK() OVER (PARTITION BY ${groupBy} ORDER BY ${field} DESC)`;
-        }
-        return `RANK() OVER (ORDER BY ${field} DESC)`;
-      
-      case 'lag':
-        if (groupBy) {
-          return `LAG(${field}, 1) OVER (PARTITION BY ${groupBy} ORDER BY txn_date_time)`;
-        }
-        return `LAG(${field}, 1) OVER (ORDER BY txn_date_time)`;
-      
-      case 'row_number':
-        if (groupBy) {
-          return `ROW_NUMBER() OVER (PARTITION BY ${groupBy} ORDER BY txn_date_time)`;
-        }
-        return `ROW_NUMBER() OVER (ORDER BY txn_date_time)`;
-      
-      default:
-        return 'COUNT(*) OVER ()';
+// Rolling window granularities and their length in seconds
+export const WINDOW_UNITS = {
+  hour: { label: 'Hours', seconds: 3600 },
+  day: { label: 'Days', seconds: 86400 },
+  week: { label: 'Weeks', seconds: 604800 }
+};
+
+export const DEFAULT_TIME_COLUMN = 'txn_date_time';
+
+export const DEFAULT_AMOUNT_COLUMN = 'charged_amount';
+
+// True for flag values (fraud, decline) stored as 1, '1', 'true' or 'yes', whatever the
+// column type; NULL when the flag is missing
+export const flagExpression = (column) => `LOWER(CAST(${quoteIdentifier(column)} AS TEXT)) IN ('1', 'true', 'yes', 'y')`;
+
+export const DEFAULT_BASELINE_DAYS = 90;
+
+// Earlier rows a z-score needs before it is computed
+const MIN_ZSCORE_HISTORY = 5;
+
+// Structuring detector defaults: 3 or more transactions within 10% under a 10,000
+// reporting threshold that together reach the threshold inside the window
+export const DEFAULT_STRUCTURING = {
+  threshold: 10000,
+  tolerancePercent: 10,
+  minCount: 3,
+  minTotal: 10000
+};
+
+// Computation types offered in the state editor and the inputs each one uses.
+// field: 'numeric' for a value to aggregate, 'column' for any column, null for none.
+// window: a window size and unit; unit: a unit only; baseline: days of history to compare against.
+export const STATE_COMPUTATIONS = {
+  window_sum: { label: 'Rolling Window Sum', group: 'Rolling windows', field: 'numeric', window: true },
+  window_avg: { label: 'Rolling Window Average', group: 'Rolling windows', field: 'numeric', window: true },
+  window_count: { label: 'Rolling Window Count', group: 'Rolling windows', field: null, window: true },
+  window_distinct: { label: 'Rolling Window Distinct Count', group: 'Rolling windows', field: 'column', window: true },
+  window_max: { label: 'Rolling Window Max', group: 'Rolling windows', field: 'numeric', window: true },
+  risk_score: { label: 'Risk Score', group: 'Rolling windows', field: null, window: true },
+  velocity_ratio: { label: 'Velocity vs Baseline', group: 'Behavioural', field: null, window: true, windowLabel: 'Recent window', baseline: true },
+  amount_zscore: { label: 'Z-score vs History', group: 'Behavioural', field: 'numeric', baseline: true },
+  time_since_previous: { label: 'Time Since Previous', group: 'Behavioural', field: null, unit: true },
+  first_seen: { label: 'First Seen Flag', group: 'Behavioural', field: 'column' },
+  dormancy_reactivation: { label: 'Dormancy Reactivation', group: 'Behavioural', field: null, window: true, windowLabel: 'Dormant for' },
+  structuring_flag: { label: 'Structuring Flag', group: 'Typologies', field: 'numeric', window: true, structuring: true },
+  structuring_score: { label: 'Structuring Score', group: 'Typologies', field: 'numeric', window: true, structuring: true },
+  aggregate_sum: { label: 'Aggregate Sum', group: 'Aggregates', field: 'numeric' },
+  aggregate_count: { label: 'Aggregate Count', group: 'Aggregates', field: null }
+};
+
+// Ready-made states for the behavioural features built for most AML reviews.
+// Choosing one fills in the state editor.
+export const STATE_TEMPLATES = [
+  {
+    label: 'Transaction velocity vs 90-day baseline',
+    state: {
+      name: 'user_velocity_ratio_24h',
+      description: 'Transactions in the last 24 hours relative to the user\'s own 90-day daily rate',
+      computationType: 'velocity_ratio', field: '*', groupBy: 'user_id', windowSize: 1, windowUnit: 'day', baselineDays: 90
+    }
+  },
+  {
+    label: 'Amount z-score vs user history',
+    state: {
+      name: 'user_amount_zscore',
+      description: 'Standard deviations between this amount and the user\'s previous 90 days',
+      computationType: 'amount_zscore', field: 'charged_amount', groupBy: 'user_id', baselineDays: 90
+    }
+  },
+  {
+    label: 'Hours since previous transaction',
+    state: {
+      name: 'user_hours_since_previous',
+      description: 'Hours since the user\'s previous transaction',
+      computationType: 'time_since_previous', field: '*', groupBy: 'user_id', windowUnit: 'hour'
+    }
+  },
+  {
+    label: 'Distinct merchants per user (7 days)',
+    state: {
+      name: 'user_distinct_merchants_7d',
+      description: 'Different merchants the user paid in the last 7 days',
+      computationType: 'window_distinct', field: 'merchant_id', groupBy: 'user_id', windowSize: 7, windowUnit: 'day'
+    }
+  },
+  {
+    label: 'Distinct countries per user (30 days)',
+    state: {
+      name: 'user_distinct_countries_30d',
+      description: 'Different merchant countries the user transacted in over the last 30 days',
+      computationType: 'window_distinct', field: 'merchant_country', groupBy: 'user_id', windowSize: 30, windowUnit: 'day'
+    }
+  },
+  {
+    label: 'Distinct cards per merchant (24 hours)',
+    state: {
+      name: 'merchant_distinct_cards_24h',
+      description: 'Different cards used at the merchant in the last 24 hours',
+      computationType: 'window_distinct', field: 'user_id', groupBy: 'merchant_id', windowSize: 24, windowUnit: 'hour'
+    }
+  },
+  {
+    label: 'New merchant for user',
+    state: {
+      name: 'user_new_merchant',
+      description: '1 when the user pays this merchant for the first time',
+      computationType: 'first_seen', field: 'merchant_id', groupBy: 'user_id'
+    }
+  },
+  {
+    label: 'New country for user',
+    state: {
+      name: 'user_new_country',
+      description: '1 when the user transacts in this merchant country for the first time',
+      computationType: 'first_seen', field: 'merchant_country', groupBy: 'user_id'
+    }
+  },
+  {
+    label: 'Dormant account reactivated',
+    state: {
+      name: 'user_dormancy_reactivation',
+      description: '1 on the first transaction after the user was inactive for 90 days',
+      computationType: 'dormancy_reactivation', field: '*', groupBy: 'user_id', windowSize: 90, windowUnit: 'day'
     }
   }
+];
 
-  // Compute window-based values for dataset
-  computeWindowValues(data, state) {
-    const sortedData = [...data].sort((a, b) => new Date(a.txn_date_time) - new Date(b.txn_date_time));
-    const computedValues = new Map();
-    
-    sortedData.forEach((row, index) => {
-      let computedValue;
-      const currentDate = new Date(row.txn_date_time);
-      
-      switch (state.computationType) {
-        case 'window_sum':
-        case 'window_avg':
-        case 'window_count':
-          // Calculate window-based values
-          const windowStartDate = new Date(currentDate);
-          windowStartDate.setDate(windowStartDate.getDate() - (state.windowDays || 7));
-          
-          let relevantRows = sortedData.filter(r => {
-            const rowDate = new Date(r.txn_date_time);
-            const matchesGroup = state.groupBy ? r[state.groupBy] === row[state.groupBy] : true;
-            const inWindow = rowDate >= windowStartDate && rowDate <= currentDate;
-            return matchesGroup && inWindow;
-          });
-          
-          if (state.computationType === 'window_sum') {
-            computedValue = relevantRows.reduce((sum, r) => sum + (parseFloat(r[state.field]) || 0), 0);
-          } else if (state.computationType === 'window_avg') {
-            const sum = relevantRows.reduce((sum, r) => sum + (parseFloat(r[state.field]) || 0), 0);
-            computedValue = relevantRows.length > 0 ? sum / relevantRows.length : 0;
-          } else if (state.computationType === 'window_count') {
-            computedValue = relevantRows.length;
-          }
-          break;
-          
-        case 'running_total':
-          // Calculate running total
-          let runningRows = sortedData.slice(0, index + 1);
-          if (state.groupBy) {
-            runningRows = runningRows.filter(r => r[state.groupBy] === row[state.groupBy]);
-          }
-          computedValue = runningRows.reduce((sum, r) => sum + (parseFloat(r[state.field]) || 0), 0);
-          break;
-          
-        case 'rank':
-          // Calculate rank within group
-          let rankRows = state.groupBy 
-            ? sortedData.filter(r => r[state.groupBy] === row[state.groupBy])
-            : sortedData;
-          rankRows.sort((a, b) => (parseFloat(b[state.field]) || 0) - (parseFloat(a[state.field]) || 0));
-          computedValue = rankRows.findIndex(r => r === row) + 1;
-          break;
-          
-        case 'lag':
-          // Get previous value in group
-          let lagRows = state.groupBy 
-            ? sortedData.filter(r => r[state.groupBy] === row[state.groupBy])
-            : sortedData;
-          const currentIndex = lagRows.indexOf(row);
-          computedValue = currentIndex > 0 ? (parseFloat(lagRows[currentIndex - 1][state.field]) || 0) : null;
-          break;
-          
-        case 'row_number':
-          // Row number within group
-          let rowNumRows = state.groupBy 
-            ? sortedData.filter(r => r[state.groupBy] === row[state.groupBy])
-            : sortedData;
-          computedValue = rowNumRows.indexOf(row) + 1;
-          break;
-          
-        default:
-          computedValue = 0;
+// Window length of a state as { size, unit }. States saved before hour and week
+// windows existed only have windowDays.
+export function stateWindow(state) {
+  if (state.windowSize) {
+    return { size: state.windowSize, unit: WINDOW_UNITS[state.windowUnit] ? state.windowUnit : 'day' };
+  }
+  return { size: state.windowDays || 7, unit: 'day' };
+}
+
+// Seconds since the epoch for a time column. Numeric columns are taken to hold epoch
+// seconds already; date and text columns are converted with unixepoch().
+export function epochExpression(column, columnTypes = {}, qualifier = '') {
+  const reference = `${qualifier}${column}`;
+  return ['integer', 'decimal'].includes(columnTypes[column]) ? reference : `unixepoch(${reference})`;
+}
+
+// Structuring settings of a state, with defaults for anything not set
+export function structuringSettings(state) {
+  const setting = (key) => state[key] ?? DEFAULT_STRUCTURING[key];
+  const threshold = setting('threshold');
+  return {
+    threshold,
+    tolerancePercent: setting('tolerancePercent'),
+    // Lowest amount in the band just under the threshold
+    lower: Math.round(threshold * (100 - setting('tolerancePercent'))) / 100,
+    minCount: Math.max(1, setting('minCount')),
+    minTotal: setting('minTotal')
+  };
+}
+
+// The entity's transactions in the band under the threshold, each with the count and
+// total of the band transactions in the window ending at it
+function structuringWindows(state, columnTypes, seconds) {
+  const { field, groupBy, condition } = state;
+  const { threshold, lower } = structuringSettings(state);
+  const time = epochExpression(state.timeColumn || DEFAULT_TIME_COLUMN, columnTypes, 't2.');
+  const filters = [
+    groupBy && `t2.${groupBy} IS ${PRIMARY_TABLE}.${groupBy}`,
+    `t2.${field} >= ${lower} AND t2.${field} < ${threshold}`,
+    condition && `(${condition})`
+  ].filter(Boolean);
+  return `SELECT COUNT(*) OVER w AS hits, SUM(t2.${field}) OVER w AS total FROM ${PRIMARY_TABLE} t2 WHERE ${filters.join(' AND ')} WINDOW w AS (ORDER BY ${time} RANGE BETWEEN ${seconds} PRECEDING AND CURRENT ROW)`;
+}
+
+// The SQL expression a state computes. This is the exact expression the state editor
+// shows and persistState runs. Rolling windows use RANGE frames over epoch seconds,
+// which SQLite supports, instead of INTERVAL arithmetic, which it does not.
+export function generateStateQuery(state, columnTypes = {}) {
+  const { computationType, field, condition, groupBy } = state;
+  const timeColumn = state.timeColumn || DEFAULT_TIME_COLUMN;
+  const time = epochExpression(timeColumn, columnTypes);
+  const { size, unit } = stateWindow(state);
+  const seconds = size * WINDOW_UNITS[unit].seconds;
+  const baselineSeconds = (state.baselineDays || DEFAULT_BASELINE_DAYS) * WINDOW_UNITS.day.seconds;
+
+  const value = field && field !== '*' ? field : '1';
+  // Rows outside the condition are NULL, which aggregates skip
+  const when = (expression) => condition ? `CASE WHEN ${condition} THEN ${expression} END` : expression;
+  const partition = groupBy ? `PARTITION BY ${groupBy} ` : '';
+  const rolling = `OVER (${partition}ORDER BY ${time} RANGE BETWEEN ${seconds} PRECEDING AND CURRENT ROW)`;
+
+  switch (computationType) {
+    case 'window_sum':
+      return `SUM(${when(value)}) ${rolling}`;
+
+    case 'window_avg':
+      return `AVG(${when(value)}) ${rolling}`;
+
+    case 'window_count':
+      return `COUNT(${condition ? when('1') : '*'}) ${rolling}`;
+
+    case 'window_max':
+      return `MAX(${when(value)}) ${rolling}`;
+
+    case 'window_distinct': {
+      // SQLite does not allow DISTINCT in window functions, so count the rows in the
+      // same time range with a correlated subquery
+      const outerTime = epochExpression(timeColumn, columnTypes, `${PRIMARY_TABLE}.`);
+      const filters = [
+        groupBy && `t2.${groupBy} IS ${PRIMARY_TABLE}.${groupBy}`,
+        `${epochExpression(timeColumn, columnTypes, 't2.')} BETWEEN ${outerTime} - ${seconds} AND ${outerTime}`,
+        condition && `(${condition})`
+      ].filter(Boolean);
+      return `(SELECT COUNT(DISTINCT t2.${field}) FROM ${PRIMARY_TABLE} t2 WHERE ${filters.join(' AND ')})`;
+    }
+
+    case 'velocity_ratio': {
+      // Transactions in the window against the rate kept over the baseline before it
+      const count = `COUNT(${condition ? when('1') : '*'})`;
+      const recent = `${count} ${rolling}`;
+      const total = `${count} OVER (${partition}ORDER BY ${time} RANGE BETWEEN ${baselineSeconds + seconds} PRECEDING AND CURRENT ROW)`;
+      return `ROUND(${recent} * ${baselineSeconds}.0 / NULLIF((${total} - ${recent}) * ${seconds}, 0), 2)`;
+    }
+
+    case 'amount_zscore': {
+      // Mean and standard deviation of the earlier rows in the baseline, not this one.
+      // NULL until there are enough different earlier values for a meaningful spread.
+      const history = `OVER (${partition}ORDER BY ${time} RANGE BETWEEN ${baselineSeconds} PRECEDING AND 1 PRECEDING)`;
+      const mean = `AVG(${when(field)}) ${history}`;
+      const variance = `AVG(${when(`${field} * ${field}`)}) ${history} - ${mean} * ${mean}`;
+      const enoughHistory = `COUNT(${when(field)}) ${history} >= ${MIN_ZSCORE_HISTORY} AND MAX(${when(field)}) ${history} > MIN(${when(field)}) ${history}`;
+      return `CASE WHEN ${enoughHistory} THEN ROUND((${field} - ${mean}) / SQRT(MAX(${variance}, 0)), 2) END`;
+    }
+
+    case 'time_since_previous':
+      return `ROUND((${time} - LAG(${time}) OVER (${partition}ORDER BY ${time})) / ${WINDOW_UNITS[unit].seconds}.0, 2)`;
+
+    case 'first_seen': {
+      // The first row for each value, once there is earlier history to compare with
+      const valuePartition = [groupBy, field].filter(Boolean).join(', ');
+      return `CASE WHEN ROW_NUMBER() OVER (PARTITION BY ${valuePartition} ORDER BY ${time}) = 1 AND ROW_NUMBER() OVER (${partition}ORDER BY ${time}) > 1 THEN 1 ELSE 0 END`;
+    }
+
+    case 'dormancy_reactivation':
+      return `CASE WHEN ${time} - LAG(${time}) OVER (${partition}ORDER BY ${time}) >= ${seconds} THEN 1 ELSE 0 END`;
+
+    case 'structuring_flag': {
+      // 1 for every row of an entity that met the count and total in some window
+      const { minCount, minTotal } = structuringSettings(state);
+      return `(SELECT EXISTS (SELECT 1 FROM (${structuringWindows(state, columnTypes, seconds)}) WHERE hits >= ${minCount} AND total >= ${minTotal}))`;
+    }
+
+    case 'structuring_score': {
+      // How far the entity's worst window got towards both limits; 1 or more meets them
+      const { minCount, minTotal } = structuringSettings(state);
+      const progress = minTotal > 0
+        ? `MIN(hits * 1.0 / ${minCount}, total * 1.0 / ${minTotal})`
+        : `hits * 1.0 / ${minCount}`;
+      return `(SELECT ROUND(COALESCE(MAX(${progress}), 0), 2) FROM (${structuringWindows(state, columnTypes, seconds)}))`;
+    }
+
+    case 'aggregate_sum': {
+      // If field is '*', use COUNT instead of SUM
+      const sumFunction = value === '1' ? 'COUNT(*)' : `SUM(${field})`;
+      if (groupBy) {
+        return `(SELECT ${sumFunction} FROM ${PRIMARY_TABLE} t2 WHERE t2.${groupBy} = ${PRIMARY_TABLE}.${groupBy}${condition ? ' AND ' + condition : ''})`;
       }
+      return `(SELECT ${sumFunction} FROM ${PRIMARY_TABLE} t2${condition ? ' WHERE ' + condition : ''})`;
+    }
 
-      computedValues.set(row, computedValue);
-    });
+    case 'aggregate_count':
+      if (groupBy) {
+        return `(SELECT COUNT(*) FROM ${PRIMARY_TABLE} t2 WHERE t2.${groupBy} = ${PRIMARY_TABLE}.${groupBy}${condition ? ' AND ' + condition : ''})`;
+      }
+      return `(SELECT COUNT(*) FROM ${PRIMARY_TABLE} t2${condition ? ' WHERE ' + condition : ''})`;
+
+    case 'risk_score': {
+      const declines = `COUNT(CASE WHEN decline = 1 THEN 1 END) OVER (PARTITION BY user_id ORDER BY ${time} RANGE BETWEEN ${seconds} PRECEDING AND CURRENT ROW)`;
+      return `CASE WHEN ${declines} > 2 THEN 'HIGH' WHEN ${declines} > 0 THEN 'MEDIUM' ELSE 'LOW' END`;
+    }
 
-    return computedValues;
+    case 'running_total':
+      return `SUM(${field}) OVER (${partition}ORDER BY ${time})`;
+
+    case 'rank':
+      return `RANK() OVER (${partition}ORDER BY ${field} DESC)`;
+
+    case 'lag':
+      return `LAG(${field}, 1) OVER (${partition}ORDER BY ${time})`;
+
+    case 'row_number':
+      return `ROW_NUMBER() OVER (${partition}ORDER BY ${time})`;
+
+    default:
+      return 'COUNT(*) OVER ()';
   }
+}
 
-  // Execute SQL-based state computation
-  async executeStateQuery(data, state) {
-    console.log('executeStateQuery called with state:', state.name, 'data rows:', data.length);
-    
+// States and report query for the structuring detector: a flag and a score per
+// entity, persisted as columns, and a Data cell query listing the flagged entities'
+// transactions in the band under the threshold, each with the count and total of the
+// window ending at it that the flag compares with its limits
+export function structuringDetector({ prefix, ...config }, columnTypes = {}) {
+  const { threshold, lower, minCount, minTotal } = structuringSettings(config);
+  const { size, unit } = stateWindow(config);
+  const period = `${size} ${WINDOW_UNITS[unit].label.toLowerCase()}`;
+  const timeColumn = config.timeColumn || DEFAULT_TIME_COLUMN;
+  const seconds = size * WINDOW_UNITS[unit].seconds;
+
+  const flag = {
+    ...config,
+    name: `${prefix}_flag`,
+    description: `${minCount}+ transactions between ${lower} and ${threshold} totalling ${minTotal}+ within ${period}`,
+    computationType: 'structuring_flag',
+    persistent: true
+  };
+  const score = {
+    ...config,
+    name: `${prefix}_score`,
+    description: `Progress towards the ${prefix}_flag rule in its busiest window of ${period}; 1 or more meets it`,
+    computationType: 'structuring_score',
+    persistent: true
+  };
+  const states = [flag, score].map(state => ({ ...state, query: generateStateQuery(state, columnTypes) }));
+
+  const filters = [
+    `${flag.name} = 1`,
+    `${config.field} >= ${lower} AND ${config.field} < ${threshold}`,
+    config.condition && `(${config.condition})`
+  ].filter(Boolean);
+  const reportQuery = `SELECT *,
+  COUNT(*) OVER w AS window_count,
+  ROUND(SUM(${config.field}) OVER w, 2) AS window_total
+FROM ${PRIMARY_TABLE}
+WHERE ${filters.join(' AND ')}
+WINDOW w AS (PARTITION BY ${config.groupBy} ORDER BY ${epochExpression(timeColumn, columnTypes)} RANGE BETWEEN ${seconds} PRECEDING AND CURRENT ROW)
+ORDER BY ${score.name} DESC, ${config.groupBy}, ${timeColumn}`;
+
+  return { states, reportQuery };
+}
+
+// Advanced computed states service with window functions
+export class ComputedStatesService {
+  constructor(sqlEngine) {
+    this.sqlEngine = sqlEngine;
+  }
+
+  // Generate SQL for different computation types
+  generateStateQuery(state, columnTypes = {}) {
+    return generateStateQuery(state, columnTypes);
+  }
+
+  // Compute a state inside SQLite and store it as a column of the table, replacing
+  // any earlier values. onProgress receives { stage, done, total }.
+  async persistState(state, { tableName = PRIMARY_TABLE, onProgress = null } = {}) {
     if (!this.sqlEngine || !this.sqlEngine.isInitialized) {
       throw new Error('SQL engine not initialized');
     }
-
-    // If the state has a direct SQL query (from sample investigations)
-    if (state.query && state.query.startsWith('(SELECT')) {
-      console.log('Processing SQL subquery state:', state.query);
-      // This is a subquery - we need to execute it for each row
-      const computedValues = new Map();
-      
-      // Process in smaller batches to avoid performance issues
-      const batchSize = 100;
-      for (let batchStart = 0; batchStart < data.length; batchStart += batchSize) {
-        const batchEnd = Math.min(batchStart + batchSize, data.length);
-        console.log(`Processing batch ${batchStart} to ${batchEnd}`);
-        
-        for (let i = batchStart; i < batchEnd; i++) {
-          const row = data[i];
-          
-          // For merchant_country_risk, we want to calculate the average fraud rate for this country
-          // The subquery should aggregate across all transactions for this country
-          let contextualQuery;
-          
-          if (state.name === 'merchant_country_risk') {
-            // Calculate fraud rate for the merchant country of this row
-            contextualQuery = `SELECT AVG(CASE WHEN fraud = 1 THEN 1.0 ELSE 0.0 END) as fraud_rate FROM transactions WHERE merchant_country = '${row.merchant_country}'`;
-          } else {
-            // Default: replace placeholder references in the query
-            contextualQuery = state.query
-              .replace(/transactions\.user_id/g, `'${row.user_id}'`)
-              .replace(/transactions\.merchant_id/g, `'${row.merchant_id}'`)
-              .replace(/transactions\.merchant_country/g, `'${row.merchant_country}'`)
-              .slice(1, -1); // Remove outer parentheses
-          }
-          
-          // Execute the subquery
-          const result = this.sqlEngine.execute(contextualQuery);
-          
-          if (result.success && result.data.length > 0) {
-            const value = Object.values(result.data[0])[0];
-            computedValues.set(row, value || 0);
-          } else {
-            console.warn(`Query failed for row ${i}:`, result.error);
-            computedValues.set(row, 0);
-          }
-        }
-      }
-      
-      console.log('Computed values for', computedValues.size, 'rows');
-      return computedValues;
-    } else {
-      console.log('Using window functions approach for state:', state.name);
-      // Use the existing window functions approach
-      return this.computeWindowValues(data, state);
+    if (!state.query) {
+      throw new Error(`State "${state.name}" has no SQL expression`);
     }
-  }
 
-  // Persist computed state to dataset
-  async persistStateToDataset(originalData, state) {
-    const computedValues = await this.executeStateQuery(originalData, state);
-    
-    // Apply computed values to original data maintaining original order
-    const updatedData = originalData.map(originalRow => ({
-      ...originalRow,
-      [state.name]: computedValues.get(originalRow) || 0
-    }));
-    
-    // Debug: Sample computed values
-    const sampleValues = Array.from(computedValues.values()).slice(0, 5);
-    console.log(`Sample computed values for ${state.name}:`, sampleValues);
-    console.log(`Unique values for ${state.name}:`, [...new Set(sampleValues)]);
-    
-    return updatedData;
+    console.log(`Computing state ${state.name}:`, state.query);
+    return this.sqlEngine.computeColumn(tableName, state.name, state.query, { onProgress });
   }
 
   // Validate state configuration
@@ -226,12 +375,22 @@ export class ComputedStatesService {
       errors.push('State description is required');
     }
     
-    if (['window_sum', 'window_avg', 'running_total', 'rank', 'lag'].includes(state.computationType) && !state.field) {
+    const computation = STATE_COMPUTATIONS[state.computationType];
+
+    if ((computation?.field === 'numeric' || ['running_total', 'rank', 'lag'].includes(state.computationType)) && !state.field) {
       errors.push('Field is required for this computation type');
     }
+
+    if (computation?.field === 'column' && (!state.field || state.field === '*')) {
+      errors.push('Choose the column this computation looks at');
+    }
     
-    if (['window_sum', 'window_avg', 'window_count'].includes(state.computationType) && (!state.windowDays || state.windowDays < 1)) {
-      errors.push('Window size must be at least 1 day');
+    if (computation?.window && !(stateWindow(state).size >= 1)) {
+      errors.push('Window size must be at least 1');
+    }
+
+    if (computation?.baseline && !((state.baselineDays ?? DEFAULT_BASELINE_DAYS) >= 1)) {
+      errors.push('Baseline must be at least 1 day');
     }
     
     return { valid: errors.length === 0, errors };
@@ -261,6 +420,11 @@ export class ComputedStatesService {
   }
 }
 
+// Identifies a state definition, so a cached column is only reused while its definition is unchanged
+export function stateSignature(state) {
+  return JSON.stringify(state);
+}
+
 // Export singleton instance (will be initialized with SQL engine later)
 export let computedStatesService = null;
 
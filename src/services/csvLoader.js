@@ -1,4 +1,14 @@
 // CSV loading and parsing service
+import { detectColumnTypes } from './columnTypes';
+import { CSVParser, parseCSVText, isBlankRecord } from './csvParser';
+import { createRowSampler, samplingKey, FULL_LOAD } from './rowSampler';
+
+// Delimiters considered during auto-detection, in order of preference
+export const SUPPORTED_DELIMITERS = [',', ';', '\t', '|'];
+
+// Cap on individually reported malformed rows; the reject count stays exact
+const MAX_REPORTED_ERRORS = 100;
+
 export class CSVLoader {
   
   // Load column types from configuration file
@@ -14,122 +24,240 @@ export class CSVLoader {
     }
     return {};
   }
-  // Simple CSV parser that handles quoted fields
-  parseCSVLine(line) {
-    const result = [];
-    let current = '';
+  // Parse a single line of CSV into its fields
+  parseCSVLine(line, delimiter = ',') {
+    const [record] = parseCSVText(line, delimiter);
+    return record ? record.fields : [''];
+  }
+
+  // Count delimiter occurrences outside of quoted sections
+  countDelimiter(line, delimiter) {
+    let count = 0;
     let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
+    for (const char of line) {
       if (char === '"') {
         inQuotes = !inQuotes;
-      } else if (char === ',' && !inQuotes) {
-        result.push(current);
-        current = '';
-      } else {
-        current += char;
+      } else if (char === delimiter && !inQuotes) {
+        count++;
       }
     }
-    result.push(current);
-    return result;
+    return count;
+  }
+
+  // Pick the delimiter that splits the first lines into the most consistent column count
+  detectDelimiter(sampleText) {
+    const lines = sampleText
+      .split(/\r?\n/)
+      .filter(line => line.trim() !== '')
+      .slice(0, 20);
+    
+    if (lines.length === 0) return ',';
+    
+    let best = { delimiter: ',', score: 0 };
+    
+    SUPPORTED_DELIMITERS.forEach(delimiter => {
+      const headerCount = this.countDelimiter(lines[0], delimiter);
+      if (headerCount === 0) return;
+      
+      const consistentLines = lines.filter(line => this.countDelimiter(line, delimiter) === headerCount).length;
+      const score = (consistentLines / lines.length) * 1000 + headerCount;
+      
+      if (score > best.score) {
+        best = { delimiter, score };
+      }
+    });
+    
+    return best.delimiter;
   }
 
   // Load and parse CSV file with streaming for large files
-  async loadCSV(url, maxRows = 10000) {
+  async loadCSV(url, sampling = FULL_LOAD) {
     try {
-      console.log('Loading CSV from:', url, 'max rows:', maxRows);
+      console.log('Loading CSV from:', url, 'sampling:', samplingKey(sampling));
       const response = await fetch(url);
       console.log('Response status:', response.status);
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
       
-      // Use streaming reader for large files
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      
-      let buffer = '';
-      let headers = null;
-      const data = [];
-      let totalRows = 0;
-      let rowsProcessed = 0;
-      
-      console.log('Starting streaming CSV parse...');
-      
-      while (true) {
-        const { done, value } = await reader.read();
-        
-        if (done) break;
-        
-        buffer += decoder.decode(value, { stream: true });
-        
-        // Process complete lines
-        const lines = buffer.split('\n');
-        buffer = lines.pop(); // Keep incomplete line in buffer
-        
-        for (const line of lines) {
-          if (line.trim() === '') continue;
-          
-          if (!headers) {
-            headers = this.parseCSVLine(line);
-            console.log('Headers found:', headers.length, 'columns');
-            continue;
-          }
-          
-          totalRows++;
-          
-          // Only process rows within our limit
-          if (rowsProcessed < maxRows) {
-            const values = this.parseCSVLine(line);
-            const row = {};
-            headers.forEach((header, index) => {
-              row[header] = values[index] || '';
-            });
-            data.push(row);
-            rowsProcessed++;
-          }
-          
-          // Progress logging and early exit option for large files
-          if (totalRows % 10000 === 0) {
-            console.log(`Processed ${totalRows} rows, collected ${rowsProcessed} rows`);
-          }
-          
-          // Early exit for very large files to save memory (optional optimization)
-          if (totalRows > 1000000 && rowsProcessed >= maxRows) {
-            console.log(`Early exit: collected ${rowsProcessed} rows, estimated total > ${totalRows}`);
-            reader.cancel();
-            break;
-          }
-        }
+      const parsed = await this.parseStream(response.body.getReader(), { sampling });
+      
+      // Load column types
+      const columnTypes = await this.loadColumnTypes();
+      
+      console.log(`CSV loaded: ${parsed.data.length} rows processed out of ${parsed.totalRows} total rows`);
+      return { success: true, ...parsed, columnTypes };
+      
+    } catch (error) {
+      console.error('CSV loading error:', error);
+      return { success: false, error: error.message, data: [], headers: [] };
+    }
+  }
+
+  // Load and parse a local File (from a file picker or drag-and-drop)
+  async loadCSVFile(file, sampling = FULL_LOAD, options = {}) {
+    try {
+      console.log('Loading CSV file:', file.name, 'size:', file.size, 'sampling:', samplingKey(sampling));
+      
+      const parsed = await this.parseStream(file.stream().getReader(), {
+        sampling,
+        delimiter: options.delimiter
+      });
+      
+      const columnTypes = options.columnTypes || await this.resolveColumnTypes(parsed.data, parsed.headers);
+      
+      console.log(`CSV file loaded: ${parsed.data.length} rows processed out of ${parsed.totalRows} total rows`);
+      return { success: true, ...parsed, columnTypes };
+      
+    } catch (error) {
+      console.error('CSV file loading error:', error);
+      return { success: false, error: error.message, data: [], headers: [] };
+    }
+  }
+
+  // Read the head of a local file to show headers, sample rows and detected types before loading
+  async previewFile(file, sampleRows = 10, delimiterOverride = null) {
+    const chunk = await file.slice(0, 256 * 1024).text();
+    const delimiter = delimiterOverride || this.detectDelimiter(chunk);
+    
+    const parser = new CSVParser({ delimiter });
+    const records = parser.push(chunk);
+    // The last record may be cut off by the slice unless we read the whole file
+    if (file.size <= 256 * 1024) {
+      records.push(...parser.flush());
+    }
+    
+    const nonEmpty = records.filter(record => !isBlankRecord(record));
+    if (nonEmpty.length === 0) {
+      throw new Error('File is empty');
+    }
+    
+    const headers = nonEmpty[0].fields.map(header => header.trim());
+    const rows = nonEmpty.slice(1, 201).map(record => {
+      const row = {};
+      headers.forEach((header, index) => {
+        row[header] = record.fields[index] || '';
+      });
+      return row;
+    });
+    
+    const columnTypes = await this.resolveColumnTypes(rows, headers);
+    
+    return {
+      delimiter,
+      headers,
+      rows: rows.slice(0, sampleRows),
+      columnTypes
+    };
+  }
+
+  // Detect types from the data, preferring configured types for known columns
+  async resolveColumnTypes(data, headers) {
+    const detected = detectColumnTypes(data, headers);
+    const configured = await this.loadColumnTypes();
+    
+    headers.forEach(header => {
+      if (configured[header]) {
+        detected[header] = configured[header];
+      }
+    });
+    
+    return detected;
+  }
+
+  // Parse a byte stream reader into rows, keeping the rows chosen by the sampling mode.
+  // Every row is read so totalRows is exact even when only a sample is kept.
+  // Rows with quoting errors or the wrong number of fields are rejected and reported by line.
+  async parseStream(reader, { sampling = FULL_LOAD, delimiter = null } = {}) {
+    const decoder = new TextDecoder();
+    const sampler = createRowSampler(sampling);
+    let parser = null;
+    
+    let headers = null;
+    const parseErrors = [];
+    let totalRows = 0;
+    let rejectedRows = 0;
+    
+    const reject = (record, reason) => {
+      rejectedRows++;
+      if (parseErrors.length < MAX_REPORTED_ERRORS) {
+        parseErrors.push({ line: record.line, reason });
+      }
+    };
+    
+    const handleRecord = (record) => {
+      if (isBlankRecord(record)) return;
+      
+      if (!headers) {
+        headers = record.fields.map(header => header.trim());
+        console.log('Headers found:', headers.length, 'columns');
+        return;
       }
       
-      // Process any remaining data in buffer
-      if (buffer.trim() && headers && rowsProcessed < maxRows) {
-        totalRows++;
-        const values = this.parseCSVLine(buffer);
+      totalRows++;
+      
+      if (record.error) {
+        reject(record, record.error);
+      } else if (record.fields.length !== headers.length) {
+        reject(record, `Expected ${headers.length} fields but found ${record.fields.length}`);
+      } else {
         const row = {};
         headers.forEach((header, index) => {
-          row[header] = values[index] || '';
+          row[header] = record.fields[index];
         });
-        data.push(row);
-        rowsProcessed++;
+        sampler.add(row);
       }
       
-      if (!headers || data.length === 0) {
-        throw new Error('CSV file is empty or invalid');
+      // Progress logging for large files
+      if (totalRows % 100000 === 0) {
+        console.log(`Processed ${totalRows} rows`);
       }
+    };
+    
+    console.log('Starting streaming CSV parse...');
+    
+    while (true) {
+      const { done, value } = await reader.read();
       
-      // Load column types
-      const columnTypes = await this.loadColumnTypes();
+      if (done) break;
       
-      console.log(`CSV loaded: ${rowsProcessed} rows processed out of ${totalRows} total rows`);
-      return { success: true, data, headers, totalRows, columnTypes };
+      const text = decoder.decode(value, { stream: true });
       
-    } catch (error) {
-      console.error('CSV loading error:', error);
-      return { success: false, error: error.message, data: [], headers: [] };
+      // Detect the delimiter from the first chunk when not specified
+      if (!parser) {
+        const activeDelimiter = delimiter || this.detectDelimiter(text);
+        console.log('Using delimiter:', JSON.stringify(activeDelimiter));
+        parser = new CSVParser({ delimiter: activeDelimiter });
+      }
+      
+      parser.push(text).forEach(handleRecord);
+    }
+    
+    if (parser) {
+      // Process the final record when the file does not end with a newline
+      parser.push(decoder.decode());
+      parser.flush().forEach(handleRecord);
     }
+    
+    const data = sampler.result();
+    
+    if (!headers || data.length === 0) {
+      throw new Error('CSV file is empty or invalid');
+    }
+    
+    if (rejectedRows > 0) {
+      console.warn(`Rejected ${rejectedRows} malformed rows`, parseErrors.slice(0, 10));
+    }
+    
+    return {
+      data,
+      headers,
+      totalRows,
+      rejectedRows,
+      parseErrors,
+      delimiter: parser.delimiter,
+      sampling
+    };
   }
 
   // Get sample data for display
@@ -0,0 +1,165 @@
+// Streaming RFC 4180 CSV parser
+//
+// Text is pushed in arbitrary chunks (as they arrive from a stream) and complete
+// records are returned as soon as their terminating newline has been seen. Handles
+// quoted fields containing delimiters and newlines, escaped quotes (""), CRLF/LF/CR
+// line endings and a leading byte order mark. Malformed input does not throw: the
+// record is returned with an `error` so the caller can reject and report it.
+
+const STATE = {
+  FIELD_START: 0,
+  UNQUOTED: 1,
+  QUOTED: 2,
+  QUOTE_IN_QUOTED: 3
+};
+
+export class CSVParser {
+  constructor({ delimiter = ',' } = {}) {
+    this.delimiter = delimiter;
+    this.state = STATE.FIELD_START;
+    this.field = '';
+    this.fields = [];
+    this.line = 1;
+    this.recordLine = 1;
+    this.recordError = null;
+    this.skipLineFeed = false;
+    this.atStart = true;
+  }
+
+  // Feed the next chunk of text; returns the records completed by it
+  push(text) {
+    const records = [];
+    let start = 0;
+
+    if (this.atStart && text.length > 0) {
+      this.atStart = false;
+      if (text.charCodeAt(0) === 0xFEFF) {
+        start = 1;
+      }
+    }
+
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+
+      // Second half of a CRLF pair that already ended the record
+      if (this.skipLineFeed) {
+        this.skipLineFeed = false;
+        if (char === '\n') continue;
+      }
+
+      switch (this.state) {
+        case STATE.FIELD_START:
+          if (char === '"') {
+            this.state = STATE.QUOTED;
+          } else if (char === this.delimiter) {
+            this.endField();
+          } else if (char === '\r' || char === '\n') {
+            records.push(this.endRecord(char));
+          } else {
+            this.field += char;
+            this.state = STATE.UNQUOTED;
+          }
+          break;
+
+        case STATE.UNQUOTED:
+          if (char === this.delimiter) {
+            this.endField();
+          } else if (char === '\r' || char === '\n') {
+            records.push(this.endRecord(char));
+          } else {
+            if (char === '"') {
+              this.markError('Unexpected quote in unquoted field');
+            }
+            this.field += char;
+          }
+          break;
+
+        case STATE.QUOTED:
+          if (char === '"') {
+            this.state = STATE.QUOTE_IN_QUOTED;
+          } else {
+            if (char === '\n') {
+              this.line++;
+            }
+            this.field += char;
+          }
+          break;
+
+        case STATE.QUOTE_IN_QUOTED:
+          if (char === '"') {
+            // Escaped quote
+            this.field += '"';
+            this.state = STATE.QUOTED;
+          } else if (char === this.delimiter) {
+            this.endField();
+          } else if (char === '\r' || char === '\n') {
+            records.push(this.endRecord(char));
+          } else {
+            this.markError('Unexpected character after closing quote');
+            this.field += char;
+            this.state = STATE.UNQUOTED;
+          }
+          break;
+      }
+    }
+
+    return records;
+  }
+
+  // Signal end of input; returns the final record if the text did not end with a newline
+  flush() {
+    const records = [];
+
+    if (this.state === STATE.QUOTED) {
+      this.markError('Unterminated quoted field');
+    }
+
+    if (this.state !== STATE.FIELD_START || this.field !== '' || this.fields.length > 0) {
+      records.push(this.endRecord(null));
+    }
+
+    return records;
+  }
+
+  endField() {
+    this.fields.push(this.field);
+    this.field = '';
+    this.state = STATE.FIELD_START;
+  }
+
+  endRecord(newline) {
+    this.fields.push(this.field);
+
+    const record = { fields: this.fields, line: this.recordLine, error: this.recordError };
+
+    if (newline !== null) {
+      this.line++;
+      this.skipLineFeed = newline === '\r';
+    }
+
+    this.field = '';
+    this.fields = [];
+    this.state = STATE.FIELD_START;
+    this.recordLine = this.line;
+    this.recordError = null;
+
+    return record;
+  }
+
+  markError(message) {
+    if (!this.recordError) {
+      this.recordError = message;
+    }
+  }
+}
+
+// Parse a complete string in one go
+export function parseCSVText(text, delimiter = ',') {
+  const parser = new CSVParser({ delimiter });
+  return [...parser.push(text), ...parser.flush()];
+}
+
+// A record produced by a blank line
+export function isBlankRecord(record) {
+  return record.fields.length === 1 && record.fields[0].trim() === '';
+}
@@ -0,0 +1,176 @@
+// Dashboards
+//
+// A one-page view of an investigation: chart cells and Data cells (shown as KPI tiles)
+// pinned into a grid, with a filter bar over the transactions table. Filters rewrite
+// each pinned cell's query so every read of the table becomes a read of its filtered
+// rows. The layout and filters are saved with the investigation.
+
+import { PRIMARY_TABLE, quoteIdentifier } from './sqliteEngine';
+import { tokenize } from './sqlClassifier';
+import { flagExpression } from './computedStates';
+import { ChartDataProcessor, chartConfig } from '../utils/chartDataProcessor';
+
+// Columns the filter bar filters on; a filter is offered when the table has its column
+export const DASHBOARD_FILTERS = {
+  date: { column: 'txn_date_time', label: 'Date' },
+  country: { column: 'merchant_country', label: 'Country' },
+  category: { column: 'mcc', label: 'Merchant Category' },
+  fraud: { column: 'fraud', label: 'Fraud' }
+};
+
+export const FRAUD_OPTIONS = {
+  '': 'All transactions',
+  fraud: 'Fraud only',
+  clean: 'Not fraud'
+};
+
+export const DEFAULT_DASHBOARD = {
+  tiles: [],
+  filters: { dateStart: '', dateEnd: '', country: '', category: '', fraud: '' }
+};
+
+// The grid is four columns wide; a row is ROW_HEIGHT pixels tall
+export const GRID_COLUMNS = 4;
+export const MAX_TILE_ROWS = 4;
+export const ROW_HEIGHT = 160;
+
+// Words that can follow a table name without being its alias
+const CLAUSE_KEYWORDS = new Set([
+  'WHERE', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS', 'NATURAL', 'OUTER', 'ON', 'USING',
+  'GROUP', 'ORDER', 'LIMIT', 'UNION', 'EXCEPT', 'INTERSECT', 'HAVING', 'WINDOW', 'INDEXED', 'NOT'
+]);
+
+// Words that end a FROM list, so a comma after them no longer separates tables
+const FROM_LIST_END = new Set(['WHERE', 'GROUP', 'ORDER', 'LIMIT', 'UNION', 'EXCEPT', 'INTERSECT', 'HAVING', 'WINDOW']);
+
+export const isPinnableCell = (cell) => cell.type === 'chart' || cell.type === 'data';
+
+export const isPinned = (dashboard, cellId) => (dashboard?.tiles || []).some(tile => tile.cellId === cellId);
+
+// Tiles after a cell's pin is toggled. Charts start two columns wide, KPI tiles one.
+export function togglePinnedCell(dashboard, cell) {
+  const tiles = dashboard?.tiles || [];
+  return isPinned(dashboard, cell.id)
+    ? tiles.filter(tile => tile.cellId !== cell.id)
+    : [...tiles, { cellId: cell.id, width: cell.type === 'chart' ? 2 : 1, height: cell.type === 'chart' ? 2 : 1 }];
+}
+
+export function resizeTile(tiles, cellId, width, height) {
+  const clamp = (value, max) => Math.min(max, Math.max(1, Math.round(value)));
+  return tiles.map(tile => tile.cellId === cellId
+    ? { ...tile, width: clamp(width, GRID_COLUMNS), height: clamp(height, MAX_TILE_ROWS) }
+    : tile);
+}
+
+// Tiles with one moved earlier (-1) or later (+1) in the grid
+export function moveTile(tiles, cellId, offset) {
+  const from = tiles.findIndex(tile => tile.cellId === cellId);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= tiles.length) return tiles;
+
+  const moved = [...tiles];
+  [moved[from], moved[to]] = [moved[to], moved[from]];
+  return moved;
+}
+
+// Conditions on the table's rows for the filters that are set, with their bindings
+export function dashboardConditions(filters = {}, columns = []) {
+  const conditions = [];
+  const params = {};
+  const has = (key) => columns.includes(DASHBOARD_FILTERS[key].column);
+
+  if (has('date')) {
+    const column = DASHBOARD_FILTERS.date.column;
+    if (filters.dateStart) {
+      conditions.push(`DATE(${column}) >= :dashboard_date_start`);
+      params.dashboard_date_start = filters.dateStart;
+    }
+    if (filters.dateEnd) {
+      conditions.push(`DATE(${column}) <= :dashboard_date_end`);
+      params.dashboard_date_end = filters.dateEnd;
+    }
+  }
+  if (has('country') && filters.country) {
+    conditions.push(`CAST(${DASHBOARD_FILTERS.country.column} AS TEXT) = :dashboard_country`);
+    params.dashboard_country = filters.country;
+  }
+  if (has('category') && filters.category) {
+    conditions.push(`CAST(${DASHBOARD_FILTERS.category.column} AS TEXT) = :dashboard_category`);
+    params.dashboard_category = filters.category;
+  }
+  if (has('fraud') && filters.fraud) {
+    // A missing flag counts as not fraud
+    const fraud = flagExpression(DASHBOARD_FILTERS.fraud.column);
+    conditions.push(filters.fraud === 'fraud' ? fraud : `NOT COALESCE(${fraud}, 0)`);
+  }
+
+  return { conditions, params };
+}
+
+// The query with every read of the table (after FROM, JOIN or a comma in a FROM list)
+// replaced by its filtered rows. The table keeps its name (or alias), so column
+// references still resolve.
+export function filterTableQuery(query, conditions, { tableName = PRIMARY_TABLE } = {}) {
+  if (conditions.length === 0) return query;
+
+  const filtered = `(SELECT * FROM ${tableName} WHERE ${conditions.join(' AND ')})`;
+  const tokens = tokenize(query);
+  // Whether each open parenthesis level is inside a FROM list
+  const inFrom = [false];
+  let sql = '';
+  let last = 0;
+
+  tokens.forEach((token, i) => {
+    const previous = tokens[i - 1];
+    const next = tokens[i + 1];
+    const word = token.type === 'word' ? token.value.toUpperCase() : null;
+    if (token.value === '(' && token.type === 'symbol') inFrom.push(false);
+    if (token.value === ')' && token.type === 'symbol' && inFrom.length > 1) inFrom.pop();
+    if (word === 'FROM') inFrom[inFrom.length - 1] = true;
+    if (FROM_LIST_END.has(word)) inFrom[inFrom.length - 1] = false;
+
+    const readsTable = previous?.type === 'word'
+      ? ['FROM', 'JOIN'].includes(previous.value.toUpperCase())
+      : previous?.value === ',' && inFrom[inFrom.length - 1];
+    if (!readsTable) return;
+    if ((token.type !== 'word' && token.type !== 'identifier') || token.value.toLowerCase() !== tableName.toLowerCase()) return;
+    if (next?.value === '.') return;
+
+    const aliased = next?.type === 'identifier' || (next?.type === 'word' && !CLAUSE_KEYWORDS.has(next.value.toUpperCase()));
+    sql += query.slice(last, token.start) + filtered + (aliased ? '' : ` AS ${tableName}`);
+    last = token.end;
+  });
+
+  return sql + query.slice(last);
+}
+
+// Table columns a chart's config draws, sorts or filters by
+function chartColumns(cell, columns) {
+  const config = chartConfig(cell);
+  const filterColumn = config.filterCondition.trim().match(/^(\w+)/)?.[1];
+  const used = [
+    config.xAxis, config.yAxis, config.zAxis, config.seriesBy, config.colorBy, config.sortBy,
+    ...config.sankeyStages, filterColumn
+  ];
+  return [...new Set(used.filter(column => column && columns.includes(column)))];
+}
+
+// Query a pinned cell reads its rows from: its own, or the table's columns the chart
+// uses for a chart drawn from the loaded data
+export function tileQuery(cell, { tableName = PRIMARY_TABLE, columns = [] } = {}) {
+  if (cell.type === 'chart' && (cell.dataSource !== 'query' || !cell.query)) {
+    const used = chartColumns(cell, columns);
+    return `SELECT ${used.length > 0 ? used.map(quoteIdentifier).join(', ') : '*'} FROM ${tableName}`;
+  }
+  return cell.query || null;
+}
+
+// Data and config to draw a pinned chart with the chart service
+export function chartTile(cell, rows, columnTypes = {}) {
+  return ChartDataProcessor.prepareChart(rows, {
+    ...chartConfig(cell),
+    // Tiles are not linked to Data cells, so they draw no selection tools
+    linkedCellId: '',
+    columnTypes: ChartDataProcessor.chartColumnTypes(rows, columnTypes)
+  });
+}
@@ -0,0 +1,158 @@
+// IndexedDB cache of loaded SQLite databases
+//
+// Each entry holds the exported database image (with any computed state columns and
+// joined tables) and the dataset metadata, keyed by a fingerprint of the source
+// dataset. Reloading an unchanged dataset restores the image instead of re-parsing,
+// re-inserting and recomputing states.
+
+import { samplingKey } from './rowSampler';
+
+const DB_NAME = 'amlboost-workbook';
+const DB_VERSION = 1;
+const STORE_NAME = 'datasets';
+
+// Identify a dataset source so a changed file or URL does not hit a stale cache entry.
+// Returns null when the source cannot be fingerprinted reliably.
+export async function fingerprintSource(source, sampling) {
+  if (source.type === 'file') {
+    const { name, size, lastModified } = source.file;
+    return `file:${name}:${size}:${lastModified}:${source.delimiter || ''}:${samplingKey(sampling)}`;
+  }
+
+  try {
+    const response = await fetch(source.url, { method: 'HEAD', cache: 'no-cache' });
+    if (!response.ok) return null;
+
+    const etag = response.headers.get('etag');
+    const lastModified = response.headers.get('last-modified');
+    if (!etag && !lastModified) return null;
+
+    const length = response.headers.get('content-length') || '';
+    return `url:${source.url}:${etag || ''}:${lastModified || ''}:${length}:${samplingKey(sampling)}`;
+  } catch (error) {
+    console.warn('Could not fingerprint dataset:', error.message);
+    return null;
+  }
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export class DatasetCache {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'fingerprint' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async store(mode) {
+    const db = await this.open();
+    return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+  }
+
+  // Get a cached entry, or null if there is none
+  async get(fingerprint) {
+    if (!fingerprint || !this.isAvailable()) return null;
+
+    try {
+      const entry = await requestToPromise((await this.store('readonly')).get(fingerprint));
+      return entry || null;
+    } catch (error) {
+      console.warn('Failed to read dataset cache:', error);
+      return null;
+    }
+  }
+
+  // Check for an entry without reading the database image
+  async has(fingerprint) {
+    if (!fingerprint || !this.isAvailable()) return false;
+
+    try {
+      const key = await requestToPromise((await this.store('readonly')).getKey(fingerprint));
+      return key !== undefined;
+    } catch (error) {
+      console.warn('Failed to read dataset cache:', error);
+      return false;
+    }
+  }
+
+  // Save the database image and metadata for a dataset
+  async put(fingerprint, { dataset, snapshot }) {
+    if (!fingerprint || !snapshot || !this.isAvailable()) return;
+
+    const entry = {
+      fingerprint,
+      dataset,
+      snapshot,
+      size: snapshot.bytes.byteLength,
+      savedAt: new Date().toISOString()
+    };
+
+    try {
+      await requestToPromise((await this.store('readwrite')).put(entry));
+    } catch (error) {
+      // Running out of quota should not break loading
+      console.warn('Failed to cache dataset:', error);
+    }
+  }
+
+  // Summaries of cached entries, without the database images
+  async list() {
+    if (!this.isAvailable()) return [];
+
+    const entries = await requestToPromise((await this.store('readonly')).getAll());
+    return entries
+      .map(({ fingerprint, dataset, size, savedAt }) => ({ fingerprint, dataset, size, savedAt }))
+      .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt));
+  }
+
+  async delete(fingerprint) {
+    if (!this.isAvailable()) return;
+    await requestToPromise((await this.store('readwrite')).delete(fingerprint));
+  }
+
+  async clear() {
+    if (!this.isAvailable()) return;
+    await requestToPromise((await this.store('readwrite')).clear());
+  }
+
+  // Bytes used by cached databases and, where the browser reports it, the origin quota
+  async getUsage() {
+    const entries = await this.list();
+    const cached = entries.reduce((total, entry) => total + entry.size, 0);
+
+    let usage = null;
+    let quota = null;
+    if (navigator.storage?.estimate) {
+      ({ usage, quota } = await navigator.storage.estimate());
+    }
+
+    return { cached, usage, quota, entries };
+  }
+}
+
+// Export singleton instance
+export const datasetCache = new DatasetCache();
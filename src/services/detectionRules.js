@@ -0,0 +1,130 @@
+// Detection rules
+//
+// A rule is a tree of AND/OR groups of conditions over the columns of the loaded table,
+// base columns and persisted computed states alike. compileRule turns the tree into a
+// SQL WHERE clause. A value written as :name refers to a Parameters cell value, so a
+// threshold can be tuned without editing the rule.
+
+import { PRIMARY_TABLE, quoteIdentifier } from './sqliteEngine';
+
+// list: takes comma-separated values; range: takes a second value; unary: takes none
+export const RULE_OPERATORS = {
+  '=': { label: 'equals' },
+  '!=': { label: 'does not equal' },
+  '>': { label: 'greater than' },
+  '>=': { label: 'at least' },
+  '<': { label: 'less than' },
+  '<=': { label: 'at most' },
+  'BETWEEN': { label: 'between', range: true },
+  'IN': { label: 'is one of', list: true },
+  'NOT IN': { label: 'is not one of', list: true },
+  'LIKE': { label: 'matches (LIKE)' },
+  'IS NULL': { label: 'is empty', unary: true },
+  'IS NOT NULL': { label: 'is not empty', unary: true }
+};
+
+export const RULE_COMBINATORS = ['AND', 'OR'];
+
+// Alerted rows kept with the cell; the hit count covers every row
+export const MAX_ALERT_ROWS = 1000;
+
+// Column the rows query adds with each row's rowid, so alerts can tell apart rows whose
+// values are all the same
+export const SOURCE_ROWID = '_rowid';
+
+// Column types whose values are always compared as text, so '007' stays '007'
+const TEXT_TYPES = ['text', 'id', 'category', 'date', 'datetime'];
+
+export const isTextColumn = (columnType) => TEXT_TYPES.includes(columnType);
+
+export function createCondition(column = '') {
+  return { column, operator: '=', value: '', value2: '' };
+}
+
+export function createGroup(combinator = 'AND') {
+  return { combinator, conditions: [] };
+}
+
+export function createRule() {
+  return createGroup('AND');
+}
+
+export const isGroup = (item) => Array.isArray(item?.conditions);
+
+// Columns a rule's conditions read
+export function ruleColumns(rule) {
+  return (rule?.conditions || []).flatMap(item => isGroup(item) ? ruleColumns(item) : [item.column]).filter(Boolean);
+}
+
+// SQL literal for a value typed into the builder
+function literal(value, columnType) {
+  const text = String(value ?? '').trim();
+  if (/^:[A-Za-z_][A-Za-z0-9_]*$/.test(text)) return text;
+  if (!isTextColumn(columnType) && text !== '' && isFinite(Number(text))) return String(Number(text));
+  return `'${text.replace(/'/g, "''")}'`;
+}
+
+const isBlank = (value) => String(value ?? '').trim() === '';
+
+// SQL for one condition, or null while it is incomplete
+function compileCondition(condition, columnTypes) {
+  const operator = RULE_OPERATORS[condition.operator];
+  if (!condition.column || !operator) return null;
+
+  const column = quoteIdentifier(condition.column);
+  const type = columnTypes[condition.column];
+
+  if (operator.unary) {
+    return `${column} ${condition.operator}`;
+  }
+  if (operator.list) {
+    const values = String(condition.value ?? '').split(',').filter(value => !isBlank(value));
+    if (values.length === 0) return null;
+    return `${column} ${condition.operator} (${values.map(value => literal(value, type)).join(', ')})`;
+  }
+  if (operator.range) {
+    if (isBlank(condition.value) || isBlank(condition.value2)) return null;
+    return `${column} BETWEEN ${literal(condition.value, type)} AND ${literal(condition.value2, type)}`;
+  }
+  if (isBlank(condition.value)) return null;
+  return `${column} ${condition.operator} ${literal(condition.value, type)}`;
+}
+
+function compileGroup(group, columnTypes, nested) {
+  const parts = group.conditions
+    .map(item => isGroup(item) ? compileGroup(item, columnTypes, true) : compileCondition(item, columnTypes))
+    .filter(Boolean);
+
+  if (parts.length === 0) return null;
+  if (parts.length === 1) return parts[0];
+
+  const combined = parts.join(` ${group.combinator === 'OR' ? 'OR' : 'AND'} `);
+  return nested ? `(${combined})` : combined;
+}
+
+// WHERE clause for a rule, without the WHERE keyword. Incomplete conditions and empty
+// groups are left out; an empty string means the rule has no complete condition yet.
+export function compileRule(rule, columnTypes = {}) {
+  return rule ? compileGroup(rule, columnTypes, false) || '' : '';
+}
+
+// Incomplete conditions in a rule, for showing the analyst what still needs a value
+export function countIncompleteConditions(rule, columnTypes = {}) {
+  if (!rule) return 0;
+  return rule.conditions.reduce((count, item) => count + (isGroup(item)
+    ? countIncompleteConditions(item, columnTypes)
+    : compileCondition(item, columnTypes) ? 0 : 1), 0);
+}
+
+// Queries that run a rule: one counting hits over the whole table, one fetching the
+// alerted rows
+export function ruleQueries(rule, columnTypes = {}, tableName = PRIMARY_TABLE) {
+  const where = compileRule(rule, columnTypes);
+  if (!where) return null;
+
+  return {
+    where,
+    summaryQuery: `SELECT COUNT(*) AS total, COUNT(CASE WHEN ${where} THEN 1 END) AS hits FROM ${tableName}`,
+    rowsQuery: `SELECT rowid AS ${SOURCE_ROWID}, * FROM ${tableName} WHERE ${where} LIMIT ${MAX_ALERT_ROWS}`
+  };
+}
@@ -0,0 +1,95 @@
+// Entity profiles
+//
+// Queries behind the Entity 360 panel: everything the loaded table says about one
+// user, merchant or other ID. The entity value is bound as :entity, never spliced in.
+
+import { PRIMARY_TABLE, quoteIdentifier } from './sqliteEngine';
+import { DEFAULT_TIME_COLUMN, DEFAULT_AMOUNT_COLUMN, flagExpression } from './computedStates';
+
+// Counterparty columns shown for the common entity columns; other ID columns use
+// every other entity column found in the table
+export const ENTITY_TYPES = {
+  user_id: { label: 'User', counterparties: ['merchant_id', 'merchant_country', 'mcc', 'terminal_id'] },
+  merchant_id: { label: 'Merchant', counterparties: ['user_id', 'terminal_id', 'charged_currency'] },
+  terminal_id: { label: 'Terminal', counterparties: ['user_id', 'merchant_id'] }
+};
+
+// ID columns that identify a single row rather than an entity
+const ROW_ID_COLUMNS = ['transaction_id', 'txn_id'];
+
+// Flag columns summarised in the profile when the table has them
+const FLAG_COLUMNS = ['decline', 'fraud'];
+
+// Transactions listed in the profile; counts and charts cover all of them
+export const MAX_ENTITY_TRANSACTIONS = 500;
+
+const literal = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+export function isEntityColumn(column, columnTypes = {}) {
+  return Boolean(ENTITY_TYPES[column]) || (columnTypes[column] === 'id' && !ROW_ID_COLUMNS.includes(column));
+}
+
+export const entityLabel = (column) => ENTITY_TYPES[column]?.label || column;
+
+// Queries for one entity, given the columns of the table and the persistent state names
+export function entityProfileQueries(column, columns, { stateNames = [], tableName = PRIMARY_TABLE } = {}) {
+  const has = (name) => columns.includes(name);
+  const entity = quoteIdentifier(column);
+  const time = has(DEFAULT_TIME_COLUMN) ? quoteIdentifier(DEFAULT_TIME_COLUMN) : null;
+  const amount = has(DEFAULT_AMOUNT_COLUMN) ? quoteIdentifier(DEFAULT_AMOUNT_COLUMN) : null;
+  const flags = FLAG_COLUMNS.filter(has);
+  const where = `WHERE ${entity} = :entity`;
+
+  const counterparties = (ENTITY_TYPES[column]?.counterparties || Object.keys(ENTITY_TYPES))
+    .filter(other => other !== column && has(other));
+
+  const summaryColumns = [
+    'COUNT(*) AS transactions',
+    amount && `SUM(${amount}) AS total_amount`,
+    amount && `AVG(${amount}) AS average_amount`,
+    amount && `MAX(${amount}) AS max_amount`,
+    time && `MIN(${time}) AS first_seen`,
+    time && `MAX(${time}) AS last_seen`,
+    time && `COUNT(DISTINCT date(${time})) AS active_days`,
+    ...flags.map(flag => `SUM(CASE WHEN ${flagExpression(flag)} THEN 1 ELSE 0 END) AS ${flag}_count`)
+  ].filter(Boolean);
+
+  const queries = {
+    summary: `SELECT ${summaryColumns.join(', ')} FROM ${tableName} ${where}`,
+    transactions: `SELECT * FROM ${tableName} ${where}${time ? ` ORDER BY ${time} DESC` : ''} LIMIT ${MAX_ENTITY_TRANSACTIONS}`,
+    counterparties: Object.fromEntries(counterparties.map(other => [other,
+      `SELECT ${quoteIdentifier(other)} AS value, COUNT(*) AS transactions${amount ? `, SUM(${amount}) AS amount` : ''}
+FROM ${tableName} ${where} AND ${quoteIdentifier(other)} IS NOT NULL
+GROUP BY ${quoteIdentifier(other)}
+ORDER BY transactions DESC
+LIMIT 10`]))
+  };
+
+  if (time) {
+    queries.timeline = `SELECT date(${time}) AS day, COUNT(*) AS transactions${amount ? `, SUM(${amount}) AS amount` : ''}${
+      flags.map(flag => `, SUM(CASE WHEN ${flagExpression(flag)} THEN 1 ELSE 0 END) AS ${flag}_count`).join('')}
+FROM ${tableName} ${where} AND ${time} IS NOT NULL
+GROUP BY day
+ORDER BY day`;
+  }
+
+  if (flags.length > 0) {
+    queries.flagged = `SELECT * FROM ${tableName} ${where} AND (${flags.map(flagExpression).join(' OR ')})${
+      time ? ` ORDER BY ${time} DESC` : ''} LIMIT ${MAX_ENTITY_TRANSACTIONS}`;
+  }
+
+  // Latest and highest value of each computed state for the entity
+  const states = stateNames.filter(has);
+  if (states.length > 0) {
+    queries.states = states.map(name => `SELECT ${literal(name)} AS state,
+  (SELECT ${quoteIdentifier(name)} FROM ${tableName} ${where}${time ? ` ORDER BY ${time} DESC` : ''} LIMIT 1) AS latest,
+  (SELECT MAX(${quoteIdentifier(name)}) FROM ${tableName} ${where}) AS highest`).join('\nUNION ALL\n');
+  }
+
+  return queries;
+}
+
+// Alerts raised on rows that belong to the entity
+export function entityAlerts(alerts, column, value) {
+  return alerts.filter(alert => alert.row && String(alert.row[column]) === String(value));
+}
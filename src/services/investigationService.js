@@ -39,6 +39,11 @@ export const InvestigationService = {
         name: investigation.name,
         description: investigation.description,
         cells: investigation.cells,
+        dataset: investigation.dataset || null,
+        tables: investigation.tables || [],
+        scratchMode: Boolean(investigation.scratchMode),
+        alerts: investigation.alerts || [],
+        dashboard: investigation.dashboard || null,
         createdAt: investigation.createdAt || timestamp,
         updatedAt: timestamp,
         version: '1.0'
@@ -60,6 +65,24 @@ export const InvestigationService = {
     }
   },
 
+  // Save one field (alerts, dashboard) of an existing investigation as it changes, so
+  // it is kept without a full save
+  saveField: (id, field, value) => {
+    try {
+      const investigations = InvestigationService.getAllInvestigations();
+      const investigation = investigations.find(inv => inv.id === id);
+      if (!investigation) return false;
+      
+      investigation[field] = value;
+      investigation.updatedAt = new Date().toISOString();
+      localStorage.setItem('notebook_investigations', JSON.stringify(investigations));
+      return true;
+    } catch (error) {
+      console.error(`Failed to save ${field}:`, error);
+      throw new Error(`Failed to save ${field}`);
+    }
+  },
+
   // Load a specific investigation
   loadInvestigation: (id) => {
     try {
@@ -111,7 +134,9 @@ export const InvestigationService = {
         description: inv.description,
         createdAt: inv.createdAt,
         updatedAt: inv.updatedAt,
-        cellCount: inv.cells ? inv.cells.length : 0
+        cellCount: inv.cells ? inv.cells.length : 0,
+        alertCount: inv.alerts ? inv.alerts.length : 0,
+        datasetName: inv.dataset?.name || null
       }));
     } catch (error) {
       console.error('Failed to get investigation summaries:', error);
@@ -1,9 +1,12 @@
+import { PRIMARY_TABLE } from './sqliteEngine';
+
 export class OpenAIService {
   constructor(apiKey) {
     this.apiKey = apiKey;
     this.baseURL = 'https://api.openai.com/v1';
     this.dataSchema = null;
     this.columnTypes = {};
+    this.tables = [];
   }
   
   // Set schema information for better AI context
@@ -14,6 +17,27 @@ export class OpenAIService {
     }
   }
   
+  // Set the other tables that queries can join to
+  setTableContext(tables) {
+    this.tables = (tables || []).filter(table => table.name !== PRIMARY_TABLE);
+  }
+  
+  // Describe the additional tables for the system prompts
+  buildTablesPrompt() {
+    if (this.tables.length === 0) {
+      return '';
+    }
+    
+    let prompt = `\n\nAdditional tables can be joined to "transactions" with ordinary SQL JOINs:\n`;
+    this.tables.forEach(table => {
+      const size = table.type === 'view' ? 'view' : `${table.rowCount} rows`;
+      prompt += `• ${table.name} (${size}): ${table.columns.join(', ')}\n`;
+    });
+    prompt += 'Join on shared identifier columns (e.g. user_id, merchant_id) and qualify column names when they appear in more than one table.';
+    
+    return prompt;
+  }
+  
   // Build comprehensive schema information
   buildSchemaInfo(data) {
     const columns = Object.keys(data[0]);
@@ -142,6 +166,8 @@ export class OpenAIService {
       systemPrompt += `\n\nYou have access to a dataset of financial transactions. When writing SQL queries, use the table name "transactions" and ask the user for specific column names if you're unsure.`;
     }
 
+    systemPrompt += this.buildTablesPrompt();
+
     systemPrompt += `\n\nYou should provide helpful insights, suggest SQL queries, explain patterns in the data, and help with analysis. Be concise but informative. When suggesting SQL queries, make them practical and focused on the user's specific request.`;
 
     if (cellContext && cellContext.length > 0) {
@@ -224,8 +250,12 @@ export class OpenAIService {
 - For DISTRIBUTIONS: Use categorical columns for both category and value, chart type: pie
 - For CORRELATIONS: Use two numeric columns, chart type: scatter/bubble
 - For PATTERNS: Use two categorical columns with numeric value, chart type: heatmap
-- AGGREGATION: Use "sum" for amounts, "count" for transaction frequency, "avg" for averages
-- GROUPING: Group by categorical fields to aggregate data meaningfully`;
+- For FLOWS/CORRIDORS: Use categorical columns as stages, chart type: sankey. xAxis is the first stage, yAxis the second, sankeyStages lists any further stages (e.g. orig_currency → charged_currency → merchant_country), zAxis is summed along each flow (e.g. charged_amount) or omitted to count transactions
+- For GEOGRAPHY: Use a country code column (merchant_country) as X-axis and the measure as Y-axis, chart type: map. aggregation combines each country's rows ("count" for transactions, "avg" for rates)
+- AGGREGATION: Use "sum" for amounts, "count" for transaction frequency, "avg" for averages. Rows are aggregated over each X-axis value
+- SERIES: seriesBy splits line, area, bar and column charts into a series per value of a categorical column (e.g. one line per merchant_country)
+- TOP N: topN keeps the N largest categories of a bar, column or pie chart and combines the rest into "Other"; use it for columns with many values
+- SCATTER/BUBBLE: zAxis sizes the points, colorBy colours them by a numeric or categorical column`;
     } else {
       // Fallback if schema not available
       systemPrompt += `\n\nYou have access to financial transaction data. Available columns: ${availableColumns.join(', ')}.
@@ -235,19 +265,23 @@ Choose appropriate chart types:
 - Bar/Column charts for categorical comparisons
 - Pie charts for distribution analysis
 - Scatter plots for correlations
-- Heatmaps for pattern analysis`;
+- Heatmaps for pattern analysis
+- Sankey charts for flows between categorical columns (xAxis → yAxis → sankeyStages)
+- Map charts for measures by country (xAxis is a country code column)`;
     }
 
+    systemPrompt += this.buildTablesPrompt();
+
     systemPrompt += `\n\nYou must respond with valid JSON only. Example response:
 {
   "title": "Revenue by Merchant Country",
   "chartType": "bar",
   "xAxis": "merchant_country",
   "yAxis": "charged_amount",
-  "groupBy": "merchant_country",
   "aggregation": "sum",
+  "topN": 10,
   "dataSource": "csv",
-  "reasoning": "Bar chart best shows revenue comparison across countries with sum aggregation"
+  "reasoning": "Bar chart best shows revenue comparison across countries; the ten largest are kept and the rest summed as Other"
 }
 
 IMPORTANT: Only use column names that exist in the available columns: ${availableColumns.join(', ')}`;
@@ -289,12 +323,15 @@ Available columns: ${availableColumns.join(', ')}
 Respond with a JSON object containing:
 {
   "title": "Descriptive chart title",
-  "chartType": "line|bar|column|area|pie|scatter|bubble|heatmap",
+  "chartType": "line|bar|column|area|pie|scatter|bubble|heatmap|sankey|map",
   "xAxis": "column_name_for_x_axis",
   "yAxis": "column_name_for_y_axis",
   "zAxis": "column_name_for_z_axis_if_needed",
-  "groupBy": "column_to_group_by_if_needed",
+  "sankeyStages": ["further_stage_columns_for_sankey_only"],
+  "seriesBy": "column_with_one_line_or_bar_per_value_if_needed",
+  "colorBy": "column_to_colour_scatter_points_by_if_needed",
   "aggregation": "none|sum|avg|count|min|max",
+  "topN": 0,
   "dataSource": "csv",
   "reasoning": "Brief explanation of choices"
 }
@@ -360,10 +397,12 @@ Respond with a JSON object containing:
 {
   "name": "state_variable_name",
   "description": "Brief description of what this computes",
-  "computationType": "window_sum|window_avg|window_count|aggregate_sum|aggregate_count|risk_score",
+  "computationType": "window_sum|window_avg|window_count|window_distinct|window_max|velocity_ratio|amount_zscore|time_since_previous|first_seen|dormancy_reactivation|aggregate_sum|aggregate_count|risk_score",
   "field": "column_name_to_compute_on",
   "condition": "optional_sql_condition",
-  "windowDays": 7,
+  "windowSize": 7,
+  "windowUnit": "hour|day|week",
+  "baselineDays": 90,
   "groupBy": "column_to_group_by_if_needed",
   "persistent": false,
   "reasoning": "Brief explanation of choices"
@@ -448,12 +487,21 @@ Respond with JSON only.`
   - window_sum: Rolling sum of amounts
   - window_avg: Rolling average of values  
   - window_count: Rolling count of transactions
-  - windowDays: Number of days to look back
+  - window_distinct: Rolling count of distinct values of field (e.g. merchant_country)
+  - window_max: Rolling maximum of a value
+  - windowSize and windowUnit: How far to look back, in hours, days or weeks
+
+- BEHAVIOURAL FUNCTIONS: Use for changes in an entity's own behaviour
+  - velocity_ratio: Transactions in the window relative to the rate over the previous baselineDays
+  - amount_zscore: Standard deviations between field and the entity's previous baselineDays
+  - time_since_previous: Time since the entity's previous transaction, in windowUnit
+  - first_seen: 1 the first time the entity uses a value of field (e.g. a new merchant_id)
+  - dormancy_reactivation: 1 on the first transaction after windowSize windowUnit of inactivity
 
 - AGGREGATE FUNCTIONS: Use for total calculations across groups
   - aggregate_sum: Total sum for a group
   - aggregate_count: Total count for a group
-  - No windowDays needed
+  - No window size needed
 
 - GROUPING: Choose appropriate groupBy field
   - user_id: For per-user calculations
@@ -490,7 +538,8 @@ Key computation types:
   "description": "Total amount spent by user in last 30 days",
   "computationType": "window_sum",
   "field": "charged_amount",
-  "windowDays": 30,
+  "windowSize": 30,
+  "windowUnit": "day",
   "groupBy": "user_id",
   "persistent": false
 }
@@ -500,7 +549,8 @@ Key computation types:
   "description": "Risk score based on decline patterns",
   "computationType": "risk_score",
   "field": "decline",
-  "windowDays": 7,
+  "windowSize": 7,
+  "windowUnit": "day",
   "groupBy": "user_id",
   "persistent": false
 }
@@ -524,7 +574,7 @@ IMPORTANT: Only use column names that exist in the available columns: ${availabl
 }
 
 // Utility function to get OpenAI service instance with data context
-export function getOpenAIService(data = null, columnTypes = null) {
+export function getOpenAIService(data = null, columnTypes = null, tables = []) {
   const apiKey = localStorage.getItem('openai_api_key');
   if (!apiKey) {
     throw new Error('No OpenAI API key found. Please configure your API key in Settings.');
@@ -536,6 +586,7 @@ export function getOpenAIService(data = null, columnTypes = null) {
   if (data && columnTypes) {
     service.setDataContext(data, columnTypes);
   }
+  service.setTableContext(tables);
   
   return service;
 }
\ No newline at end of file
@@ -0,0 +1,72 @@
+// Notebook parameters
+//
+// Parameters cells define typed variables that Data and Chart cells reference as
+// :name. Values are passed to the SQLite worker and bound to prepared statements, so
+// a value is never spliced into the SQL text.
+
+import { findParameters } from './sqlClassifier';
+
+export const PARAMETER_TYPES = {
+  text: { label: 'Text', description: 'Free text, e.g. a user ID or country code' },
+  number: { label: 'Number', description: 'A numeric value, e.g. an amount threshold' },
+  daterange: { label: 'Date range', description: 'Binds :name_start and :name_end (YYYY-MM-DD)' },
+  dropdown: { label: 'Dropdown', description: 'One of the distinct values of a column' }
+};
+
+// Dropdowns list at most this many distinct values
+export const MAX_DROPDOWN_OPTIONS = 500;
+
+export function isValidParameterName(name) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name);
+}
+
+export function createParameter(type = 'text') {
+  return {
+    name: '',
+    type,
+    value: type === 'daterange' ? { start: '', end: '' } : '',
+    table: null,
+    column: null
+  };
+}
+
+// Names a parameter binds: a date range binds its start and end separately
+export function parameterNames(parameter) {
+  return parameter.type === 'daterange'
+    ? [`${parameter.name}_start`, `${parameter.name}_end`]
+    : [parameter.name];
+}
+
+// Values to bind for one parameter. Empty inputs bind NULL.
+export function parameterBindings(parameter) {
+  const { name, type, value } = parameter;
+
+  switch (type) {
+    case 'number': {
+      const number = value === '' || value === null ? null : Number(value);
+      return { [name]: Number.isFinite(number) ? number : null };
+    }
+    case 'daterange':
+      return {
+        [`${name}_start`]: value?.start || null,
+        [`${name}_end`]: value?.end || null
+      };
+    default:
+      return { [name]: value === '' ? null : value ?? null };
+  }
+}
+
+// All parameter values defined by the notebook's Parameters cells
+export function collectParameters(cells) {
+  return cells
+    .filter(cell => cell.type === 'parameters')
+    .flatMap(cell => cell.parameters || [])
+    .filter(parameter => isValidParameterName(parameter.name))
+    .reduce((params, parameter) => ({ ...params, ...parameterBindings(parameter) }), {});
+}
+
+// Whether a cell's query uses any of the given parameter names
+export function usesParameters(cell, names) {
+  if (!cell.query || names.length === 0) return false;
+  return findParameters(cell.query).some(name => names.includes(name));
+}
@@ -0,0 +1,305 @@
+// Row sampling for dataset loads
+//
+// Rows are offered one at a time while a file streams in, so every mode works in a
+// single pass with memory bounded by a small multiple of the sample size. Samples keep
+// the original row order and use a seeded generator, so loading the same file twice
+// gives the same rows.
+
+export const SAMPLING_MODES = {
+  full: { label: 'Full load', description: 'Load every row' },
+  first: { label: 'First N rows', description: 'Load the first N rows of the file' },
+  random: { label: 'Random sample', description: 'Uniform random sample of N rows' },
+  stratified: { label: 'Stratified sample', description: 'Random sample of N rows keeping the proportions of a column, e.g. the fraud flag' },
+  entity: { label: 'Entity sample', description: 'Complete histories of a random set of entities, e.g. user_id, up to N rows' }
+};
+
+export const FULL_LOAD = { mode: 'full' };
+export const DEFAULT_SAMPLE_SIZE = 25000;
+const DEFAULT_SEED = 42;
+
+// Columns with more distinct values than this cannot be used as strata
+const MAX_STRATA = 100;
+
+// Rows of each stratum always kept with the lowest keys, so small shares are exact
+const MIN_STRATUM_ROWS = 50;
+
+// Small seeded PRNG (mulberry32) returning floats in [0, 1)
+function createRandom(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6D2B79F5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// FNV-1a hash of a value, mixed with the seed, as a float in [0, 1)
+function hashValue(value, seed) {
+  let hash = 0x811C9DC5 ^ seed;
+  const text = String(value);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) / 4294967296;
+}
+
+// Algorithm R: uniform sample of `size` items from a stream of unknown length
+class Reservoir {
+  constructor(size, random) {
+    this.size = size;
+    this.random = random;
+    this.items = [];
+    this.seen = 0;
+  }
+
+  add(item) {
+    this.seen++;
+    if (this.items.length < this.size) {
+      this.items.push(item);
+    } else {
+      const slot = Math.floor(this.random() * this.seen);
+      if (slot < this.size) {
+        this.items[slot] = item;
+      }
+    }
+  }
+}
+
+const byIndex = (a, b) => a.index - b.index;
+const byKey = (a, b) => a.key - b.key;
+
+class FullSampler {
+  constructor() {
+    this.rows = [];
+  }
+
+  add(row) {
+    this.rows.push(row);
+  }
+
+  result() {
+    return this.rows;
+  }
+}
+
+class FirstRowsSampler {
+  constructor({ rows }) {
+    this.limit = rows;
+    this.rows = [];
+  }
+
+  add(row) {
+    if (this.rows.length < this.limit) {
+      this.rows.push(row);
+    }
+  }
+
+  result() {
+    return this.rows;
+  }
+}
+
+class RandomSampler {
+  constructor({ rows, seed }) {
+    this.reservoir = new Reservoir(rows, createRandom(seed));
+    this.index = 0;
+  }
+
+  add(row) {
+    this.reservoir.add({ row, index: this.index++ });
+  }
+
+  result() {
+    return this.reservoir.items.sort(byIndex).map(item => item.row);
+  }
+}
+
+// Proportional allocation: each value of the column gets its share of the sample.
+// Every row gets a random key and a value's sample is its rows with the lowest keys,
+// which is uniform whatever order the rows come in. The shares are only known at the
+// end, so rows are kept while their key is among the lowest 2N of the file or the
+// lowest MIN_STRATUM_ROWS of their value; a share of about N * rows / total then lies
+// well inside what is kept.
+class StratifiedSampler {
+  constructor({ rows, by, seed }) {
+    this.size = rows;
+    this.by = by;
+    this.random = createRandom(seed);
+    this.strata = new Map();
+    // Keys at or above the cutoff are no longer among the lowest 2N
+    this.cutoff = Infinity;
+    this.held = 0;
+    this.index = 0;
+  }
+
+  add(row) {
+    const value = String(row[this.by] ?? '');
+    let stratum = this.strata.get(value);
+
+    if (!stratum) {
+      if (this.strata.size >= MAX_STRATA) {
+        throw new Error(`Column "${this.by}" has more than ${MAX_STRATA} distinct values; use an entity sample instead`);
+      }
+      stratum = { items: [], seen: 0, cutoff: Infinity };
+      this.strata.set(value, stratum);
+    }
+
+    const key = this.random();
+    const index = this.index++;
+    stratum.seen++;
+    if (key >= this.cutoff && key >= stratum.cutoff) return;
+
+    stratum.items.push({ row, index, key });
+    // Compacting keeps at most half of this, so it runs once per so many rows kept
+    if (++this.held > 2 * (2 * this.size + this.strata.size * MIN_STRATUM_ROWS)) {
+      this.compact();
+    }
+  }
+
+  // Drop the rows whose keys are out of both the lowest 2N and their value's lowest few
+  compact() {
+    const keys = [];
+    this.strata.forEach(stratum => stratum.items.forEach(item => keys.push(item.key)));
+    keys.sort((a, b) => a - b);
+    this.cutoff = keys[2 * this.size] ?? Infinity;
+
+    this.held = 0;
+    this.strata.forEach(stratum => {
+      stratum.items.sort(byKey);
+      if (stratum.items.length > MIN_STRATUM_ROWS) {
+        stratum.cutoff = stratum.items[MIN_STRATUM_ROWS].key;
+      }
+      stratum.items = stratum.items.filter(item => item.key < this.cutoff || item.key < stratum.cutoff);
+      this.held += stratum.items.length;
+    });
+  }
+
+  // Rows taken from each value: its share of the sample, at least one so rare classes
+  // are not lost, adjusted by largest remainder so the shares add up to the sample size
+  shares() {
+    const total = this.index;
+    const strata = [...this.strata.values()];
+    const exact = strata.map(stratum => this.size * stratum.seen / total);
+    const shares = exact.map((value, i) => Math.min(strata[i].items.length, Math.max(1, Math.floor(value))));
+    const sum = () => shares.reduce((a, b) => a + b, 0);
+    const target = Math.min(this.size, strata.reduce((count, stratum) => count + stratum.items.length, 0));
+
+    while (sum() > target) {
+      const largest = shares.indexOf(Math.max(...shares));
+      shares[largest]--;
+    }
+    while (sum() < target) {
+      let best = -1;
+      shares.forEach((share, i) => {
+        if (share < strata[i].items.length && (best === -1 || exact[i] - share > exact[best] - shares[best])) best = i;
+      });
+      shares[best]++;
+    }
+
+    return new Map(strata.map((stratum, i) => [stratum, shares[i]]));
+  }
+
+  result() {
+    const sampled = [];
+
+    this.shares().forEach((share, stratum) => {
+      sampled.push(...[...stratum.items].sort(byKey).slice(0, share));
+    });
+
+    return sampled.sort(byIndex).map(item => item.row);
+  }
+}
+
+// Keeps every row of the entities with the smallest hashes, lowering the hash threshold
+// whenever the kept rows exceed the sample size. Entities whose hashes collide are kept
+// or dropped together. The entity with the smallest hash is always kept whole, even
+// when its history alone is longer than the sample size.
+class EntitySampler {
+  constructor({ rows, by, seed }) {
+    this.size = rows;
+    this.by = by;
+    this.seed = seed;
+    this.entities = new Map();
+    this.threshold = 1;
+    this.kept = 0;
+    this.index = 0;
+  }
+
+  add(row) {
+    const index = this.index++;
+    const key = String(row[this.by] ?? '');
+    const hash = hashValue(key, this.seed);
+    if (hash >= this.threshold) return;
+
+    let entity = this.entities.get(key);
+    if (!entity) {
+      entity = { hash, items: [] };
+      this.entities.set(key, entity);
+    }
+    entity.items.push({ row, index });
+    this.kept++;
+
+    if (this.kept > this.size) {
+      this.trim();
+    }
+  }
+
+  trim() {
+    const entities = [...this.entities.entries()].sort((a, b) => b[1].hash - a[1].hash);
+    const smallest = entities[entities.length - 1][1].hash;
+
+    for (const [key, entity] of entities) {
+      if (entity.hash === smallest) break;
+      if (this.kept <= this.size && entity.hash < this.threshold) break;
+      this.kept -= entity.items.length;
+      this.entities.delete(key);
+      this.threshold = entity.hash;
+    }
+  }
+
+  result() {
+    if (this.kept > this.size) {
+      console.warn(`Entity sample keeps ${this.kept} rows, more than the ${this.size} asked for, so one ${this.by} history stays complete`);
+    }
+    const sampled = [];
+    this.entities.forEach(entity => sampled.push(...entity.items));
+    return sampled.sort(byIndex).map(item => item.row);
+  }
+}
+
+export function createRowSampler(sampling = FULL_LOAD) {
+  const options = {
+    rows: sampling.rows || DEFAULT_SAMPLE_SIZE,
+    by: sampling.by,
+    seed: sampling.seed ?? DEFAULT_SEED
+  };
+
+  switch (sampling.mode) {
+    case 'first':
+      return new FirstRowsSampler(options);
+    case 'random':
+      return new RandomSampler(options);
+    case 'stratified':
+      return new StratifiedSampler(options);
+    case 'entity':
+      return new EntitySampler(options);
+    default:
+      return new FullSampler();
+  }
+}
+
+// Stable text form of the sampling options, used in cache fingerprints
+export function samplingKey(sampling = FULL_LOAD) {
+  if (sampling.mode === 'full' || !sampling.mode) return 'full';
+  return [sampling.mode, sampling.rows || DEFAULT_SAMPLE_SIZE, sampling.by || '', sampling.seed ?? DEFAULT_SEED].join(':');
+}
+
+// Short label for the notebook header, e.g. "Stratified sample by fraud"
+export function describeSampling(sampling = FULL_LOAD) {
+  const label = SAMPLING_MODES[sampling.mode]?.label || SAMPLING_MODES.full.label;
+  return sampling.by && (sampling.mode === 'stratified' || sampling.mode === 'entity')
+    ? `${label} by ${sampling.by}`
+    : label;
+}
@@ -0,0 +1,137 @@
+// Rule backtesting
+//
+// Scores a detection rule against a label column such as fraud: the confusion matrix,
+// precision and recall, alerts per day and the value of labelled rows caught or missed.
+// A threshold sweep re-runs one numeric condition of the rule at a range of cutoffs
+// taken from the column's quantiles, so an analyst can see the precision/recall trade-off.
+
+import { PRIMARY_TABLE, quoteIdentifier } from './sqliteEngine';
+import { compileRule, isGroup, isTextColumn } from './detectionRules';
+import { epochExpression, DEFAULT_TIME_COLUMN } from './computedStates';
+
+export const DEFAULT_BACKTEST = {
+  labelColumn: 'fraud',
+  labelValue: '1',
+  valueColumn: 'charged_amount',
+  timeColumn: DEFAULT_TIME_COLUMN,
+  sweepPath: null
+};
+
+// Cutoffs tried by the threshold sweep, one per quantile of the swept column
+export const SWEEP_STEPS = 20;
+
+const SWEEP_OPERATORS = ['>', '>=', '<', '<='];
+
+// Condition at a path of indexes into nested groups
+export function conditionAt(rule, path) {
+  return (path || []).reduce((item, index) => item?.conditions?.[index], rule);
+}
+
+// Copy of the rule with the value of the condition at path replaced
+export function withConditionValue(rule, path, value) {
+  if (path.length === 0) return { ...rule, value: String(value) };
+  const [index, ...rest] = path;
+  return {
+    ...rule,
+    conditions: rule.conditions.map((item, i) => i === index ? withConditionValue(item, rest, value) : item)
+  };
+}
+
+// Numeric comparisons in the rule that a threshold sweep can move
+export function sweepableConditions(rule, columnTypes = {}, path = []) {
+  if (!rule) return [];
+  return rule.conditions.flatMap((item, index) => {
+    const itemPath = [...path, index];
+    if (isGroup(item)) return sweepableConditions(item, columnTypes, itemPath);
+    const sweepable = item.column && SWEEP_OPERATORS.includes(item.operator) && !isTextColumn(columnTypes[item.column]);
+    return sweepable ? [{ path: itemPath, condition: item }] : [];
+  });
+}
+
+// WHERE expression that is true for labelled (positive) rows
+export function labelExpression(settings, columnTypes = {}) {
+  return compileRule({
+    combinator: 'AND',
+    conditions: [{ column: settings.labelColumn, operator: '=', value: settings.labelValue }]
+  }, columnTypes);
+}
+
+// Queries for the confusion matrix and the alerts per day of a rule
+export function backtestQueries(rule, settings, columnTypes = {}, tableName = PRIMARY_TABLE) {
+  const where = compileRule(rule, columnTypes);
+  const label = labelExpression(settings, columnTypes);
+  if (!where || !label) return null;
+
+  const value = settings.valueColumn ? `COALESCE(${quoteIdentifier(settings.valueColumn)}, 0)` : '0';
+  const day = `date(${epochExpression(settings.timeColumn || DEFAULT_TIME_COLUMN, columnTypes)}, 'unixepoch')`;
+  const flags = `COALESCE((${where}), 0) AS alert, COALESCE((${label}), 0) AS positive`;
+
+  return {
+    where,
+    label,
+    confusionQuery: `SELECT
+  SUM(alert * positive) AS tp,
+  SUM(alert * (1 - positive)) AS fp,
+  SUM((1 - alert) * positive) AS fn,
+  SUM((1 - alert) * (1 - positive)) AS tn,
+  SUM(alert * positive * value) AS value_detected,
+  SUM((1 - alert) * positive * value) AS value_missed,
+  SUM(alert * (1 - positive) * value) AS value_false_alerts
+FROM (SELECT ${flags}, ${value} AS value FROM ${tableName})`,
+    dailyQuery: `SELECT day, SUM(alert) AS alerts, SUM(alert * positive) AS true_alerts
+FROM (SELECT ${day} AS day, ${flags} FROM ${tableName})
+WHERE day IS NOT NULL
+GROUP BY day
+ORDER BY day`
+  };
+}
+
+// Query for the quantile cutoffs of the swept column
+export function sweepCutoffsQuery(column, tableName = PRIMARY_TABLE) {
+  const quoted = quoteIdentifier(column);
+  return `SELECT DISTINCT MIN(v) AS cutoff
+FROM (SELECT ${quoted} AS v, NTILE(${SWEEP_STEPS}) OVER (ORDER BY ${quoted}) AS bucket FROM ${tableName} WHERE ${quoted} IS NOT NULL)
+GROUP BY bucket
+ORDER BY cutoff`;
+}
+
+// One pass over the table scoring the rule at every cutoff of the swept condition
+export function sweepQuery(rule, settings, cutoffs, columnTypes = {}, tableName = PRIMARY_TABLE) {
+  const label = labelExpression(settings, columnTypes);
+  if (!label || cutoffs.length === 0) return null;
+
+  const flags = cutoffs.map((cutoff, i) =>
+    `COALESCE((${compileRule(withConditionValue(rule, settings.sweepPath, cutoff), columnTypes)}), 0) AS a${i}`);
+  const sums = cutoffs.map((_, i) => `SUM(a${i}) AS alerts_${i}, SUM(a${i} * positive) AS tp_${i}`);
+
+  return `SELECT SUM(positive) AS positives, ${sums.join(', ')}
+FROM (SELECT COALESCE((${label}), 0) AS positive, ${flags.join(', ')} FROM ${tableName})`;
+}
+
+const ratio = (numerator, denominator) => denominator > 0 ? numerator / denominator : null;
+
+// Precision, recall and friends from confusion matrix counts
+export function backtestMetrics({ tp = 0, fp = 0, fn = 0, tn = 0 }) {
+  const precision = ratio(tp, tp + fp);
+  const recall = ratio(tp, tp + fn);
+  return {
+    precision,
+    recall,
+    f1: precision !== null && recall !== null && precision + recall > 0
+      ? (2 * precision * recall) / (precision + recall)
+      : null,
+    falsePositiveRate: ratio(fp, fp + tn),
+    alertRate: ratio(tp + fp, tp + fp + fn + tn)
+  };
+}
+
+// Chart rows for the threshold sweep, one per cutoff
+export function sweepPoints(row, cutoffs) {
+  const positives = row.positives || 0;
+  return cutoffs.map((cutoff, i) => {
+    const alerts = row[`alerts_${i}`] || 0;
+    const tp = row[`tp_${i}`] || 0;
+    const { precision, recall, f1 } = backtestMetrics({ tp, fp: alerts - tp, fn: positives - tp });
+    return { threshold: cutoff, alerts, precision, recall, f1 };
+  });
+}
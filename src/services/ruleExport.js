@@ -0,0 +1,197 @@
+// Rule documents
+//
+// A rule document is a versioned JSON file that carries a detection rule together with
+// everything it needs to run elsewhere: the definitions of the computed states it reads
+// and the parameters it references. ruleDocumentSQL turns a document into a standalone
+// SQLite script for the monitoring system, and ruleDocumentCells recreates the state,
+// parameter and rule cells in a notebook.
+
+import { PRIMARY_TABLE, quoteIdentifier } from './sqliteEngine';
+import { compileRule, isGroup, ruleColumns } from './detectionRules';
+import { generateStateQuery } from './computedStates';
+import { findParameters } from './sqlClassifier';
+import { parameterNames } from './queryParameters';
+
+export const RULE_DOCUMENT_FORMAT = 'amlboost-rule';
+export const RULE_DOCUMENT_VERSION = 1;
+
+// State settings copied into a document; the SQL expression is added alongside them
+const STATE_DEFINITION_FIELDS = [
+  'name', 'description', 'computationType', 'field', 'groupBy', 'condition',
+  'windowDays', 'windowSize', 'windowUnit', 'baselineDays', 'timeColumn',
+  'threshold', 'tolerancePercent', 'minCount', 'minTotal'
+];
+
+const mentions = (text, name) => new RegExp(`\\b${name}\\b`).test(text || '');
+
+// Persistent states a rule reads, directly or through other states, in notebook order
+export function ruleStateDependencies(rule, cells) {
+  const states = cells
+    .filter(cell => cell.type === 'state')
+    .flatMap(cell => (cell.states || []).filter(state => state.persistent));
+
+  const needed = new Set(ruleColumns(rule).filter(column => states.some(state => state.name === column)));
+  let added = true;
+  while (added) {
+    added = false;
+    for (const state of states.filter(s => needed.has(s.name))) {
+      const definition = [state.query, state.field, state.groupBy, state.condition, state.timeColumn].join(' ');
+      for (const other of states) {
+        if (!needed.has(other.name) && mentions(definition, other.name)) {
+          needed.add(other.name);
+          added = true;
+        }
+      }
+    }
+  }
+
+  return states.filter(state => needed.has(state.name));
+}
+
+// Versioned JSON document for a rule cell
+export function exportRuleDocument(cell, cells, columnTypes = {}) {
+  const where = compileRule(cell.rule, columnTypes);
+  const states = ruleStateDependencies(cell.rule, cells).map(state => ({
+    ...Object.fromEntries(STATE_DEFINITION_FIELDS.filter(key => state[key] !== undefined).map(key => [key, state[key]])),
+    sql: state.query || generateStateQuery(state, columnTypes)
+  }));
+
+  const sqlText = [where, ...states.map(state => state.sql)].join('\n');
+  const used = findParameters(sqlText);
+  const parameters = cells
+    .filter(c => c.type === 'parameters')
+    .flatMap(c => c.parameters || [])
+    .filter(parameter => parameterNames(parameter).some(name => used.includes(name)))
+    .map(({ name, type, value, table, column }) => ({ name, type, value, table, column }));
+
+  return {
+    format: RULE_DOCUMENT_FORMAT,
+    version: RULE_DOCUMENT_VERSION,
+    exportedAt: new Date().toISOString(),
+    table: PRIMARY_TABLE,
+    rule: {
+      name: cell.title,
+      definition: cell.rule,
+      where
+    },
+    states,
+    parameters,
+    columnTypes: Object.fromEntries(
+      [...new Set([...ruleColumns(cell.rule), ...states.flatMap(state => [state.field, state.groupBy, state.timeColumn])])]
+        .filter(column => column && columnTypes[column])
+        .map(column => [column, columnTypes[column]])
+    )
+  };
+}
+
+const sqlComment = (text) => String(text ?? '').replace(/\s+/g, ' ').trim();
+
+// Standalone SQLite script: adds each state as a column, then selects the alerts
+export function ruleDocumentSQL(document) {
+  const table = quoteIdentifier(document.table || PRIMARY_TABLE);
+  const lines = [
+    `-- Rule: ${sqlComment(document.rule.name)}`,
+    `-- ${RULE_DOCUMENT_FORMAT} v${document.version}, exported ${document.exportedAt}`,
+    '-- SQLite 3.38 or later (UPDATE ... FROM, window functions, unixepoch)'
+  ];
+
+  if (document.parameters.length > 0) {
+    lines.push('--', '-- Bind these parameters before running:');
+    for (const parameter of document.parameters) {
+      const value = typeof parameter.value === 'object' ? JSON.stringify(parameter.value) : parameter.value;
+      lines.push(`--   ${parameterNames(parameter).map(name => `:${name}`).join(', ')} (${parameter.type}, exported value: ${sqlComment(value) || 'empty'})`);
+    }
+  }
+
+  for (const state of document.states) {
+    lines.push(
+      '',
+      `-- State ${state.name}: ${sqlComment(state.description)}`,
+      `ALTER TABLE ${table} ADD COLUMN ${quoteIdentifier(state.name)};`,
+      `UPDATE ${table} SET ${quoteIdentifier(state.name)} = computed.value`,
+      `FROM (SELECT rowid AS row_id, (${state.sql}) AS value FROM ${table}) AS computed`,
+      `WHERE ${table}.rowid = computed.row_id;`
+    );
+  }
+
+  lines.push('', '-- Alerts', `SELECT * FROM ${table} WHERE ${document.rule.where};`, '');
+  return lines.join('\n');
+}
+
+// Parse and check a rule document, throwing a readable error if it is not one
+export function parseRuleDocument(text) {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (document?.format !== RULE_DOCUMENT_FORMAT) {
+    throw new Error('This is not a rule document');
+  }
+  if (!(document.version <= RULE_DOCUMENT_VERSION)) {
+    throw new Error(`Rule document version ${document.version} is newer than this workbook supports (${RULE_DOCUMENT_VERSION})`);
+  }
+  if (!isGroup(document.rule?.definition)) {
+    throw new Error('The rule document has no rule definition');
+  }
+
+  return { states: [], parameters: [], ...document };
+}
+
+// Cells that recreate a document in a notebook. States and parameters the notebook
+// already defines the same way are reused; a different definition under the same name
+// is a conflict, since the rule would silently read something else.
+export function ruleDocumentCells(document, cells) {
+  const existingStates = cells.filter(c => c.type === 'state').flatMap(c => c.states || []);
+  const existingParameters = cells.filter(c => c.type === 'parameters').flatMap(c => c.parameters || []);
+
+  const conflicts = [];
+  const states = document.states.filter(state => {
+    const existing = existingStates.find(s => s.name.toLowerCase() === state.name.toLowerCase());
+    if (existing && (existing.query || '').trim() !== state.sql.trim()) conflicts.push(`state ${state.name}`);
+    return !existing;
+  });
+  const parameters = document.parameters.filter(parameter => {
+    const existing = existingParameters.find(p => p.name === parameter.name);
+    if (existing && existing.type !== parameter.type) conflicts.push(`parameter :${parameter.name}`);
+    return !existing;
+  });
+
+  if (conflicts.length > 0) {
+    throw new Error(`The notebook already defines ${conflicts.join(', ')} differently. Rename or remove it and import again.`);
+  }
+
+  const id = Date.now();
+  const cellDefaults = { collapsed: false, executed: false, executionTime: null };
+
+  return {
+    parametersCell: parameters.length > 0 ? {
+      ...cellDefaults,
+      id: id + 1,
+      type: 'parameters',
+      title: `Parameters (${document.rule.name})`,
+      parameters: parameters.map(({ name, type, value, table, column }) => ({ name, type, value, table: table ?? null, column: column ?? null })),
+      autoRun: false
+    } : null,
+    stateCell: states.length > 0 ? {
+      ...cellDefaults,
+      id: id + 2,
+      type: 'state',
+      title: `Computed States (${document.rule.name})`,
+      states: states.map(({ sql, ...definition }) => ({ ...definition, query: sql, persistent: true }))
+    } : null,
+    ruleCell: {
+      ...cellDefaults,
+      id: id + 3,
+      type: 'rule',
+      title: document.rule.name || 'Detection Rule',
+      rule: document.rule.definition,
+      columns: [],
+      visibleColumns: [],
+      rowCount: null,
+      queryResults: []
+    }
+  };
+}
@@ -0,0 +1,252 @@
+// SQL statement classifier
+//
+// Splits a query into statements and works out what each one does, so the engine can
+// allow read-only SQL (SELECT, WITH ... SELECT, EXPLAIN) everywhere and limit DDL to
+// scratch mode. Strings, quoted identifiers and comments are skipped, so a keyword or
+// semicolon inside them never affects the result.
+
+// read: returns rows without changing anything
+// scratch: creates or drops a view or table, allowed in scratch mode
+// write: changes rows or schema, allowed in scratch mode on scratch objects only
+// blocked: never allowed (ATTACH, PRAGMA settings, transactions, ...)
+export const STATEMENT_TYPES = {
+  READ: 'read',
+  SCRATCH: 'scratch',
+  WRITE: 'write',
+  BLOCKED: 'blocked'
+};
+
+const READ_KEYWORDS = ['SELECT', 'VALUES', 'EXPLAIN'];
+const MAIN_KEYWORDS = ['SELECT', 'VALUES', 'INSERT', 'REPLACE', 'UPDATE', 'DELETE'];
+
+// Pragmas whose argument names what to describe rather than a new setting
+const READ_PRAGMAS = [
+  'TABLE_INFO', 'TABLE_XINFO', 'TABLE_LIST', 'INDEX_LIST', 'INDEX_INFO', 'INDEX_XINFO',
+  'FOREIGN_KEY_LIST', 'FOREIGN_KEY_CHECK', 'INTEGRITY_CHECK', 'QUICK_CHECK'
+];
+
+// Break SQL into word, identifier, punctuation and statement-separator tokens
+export function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const next = sql[i + 1];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '-' && next === '-') {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end + 1;
+    } else if (char === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+    } else if (char === "'" || char === '"' || char === '`' || char === '[') {
+      const close = char === '[' ? ']' : char;
+      let j = i + 1;
+      let value = '';
+      while (j < sql.length) {
+        if (sql[j] === close) {
+          // Doubled quotes are escapes, except in [bracketed] identifiers
+          if (close !== ']' && sql[j + 1] === close) {
+            value += close;
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        value += sql[j++];
+      }
+      tokens.push({ type: char === "'" ? 'string' : 'identifier', value, start: i, end: j + 1 });
+      i = j + 1;
+    } else if (/[A-Za-z_]/.test(char)) {
+      let j = i;
+      while (j < sql.length && /[A-Za-z0-9_$]/.test(sql[j])) j++;
+      tokens.push({ type: 'word', value: sql.slice(i, j), start: i, end: j });
+      i = j;
+    } else {
+      tokens.push({ type: char === ';' ? 'separator' : 'symbol', value: char, start: i, end: i + 1 });
+      i++;
+    }
+  }
+
+  return tokens;
+}
+
+const isWord = (token, ...words) => token?.type === 'word' && words.includes(token.value.toUpperCase());
+
+// Read an object name (optionally schema-qualified) starting at tokens[index]
+function readName(tokens, index) {
+  let token = tokens[index];
+  if (!token || (token.type !== 'word' && token.type !== 'identifier')) return null;
+
+  // schema.name refers to name
+  if (tokens[index + 1]?.value === '.' && tokens[index + 2]) {
+    token = tokens[index + 2];
+  }
+  return token.value;
+}
+
+function classifyTokens(tokens) {
+  const first = tokens[0];
+  const keyword = first.value.toUpperCase();
+  const result = (type, target = null, extra = {}) => ({ type, keyword, target, ...extra });
+
+  if (READ_KEYWORDS.includes(keyword)) {
+    return result(STATEMENT_TYPES.READ);
+  }
+
+  if (keyword === 'WITH') {
+    // The statement that follows the CTE list decides; CTE bodies sit inside parentheses
+    let depth = 0;
+    for (let i = 1; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.value === '(') depth++;
+      else if (token.value === ')') depth--;
+      else if (depth === 0 && isWord(token, ...MAIN_KEYWORDS)) {
+        return { ...classifyTokens(tokens.slice(i)), keyword: `WITH ... ${token.value.toUpperCase()}` };
+      }
+    }
+    return result(STATEMENT_TYPES.BLOCKED);
+  }
+
+  if (keyword === 'CREATE') {
+    let i = 1;
+    const temp = isWord(tokens[i], 'TEMP', 'TEMPORARY');
+    if (temp) i++;
+
+    if (!isWord(tokens[i], 'VIEW', 'TABLE')) {
+      return result(STATEMENT_TYPES.WRITE, null);
+    }
+    const objectType = tokens[i].value.toUpperCase();
+    i++;
+    if (isWord(tokens[i], 'IF') && isWord(tokens[i + 1], 'NOT') && isWord(tokens[i + 2], 'EXISTS')) {
+      i += 3;
+    }
+    return result(STATEMENT_TYPES.SCRATCH, readName(tokens, i), { keyword: `CREATE ${objectType}`, temp });
+  }
+
+  if (keyword === 'DROP') {
+    if (!isWord(tokens[1], 'VIEW', 'TABLE')) {
+      return result(STATEMENT_TYPES.WRITE, null);
+    }
+    let i = 2;
+    if (isWord(tokens[i], 'IF') && isWord(tokens[i + 1], 'EXISTS')) {
+      i += 2;
+    }
+    return result(STATEMENT_TYPES.SCRATCH, readName(tokens, i), { keyword: `DROP ${tokens[1].value.toUpperCase()}` });
+  }
+
+  if (keyword === 'INSERT' || keyword === 'REPLACE') {
+    const into = tokens.findIndex(token => isWord(token, 'INTO'));
+    return result(STATEMENT_TYPES.WRITE, into === -1 ? null : readName(tokens, into + 1));
+  }
+
+  if (keyword === 'UPDATE') {
+    // UPDATE [OR action] name
+    const i = isWord(tokens[1], 'OR') ? 3 : 1;
+    return result(STATEMENT_TYPES.WRITE, readName(tokens, i));
+  }
+
+  if (keyword === 'DELETE') {
+    return result(STATEMENT_TYPES.WRITE, isWord(tokens[1], 'FROM') ? readName(tokens, 2) : null);
+  }
+
+  // PRAGMA table_info(x) and friends read, as does PRAGMA x on its own; PRAGMA x = y
+  // and PRAGMA x(y) change settings
+  if (keyword === 'PRAGMA') {
+    const name = tokens[2]?.value === '.' ? tokens[3] : tokens[1];
+    const describes = isWord(name, ...READ_PRAGMAS);
+    const setting = tokens.some(token => token.value === '=' || (!describes && token.value === '('));
+    return setting ? result(STATEMENT_TYPES.BLOCKED) : result(STATEMENT_TYPES.READ);
+  }
+
+  return result(STATEMENT_TYPES.BLOCKED);
+}
+
+// Split a query into classified statements: [{ sql, type, keyword, target, temp }]
+export function classifyQuery(sql) {
+  const tokens = tokenize(sql);
+  const statements = [];
+  let current = [];
+
+  const finish = () => {
+    if (current.length > 0) {
+      const text = sql.slice(current[0].start, current[current.length - 1].end);
+      statements.push({ sql: text, ...classifyTokens(current) });
+    }
+    current = [];
+  };
+
+  tokens.forEach(token => {
+    if (token.type === 'separator') {
+      finish();
+    } else {
+      current.push(token);
+    }
+  });
+  finish();
+
+  return statements;
+}
+
+// Names of the :name parameters a query references, in order of first use
+export function findParameters(sql) {
+  const tokens = tokenize(sql);
+  const names = [];
+
+  tokens.forEach((token, i) => {
+    const next = tokens[i + 1];
+    if (token.value === ':' && next?.type === 'word' && next.start === token.end && !names.includes(next.value)) {
+      names.push(next.value);
+    }
+  });
+
+  return names;
+}
+
+// For a scalar subquery such as (SELECT COUNT(*) FROM transactions t2 WHERE
+// t2.user_id = transactions.user_id), the columns of the outer table it correlates on.
+// Returns null when the expression is not a subquery.
+export function correlatedColumns(expression, tableName) {
+  const tokens = tokenize(expression);
+  if (tokens[0]?.value !== '(' || !isWord(tokens[1], 'SELECT')) return null;
+
+  const columns = [];
+  tokens.forEach((token, i) => {
+    const column = tokens[i + 2];
+    if ((token.type === 'word' || token.type === 'identifier') &&
+        token.value.toLowerCase() === tableName.toLowerCase() &&
+        tokens[i - 1]?.value !== '.' &&
+        tokens[i + 1]?.value === '.' &&
+        (column?.type === 'word' || column?.type === 'identifier') &&
+        !columns.includes(column.value)) {
+      columns.push(column.value);
+    }
+  });
+
+  return columns;
+}
+
+// Check statements against the scratch-mode policy; returns an error message or null.
+// Loaded tables (the dataset and anything imported) are never modified.
+export function checkStatements(statements, { scratch = false, protectedTables = [] } = {}) {
+  const isProtected = (name) => protectedTables.some(table => table.toLowerCase() === String(name).toLowerCase());
+
+  for (const statement of statements) {
+    if (statement.type === STATEMENT_TYPES.READ) continue;
+
+    if (statement.type === STATEMENT_TYPES.BLOCKED || !statement.target) {
+      return `${statement.keyword} statements are not allowed`;
+    }
+    if (!scratch) {
+      return `${statement.keyword} is only allowed in scratch mode. Only read-only queries (SELECT, WITH ... SELECT) run by default.`;
+    }
+    if (isProtected(statement.target)) {
+      return `Scratch mode cannot modify the loaded table "${statement.target}". Create a new view or table instead.`;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,571 @@
+import initSqlJs from 'sql.js';
+import { classifyQuery, checkStatements, findParameters, correlatedColumns, STATEMENT_TYPES } from './sqlClassifier';
+
+// Quote a column name so headers from imported files (spaces, punctuation) are valid SQL
+export function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// The main transactions table that the notebook's csvData mirrors
+export const PRIMARY_TABLE = 'transactions';
+
+// Turn a file name such as "KYC customers-2024.csv" into a usable table name
+export function toTableName(name) {
+  const base = String(name || '').replace(/\.[^.]+$/, '').toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!base) return 'table_1';
+  return /^[a-z_]/.test(base) ? base : `t_${base}`;
+}
+
+export function isValidTableName(name) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name || '');
+}
+
+// The sql.js database itself. It runs inside the SQLite worker; the rest of the app talks
+// to it through the async sqliteEngine proxy.
+export class SQLiteDatabase {
+  constructor() {
+    this.SQL = null;
+    this.db = null;
+    // Catalogue of loaded tables: name -> { columnTypes, source }
+    this.tables = new Map();
+    this.isInitialized = false;
+  }
+
+  // Initialize SQL.js and create the database, optionally from a snapshot
+  async initialize(snapshot = null) {
+    if (this.isInitialized) return;
+    
+    try {
+      // Initialize SQL.js with the WASM file
+      this.SQL = await initSqlJs({
+        locateFile: file => {
+          console.log('SQLite requesting file:', file);
+          // Resolved against the app base, not the worker script location
+          return `${import.meta.env.BASE_URL}${file}`;
+        }
+      });
+      
+      // Create a new database
+      this.db = snapshot ? new this.SQL.Database(snapshot.bytes) : new this.SQL.Database();
+      this.tables = new Map(snapshot?.tables || []);
+      this.createTempObjects(snapshot?.temp);
+      this.isInitialized = true;
+    } catch (error) {
+      console.error('Failed to initialize SQL.js:', error);
+      throw new Error('Failed to initialize SQLite engine');
+    }
+  }
+
+  // Export the database and catalogue so a new worker can pick up where this one left off.
+  // sql.js closes and reopens the database to export it, which drops every TEMP table and
+  // view, so scratch objects are saved first, re-created here and kept with the snapshot.
+  snapshot() {
+    const temp = this.tempObjects();
+    const bytes = this.db.export();
+    this.createTempObjects(temp);
+    return { bytes, tables: [...this.tables], temp };
+  }
+
+  // TEMP tables (with their rows), views, indexes and triggers in the order they were created
+  tempObjects() {
+    const result = this.db.exec('SELECT type, name, sql FROM sqlite_temp_master WHERE sql IS NOT NULL ORDER BY rowid');
+    return (result[0]?.values || []).map(([type, name, sql]) => {
+      if (type !== 'table') return { type, name, sql };
+      const [contents] = this.db.exec(`SELECT * FROM temp.${quoteIdentifier(name)}`);
+      return { type, name, sql, columns: contents?.columns || [], rows: contents?.values || [] };
+    });
+  }
+
+  // Re-create saved TEMP objects. sqlite_temp_master keeps their SQL without the TEMP
+  // keyword; an index goes to the schema of its table.
+  createTempObjects(objects = []) {
+    objects.forEach(({ type, name, sql, columns, rows }) => {
+      try {
+        this.db.run(type === 'index' ? sql : sql.replace(/^CREATE\s+/i, 'CREATE TEMP '));
+        if (type !== 'table' || rows.length === 0) return;
+
+        const insert = this.db.prepare(
+          `INSERT INTO temp.${quoteIdentifier(name)} (${columns.map(quoteIdentifier).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+        );
+        rows.forEach(row => insert.run(row));
+        insert.free();
+      } catch (error) {
+        console.warn(`Failed to re-create scratch ${type} ${name}:`, error.message);
+      }
+    });
+  }
+
+  // Load rows into a named table. mode 'replace' recreates the table, 'append' inserts
+  // into an existing table (only the columns it already has).
+  async loadTable(tableName, data, { mode = 'replace', columnTypes = null, source = null } = {}) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    if (!isValidTableName(tableName)) {
+      throw new Error(`Invalid table name "${tableName}". Use letters, digits and underscores.`);
+    }
+
+    if (!data || data.length === 0) {
+      return { columnTypes: columnTypes || {}, rowCount: 0 };
+    }
+
+    const existing = this.tables.get(tableName);
+    const appending = mode === 'append' && this.hasTable(tableName);
+    const types = { ...(existing?.columnTypes || {}), ...(columnTypes || {}) };
+    const table = quoteIdentifier(tableName);
+    let inTransaction = false;
+
+    try {
+      let columns;
+
+      if (appending) {
+        const tableColumns = this.getTableInfo(tableName).map(col => col.name);
+        columns = Object.keys(data[0]).filter(col => tableColumns.includes(col));
+        if (columns.length === 0) {
+          throw new Error(`No columns in common with table "${tableName}"`);
+        }
+      } else {
+        // Drop existing table if it exists
+        this.db.run(`DROP TABLE IF EXISTS ${table}`);
+
+        // Get column names from first row
+        columns = Object.keys(data[0]);
+        
+        // Create table with appropriate column types
+        const columnDefinitions = columns.map(col => {
+          const colType = types[col] || 'text';
+          let sqlType = 'TEXT';
+          
+          switch (colType) {
+            case 'integer':
+              sqlType = 'INTEGER';
+              break;
+            case 'decimal':
+            case 'currency':
+            case 'percentage':
+              sqlType = 'REAL';
+              break;
+            case 'boolean':
+              sqlType = 'INTEGER'; // Store as 0/1
+              break;
+            case 'date':
+            case 'datetime':
+              sqlType = 'TEXT'; // Store as ISO string, can use date functions
+              break;
+            default:
+              sqlType = 'TEXT';
+          }
+          
+          return `${quoteIdentifier(col)} ${sqlType}`;
+        }).join(', ');
+
+        const createTableSQL = `CREATE TABLE ${table} (${columnDefinitions})`;
+        this.db.run(createTableSQL);
+      }
+
+      // Prepare insert statement
+      const placeholders = columns.map(() => '?').join(', ');
+      const insertSQL = `INSERT INTO ${table} (${columns.map(quoteIdentifier).join(', ')}) VALUES (${placeholders})`;
+      const stmt = this.db.prepare(insertSQL);
+
+      // Insert data in optimized batches for better performance
+      const batchSize = 1000;
+      const totalRows = data.length;
+      console.log(`Inserting ${totalRows} rows into ${tableName} in batches of ${batchSize}...`);
+      
+      this.db.run('BEGIN TRANSACTION');
+      inTransaction = true;
+      
+      for (let i = 0; i < totalRows; i += batchSize) {
+        const batch = data.slice(i, i + batchSize);
+        
+        for (const row of batch) {
+          const values = columns.map(col => {
+            const value = row[col];
+            const colType = types[col] || 'text';
+            
+            // Handle type conversions
+            if (value === null || value === undefined || value === '') {
+              return null;
+            }
+            
+            switch (colType) {
+              case 'integer':
+                const intVal = parseInt(value);
+                return isNaN(intVal) ? null : intVal;
+              case 'decimal':
+              case 'currency':
+              case 'percentage':
+                const floatVal = parseFloat(value);
+                return isNaN(floatVal) ? null : floatVal;
+              case 'boolean':
+                // Convert to 0/1
+                if (value === '1' || value === 1 || value === true || value === 'true') {
+                  return 1;
+                }
+                if (value === '0' || value === 0 || value === false || value === 'false') {
+                  return 0;
+                }
+                return null;
+              default:
+                return String(value);
+            }
+          });
+          
+          stmt.run(values);
+        }
+        
+        // Commit intermediate transactions for better memory management
+        if ((i + batchSize) % 5000 === 0 && i + batchSize < totalRows) {
+          this.db.run('COMMIT');
+          this.db.run('BEGIN TRANSACTION');
+          console.log(`Processed ${i + batchSize}/${totalRows} rows...`);
+        }
+      }
+      
+      this.db.run('COMMIT');
+      inTransaction = false;
+      console.log(`Successfully inserted ${totalRows} rows into ${tableName}`);
+      stmt.free();
+
+      this.tables.set(tableName, {
+        columnTypes: types,
+        source: source || existing?.source || null
+      });
+
+      // Create indexes on commonly queried columns
+      this.createIndexes(tableName, columns);
+      
+      return { columnTypes: types, rowCount: totalRows };
+    } catch (error) {
+      if (inTransaction) {
+        this.db.run('ROLLBACK');
+      }
+      console.error(`Failed to load data into ${tableName}:`, error);
+      throw new Error(`Failed to load data: ${error.message}`);
+    }
+  }
+
+  // Add (or recompute) a column from an SQL expression evaluated for every row, such as
+  // a window function or a correlated subquery. The values are computed by one
+  // set-based query into a temp table, then written back in chunks so progress can be
+  // reported. onProgress receives { stage, done, total }.
+  computeColumn(tableName, columnName, expression, onProgress = () => {}) {
+    if (!this.hasTable(tableName)) {
+      throw new Error(`Table "${tableName}" does not exist`);
+    }
+
+    const table = quoteIdentifier(tableName);
+    const column = quoteIdentifier(columnName);
+    const values = 'temp._computed_values';
+
+    // The expression is spliced into SQL, so it has to stay a single read-only expression
+    const statements = classifyQuery(`SELECT (${expression}) FROM ${table}`);
+    if (statements.length !== 1 || statements[0].type !== STATEMENT_TYPES.READ) {
+      throw new Error(`"${columnName}" must be a single SQL expression`);
+    }
+
+    const total = this.getStats(tableName).rowCount;
+    let inTransaction = false;
+
+    try {
+      this.db.run('BEGIN TRANSACTION');
+      inTransaction = true;
+      this.db.run(`DROP TABLE IF EXISTS ${values}`);
+      onProgress({ stage: 'Computing values', done: 0, total });
+
+      // A correlated subquery only depends on the columns it correlates on, so it is
+      // evaluated once per distinct key instead of once per row. The keys are aliased as
+      // the table itself, so the expression's outer references resolve to them.
+      let match = null;
+      const keys = correlatedColumns(expression, tableName);
+      if (keys) {
+        const keyList = keys.map(quoteIdentifier).join(', ');
+        try {
+          this.db.run(keys.length > 0
+            ? `CREATE TABLE ${values} AS SELECT ${keyList}, (${expression}) AS value FROM (SELECT DISTINCT ${keyList} FROM ${table}) AS ${table}`
+            : `CREATE TABLE ${values} AS SELECT (${expression}) AS value`);
+          if (keys.length > 0) {
+            this.db.run(`CREATE INDEX temp._computed_values_keys ON _computed_values (${keyList})`);
+          }
+          match = keys.map(key => `${table}.${quoteIdentifier(key)} IS _computed_values.${quoteIdentifier(key)}`).join(' AND ') || '1';
+        } catch (error) {
+          // It also reads other outer columns; fall back to evaluating it per row
+          console.warn(`Computing ${columnName} per row:`, error.message);
+          this.db.run(`DROP TABLE IF EXISTS ${values}`);
+        }
+      }
+
+      if (!match) {
+        this.db.run(`CREATE TABLE ${values} (row_id INTEGER PRIMARY KEY, value)`);
+        this.db.run(`INSERT INTO ${values} (row_id, value) SELECT rowid, (${expression}) FROM ${table}`);
+
+        // An aggregate without OVER collapses the table into a single row
+        const computed = this.db.exec(`SELECT COUNT(*) FROM ${values}`)[0].values[0][0];
+        if (computed !== total) {
+          throw new Error(`"${columnName}" gives ${computed} values for ${total} rows. Aggregates need OVER (PARTITION BY ...) or a subquery.`);
+        }
+        match = `${table}.rowid = _computed_values.row_id`;
+      }
+
+      const exists = this.getTableInfo(tableName).some(col => col.name === columnName);
+      if (!exists) {
+        this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column}`);
+      }
+
+      // Write the values back a chunk of rows at a time
+      const [minRow, maxRow] = this.db.exec(`SELECT MIN(rowid), MAX(rowid) FROM ${table}`)[0].values[0];
+      const chunkSize = 10000;
+      const update = this.db.prepare(
+        `UPDATE ${table} SET ${column} = _computed_values.value FROM ${values} WHERE ${match} AND ${table}.rowid BETWEEN ? AND ?`
+      );
+      let done = 0;
+      try {
+        for (let start = minRow ?? 1; start <= (maxRow ?? 0); start += chunkSize) {
+          update.run([start, start + chunkSize - 1]);
+          done += this.db.getRowsModified();
+          onProgress({ stage: 'Writing values', done, total });
+        }
+      } finally {
+        update.free();
+      }
+
+      this.db.run(`DROP TABLE ${values}`);
+      this.db.run('COMMIT');
+      inTransaction = false;
+    } catch (error) {
+      if (inTransaction) {
+        this.db.run('ROLLBACK');
+      }
+      throw new Error(`Failed to compute ${columnName}: ${error.message}`);
+    }
+
+    // Record the column's type for formatting, from the values it holds
+    const kinds = (this.db.exec(
+      `SELECT DISTINCT typeof(${column}) FROM ${table} WHERE ${column} IS NOT NULL`
+    )[0]?.values || []).map(([kind]) => kind);
+    const type = kinds.length > 0 && kinds.every(kind => kind === 'integer')
+      ? 'integer'
+      : kinds.length > 0 && kinds.every(kind => kind === 'integer' || kind === 'real') ? 'decimal' : 'text';
+
+    const entry = this.tables.get(tableName) || { columnTypes: {}, source: null };
+    const columnTypes = { ...entry.columnTypes, [columnName]: type };
+    this.tables.set(tableName, { ...entry, columnTypes });
+
+    return { columnTypes, rowCount: total };
+  }
+
+  // Check whether a table exists in the database
+  hasTable(tableName) {
+    if (!this.isInitialized || !this.db) return false;
+    
+    const stmt = this.db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?");
+    stmt.bind([tableName]);
+    const found = stmt.step();
+    stmt.free();
+    return found;
+  }
+
+  // Remove a table (or scratch view) from the database and the catalogue
+  dropTable(tableName) {
+    if (!this.isInitialized || !this.db) return;
+    
+    const result = this.db.exec(
+      "SELECT type FROM sqlite_master WHERE name = $name UNION ALL SELECT type FROM sqlite_temp_master WHERE name = $name",
+      { $name: tableName }
+    );
+    const type = result.length > 0 ? result[0].values[0][0] : 'table';
+    
+    this.db.run(`DROP ${type === 'view' ? 'VIEW' : 'TABLE'} IF EXISTS ${quoteIdentifier(tableName)}`);
+    this.tables.delete(tableName);
+  }
+
+  // List loaded tables, plus scratch tables and views, with their row counts and columns
+  listTables() {
+    if (!this.isInitialized || !this.db) {
+      return [];
+    }
+
+    try {
+      const result = this.db.exec(`
+        SELECT name, type, temp FROM (
+          SELECT name, type, 0 AS temp FROM sqlite_master WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite_%'
+          UNION ALL
+          SELECT name, type, 1 AS temp FROM sqlite_temp_master WHERE type IN ('table', 'view')
+        )
+        ORDER BY name != '${PRIMARY_TABLE}', name
+      `);
+      const objects = result.length > 0 ? result[0].values : [];
+      
+      return objects.map(([name, type, temp]) => ({
+        name,
+        type,
+        temp: Boolean(temp),
+        scratch: !this.tables.has(name),
+        // Counting a view runs it, which can be slow
+        rowCount: type === 'view' ? null : this.getStats(name).rowCount,
+        columns: this.getTableInfo(name).map(col => col.name),
+        schema: this.getTableInfo(name),
+        source: this.tables.get(name)?.source || null
+      }));
+    } catch (error) {
+      console.error('Failed to list tables:', error);
+      return [];
+    }
+  }
+
+  // Create indexes on important columns for better performance
+  createIndexes(tableName, columns) {
+    const indexableColumns = ['user_id', 'txn_date_time', 'merchant_id', 'fraud', 'decline', 'outcome'];
+    
+    indexableColumns.forEach(col => {
+      if (columns.includes(col)) {
+        try {
+          this.db.run(`CREATE INDEX IF NOT EXISTS ${quoteIdentifier(`idx_${tableName}_${col}`)} ON ${quoteIdentifier(tableName)}(${col})`);
+        } catch (error) {
+          // Ignore index creation errors - they're not critical
+          console.warn(`Failed to create index on ${col}:`, error.message);
+        }
+      }
+    });
+  }
+
+  // Execute SQL query
+  // Read-only statements always run; scratch mode also allows creating and dropping
+  // views and tables other than the loaded ones. Rows come from the last statement.
+  // params maps parameter names to values for the :name placeholders in the query.
+  execute(query, { scratch = false, params = {} } = {}) {
+    if (!this.isInitialized || !this.db) {
+      return { 
+        success: false, 
+        error: 'Database not initialized', 
+        data: [], 
+        rowCount: 0 
+      };
+    }
+
+    try {
+      const statements = classifyQuery(query);
+      if (statements.length === 0) {
+        throw new Error('Query is empty');
+      }
+      
+      // Security check - every statement must be allowed before any of them runs
+      const violation = checkStatements(statements, {
+        scratch,
+        protectedTables: [...this.tables.keys()]
+      });
+      if (violation) {
+        throw new Error(violation);
+      }
+
+      // Every :name a statement uses must have a value; values are bound, never spliced in
+      const bindings = statements.map(statement => {
+        const names = findParameters(statement.sql);
+        const missing = names.find(name => !(name in params));
+        if (missing) {
+          throw new Error(`Unknown parameter :${missing}. Define it in a Parameters cell.`);
+        }
+        return Object.fromEntries(names.map(name => [`:${name}`, params[name] ?? null]));
+      });
+
+      // Execute the statements in order
+      let results = [];
+      for (const [index, statement] of statements.entries()) {
+        const stmt = this.db.prepare(statement.sql);
+        const rows = [];
+        
+        stmt.bind(bindings[index]);
+        while (stmt.step()) {
+          const row = stmt.getAsObject();
+          rows.push(row);
+        }
+        
+        stmt.free();
+        results = rows;
+      }
+
+      const last = statements[statements.length - 1];
+      const modified = statements.some(statement => statement.type !== STATEMENT_TYPES.READ);
+
+      return { 
+        success: true, 
+        data: results, 
+        rowCount: results.length,
+        modified,
+        message: last.type === STATEMENT_TYPES.READ ? null : `${last.keyword} ${last.target} completed`
+      };
+      
+    } catch (error) {
+      console.error('SQL execution error:', error);
+      return { 
+        success: false, 
+        error: error.message, 
+        data: [], 
+        rowCount: 0 
+      };
+    }
+  }
+
+  // Get table schema information
+  getTableInfo(tableName = PRIMARY_TABLE) {
+    if (!this.isInitialized || !this.db) {
+      return [];
+    }
+
+    try {
+      const stmt = this.db.prepare(`PRAGMA table_info(${quoteIdentifier(tableName)})`);
+      const columns = [];
+      
+      while (stmt.step()) {
+        const row = stmt.getAsObject();
+        columns.push({
+          name: row.name,
+          type: row.type,
+          nullable: !row.notnull,
+          defaultValue: row.dflt_value
+        });
+      }
+      
+      stmt.free();
+      return columns;
+    } catch (error) {
+      console.error('Failed to get table info:', error);
+      return [];
+    }
+  }
+
+  // Get database statistics
+  getStats(tableName = PRIMARY_TABLE) {
+    if (!this.isInitialized || !this.db) {
+      return { rowCount: 0, columns: [] };
+    }
+
+    try {
+      // Get row count
+      const countStmt = this.db.prepare(`SELECT COUNT(*) as count FROM ${quoteIdentifier(tableName)}`);
+      countStmt.step();
+      const rowCount = countStmt.getAsObject().count;
+      countStmt.free();
+
+      // Get column info
+      const columns = this.getTableInfo(tableName).map(col => col.name);
+
+      return { rowCount, columns };
+    } catch (error) {
+      console.error('Failed to get database stats:', error);
+      return { rowCount: 0, columns: [] };
+    }
+  }
+
+  // Clean up resources
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+    this.tables.clear();
+    this.isInitialized = false;
+  }
+}
@@ -1,288 +1,299 @@
-import initSqlJs from 'sql.js';
+import { PRIMARY_TABLE, quoteIdentifier } from './sqliteDatabase';
 
+export { quoteIdentifier, PRIMARY_TABLE, toTableName, isValidTableName } from './sqliteDatabase';
+
+// Queries running longer than this are stopped
+export const DEFAULT_QUERY_TIMEOUT = 60000;
+
+// Changes kept for replay before they are folded into a new snapshot
+const MAX_REPLAYED_CHANGES = 50;
+
+// Async front end to the SQLite worker. The database lives in the worker, so every
+// call is a message round trip and long work never blocks the UI. A running query
+// cannot be interrupted inside sql.js, so cancelling (or timing out) terminates the
+// worker and restores the last snapshot into a fresh one. Exporting the database is
+// expensive, so snapshots are taken after loads only; the changes made since are
+// replayed on the fresh worker.
 export class SQLiteEngine {
   constructor() {
-    this.SQL = null;
-    this.db = null;
+    this.worker = null;
+    this.pending = new Map();
+    this.nextId = 1;
     this.columnTypes = {};
+    // Database bytes and catalogue as of the last completed load
+    this.snapshot = null;
+    // Computed columns, dropped tables and scratch statements since the snapshot
+    this.changes = [];
+    this.starting = null;
     this.isInitialized = false;
   }
 
-  // Initialize SQL.js and create database
+  // Start the worker and create the database
   async initialize() {
-    if (this.isInitialized) return;
-    
-    try {
-      // Initialize SQL.js with the WASM file
-      this.SQL = await initSqlJs({
-        locateFile: file => {
-          console.log('SQLite requesting file:', file);
-          if (file.endsWith('.wasm')) {
-            return './sql-wasm.wasm';
-          }
-          return './sql-wasm.js';
+    if (!this.starting) {
+      const starting = this.startWorker(this.snapshot).catch(error => {
+        if (this.starting === starting) {
+          this.starting = null;
         }
+        throw error;
       });
-      
-      // Create a new database
-      this.db = new this.SQL.Database();
-      this.isInitialized = true;
-    } catch (error) {
-      console.error('Failed to initialize SQL.js:', error);
-      throw new Error('Failed to initialize SQLite engine');
+      this.starting = starting;
     }
+    return this.starting;
   }
 
-  // Set column types for intelligent formatting
-  setColumnTypes(types) {
-    this.columnTypes = types || {};
+  async startWorker(snapshot) {
+    this.worker = new Worker(new URL('../workers/sqliteWorker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (event) => {
+      console.error('SQLite worker error:', event.message);
+      this.rejectPending(new Error(event.message || 'SQLite worker failed'));
+    };
+
+    await this.post('initialize', [snapshot]);
+    await this.replayChanges();
+    this.isInitialized = true;
   }
 
-  // Load data from CSV into SQLite database
-  async setData(data) {
-    if (!this.isInitialized) {
-      await this.initialize();
+  // Re-apply the changes made since the snapshot to a fresh worker; one that fails is
+  // skipped so the rest still apply
+  async replayChanges() {
+    for (const { method, args } of this.changes) {
+      try {
+        await this.post(method, args);
+      } catch (error) {
+        console.warn(`Failed to replay ${method} after restart:`, error.message);
+      }
     }
+  }
+
+  // Remember a change to replay after a restart. A long history is folded into a new
+  // snapshot so a restart does not have to redo it all.
+  async recordChange(method, args) {
+    this.changes.push({ method, args });
+    if (this.changes.length > MAX_REPLAYED_CHANGES) {
+      await this.checkpoint();
+    }
+  }
+
+  handleMessage({ id, result, error, progress }) {
+    const request = this.pending.get(id);
+    if (!request) return;
 
-    if (!data || data.length === 0) {
+    if (progress) {
+      request.onProgress?.(progress);
       return;
     }
 
-    try {
-      // Drop existing table if it exists
-      this.db.run('DROP TABLE IF EXISTS transactions');
-
-      // Get column names from first row
-      const columns = Object.keys(data[0]);
-      
-      // Create table with appropriate column types
-      const columnDefinitions = columns.map(col => {
-        const colType = this.columnTypes[col] || 'text';
-        let sqlType = 'TEXT';
-        
-        switch (colType) {
-          case 'integer':
-            sqlType = 'INTEGER';
-            break;
-          case 'decimal':
-          case 'currency':
-          case 'percentage':
-            sqlType = 'REAL';
-            break;
-          case 'boolean':
-            sqlType = 'INTEGER'; // Store as 0/1
-            break;
-          case 'date':
-          case 'datetime':
-            sqlType = 'TEXT'; // Store as ISO string, can use date functions
-            break;
-          default:
-            sqlType = 'TEXT';
-        }
-        
-        return `${col} ${sqlType}`;
-      }).join(', ');
-
-      const createTableSQL = `CREATE TABLE transactions (${columnDefinitions})`;
-      this.db.run(createTableSQL);
-
-      // Prepare insert statement
-      const placeholders = columns.map(() => '?').join(', ');
-      const insertSQL = `INSERT INTO transactions (${columns.join(', ')}) VALUES (${placeholders})`;
-      const stmt = this.db.prepare(insertSQL);
-
-      // Insert data in optimized batches for better performance
-      const batchSize = 1000;
-      const totalRows = data.length;
-      console.log(`Inserting ${totalRows} rows in batches of ${batchSize}...`);
-      
-      this.db.run('BEGIN TRANSACTION');
-      
-      for (let i = 0; i < totalRows; i += batchSize) {
-        const batch = data.slice(i, i + batchSize);
-        
-        for (const row of batch) {
-          const values = columns.map(col => {
-            const value = row[col];
-            const colType = this.columnTypes[col] || 'text';
-            
-            // Handle type conversions
-            if (value === null || value === undefined || value === '') {
-              return null;
-            }
-            
-            switch (colType) {
-              case 'integer':
-                const intVal = parseInt(value);
-                return isNaN(intVal) ? null : intVal;
-              case 'decimal':
-              case 'currency':
-              case 'percentage':
-                const floatVal = parseFloat(value);
-                return isNaN(floatVal) ? null : floatVal;
-              case 'boolean':
-                // Convert to 0/1
-                if (value === '1' || value === 1 || value === true || value === 'true') {
-                  return 1;
-                }
-                if (value === '0' || value === 0 || value === false || value === 'false') {
-                  return 0;
-                }
-                return null;
-              default:
-                return String(value);
-            }
-          });
-          
-          stmt.run(values);
-        }
-        
-        // Commit intermediate transactions for better memory management
-        if ((i + batchSize) % 5000 === 0 && i + batchSize < totalRows) {
-          this.db.run('COMMIT');
-          this.db.run('BEGIN TRANSACTION');
-          console.log(`Processed ${i + batchSize}/${totalRows} rows...`);
-        }
-      }
-      
-      this.db.run('COMMIT');
-      console.log(`Successfully inserted ${totalRows} rows into SQLite database`);
-      stmt.free();
-
-      // Create indexes on commonly queried columns
-      this.createIndexes(columns);
-      
-    } catch (error) {
-      this.db.run('ROLLBACK');
-      console.error('Failed to load data into SQLite:', error);
-      throw new Error(`Failed to load data: ${error.message}`);
+    clearTimeout(request.timer);
+    this.pending.delete(id);
+
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
     }
   }
 
-  // Create indexes on important columns for better performance
-  createIndexes(columns) {
-    const indexableColumns = ['user_id', 'txn_date_time', 'merchant_id', 'fraud', 'decline', 'outcome'];
-    
-    indexableColumns.forEach(col => {
-      if (columns.includes(col)) {
-        try {
-          this.db.run(`CREATE INDEX IF NOT EXISTS idx_${col} ON transactions(${col})`);
-        } catch (error) {
-          // Ignore index creation errors - they're not critical
-          console.warn(`Failed to create index on ${col}:`, error.message);
-        }
-      }
+  // Send a request to the worker without waiting for initialization
+  post(method, args = [], timeout = null, onProgress = null) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      const timer = timeout
+        ? setTimeout(() => this.restart(`Query timed out after ${timeout / 1000}s`), timeout)
+        : null;
+
+      this.pending.set(id, { resolve, reject, timer, onProgress });
+      this.worker.postMessage({ id, method, args });
     });
   }
 
-  // Execute SQL query
-  execute(query) {
-    if (!this.isInitialized || !this.db) {
-      return { 
-        success: false, 
-        error: 'Database not initialized', 
-        data: [], 
-        rowCount: 0 
-      };
+  async call(method, args = [], timeout = null, onProgress = null) {
+    await this.initialize();
+    return this.post(method, args, timeout, onProgress);
+  }
+
+  rejectPending(error) {
+    this.pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    this.pending.clear();
+  }
+
+  // Throw away the worker (and whatever it is running) and start again from the snapshot
+  restart(reason) {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
     }
+    this.isInitialized = false;
+    this.starting = null;
 
-    try {
-      // Clean up the query
-      const cleanQuery = query.trim();
-      
-      // Security check - only allow SELECT statements
-      if (!cleanQuery.toLowerCase().startsWith('select')) {
-        throw new Error('Only SELECT queries are supported');
-      }
+    const error = new Error(reason);
+    error.cancelled = true;
+    this.rejectPending(error);
 
-      // Execute the query
-      const stmt = this.db.prepare(cleanQuery);
-      const results = [];
-      
-      while (stmt.step()) {
-        const row = stmt.getAsObject();
-        results.push(row);
-      }
-      
-      stmt.free();
+    this.initialize().catch(error => console.error('Failed to restart SQLite worker:', error));
+  }
 
-      return { 
-        success: true, 
-        data: results, 
-        rowCount: results.length 
-      };
-      
-    } catch (error) {
-      console.error('SQL execution error:', error);
-      return { 
-        success: false, 
-        error: error.message, 
-        data: [], 
-        rowCount: 0 
-      };
+  // Whether a request is waiting on the worker
+  isBusy() {
+    return this.pending.size > 0;
+  }
+
+  // Stop whatever the worker is doing. Pending calls fail with "Query cancelled".
+  cancel() {
+    if (!this.isBusy()) return false;
+
+    this.restart('Query cancelled');
+    return true;
+  }
+
+  // Set column types for intelligent formatting
+  setColumnTypes(types) {
+    this.columnTypes = types || {};
+  }
+
+  // Load data from CSV into the primary transactions table
+  async setData(data) {
+    return this.loadTable(PRIMARY_TABLE, data, { columnTypes: this.columnTypes });
+  }
+
+  // Load rows into a named table. mode 'replace' recreates the table, 'append' inserts
+  // into an existing table (only the columns it already has).
+  async loadTable(tableName, data, options = {}) {
+    const result = await this.call('loadTable', [tableName, data, options]);
+
+    if (tableName === PRIMARY_TABLE) {
+      this.columnTypes = result.columnTypes;
     }
+
+    await this.checkpoint();
+    return result;
   }
 
-  // Get table schema information
-  getTableInfo() {
-    if (!this.isInitialized || !this.db) {
-      return [];
+  // Add or recompute a column from an SQL expression over each row of a table.
+  // onProgress receives { stage, done, total } while the values are written.
+  async computeColumn(tableName, columnName, expression, { onProgress = null } = {}) {
+    const result = await this.call('computeColumn', [tableName, columnName, expression], null, onProgress);
+
+    if (tableName === PRIMARY_TABLE) {
+      this.columnTypes = result.columnTypes;
     }
 
-    try {
-      const stmt = this.db.prepare('PRAGMA table_info(transactions)');
-      const columns = [];
-      
-      while (stmt.step()) {
-        const row = stmt.getAsObject();
-        columns.push({
-          name: row.name,
-          type: row.type,
-          nullable: !row.notnull,
-          defaultValue: row.dflt_value
-        });
-      }
-      
-      stmt.free();
-      return columns;
-    } catch (error) {
-      console.error('Failed to get table info:', error);
-      return [];
+    await this.recordChange('computeColumn', [tableName, columnName, expression]);
+    return result;
+  }
+
+  // All rows of a table in the order they were loaded
+  async readTable(tableName = PRIMARY_TABLE) {
+    const result = await this.execute(`SELECT * FROM ${quoteIdentifier(tableName)} ORDER BY rowid`, { timeout: null });
+    if (!result.success) {
+      throw new Error(result.error);
     }
+    return result.data;
   }
 
-  // Get database statistics
-  getStats() {
-    if (!this.isInitialized || !this.db) {
-      return { rowCount: 0, columns: [] };
+  // Some columns of every row, in the same order as readTable, so computed columns can
+  // be merged into the loaded rows without reading the whole table again
+  async readColumns(columns, tableName = PRIMARY_TABLE) {
+    const result = await this.execute(
+      `SELECT ${columns.map(quoteIdentifier).join(', ')} FROM ${quoteIdentifier(tableName)} ORDER BY rowid`,
+      { timeout: null }
+    );
+    if (!result.success) {
+      throw new Error(result.error);
     }
+    return result.data;
+  }
 
-    try {
-      // Get row count
-      const countStmt = this.db.prepare('SELECT COUNT(*) as count FROM transactions');
-      countStmt.step();
-      const rowCount = countStmt.getAsObject().count;
-      countStmt.free();
+  // Remove a table from the database and the catalogue
+  async dropTable(tableName) {
+    await this.call('dropTable', [tableName]);
+    await this.recordChange('dropTable', [tableName]);
+  }
+
+  // Keep a copy of the database to restore after a cancelled or timed out query
+  async checkpoint() {
+    this.snapshot = await this.call('snapshot');
+    this.changes = [];
+  }
+
+  // Replace the whole database with a previously exported snapshot
+  async restore(snapshot) {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.rejectPending(new Error('Database replaced'));
+    this.isInitialized = false;
+    this.starting = null;
+    this.snapshot = snapshot;
+    this.changes = [];
 
-      // Get column info
-      const columns = this.getTableInfo().map(col => col.name);
+    await this.initialize();
 
-      return { rowCount, columns };
+    const primary = new Map(snapshot.tables).get(PRIMARY_TABLE);
+    this.columnTypes = primary?.columnTypes || {};
+  }
+
+  // Execute SQL query. Resolves with { success, data, rowCount, modified } or
+  // { success: false, error }, with cancelled set when the query was cancelled or timed out.
+  // scratch allows creating and dropping views and derived tables; params holds values
+  // for the :name parameters the query uses.
+  async execute(query, { timeout = DEFAULT_QUERY_TIMEOUT, scratch = false, params = {} } = {}) {
+    try {
+      const result = await this.call('execute', [query, { scratch, params }], timeout);
+      if (result.modified) {
+        // Keep derived tables if the worker has to be restarted
+        await this.recordChange('execute', [query, { scratch, params }]);
+      }
+      return result;
     } catch (error) {
-      console.error('Failed to get database stats:', error);
-      return { rowCount: 0, columns: [] };
+      return {
+        success: false,
+        cancelled: Boolean(error.cancelled),
+        error: error.message,
+        data: [],
+        rowCount: 0
+      };
     }
   }
 
+  // Check whether a table exists in the database
+  async hasTable(tableName) {
+    return this.call('hasTable', [tableName]);
+  }
+
+  // List loaded tables with their row counts, columns and schema
+  async listTables() {
+    return this.call('listTables');
+  }
+
+  // Get table schema information
+  async getTableInfo(tableName = PRIMARY_TABLE) {
+    return this.call('getTableInfo', [tableName]);
+  }
+
+  // Get database statistics
+  async getStats(tableName = PRIMARY_TABLE) {
+    return this.call('getStats', [tableName]);
+  }
+
   // Clean up resources
   close() {
-    if (this.db) {
-      this.db.close();
-      this.db = null;
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
     }
+    this.rejectPending(new Error('SQLite engine closed'));
+    this.snapshot = null;
+    this.changes = [];
+    this.starting = null;
     this.isInitialized = false;
   }
 }
 
 // Export singleton instance
-export const sqliteEngine = new SQLiteEngine();
\ No newline at end of file
+export const sqliteEngine = new SQLiteEngine();
@@ -0,0 +1,77 @@
+// Time series
+//
+// Helpers behind line and area charts drawn over time: parsing the x column as
+// timestamps, moving averages, and a band of ±k standard deviations around the mean of
+// the points before each one, with points outside the band flagged as anomalies.
+
+export const DEFAULT_BAND_WINDOW = 7;
+
+// Milliseconds since the epoch for a date or datetime value, or null. SQLite's
+// 'YYYY-MM-DD HH:MM:SS' is read as ISO so every browser parses it the same way.
+export function toTimestamp(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return isNaN(value) ? null : value.getTime();
+  if (typeof value === 'number') return null;
+
+  const text = String(value).trim();
+  if (!/^\d{4}-\d{2}(-\d{2})?([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(text)) return null;
+  const time = Date.parse(text.replace(' ', 'T'));
+  return isNaN(time) ? null : time;
+}
+
+// Whether most of the values are dates, so the chart gets a time axis
+export function isTimeColumn(values) {
+  const present = values.filter(value => value !== null && value !== undefined && value !== '');
+  if (present.length === 0) return false;
+  return present.filter(value => toTimestamp(value) !== null).length / present.length >= 0.9;
+}
+
+// A y value as a number, or null when it is missing or not numeric
+export function toValue(value) {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+// Periods typed as "7, 30" -> [7, 30]; anything that is not a period above 1 is dropped
+export function parsePeriods(text) {
+  const periods = String(text ?? '')
+    .split(/[\s,]+/)
+    .map(part => parseInt(part, 10))
+    .filter(period => Number.isInteger(period) && period > 1);
+  return [...new Set(periods)];
+}
+
+// Mean of each point and the period - 1 before it; null until there are enough points.
+// Missing (null) values are skipped: they get no average and are not counted.
+export function movingAverage(values, period) {
+  const recent = [];
+  let sum = 0;
+  return values.map(value => {
+    if (value === null) return null;
+    recent.push(value);
+    sum += value;
+    if (recent.length > period) sum -= recent.shift();
+    return recent.length === period ? sum / period : null;
+  });
+}
+
+// For each point, the mean ± k standard deviations of the window of points before it,
+// and whether the point falls outside. Missing (null) values are skipped, and points
+// without a full window have no band.
+export function anomalyBand(values, { window = DEFAULT_BAND_WINDOW, k = 2 } = {}) {
+  const previous = [];
+  return values.map(value => {
+    if (value === null || previous.length < window) {
+      if (value !== null) previous.push(value);
+      return { lower: null, upper: null, anomaly: false };
+    }
+
+    const mean = previous.reduce((sum, v) => sum + v, 0) / window;
+    const std = Math.sqrt(previous.reduce((sum, v) => sum + (v - mean) ** 2, 0) / window);
+    const lower = mean - k * std;
+    const upper = mean + k * std;
+    previous.push(value);
+    previous.shift();
+    return { lower, upper, anomaly: value < lower || value > upper };
+  });
+}
@@ -0,0 +1,155 @@
+// Transaction networks
+//
+// Edges behind the Network cell: transactions aggregated between consecutive columns
+// of a path such as user → merchant → country. Each stage only starts from the nodes
+// the stage before reached, so the stages join up into one network. Expanding a node
+// adds its own edges on the stages next to it, bound as :node_0, :node_1, ...
+
+import { PRIMARY_TABLE, quoteIdentifier } from './sqliteEngine';
+import { DEFAULT_AMOUNT_COLUMN, flagExpression } from './computedStates';
+
+// Columns offered as network stages, with their legend labels
+export const NETWORK_NODE_TYPES = {
+  user_id: { label: 'User' },
+  merchant_id: { label: 'Merchant' },
+  terminal_id: { label: 'Terminal' },
+  merchant_country: { label: 'Country' }
+};
+
+export const NETWORK_LAYOUTS = {
+  force: 'Force',
+  circular: 'Circular',
+  sankey: 'Flow (Sankey)'
+};
+
+export const NETWORK_WEIGHTS = {
+  transactions: 'Transactions',
+  amount: 'Amount'
+};
+
+export const MAX_NETWORK_STAGES = 4;
+
+export const DEFAULT_NETWORK = {
+  path: ['user_id', 'merchant_id'],
+  weight: 'transactions',
+  minWeight: 1,
+  maxEdges: 150,
+  filter: '',
+  layout: 'force',
+  expanded: []
+};
+
+// Flag column counted on each edge, so edges carrying fraud stand out
+const FLAG_COLUMN = 'fraud';
+
+export const networkNodeLabel = (column) => NETWORK_NODE_TYPES[column]?.label || column;
+
+const literal = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+// Settings that change which edges the query returns; min weight and layout only
+// change how they are drawn
+export function networkSignature(settings = {}) {
+  const { path, weight, maxEdges, filter, expanded } = { ...DEFAULT_NETWORK, ...settings };
+  return JSON.stringify({ path, weight, maxEdges, filter, expanded });
+}
+
+// Query for the network's edges and its parameter bindings, or null while the path
+// has fewer than two columns in the table
+export function networkQuery(settings, columns, { tableName = PRIMARY_TABLE } = {}) {
+  const { path, weight, maxEdges, filter, expanded } = { ...DEFAULT_NETWORK, ...settings };
+  const stages = path.filter(column => columns.includes(column));
+  if (stages.length < 2) return null;
+
+  const amount = columns.includes(DEFAULT_AMOUNT_COLUMN) ? quoteIdentifier(DEFAULT_AMOUNT_COLUMN) : null;
+  const flagged = columns.includes(FLAG_COLUMN);
+  const orderBy = weight === 'amount' && amount ? 'amount' : 'transactions';
+  const limit = Math.max(1, parseInt(maxEdges, 10) || DEFAULT_NETWORK.maxEdges);
+  const text = (column) => `CAST(${quoteIdentifier(column)} AS TEXT)`;
+
+  const hop = (source, target, conditions) => `SELECT ${literal(source)} AS source_type, ${text(source)} AS source,
+  ${literal(target)} AS target_type, ${text(target)} AS target,
+  COUNT(*) AS transactions${amount ? `, SUM(${amount}) AS amount` : ''}${
+    flagged ? `, SUM(CASE WHEN ${flagExpression(FLAG_COLUMN)} THEN 1 ELSE 0 END) AS flagged` : ''}
+FROM ${tableName}
+WHERE ${[
+    `${quoteIdentifier(source)} IS NOT NULL`,
+    `${quoteIdentifier(target)} IS NOT NULL`,
+    filter.trim() && `(${filter.trim()})`,
+    ...conditions
+  ].filter(Boolean).join(' AND ')}
+GROUP BY ${quoteIdentifier(source)}, ${quoteIdentifier(target)}
+ORDER BY ${orderBy} DESC
+LIMIT ${limit}`;
+
+  const hops = stages.slice(1).map((target, i) => [stages[i], target]);
+  const ctes = hops.map(([source, target], i) => `hop_${i} AS (
+${hop(source, target, i === 0 ? [] : [`${text(source)} IN (SELECT target FROM hop_${i - 1})`])}
+)`);
+  const selects = hops.map((_, i) => `SELECT * FROM hop_${i}`);
+
+  // Every edge of an expanded node on the stages either side of it
+  const params = {};
+  (expanded || []).forEach((node, n) => {
+    params[`node_${n}`] = String(node.value);
+    hops.forEach(([source, target]) => {
+      [source, target].filter(column => column === node.column).forEach(column => {
+        selects.push(`SELECT * FROM (${hop(source, target, [`${text(column)} = :node_${n}`])})`);
+      });
+    });
+  });
+
+  return {
+    query: `WITH ${ctes.join(',\n')}\n${selects.join('\nUNION ALL\n')}`,
+    params
+  };
+}
+
+// Edges returned more than once, by a stage and by an expanded node, are kept once
+export function mergeNetworkEdges(rows) {
+  const edges = new Map();
+  rows.forEach(row => {
+    const key = JSON.stringify([row.source_type, row.source, row.target_type, row.target]);
+    if (!edges.has(key)) edges.set(key, row);
+  });
+  return [...edges.values()];
+}
+
+export const isExpandedNode = (settings, column, value) =>
+  (settings?.expanded || []).some(node => node.column === column && String(node.value) === String(value));
+
+// Expanded nodes after a node is clicked: added if new, removed if already expanded
+export function toggleExpandedNode(settings, column, value) {
+  const expanded = settings?.expanded || [];
+  return isExpandedNode(settings, column, value)
+    ? expanded.filter(node => !(node.column === column && String(node.value) === String(value)))
+    : [...expanded, { column, value: String(value) }];
+}
+
+// Edges between consecutive columns of a path, aggregated from rows already loaded
+// (a chart's query results or the table), in the same shape the network query returns.
+// The value column is summed; without one each row counts once.
+export function flowEdges(rows, path, valueColumn = '') {
+  const stages = path.filter(Boolean);
+  const edges = new Map();
+
+  rows.forEach(row => {
+    const weight = valueColumn ? Number(row[valueColumn]) || 0 : 1;
+    stages.slice(1).forEach((target, i) => {
+      const source = stages[i];
+      if ([row[source], row[target]].some(value => value === null || value === undefined || value === '')) return;
+
+      const key = JSON.stringify([source, String(row[source]), target, String(row[target])]);
+      const edge = edges.get(key) || {
+        source_type: source,
+        source: String(row[source]),
+        target_type: target,
+        target: String(row[target]),
+        value: 0
+      };
+      edge.value += weight;
+      edges.set(key, edge);
+    });
+  });
+
+  return [...edges.values()];
+}
@@ -0,0 +1,119 @@
+// World map
+//
+// Country shapes for map charts, bundled with the app so maps draw without network
+// access. The shapes load on first use and are registered with ECharts under
+// WORLD_MAP, each region named by its ISO alpha-3 code. Data can name countries by
+// alpha-2, alpha-3 or numeric code, or by English name.
+
+import { COUNTRY_CODES } from '../data/countryCodes';
+
+export const WORLD_MAP = 'world';
+
+// Antarctica is left off so the inhabited countries get the space
+const OMITTED_REGIONS = new Set(['010']);
+
+const countries = COUNTRY_CODES.map(([alpha2, alpha3, numeric, name]) => ({ alpha2, alpha3, numeric, name }));
+const countryIndex = new Map();
+countries.forEach(country => {
+  [country.alpha2, country.alpha3, country.numeric, country.name.toUpperCase()]
+    .forEach(key => countryIndex.set(key, country));
+});
+
+let registration = null;
+
+// The country a code or name refers to, or null
+export function countryInfo(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim().toUpperCase();
+  if (!text) return null;
+  return countryIndex.get(/^\d{1,3}$/.test(text) ? text.padStart(3, '0') : text) || null;
+}
+
+export const countryName = (code) => countryInfo(code)?.name ?? code;
+
+export const isWorldMapRegistered = () => Boolean(window.echarts?.getMap(WORLD_MAP));
+
+// GeoJSON for the world with each feature named by its alpha-3 code. Shapes without a
+// code (Kosovo, Somaliland and a few disputed areas) keep the atlas name, and a code is
+// drawn once, by its first shape.
+export function worldGeoJSON(topology, feature) {
+  const { features } = feature(topology, topology.objects.countries);
+  const named = new Set();
+
+  return {
+    type: 'FeatureCollection',
+    features: features
+      .filter(shape => !OMITTED_REGIONS.has(shape.id))
+      .map(shape => {
+        const name = countryInfo(shape.id)?.alpha3 ?? shape.properties.name;
+        if (named.has(name)) return null;
+        named.add(name);
+        return { ...shape, properties: { name } };
+      })
+      .filter(Boolean)
+  };
+}
+
+// Registers the world map with ECharts once; resolves when it can be drawn
+export function registerWorldMap() {
+  if (isWorldMapRegistered()) return Promise.resolve();
+
+  if (!registration) {
+    registration = Promise.all([
+      import('world-atlas/countries-110m.json'),
+      import('topojson-client')
+    ]).then(([atlas, { feature }]) => {
+      window.echarts.registerMap(WORLD_MAP, worldGeoJSON(atlas.default, feature));
+    }).catch(error => {
+      registration = null;
+      throw error;
+    });
+  }
+  return registration;
+}
+
+// One value per country for a column of country codes: the measure column aggregated
+// over each country's rows ('count' counts rows). Each result keeps the raw values
+// that named the country, so a click can filter on them; values that name no country
+// are returned separately.
+export function countryMeasures(rows, countryColumn, valueColumn, aggregation = 'sum') {
+  const groups = new Map();
+  const unmatched = new Set();
+
+  rows.forEach(row => {
+    const raw = row[countryColumn];
+    const country = countryInfo(raw);
+    if (!country) {
+      if (raw !== null && raw !== undefined && raw !== '') unmatched.add(raw);
+      return;
+    }
+
+    if (!groups.has(country.alpha3)) groups.set(country.alpha3, { country, rawValues: new Set(), values: [], count: 0 });
+    const group = groups.get(country.alpha3);
+    group.rawValues.add(raw);
+    group.count += 1;
+    const value = parseFloat(row[valueColumn]);
+    if (!isNaN(value)) group.values.push(value);
+  });
+
+  const aggregate = (values, count) => {
+    switch (aggregation) {
+      case 'count': return count;
+      case 'avg': return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+      case 'min': return values.length ? Math.min(...values) : null;
+      case 'max': return values.length ? Math.max(...values) : null;
+      default: return values.length ? values.reduce((sum, v) => sum + v, 0) : null;
+    }
+  };
+
+  return {
+    measures: [...groups.values()].map(({ country, rawValues, values, count }) => ({
+      code: country.alpha3,
+      name: country.name,
+      rawValues: [...rawValues],
+      count,
+      value: aggregate(values, count)
+    })),
+    unmatched: [...unmatched]
+  };
+}
@@ -1,4 +1,6 @@
-import { createContext, useContext, useReducer } from 'react';
+import { createContext, useContext, useReducer, useRef, useCallback } from 'react';
+import { staleCellsAfterUpdate } from '../services/cellDependencies';
+import { DEFAULT_DASHBOARD } from '../services/dashboard';
 
 // Initial state
 const initialState = {
@@ -55,7 +57,6 @@ const initialState = {
       chartType: 'line',
       xAxis: 'txn_date_time',
       yAxis: 'charged_amount',
-      groupBy: 'none',
       query: 'SELECT DATE(txn_date_time) as date, SUM(charged_amount) as total_amount FROM transactions GROUP BY DATE(txn_date_time) ORDER BY date LIMIT 30',
       collapsed: false,
       executed: true,
@@ -78,20 +79,37 @@ const initialState = {
     aiAssist: { open: false, cellId: null },
     addState: { open: false, cellId: null },
     editState: { open: false, cellId: null, stateIndex: null },
+    structuringDetector: { open: false, cellId: null },
+    ruleExport: { open: false, cellId: null },
+    importRule: { open: false, afterId: null },
+    alerts: false,
+    entity: { open: false, column: null, value: null, history: [] },
     settings: false,
-    saveInvestigation: false
+    saveInvestigation: false,
+    importData: { open: false, expectedDataset: null },
+    tables: false
   },
   settings: {
     apiKey: localStorage.getItem('openai_api_key') || ''
   },
   columnTypes: {},
+  dataset: null,
+  tables: [],
+  // Per-investigation opt-in for CREATE/DROP of views and derived tables in Data cells
+  scratchMode: false,
   currentInvestigation: null,
+  // Triage queue of rule hits, saved with the investigation
+  alerts: [],
+  // Pinned cells, their layout and the filter bar, saved with the investigation
+  dashboard: DEFAULT_DASHBOARD,
+  viewMode: 'notebook', // 'notebook' or 'dashboard'
   showLandingScreen: true
 };
 
 // Action types
 const ActionTypes = {
   SET_CSV_DATA: 'SET_CSV_DATA',
+  MERGE_CSV_COLUMNS: 'MERGE_CSV_COLUMNS',
   SET_LOADING: 'SET_LOADING',
   SET_SELECTED_CELL: 'SET_SELECTED_CELL',
   SET_EDITING_CELL: 'SET_EDITING_CELL',
@@ -99,9 +117,19 @@ const ActionTypes = {
   UPDATE_CELL: 'UPDATE_CELL',
   DELETE_CELL: 'DELETE_CELL',
   EXECUTE_CELL: 'EXECUTE_CELL',
+  SET_CELL_RUNNING: 'SET_CELL_RUNNING',
+  MARK_CELLS_STALE: 'MARK_CELLS_STALE',
   TOGGLE_MODAL: 'TOGGLE_MODAL',
   UPDATE_SETTINGS: 'UPDATE_SETTINGS',
   SET_COLUMN_TYPES: 'SET_COLUMN_TYPES',
+  SET_DATASET: 'SET_DATASET',
+  UPDATE_DATASET: 'UPDATE_DATASET',
+  SET_TABLES: 'SET_TABLES',
+  SET_SCRATCH_MODE: 'SET_SCRATCH_MODE',
+  ADD_ALERTS: 'ADD_ALERTS',
+  UPDATE_ALERTS: 'UPDATE_ALERTS',
+  UPDATE_DASHBOARD: 'UPDATE_DASHBOARD',
+  SET_VIEW_MODE: 'SET_VIEW_MODE',
   LOAD_INVESTIGATION: 'LOAD_INVESTIGATION',
   SET_CURRENT_INVESTIGATION: 'SET_CURRENT_INVESTIGATION',
   SHOW_LANDING_SCREEN: 'SHOW_LANDING_SCREEN',
@@ -114,6 +142,10 @@ function notebookReducer(state, action) {
     case ActionTypes.SET_CSV_DATA:
       return { ...state, csvData: action.payload };
     
+    // New or recomputed columns, one row for each loaded row in the same order
+    case ActionTypes.MERGE_CSV_COLUMNS:
+      return { ...state, csvData: state.csvData.map((row, i) => ({ ...row, ...action.payload[i] })) };
+    
     case ActionTypes.SET_LOADING:
       return { ...state, loading: action.payload };
     
@@ -134,20 +166,35 @@ function notebookReducer(state, action) {
         : [...state.cells, action.payload.cell];
       return { ...state, cells: newCells };
     
-    case ActionTypes.UPDATE_CELL:
+    case ActionTypes.UPDATE_CELL: {
+      const previous = state.cells.find(cell => cell.id === action.payload.id);
+      const cells = state.cells.map(cell => 
+        cell.id === action.payload.id 
+          ? { ...cell, ...action.payload.updates }
+          : cell
+      );
+      
+      // Cells that read what this cell defines no longer match it
+      const stale = previous
+        ? staleCellsAfterUpdate(previous, cells.find(cell => cell.id === previous.id), cells)
+        : [];
+      
       return {
         ...state,
-        cells: state.cells.map(cell => 
-          cell.id === action.payload.id 
-            ? { ...cell, ...action.payload.updates }
-            : cell
-        )
+        cells: stale.length > 0
+          ? cells.map(cell => stale.includes(cell.id) ? { ...cell, stale: true } : cell)
+          : cells
       };
+    }
     
     case ActionTypes.DELETE_CELL:
       return {
         ...state,
-        cells: state.cells.filter(cell => cell.id !== action.payload)
+        cells: state.cells.filter(cell => cell.id !== action.payload),
+        dashboard: {
+          ...state.dashboard,
+          tiles: state.dashboard.tiles.filter(tile => tile.cellId !== action.payload)
+        }
       };
     
     case ActionTypes.EXECUTE_CELL:
@@ -157,18 +204,42 @@ function notebookReducer(state, action) {
           cell.id === action.payload.cellId
             ? { 
                 ...cell, 
+                runningSince: null,
+                progress: null,
+                stale: false,
                 executed: action.payload.success,
                 executionTime: action.payload.executionTime,
                 queryResults: action.payload.results || cell.queryResults,
                 queryError: action.payload.error || null,
+                queryMessage: action.payload.message || null,
                 rowCount: action.payload.rowCount || cell.rowCount,
                 columns: action.payload.columns || cell.columns,
-                visibleColumns: action.payload.visibleColumns || cell.visibleColumns
+                visibleColumns: action.payload.visibleColumns || cell.visibleColumns,
+                summary: action.payload.summary || (action.payload.success ? cell.summary : null)
               }
             : cell
         )
       };
     
+    case ActionTypes.SET_CELL_RUNNING:
+      return {
+        ...state,
+        cells: state.cells.map(cell =>
+          cell.id === action.payload.cellId
+            ? { ...cell, runningSince: action.payload.runningSince, progress: action.payload.progress || null }
+            : cell
+        )
+      };
+    
+    case ActionTypes.MARK_CELLS_STALE:
+      // Results no longer match the inputs, e.g. after an upstream cell recomputed them
+      return {
+        ...state,
+        cells: state.cells.map(cell =>
+          action.payload.includes(cell.id) ? { ...cell, stale: true } : cell
+        )
+      };
+    
     case ActionTypes.TOGGLE_MODAL:
       return {
         ...state,
@@ -190,11 +261,65 @@ function notebookReducer(state, action) {
         columnTypes: action.payload
       };
     
+    case ActionTypes.SET_DATASET:
+      // Results computed against the previous dataset are no longer valid
+      return {
+        ...state,
+        dataset: action.payload,
+        cells: state.cells.map(cell =>
+          (cell.type === 'data' || cell.type === 'chart' || cell.type === 'rule' || cell.type === 'network')
+            ? {
+                ...cell,
+                executed: false,
+                queryResults: [],
+                queryError: null,
+                summary: null,
+                ...(cell.backtest && { backtest: { settings: cell.backtest.settings, results: null, error: null } })
+              }
+            : cell
+        )
+      };
+    
+    case ActionTypes.UPDATE_DATASET:
+      // Metadata changes for the loaded dataset that leave results valid
+      return { ...state, dataset: { ...state.dataset, ...action.payload } };
+    
+    case ActionTypes.SET_TABLES:
+      return { ...state, tables: action.payload };
+    
+    case ActionTypes.SET_SCRATCH_MODE:
+      return { ...state, scratchMode: action.payload };
+    
+    case ActionTypes.ADD_ALERTS:
+      return { ...state, alerts: [...state.alerts, ...action.payload] };
+    
+    case ActionTypes.UPDATE_ALERTS: {
+      const { ids, updates } = action.payload;
+      const updatedAt = new Date().toISOString();
+      return {
+        ...state,
+        alerts: state.alerts.map(alert => ids.includes(alert.id) ? { ...alert, ...updates, updatedAt } : alert)
+      };
+    }
+    
+    case ActionTypes.UPDATE_DASHBOARD:
+      return { ...state, dashboard: { ...state.dashboard, ...action.payload } };
+    
+    case ActionTypes.SET_VIEW_MODE:
+      return { ...state, viewMode: action.payload };
+    
     case ActionTypes.LOAD_INVESTIGATION:
       return {
         ...state,
         cells: action.payload.cells,
+        alerts: action.payload.investigation.alerts || [],
+        dashboard: {
+          tiles: action.payload.investigation.dashboard?.tiles || [],
+          filters: { ...DEFAULT_DASHBOARD.filters, ...action.payload.investigation.dashboard?.filters }
+        },
+        viewMode: 'notebook',
         currentInvestigation: action.payload.investigation,
+        scratchMode: Boolean(action.payload.investigation.scratchMode),
         showLandingScreen: false
       };
     
@@ -217,6 +342,10 @@ function notebookReducer(state, action) {
         selectedCellId: null,
         editingCellId: null,
         currentInvestigation: null,
+        alerts: [],
+        dashboard: DEFAULT_DASHBOARD,
+        viewMode: 'notebook',
+        scratchMode: false,
         showLandingScreen: false
       };
     
@@ -230,10 +359,18 @@ const NotebookContext = createContext();
 
 // Provider component
 export function NotebookProvider({ children }) {
-  const [state, dispatch] = useReducer(notebookReducer, initialState);
+  const [state, dispatchAction] = useReducer(notebookReducer, initialState);
+  // The state with every dispatched action applied, before React renders it, so code
+  // that dispatches and then awaits (cells run in order) reads what it just changed
+  const current = useRef(initialState);
+  const dispatch = useCallback((action) => {
+    current.current = notebookReducer(current.current, action);
+    dispatchAction(action);
+  }, []);
+  const getState = useCallback(() => current.current, []);
 
   return (
-    <NotebookContext.Provider value={{ state, dispatch, ActionTypes }}>
+    <NotebookContext.Provider value={{ state, dispatch, getState, ActionTypes }}>
       {children}
     </NotebookContext.Provider>
   );
@@ -1,7 +1,77 @@
 /**
- * Chart data processing utilities
+ * Chart data processing utilities: validating a chart cell's configuration against its
+ * rows and shaping the rows (filter, top N, aggregate, sort, limit) for the chart service
  */
 
+import { flowEdges } from '../services/transactionNetwork';
+import { countryInfo } from '../services/worldMap';
+import { DEFAULT_BAND_WINDOW } from '../services/timeSeries';
+import { detectSingleColumnType } from '../services/columnTypes';
+
+// Label of the bucket the categories outside the top N are combined into
+export const OTHER_LABEL = 'Other';
+
+// Chart types, in the order the editor offers them
+export const CHART_TYPE_OPTIONS = [
+  { value: 'line', label: 'Line Chart' },
+  { value: 'bar', label: 'Bar Chart' },
+  { value: 'column', label: 'Column Chart' },
+  { value: 'area', label: 'Area Chart' },
+  { value: 'pie', label: 'Pie Chart' },
+  { value: 'scatter', label: 'Scatter Plot' },
+  { value: 'bubble', label: 'Bubble Chart' },
+  { value: 'heatmap', label: 'Heatmap' },
+  { value: 'sankey', label: 'Sankey Flow' },
+  { value: 'map', label: 'World Map' }
+];
+
+// Lines and bars split into a series per value; points are sized and coloured by column
+export const SERIES_CHART_TYPES = ['line', 'area', 'bar', 'column'];
+export const POINT_CHART_TYPES = ['scatter', 'bubble'];
+
+export const chartTypeLabel = (chartType) => CHART_TYPE_OPTIONS.find(option => option.value === chartType)?.label;
+
+// Charts whose rows can be aggregated; maps and Sankey charts aggregate their own
+export const AGGREGATED_CHART_TYPES = ['line', 'area', 'bar', 'column', 'pie', 'heatmap'];
+
+// Charts whose categories can be cut to the top N, with an Other bucket for the rest
+export const TOP_N_CHART_TYPES = ['bar', 'column', 'pie'];
+
+// Columns a Sankey chart flows through: source, target, then any further stages
+export const sankeyPath = (config) => [config.xAxis, config.yAxis, ...(config.sankeyStages || [])].filter(Boolean);
+
+// Whether a chart value is the Other bucket rather than a category of the data
+export const isOtherBucket = (config, value) =>
+  Number(config.topN) > 0 && TOP_N_CHART_TYPES.includes(config.chartType) && value === OTHER_LABEL;
+
+// A chart cell's configuration, with defaults for the settings it has not made
+export function chartConfig(cell) {
+  return {
+    title: cell.title || 'New Chart',
+    chartType: cell.chartType || 'line',
+    dataSource: cell.dataSource || 'csv', // 'csv' or 'query'
+    query: cell.query || '',
+    xAxis: cell.xAxis || '',
+    yAxis: cell.yAxis || '',
+    zAxis: cell.zAxis || '', // Heatmap and Sankey value, scatter and bubble size
+    seriesBy: cell.seriesBy || '', // Line, area, bar and column: one series per value
+    colorBy: cell.colorBy || '', // Scatter and bubble: colour points by a column
+    aggregation: cell.aggregation || 'none', // 'sum', 'avg', 'count', 'min', 'max' over each x value
+    topN: cell.topN || 0, // Bar, column and pie: keep the top N categories, the rest as Other
+    filterCondition: cell.filterCondition || '',
+    sortBy: cell.sortBy || '',
+    sortOrder: cell.sortOrder || 'asc',
+    limit: cell.limit !== undefined ? cell.limit : 100, // 0 for every row
+    showHeatmapLabels: cell.showHeatmapLabels !== undefined ? cell.showHeatmapLabels : 'auto', // 'auto', 'always', 'never'
+    sankeyStages: cell.sankeyStages || [], // Columns after the target, for multi-stage Sankey charts
+    linkedCellId: cell.linkedCellId || '', // Data cell filtered by what is selected on this chart
+    dataZoom: cell.dataZoom || false, // Time series: zoom slider under the x axis
+    movingAverages: cell.movingAverages || '', // Time series: moving average periods, e.g. "7, 30"
+    bandStdDevs: cell.bandStdDevs || 0, // Time series: ±k standard deviation anomaly band, 0 for none
+    bandWindow: cell.bandWindow || DEFAULT_BAND_WINDOW // Time series: points the band's mean and deviation cover
+  };
+}
+
 export class ChartDataProcessor {
   /**
    * Validate chart configuration
@@ -15,6 +85,11 @@ export class ChartDataProcessor {
     }
     
     const columns = data.length > 0 ? Object.keys(data[0]) : [];
+    const requireNumeric = (field, label, message = 'should contain numeric data') => {
+      if (config[field] && columns.includes(config[field]) && !this.validateNumericColumn(data, config[field])) {
+        errors.push(`${label} "${config[field]}" ${message}`);
+      }
+    };
     
     // Basic validation
     if (!config.chartType) {
@@ -26,25 +101,38 @@ export class ChartDataProcessor {
       case 'pie':
         if (!config.xAxis) errors.push('Category column is required for pie charts');
         if (!config.yAxis) errors.push('Value column is required for pie charts');
-        if (config.yAxis && columns.includes(config.yAxis)) {
-          const hasNumericData = this.validateNumericColumn(data, config.yAxis);
-          if (!hasNumericData) {
-            errors.push(`Value column "${config.yAxis}" must contain numeric data`);
-          }
-        }
+        if (config.aggregation !== 'count') requireNumeric('yAxis', 'Value column', 'must contain numeric data');
         break;
         
       case 'heatmap':
         if (!config.xAxis) errors.push('X-axis column is required for heatmaps');
         if (!config.yAxis) errors.push('Y-axis column is required for heatmaps');
         if (!config.zAxis) errors.push('Value column is required for heatmaps');
-        if (config.zAxis && columns.includes(config.zAxis)) {
-          const hasNumericData = this.validateNumericColumn(data, config.zAxis);
-          if (!hasNumericData) {
-            errors.push(`Value column "${config.zAxis}" must contain numeric data`);
+        if (config.aggregation !== 'count') requireNumeric('zAxis', 'Value column', 'must contain numeric data');
+        break;
+
+      case 'sankey': {
+        if (!config.xAxis) errors.push('Source column is required for Sankey charts');
+        if (!config.yAxis) errors.push('Target column is required for Sankey charts');
+        const path = sankeyPath(config);
+        if (new Set(path).size < path.length) errors.push('Each Sankey stage needs a different column');
+        // The value column is optional; without it each row counts once
+        requireNumeric('zAxis', 'Value column', 'must contain numeric data');
+        break;
+      }
+
+      case 'map': {
+        if (!config.xAxis) errors.push('Country column is required for maps');
+        if (!config.yAxis) errors.push('Value column is required for maps');
+        if (config.xAxis && columns.includes(config.xAxis)) {
+          const countries = data.slice(0, 100).map(row => row[config.xAxis]).filter(val => val !== '' && val !== null && val !== undefined);
+          if (countries.length > 0 && !countries.some(val => countryInfo(val))) {
+            errors.push(`Country column "${config.xAxis}" should contain ISO country codes or names. Found: ${countries.slice(0, 3).join(', ')}`);
           }
         }
+        if (config.aggregation !== 'count') requireNumeric('yAxis', 'Value column');
         break;
+      }
         
       case 'scatter':
       case 'bubble':
@@ -54,40 +142,31 @@ export class ChartDataProcessor {
           errors.push('Size column is required for bubble charts');
         }
         
-        // Validate numeric columns
-        if (config.xAxis && columns.includes(config.xAxis)) {
-          const hasNumericData = this.validateNumericColumn(data, config.xAxis);
-          if (!hasNumericData) {
-            errors.push(`X-axis column "${config.xAxis}" should contain numeric data`);
-          }
-        }
-        if (config.yAxis && columns.includes(config.yAxis)) {
-          const hasNumericData = this.validateNumericColumn(data, config.yAxis);
-          if (!hasNumericData) {
-            errors.push(`Y-axis column "${config.yAxis}" should contain numeric data`);
-          }
-        }
+        // Both axes and the size are plotted to scale
+        requireNumeric('xAxis', 'X-axis column');
+        requireNumeric('yAxis', 'Y-axis column');
+        requireNumeric('zAxis', 'Size column');
         break;
         
       default:
         // Standard charts (line, bar, column, area)
         if (!config.xAxis) errors.push('X-axis column is required');
         if (!config.yAxis) errors.push('Y-axis column is required');
-        if (config.yAxis && columns.includes(config.yAxis)) {
-          const hasNumericData = this.validateNumericColumn(data, config.yAxis);
-          if (!hasNumericData) {
-            errors.push(`Y-axis column "${config.yAxis}" should contain numeric data`);
-          }
-        }
+        if (config.aggregation !== 'count') requireNumeric('yAxis', 'Y-axis column');
         break;
     }
     
     // Check if columns exist
-    ['xAxis', 'yAxis', 'zAxis', 'groupBy', 'colorBy', 'sizeBy'].forEach(field => {
+    ['xAxis', 'yAxis', 'zAxis', 'seriesBy', 'colorBy', 'sortBy'].forEach(field => {
       if (config[field] && !columns.includes(config[field])) {
         errors.push(`Column "${config[field]}" not found in data. Available: ${columns.join(', ')}`);
       }
     });
+    if (config.chartType === 'sankey') {
+      (config.sankeyStages || []).filter(stage => stage && !columns.includes(stage)).forEach(stage => {
+        errors.push(`Column "${stage}" not found in data. Available: ${columns.join(', ')}`);
+      });
+    }
     
     return { valid: errors.length === 0, errors };
   }
@@ -125,14 +204,27 @@ export class ChartDataProcessor {
         data = this.applyFilter(data, config.filterCondition);
       }
       
-      // Apply grouping and aggregation
-      if (config.groupBy && config.aggregation && config.aggregation !== 'none') {
-        data = this.applyGrouping(data, config);
+      // Cut the categories to the top N, combining the rest into Other
+      if (Number(config.topN) > 0 && TOP_N_CHART_TYPES.includes(config.chartType)) {
+        data = this.applyTopN(data, config);
+      }
+      
+      // Apply aggregation
+      if (this.aggregationFor(config) !== 'none') {
+        data = this.applyAggregation(data, config);
       }
       
-      // Apply sorting
+      // Apply sorting; top-N charts default to largest first, with Other last
       if (config.sortBy) {
         data = this.applySorting(data, config.sortBy, config.sortOrder);
+      } else if (Number(config.topN) > 0 && TOP_N_CHART_TYPES.includes(config.chartType)) {
+        data = this.applySorting(data, config.yAxis, 'desc');
+      }
+      if (data.some(row => isOtherBucket(config, row[config.xAxis]))) {
+        data = [
+          ...data.filter(row => !isOtherBucket(config, row[config.xAxis])),
+          ...data.filter(row => isOtherBucket(config, row[config.xAxis]))
+        ];
       }
       
       // Apply limit
@@ -189,62 +281,84 @@ export class ChartDataProcessor {
   }
   
   /**
-   * Apply grouping and aggregation to data
+   * Aggregation the rows are combined with. The Other bucket needs one, so a top-N
+   * chart without an aggregation sums.
    */
-  static applyGrouping(data, config) {
-    const { groupBy, aggregation, yAxis } = config;
-    
-    if (!groupBy || !yAxis) return data;
+  static aggregationFor(config) {
+    const aggregation = config.aggregation || 'none';
+    if (!AGGREGATED_CHART_TYPES.includes(config.chartType)) return 'none';
+    if (aggregation === 'none' && Number(config.topN) > 0 && TOP_N_CHART_TYPES.includes(config.chartType)) {
+      return 'sum';
+    }
+    return aggregation;
+  }
+
+  /**
+   * Columns rows are aggregated over and the column aggregated: a heatmap's cells by
+   * their value column, other charts' x values (and series) by their y column
+   */
+  static aggregationColumns(config) {
+    if (config.chartType === 'heatmap') {
+      return { keys: [config.xAxis, config.yAxis], measure: config.zAxis };
+    }
+    return { keys: [config.xAxis, config.seriesBy].filter(Boolean), measure: config.yAxis };
+  }
+
+  /**
+   * Combine rows with the same x value (and series) into one, aggregating the measure.
+   * Key columns keep their raw values, so selections still match the data.
+   */
+  static applyAggregation(data, config) {
+    const { keys, measure } = this.aggregationColumns(config);
+    const aggregation = this.aggregationFor(config);
+    if (keys.length === 0 || !measure) return data;
     
-    const grouped = {};
+    const grouped = new Map();
     
     // Group data
     data.forEach(row => {
-      const groupKey = String(row[groupBy]);
-      if (!grouped[groupKey]) {
-        grouped[groupKey] = [];
+      const groupKey = JSON.stringify(keys.map(key => row[key]));
+      if (!grouped.has(groupKey)) {
+        grouped.set(groupKey, []);
       }
-      grouped[groupKey].push(row);
+      grouped.get(groupKey).push(row);
     });
     
     // Apply aggregation
-    return Object.keys(grouped).map(groupKey => {
-      const group = grouped[groupKey];
-      const result = { [groupBy]: groupKey };
+    return [...grouped.values()].map(group => {
+      const result = Object.fromEntries(keys.map(key => [key, group[0][key]]));
       
       const numericValues = group
-        .map(row => parseFloat(row[yAxis]))
+        .map(row => parseFloat(row[measure]))
         .filter(val => !isNaN(val) && isFinite(val));
       
-      if (numericValues.length === 0) {
-        result[yAxis] = 0;
-        return result;
-      }
-      
-      switch (aggregation) {
-        case 'sum':
-          result[yAxis] = numericValues.reduce((sum, val) => sum + val, 0);
-          break;
-        case 'avg':
-          result[yAxis] = numericValues.reduce((sum, val) => sum + val, 0) / numericValues.length;
-          break;
-        case 'count':
-          result[yAxis] = group.length;
-          break;
-        case 'min':
-          result[yAxis] = Math.min(...numericValues);
-          break;
-        case 'max':
-          result[yAxis] = Math.max(...numericValues);
-          break;
-        default:
-          result[yAxis] = numericValues[0];
+      if (aggregation === 'count') {
+        result[measure] = group.length;
+      } else if (numericValues.length === 0) {
+        result[measure] = 0;
+      } else {
+        switch (aggregation) {
+          case 'sum':
+            result[measure] = numericValues.reduce((sum, val) => sum + val, 0);
+            break;
+          case 'avg':
+            result[measure] = numericValues.reduce((sum, val) => sum + val, 0) / numericValues.length;
+            break;
+          case 'min':
+            result[measure] = Math.min(...numericValues);
+            break;
+          case 'max':
+            result[measure] = Math.max(...numericValues);
+            break;
+          default:
+            result[measure] = numericValues[0];
+        }
       }
       
       // Include first non-null values from other columns for context
       const firstRow = group[0];
       Object.keys(firstRow).forEach(key => {
-        if (key !== groupBy && key !== yAxis && !(key in result)) {
+        if (!(key in result)) {
           result[key] = firstRow[key];
         }
       });
@@ -252,6 +366,21 @@ export class ChartDataProcessor {
       return result;
     });
   }
+
+  /**
+   * Rows with every x value outside the top N relabelled Other. Categories are ranked by
+   * their measure under the chart's aggregation, so the Other bucket is aggregated the
+   * same way as the categories it sits beside.
+   */
+  static applyTopN(data, config) {
+    const topN = Number(config.topN);
+    const ranked = this.applyAggregation(data, { ...config, seriesBy: '' })
+      .sort((a, b) => (parseFloat(b[config.yAxis]) || 0) - (parseFloat(a[config.yAxis]) || 0));
+    if (ranked.length <= topN) return data;
+    
+    const kept = new Set(ranked.slice(0, topN).map(row => row[config.xAxis]));
+    return data.map(row => kept.has(row[config.xAxis]) ? row : { ...row, [config.xAxis]: OTHER_LABEL });
+  }
   
   /**
    * Apply sorting to data
@@ -280,6 +409,45 @@ export class ChartDataProcessor {
     });
   }
   
+  /**
+   * Data and config to draw a chart with the chart service. Sankey charts draw the
+   * flows between their stages and maps aggregate every row into its country, so
+   * neither is cut to the row limit.
+   */
+  static prepareChart(rows, config) {
+    if (config.chartType === 'sankey') {
+      return {
+        data: flowEdges(rows, sankeyPath(config), config.zAxis),
+        config: {
+          chartType: 'sankey',
+          title: config.title,
+          sourceColumn: 'source',
+          targetColumn: 'target',
+          sourceTypeColumn: 'source_type',
+          targetTypeColumn: 'target_type',
+          valueColumn: 'value',
+          valueLabel: config.zAxis || 'Rows'
+        }
+      };
+    }
+    if (config.chartType === 'map') {
+      return { data: rows, config };
+    }
+    return { data: this.processData(rows, config), config };
+  }
+  
+  /**
+   * Column types behind axis and tooltip formatting: the loaded table's types where
+   * known, otherwise detected from the rows (for columns a query computed)
+   */
+  static chartColumnTypes(rows, knownTypes = {}) {
+    const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+    return Object.fromEntries(columns.map(column => [
+      column,
+      knownTypes[column] || detectSingleColumnType(rows, column)
+    ]));
+  }
+  
   /**
    * Get summary statistics for a numeric column
    */
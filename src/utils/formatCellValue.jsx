@@ -0,0 +1,137 @@
+import React from 'react';
+import { isEntityColumn } from '../services/entityProfile';
+
+// Helper function to format cell values using type information. With onOpenEntity,
+// user, merchant and other entity IDs become links that open the entity's profile.
+export function formatCellValue(value, columnName, columnTypes = {}, { onOpenEntity } = {}) {
+  if (value === null || value === undefined || value === '') {
+    return <span className="text-gray-400">-</span>;
+  }
+  
+  const columnType = columnTypes[columnName] || 'text';
+  
+  switch (columnType) {
+    case 'currency':
+      const currencyValue = parseFloat(value);
+      if (!isNaN(currencyValue)) {
+        return new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency: 'USD'
+        }).format(currencyValue);
+      }
+      break;
+      
+    case 'integer':
+      const intValue = parseInt(value);
+      if (!isNaN(intValue)) {
+        return intValue.toLocaleString();
+      }
+      break;
+      
+    case 'decimal':
+      const decimalValue = parseFloat(value);
+      if (!isNaN(decimalValue)) {
+        return decimalValue.toLocaleString(undefined, {
+          minimumFractionDigits: 2,
+          maximumFractionDigits: 2
+        });
+      }
+      break;
+      
+    case 'percentage':
+      const percentValue = parseFloat(value);
+      if (!isNaN(percentValue)) {
+        return (percentValue * 100).toFixed(1) + '%';
+      }
+      break;
+      
+    case 'date':
+      const dateValue = new Date(value);
+      if (!isNaN(dateValue.getTime())) {
+        return dateValue.toLocaleDateString('en-US', {
+          year: 'numeric',
+          month: 'short',
+          day: 'numeric'
+        });
+      }
+      break;
+      
+    case 'datetime':
+      const datetimeValue = new Date(value);
+      if (!isNaN(datetimeValue.getTime())) {
+        return datetimeValue.toLocaleString('en-US', {
+          year: 'numeric',
+          month: 'short', 
+          day: 'numeric',
+          hour: '2-digit',
+          minute: '2-digit'
+        });
+      }
+      break;
+      
+    case 'boolean':
+      if (value === '1' || value === 1 || value === true || value === 'true') {
+        const isFraudOrDecline = columnName.includes('fraud') || columnName.includes('decline');
+        return (
+          <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
+            isFraudOrDecline ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'
+          }`}>
+            {isFraudOrDecline ? 'Yes' : '✓'}
+          </span>
+        );
+      }
+      if (value === '0' || value === 0 || value === false || value === 'false') {
+        const isFraudOrDecline = columnName.includes('fraud') || columnName.includes('decline');
+        return (
+          <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
+            isFraudOrDecline ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+          }`}>
+            {isFraudOrDecline ? 'No' : '✗'}
+          </span>
+        );
+      }
+      break;
+      
+    case 'id': {
+      const stringValue = String(value);
+      const shortValue = stringValue.length > 20
+        ? `${stringValue.substring(0, 8)}...${stringValue.substring(stringValue.length - 8)}`
+        : stringValue;
+      if (onOpenEntity && isEntityColumn(columnName, columnTypes)) {
+        return (
+          <button
+            type="button"
+            title={`Open profile for ${stringValue}`}
+            onClick={(e) => {
+              e.stopPropagation();
+              onOpenEntity(columnName, value);
+            }}
+            className="font-mono text-xs text-blue-700 hover:text-blue-900 hover:underline"
+          >
+            {shortValue}
+          </button>
+        );
+      }
+      return (
+        <span title={stringValue.length > 20 ? stringValue : undefined} className="font-mono text-xs">
+          {shortValue}
+        </span>
+      );
+    }
+      
+    case 'category':
+      return (
+        <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+          {String(value)}
+        </span>
+      );
+  }
+  
+  // Default text formatting
+  const stringValue = String(value);
+  if (stringValue.length > 50) {
+    return <span title={stringValue}>{stringValue.substring(0, 47)}...</span>;
+  }
+  
+  return stringValue;
+}
@@ -0,0 +1,43 @@
+import { SQLiteDatabase } from '../services/sqliteDatabase';
+
+// Runs the sql.js database off the main thread so long inserts and queries do not
+// freeze the notebook. Requests arrive as { id, method, args } and are answered with
+// { id, result } or { id, error }. Long-running methods also send { id, progress }.
+const database = new SQLiteDatabase();
+
+const METHODS = [
+  'initialize',
+  'snapshot',
+  'loadTable',
+  'computeColumn',
+  'execute',
+  'getTableInfo',
+  'getStats',
+  'listTables',
+  'hasTable',
+  'dropTable'
+];
+
+// Methods that take a progress callback as their last argument
+const PROGRESS_METHODS = ['computeColumn'];
+
+self.onmessage = async (event) => {
+  const { id, method, args = [] } = event.data;
+
+  try {
+    if (!METHODS.includes(method)) {
+      throw new Error(`Unknown SQLite method "${method}"`);
+    }
+
+    const progress = (value) => self.postMessage({ id, progress: value });
+    const result = await (PROGRESS_METHODS.includes(method)
+      ? database[method](...args, progress)
+      : database[method](...args));
+
+    // Hand snapshot bytes over without copying them
+    const transfer = result?.bytes ? [result.bytes.buffer] : [];
+    self.postMessage({ id, result }, transfer);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};